@@ -18,6 +18,15 @@ module.exports = {
     'quotes': ['error', 'single'],
     'semi': ['error', 'always']
   },
+  overrides: [
+    {
+      // Helpers defined in tests/setup.js
+      files: ['tests/**/*.js'],
+      globals: {
+        createTestLogger: 'readonly'
+      }
+    }
+  ],
   ignorePatterns: [
     'node_modules/',
     'coverage/',
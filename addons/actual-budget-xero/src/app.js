@@ -4,17 +4,13 @@ const express = require('express');
 const path = require('path');
 const ConfigValidator = require('./models/config');
 const logger = require('./utils/logger');
-const HomeAssistantService = require('./services/home-assistant');
 const LogMonitor = require('./utils/log-monitor');
+const TokenStore = require('./utils/token-store');
 
 // Import services for initialization
-const ActualBudgetClient = require('./services/actual');
-const XanoClient = require('./services/xano');
 const XeroClient = require('./services/xero');
-const SyncService = require('./services/sync');
-const MappingManager = require('./services/mapping-manager');
-const ReprocessingService = require('./services/reprocessing');
-const SyncReporter = require('./services/sync-reporter');
+const BackfillService = require('./services/backfill');
+const SyncProfile = require('./services/sync-profile');
 
 /**
  * Main application class for Actual-Xero Sync
@@ -25,28 +21,26 @@ class ActualXeroSyncApp {
     this.config = null;
     this.server = null;
     
-    // Service instances
-    this.services = {
-      actualClient: null,
-      xanoClient: null,
-      xeroClient: null,
-      syncService: null,
-      mappingManager: null,
-      reprocessingService: null,
-      syncReporter: null,
-      haService: new HomeAssistantService()
-    };
+    // Sync profiles (name -> SyncProfile), each with its own services and run state;
+    // the first one answers requests that do not name a profile
+    this.profiles = new Map();
+    this.defaultProfile = null;
+    
+    // Xero client holding the OAuth connection every profile's organisation is authorised on
+    this.xeroConnection = null;
     
     // Log monitoring
     this.logMonitor = null;
     
+    // Pending Xero OAuth states (state -> created timestamp)
+    this.oauthStates = new Map();
+    
     // Application state
     this.isShuttingDown = false;
     this.activeOperations = new Set();
     
-    // Sync results storage
-    this.syncResults = new Map();
-    this.lastSyncResult = null;
+    // Live progress subscribers
+    this.sseClients = new Set();
   }
 
   /**
@@ -122,61 +116,52 @@ class ActualXeroSyncApp {
     try {
       logger.info('Initializing application services...');
       
-      // Initialize API clients
-      this.services.actualClient = new ActualBudgetClient({
-        baseUrl: this.config.actual_budget_url,
-        password: this.config.actual_budget_password,
-        logger: logger
-      });
+      const profileConfigs = ConfigValidator.resolveProfiles(this.config);
       
-      this.services.xanoClient = new XanoClient({
-        apiUrl: this.config.xano_api_url,
-        apiKey: this.config.xano_api_key,
-        rateLimitPerMinute: this.config.xano_rate_limit,
-        logger: logger
-      });
-      
-      this.services.xeroClient = new XeroClient({
+      // One OAuth connection, authorised for every profile's organisation
+      this.xeroConnection = new XeroClient({
         clientId: this.config.xero_client_id,
         clientSecret: this.config.xero_client_secret,
-        tenantId: this.config.xero_tenant_id,
-        logger: logger
-      });
-      
-      // Initialize business logic services
-      this.services.mappingManager = new MappingManager({
-        actualClient: this.services.actualClient,
-        xanoClient: this.services.xanoClient,
-        xeroClient: this.services.xeroClient,
+        tenantId: profileConfigs[0].xero_tenant_id,
+        redirectUri: this.config.xero_redirect_uri || undefined,
+        tokenStore: new TokenStore({
+          filePath: path.join(process.env.DATA_DIR || '/data', 'xero-tokens.json'),
+          secret: this.config.xero_client_secret,
+          logger: logger
+        }),
+        dailyQuotaReserve: this.config.xero_daily_quota_reserve,
         logger: logger
       });
       
-      this.services.reprocessingService = new ReprocessingService({
-        xanoClient: this.services.xanoClient,
-        xeroClient: this.services.xeroClient,
-        actualClient: this.services.actualClient,
-        logger: logger,
-        config: this.config
-      });
+      // Restore the Xero connection from the previous run
+      const tokenRestored = await this.xeroConnection.loadStoredToken();
+      logger.info(tokenRestored ? 'Restored stored Xero connection' : 'Xero is not connected yet');
       
-      this.services.syncReporter = new SyncReporter({
-        logger: logger
-      });
+      // Profiles syncing to the same organisation share its client, and so its rate limits
+      const xeroClients = new Map([[this.xeroConnection.tenantId, this.xeroConnection]]);
       
-      // Initialize main sync service
-      this.services.syncService = new SyncService({
-        actualClient: this.services.actualClient,
-        xanoClient: this.services.xanoClient,
-        xeroClient: this.services.xeroClient,
-        mappingManager: this.services.mappingManager,
-        syncReporter: this.services.syncReporter,
-        logger: logger,
-        config: this.config
-      });
+      for (const profileConfig of profileConfigs) {
+        if (!xeroClients.has(profileConfig.xero_tenant_id)) {
+          xeroClients.set(profileConfig.xero_tenant_id, this.xeroConnection.forTenant(profileConfig.xero_tenant_id, {
+            dailyQuotaReserve: this.config.xero_daily_quota_reserve
+          }));
+        }
+        
+        const profile = new SyncProfile({
+          config: profileConfig,
+          xeroClient: xeroClients.get(profileConfig.xero_tenant_id),
+          named: this.config.profiles.length > 0,
+          activeOperations: this.activeOperations,
+          logger: logger
+        });
+        await profile.init();
+        
+        profile.on('progress', (syncId) => this.broadcastSyncProgress(profile, syncId));
+        this.profiles.set(profile.name, profile);
+      }
       
-      // Initialize Home Assistant service and connect it to sync service
-      this.services.haService.init();
-      this.services.haService.setSyncService(this.services.syncService);
+      this.defaultProfile = this.profiles.values().next().value;
+      logger.info(`Sync profiles: ${Array.from(this.profiles.keys()).join(', ')}`);
       
       logger.info('All services initialized successfully');
       
@@ -186,6 +171,18 @@ class ActualXeroSyncApp {
     }
   }
 
+  /**
+   * Find the sync profile a request is for
+   * @param {string} name - Profile name; empty for the default profile
+   * @returns {SyncProfile|null} - Profile, or null if there is none by that name
+   */
+  getProfile(name) {
+    if (!name) {
+      return this.defaultProfile;
+    }
+    return this.profiles.get(String(name)) || null;
+  }
+
   /**
    * Setup Express middleware
    */
@@ -204,6 +201,21 @@ class ActualXeroSyncApp {
       });
       next();
     });
+    
+    // API requests act on the profile named by ?profile= (the first profile when omitted)
+    this.app.use('/api', (req, res, next) => {
+      const profile = this.getProfile(req.query.profile);
+      
+      if (!profile) {
+        return res.status(404).json({
+          error: `Unknown sync profile: ${req.query.profile}`,
+          profiles: Array.from(this.profiles.keys())
+        });
+      }
+      
+      req.profile = profile;
+      next();
+    });
   }
 
   /**
@@ -221,51 +233,87 @@ class ActualXeroSyncApp {
 
     // Configuration status endpoint
     this.app.get('/api/config/status', (req, res) => {
+      const config = req.profile.config;
+      
       res.json({
         configured: true,
-        log_level: this.config.log_level,
-        sync_schedule: this.config.sync_schedule,
-        sync_days_back: this.config.sync_days_back,
-        batch_size: this.config.batch_size,
-        xano_rate_limit: this.config.xano_rate_limit,
+        profile: req.profile.name,
+        profiles: Array.from(this.profiles.keys()),
+        log_level: config.log_level,
+        sync_schedule: config.sync_schedule,
+        sync_days_back: config.sync_days_back,
+        sync_overlap_days: config.sync_overlap_days,
+        batch_size: config.batch_size,
+        xano_rate_limit: config.xano_rate_limit,
+        xero_daily_quota_reserve: config.xero_daily_quota_reserve,
+        storage_backend: config.storage_backend,
+        receipts_enabled: config.receipts_enabled,
+        reconciliation_sync: config.reconciliation_sync,
         // Don't expose sensitive configuration
-        actual_budget_configured: !!this.config.actual_budget_url,
-        xano_configured: !!this.config.xano_api_url,
-        xero_configured: !!this.config.xero_client_id
+        actual_budget_configured: !!config.actual_budget_url,
+        xano_configured: !!config.xano_api_url,
+        xero_configured: !!config.xero_client_id
       });
     });
 
     // Configuration details endpoint
     this.app.get('/api/config/details', (req, res) => {
+      const config = req.profile.config;
+      
       res.json({
-        actual_budget_url: this.config.actual_budget_url,
-        business_category_group_name: this.config.business_category_group_name,
-        business_category_group_id: this.config.business_category_group_id,
-        sync_schedule: this.config.sync_schedule,
-        sync_days_back: this.config.sync_days_back,
-        batch_size: this.config.batch_size,
-        xano_rate_limit: this.config.xano_rate_limit
+        profile: req.profile.name,
+        mapping_namespace: req.profile.namespace,
+        actual_budget_url: config.actual_budget_url,
+        business_category_group_name: config.business_category_group_name,
+        business_category_group_id: config.business_category_group_id,
+        sync_schedule: config.sync_schedule,
+        sync_days_back: config.sync_days_back,
+        sync_overlap_days: config.sync_overlap_days,
+        batch_size: config.batch_size,
+        storage_backend: config.storage_backend,
+        xano_rate_limit: config.xano_rate_limit,
+        xero_daily_quota_reserve: config.xero_daily_quota_reserve,
+        receipts_enabled: config.receipts_enabled,
+        receipts_folder: req.profile.receipts ? req.profile.receipts.folder : config.receipts_folder,
+        reconciliation_sync: config.reconciliation_sync
       });
     });
 
+    // Every sync profile with its settings and current state
+    this.app.get('/api/profiles', (req, res) => {
+      try {
+        res.json({
+          default: this.defaultProfile.name,
+          profiles: Array.from(this.profiles.values()).map(profile => profile.getStatus())
+        });
+      } catch (error) {
+        logger.error('Failed to get sync profiles', { error: error.message });
+        res.status(500).json({ error: 'Failed to get sync profiles' });
+      }
+    });
+
     // Sync statistics endpoint
     this.app.get('/api/sync/stats', (req, res) => {
-      if (this.lastSyncResult && this.lastSyncResult.statistics) {
-        const stats = this.lastSyncResult.statistics;
+      if (req.profile.lastSyncResult && req.profile.lastSyncResult.statistics) {
+        const stats = req.profile.lastSyncResult.statistics;
         res.json({
           total_processed: stats.totalProcessed || 0,
+          filtered_transactions: stats.filteredTransactions || 0,
           successful_imports: stats.importedToXero || 0,
           failed_transactions: stats.failedTransactions || 0,
+          deferred_transactions: stats.deferredTransactions || 0,
           pending_mappings: Math.max(0, (stats.totalProcessed || 0) - (stats.mappedTransactions || 0)),
           stored_xano: stats.storedInXano || 0,
           duplicates_skipped: stats.duplicatesSkipped || 0,
-          last_sync: this.lastSyncResult.timestamp
+          last_sync: req.profile.lastSyncResult.timestamp
         });
       } else {
         res.json({
           total_processed: 0,
+          filtered_transactions: 0,
           successful_imports: 0,
           failed_transactions: 0,
+          deferred_transactions: 0,
           pending_mappings: 0,
           stored_xano: 0,
           duplicates_skipped: 0,
@@ -274,50 +322,29 @@ class ActualXeroSyncApp {
       }
     });
 
-    // Manual sync trigger endpoint
-    this.app.post('/api/sync/trigger', async (req, res) => {
+    // Manual sync trigger endpoint (returns immediately, progress via /api/sync/progress or /api/sync/events)
+    this.app.post('/api/sync/trigger', (req, res) => {
       try {
-        logger.info('Manual sync triggered via API');
+        const busy = req.profile.getBusyOperation();
+        if (busy) {
+          return res.status(409).json({ ...busy, timestamp: new Date().toISOString() });
+        }
+        
+        logger.info('Manual sync triggered via API', { profile: req.profile.name });
         
         // Generate sync ID for tracking
         const syncId = Date.now().toString();
         
-        // Trigger sync through Home Assistant service for consistency
-        const result = await this.services.haService.handleSyncTrigger('web_api');
+        req.profile.runSync(syncId, 'web_api').catch((error) => {
+          logger.error('Manual sync failed', { profile: req.profile.name, syncId, error: error.message });
+        });
         
-        if (result.success) {
-          // Store sync results for progress tracking
-          this.syncResults.set(syncId, {
-            status: 'completed',
-            result: result.result,
-            statistics: result.statistics,
-            message: result.message,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Update last sync result
-          this.lastSyncResult = this.syncResults.get(syncId);
-          
-          res.json({
-            message: result.message,
-            syncId: syncId,
-            timestamp: new Date().toISOString(),
-            statistics: result.statistics
-          });
-        } else {
-          // Store failed sync result
-          this.syncResults.set(syncId, {
-            status: 'failed',
-            error: result.error,
-            timestamp: new Date().toISOString()
-          });
-          
-          res.status(500).json({
-            error: result.error,
-            syncId: syncId,
-            timestamp: new Date().toISOString()
-          });
-        }
+        res.status(202).json({
+          message: 'Sync started',
+          profile: req.profile.name,
+          syncId: syncId,
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
         logger.error('Failed to trigger sync', { error: error.message });
         res.status(500).json({
@@ -329,44 +356,605 @@ class ActualXeroSyncApp {
 
     // Sync progress endpoint
     this.app.get('/api/sync/progress/:syncId', (req, res) => {
-      const syncId = req.params.syncId;
-      const syncResult = this.syncResults.get(syncId);
+      const progress = req.profile.getSyncProgress(req.params.syncId);
       
-      if (syncResult) {
-        const stats = syncResult.statistics || {};
+      if (!progress) {
+        return res.status(404).json({ error: 'Sync not found', syncId: req.params.syncId });
+      }
+      
+      res.json(progress);
+    });
+
+    // Sync run history endpoints
+    this.app.get('/api/sync/history', (req, res) => {
+      try {
+        if (!req.profile.syncHistory) {
+          return res.status(404).json({ error: 'Sync history not available' });
+        }
+        
+        const { status, source, from, until, transactionId, limit, offset } = req.query;
+        
+        if ((from && isNaN(new Date(from).getTime())) || (until && isNaN(new Date(until).getTime()))) {
+          return res.status(400).json({ error: 'from and until must be valid dates' });
+        }
+        
+        res.json(req.profile.syncHistory.query({ status, source, from, until, transactionId, limit, offset }));
+      } catch (error) {
+        logger.error('Failed to get sync history', { error: error.message });
+        res.status(500).json({ error: 'Failed to get sync history' });
+      }
+    });
+
+    this.app.get('/api/sync/history/:id', (req, res) => {
+      try {
+        const record = req.profile.syncHistory ? req.profile.syncHistory.getRecord(req.params.id) : null;
+        
+        if (!record) {
+          return res.status(404).json({ error: 'Sync run not found' });
+        }
+        
+        res.json(record);
+      } catch (error) {
+        logger.error('Failed to get sync history record', { error: error.message });
+        res.status(500).json({ error: 'Failed to get sync history record' });
+      }
+    });
+
+    // Incremental sync watermark endpoints
+    this.app.get('/api/sync/watermark', (req, res) => {
+      if (!req.profile.syncWatermark) {
+        return res.status(404).json({ error: 'Sync watermark not available' });
+      }
+      
+      res.json({
+        watermark: req.profile.syncWatermark.getWatermark(),
+        overlap_days: req.profile.config.sync_overlap_days,
+        days_back: req.profile.config.sync_days_back
+      });
+    });
+
+    // Move the watermark back (body: { date: 'YYYY-MM-DD' }); an empty body clears it
+    this.app.post('/api/sync/watermark/reset', async (req, res) => {
+      try {
+        if (!req.profile.syncWatermark) {
+          return res.status(404).json({ error: 'Sync watermark not available' });
+        }
+        
+        if (req.profile.isSyncing()) {
+          return res.status(409).json({ error: 'Cannot reset the watermark while a sync is in progress' });
+        }
+        
+        const date = req.body && req.body.date ? String(req.body.date) : null;
+        if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+          return res.status(400).json({ error: 'date must be a valid YYYY-MM-DD date' });
+        }
+        
+        const current = req.profile.syncWatermark.getWatermark();
+        if (date && current && date > current.date) {
+          return res.status(400).json({ error: `date must not be after the current watermark (${current.date})` });
+        }
+        
+        const watermark = await req.profile.syncWatermark.reset(date);
+        logger.info('Sync watermark reset via API', { profile: req.profile.name, from: current ? current.date : null, to: date });
         
         res.json({
-          syncId: syncId,
-          status: syncResult.status,
-          progress: 100,
-          message: syncResult.message || (syncResult.status === 'completed' ? 'Sync completed' : 'Sync failed'),
-          processed: stats.totalProcessed || 0,
-          stored_xano: stats.storedInXano || 0,
-          duplicates_skipped: stats.duplicatesSkipped || 0,
-          mapped: stats.mappedTransactions || 0,
-          imported_xero: stats.importedToXero || 0,
-          failed: stats.failedTransactions || 0,
-          error: syncResult.error
+          message: date ? `Sync watermark moved back to ${date}` : 'Sync watermark cleared',
+          previous: current,
+          watermark,
+          timestamp: new Date().toISOString()
         });
-      } else {
-        // Fallback for unknown sync IDs
+      } catch (error) {
+        logger.error('Failed to reset sync watermark', { error: error.message });
+        res.status(500).json({ error: 'Failed to reset sync watermark' });
+      }
+    });
+
+    // Sync filter rules of the profile
+    this.app.get('/api/filters', (req, res) => {
+      res.json({
+        rules: req.profile.config.sync_filters || [],
+        default_action: req.profile.config.sync_filter_default || 'include'
+      });
+    });
+
+    // Try filter rules against recent transactions (body: { days, rules, default_action }); nothing is synced
+    this.app.post('/api/filters/test', async (req, res) => {
+      try {
+        const { options, errors } = this.parseFilterTestOptions(req.body || {}, req.profile.config);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid filter test options', details: errors });
+        }
+        
+        const preview = await req.profile.services.syncService.previewFilters(options);
+        logger.info('Sync filters tested via API', {
+          profile: req.profile.name,
+          total: preview.total,
+          skipped: preview.skipped,
+          draft: !!options.rules
+        });
+        
+        res.json(preview);
+      } catch (error) {
+        logger.error('Failed to test sync filters', { error: error.message });
+        res.status(500).json({ error: `Failed to test sync filters: ${error.message}` });
+      }
+    });
+
+    // Tracking mappings of the profile, checked against the Xero tracking categories
+    this.app.get('/api/tracking', async (req, res) => {
+      const mapper = req.profile.services.syncService.trackingMapper;
+      if (!mapper.isActive()) {
+        return res.json({ mappings: [], tracking_categories: [] });
+      }
+
+      try {
+        res.json(await mapper.validateMappings());
+      } catch (error) {
+        logger.error('Failed to check tracking mappings', { error: error.message });
+        res.status(500).json({ error: `Failed to check tracking mappings: ${error.message}` });
+      }
+    });
+
+    // Live sync progress stream (Server-Sent Events) for one profile, optionally filtered by ?syncId=
+    this.app.get('/api/sync/events', (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      
+      const client = { res, profile: req.profile, syncId: req.query.syncId || null };
+      this.sseClients.add(client);
+      
+      // Send the current state straight away so late subscribers are not left waiting
+      const initialSyncId = client.syncId || req.profile.currentSyncId;
+      const initialProgress = initialSyncId ? req.profile.getSyncProgress(initialSyncId) : null;
+      if (initialProgress) {
+        this.sendSseEvent(client, 'progress', initialProgress);
+      }
+      
+      // Keep the connection open through proxies
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+      
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.sseClients.delete(client);
+      });
+    });
+
+    // Reprocess failed transactions endpoint
+    this.app.post('/api/sync/reprocess', (req, res) => {
+      try {
+        const busy = req.profile.getBusyOperation();
+        if (busy) {
+          return res.status(409).json(busy);
+        }
+        
+        const { options, errors } = this.parseReprocessOptions(req.body || {}, req.profile.config);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid reprocessing options', details: errors });
+        }
+        
+        const reprocessId = req.profile.startReprocessing(options);
+        
+        res.status(202).json({
+          message: 'Reprocessing started',
+          reprocessId,
+          options,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to start reprocessing', { error: error.message });
+        res.status(500).json({ error: 'Failed to start reprocessing' });
+      }
+    });
+
+    // Reprocessing progress endpoint
+    this.app.get('/api/sync/reprocess-progress/:reprocessId', (req, res) => {
+      const run = req.profile.reprocessRuns.get(req.params.reprocessId);
+      
+      if (!run) {
+        return res.status(404).json({ error: 'Reprocessing run not found' });
+      }
+      
+      const stats = run.statistics || {};
+      
+      res.json({
+        reprocessId: run.reprocessId,
+        status: run.status,
+        stage: run.stage,
+        percentage: run.percentage,
+        message: run.message,
+        options: run.options,
+        found: stats.transactionsFound || 0,
+        reprocessed: stats.transactionsProcessed || 0,
+        resolved: stats.transactionsResolved || 0,
+        imported_xero: stats.transactionsImported || 0,
+        failed: stats.transactionsFailed || 0,
+        deferred: stats.transactionsDeferred || 0,
+        mappings_resolved: stats.mappingsResolved || 0,
+        started_at: run.startedAt,
+        completed_at: run.completedAt,
+        summary: run.result ? run.result.summary : null,
+        errors: run.result ? run.result.errors : [],
+        error: run.error
+      });
+    });
+
+    // Propagate Actual Budget edits and deletions to imported Xero transactions
+    this.app.post('/api/sync/changes', (req, res) => {
+      try {
+        if (req.profile.activeChangeRunId) {
+          return res.status(409).json({
+            error: 'Change detection is already in progress',
+            changeRunId: req.profile.activeChangeRunId
+          });
+        }
+        
+        const busy = req.profile.getBusyOperation();
+        if (busy) {
+          return res.status(409).json(busy);
+        }
+        
+        const { options, errors } = this.parseChangeDetectionOptions(req.body || {}, req.profile.config);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid change detection options', details: errors });
+        }
+        
+        const changeRunId = req.profile.startChangeDetection(options);
+        
+        res.status(202).json({
+          message: 'Change detection started',
+          changeRunId,
+          options,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to start change detection', { error: error.message });
+        res.status(500).json({ error: 'Failed to start change detection' });
+      }
+    });
+
+    this.app.get('/api/sync/changes/:changeRunId', (req, res) => {
+      const run = req.profile.changeRuns.get(req.params.changeRunId);
+      
+      if (!run) {
+        return res.status(404).json({ error: 'Change detection run not found' });
+      }
+      
+      const stats = run.statistics || {};
+      
+      res.json({
+        changeRunId: run.changeRunId,
+        status: run.status,
+        stage: run.stage,
+        percentage: run.percentage,
+        message: run.message,
+        options: run.options,
+        checked: stats.transactionsChecked || 0,
+        unchanged: stats.transactionsUnchanged || 0,
+        changed: stats.transactionsChanged || 0,
+        updated_xero: stats.transactionsUpdated || 0,
+        voided_xero: stats.transactionsVoided || 0,
+        failed: stats.transactionsFailed || 0,
+        deferred: stats.transactionsDeferred || 0,
+        started_at: run.startedAt,
+        completed_at: run.completedAt,
+        summary: run.result ? run.result.summary : null,
+        changes: run.result ? run.result.changes : [],
+        errors: run.result ? run.result.errors : [],
+        error: run.error
+      });
+    });
+
+    // Historical backfill endpoints
+    this.app.get('/api/sync/backfill', (req, res) => {
+      res.json({ jobs: req.profile.backfill.listJobs().map(job => req.profile.getBackfillProgress(job.id)) });
+    });
+
+    this.app.post('/api/sync/backfill', async (req, res) => {
+      try {
+        const busy = req.profile.getBusyOperation();
+        if (busy) {
+          return res.status(409).json(busy);
+        }
+        
+        const { options, errors } = this.parseBackfillOptions(req.body || {}, req.profile.config);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid backfill options', details: errors });
+        }
+        
+        const job = await req.profile.backfill.start(options);
+        logger.info('Backfill triggered via API', { profile: req.profile.name, backfillId: job.id, from: job.from, until: job.until });
+        
+        res.status(202).json({
+          message: `Backfill started: ${job.total_chunks} monthly chunk(s)`,
+          backfillId: job.id,
+          options: { ...options },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to start backfill', { error: error.message });
+        res.status(500).json({ error: 'Failed to start backfill' });
+      }
+    });
+
+    this.app.get('/api/sync/backfill/:backfillId', (req, res) => {
+      const progress = req.profile.getBackfillProgress(req.params.backfillId);
+      
+      if (!progress) {
+        return res.status(404).json({ error: 'Backfill not found' });
+      }
+      
+      res.json(progress);
+    });
+
+    this.app.post('/api/sync/backfill/:backfillId/resume', async (req, res) => {
+      try {
+        const existing = req.profile.backfill.getJob(req.params.backfillId);
+        if (!existing) {
+          return res.status(404).json({ error: 'Backfill not found' });
+        }
+        
+        const busy = req.profile.getBusyOperation();
+        if (busy) {
+          return res.status(409).json(busy);
+        }
+        
+        if (!existing.resumable) {
+          return res.status(400).json({ error: `Backfill cannot be resumed (status: ${existing.status})` });
+        }
+        
+        const job = await req.profile.backfill.resume(existing.id);
+        
+        res.status(202).json({
+          message: `Backfill resumed at chunk ${job.completed_chunks + 1} of ${job.total_chunks}`,
+          backfillId: job.id,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to resume backfill', { error: error.message });
+        res.status(500).json({ error: 'Failed to resume backfill' });
+      }
+    });
+
+    // Receipts inbox endpoints
+    this.app.get('/api/receipts', (req, res) => {
+      if (!req.profile.receipts) {
+        return res.json({ enabled: false });
+      }
+      res.json({ enabled: true, ...req.profile.receipts.getStatus() });
+    });
+
+    this.app.post('/api/receipts/scan', async (req, res) => {
+      if (!req.profile.receipts) {
+        return res.status(400).json({ error: 'Receipts are disabled; set receipts_enabled in the add-on configuration' });
+      }
+      if (req.profile.receipts.isRunning()) {
+        return res.status(409).json({ error: 'A receipt scan is already in progress' });
+      }
+
+      try {
+        logger.info('Receipt scan triggered via API', { profile: req.profile.name });
+        const report = await req.profile.receipts.processInbox();
+        res.json({ enabled: true, ...req.profile.receipts.getStatus(), lastRun: report });
+      } catch (error) {
+        logger.error('Failed to scan receipts inbox', { error: error.message });
+        res.status(500).json({ error: 'Failed to scan receipts inbox' });
+      }
+    });
+
+    // Xero reconciliation endpoints
+    this.app.get('/api/reconciliation', (req, res) => {
+      res.json(req.profile.reconciliation.getStatus());
+    });
+
+    this.app.post('/api/reconciliation/check', async (req, res) => {
+      if (req.profile.reconciliation.isRunning()) {
+        return res.status(409).json({ error: 'A reconciliation check is already in progress' });
+      }
+
+      try {
+        // Same limit, daysBack and dryRun options as change detection
+        const { options, errors } = this.parseChangeDetectionOptions(req.body || {}, req.profile.config);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid reconciliation check options', details: errors });
+        }
+
+        logger.info('Reconciliation check triggered via API', { profile: req.profile.name });
+        const report = await req.profile.reconciliation.checkReconciliations(options);
+        res.json({ ...req.profile.reconciliation.getStatus(), lastRun: report });
+      } catch (error) {
+        logger.error('Failed to check Xero reconciliations', { error: error.message });
+        res.status(500).json({ error: 'Failed to check Xero reconciliations' });
+      }
+    });
+
+    this.app.get('/api/export/statements', async (req, res) => {
+      try {
+        const { accountMappings } = await req.profile.services.xanoClient.batchGetMappings([], [], []);
+        const accounts = accountMappings
+          .filter(mapping => mapping.is_active !== false)
+          .map(mapping => ({ id: mapping.actual_account_id, name: mapping.actual_account_name }));
+        
         res.json({
-          syncId: syncId,
-          status: 'completed',
-          progress: 100,
-          message: 'Sync completed',
-          processed: 0
+          ...req.profile.statementExport.getStatus(),
+          accounts,
+          exports: await req.profile.statementExport.listExports()
         });
+      } catch (error) {
+        logger.error('Failed to list statement exports', { error: error.message });
+        res.status(500).json({ error: 'Failed to list statement exports' });
+      }
+    });
+
+    this.app.post('/api/export/statement', async (req, res) => {
+      const busy = req.profile.getBusyOperation();
+      if (busy) {
+        return res.status(409).json(busy);
+      }
+      if (req.profile.statementExport.isRunning()) {
+        return res.status(409).json({ error: 'A statement export is already in progress' });
+      }
+
+      try {
+        const { accountId, startDate, endDate, dateFormat } = req.body || {};
+        logger.info(`Statement export triggered via API for ${accountId} (${startDate} to ${endDate})`, { profile: req.profile.name });
+        
+        const summary = await req.profile.statementExport.exportStatement({ accountId, startDate, endDate, dateFormat });
+        if (!summary.export_id) {
+          return res.status(404).json({ error: 'No unexported transactions for this account and date range', ...summary });
+        }
+        
+        res.status(201).json({
+          ...summary,
+          download_url: `/api/export/statements/${summary.export_id}/download?profile=${encodeURIComponent(req.profile.name)}`
+        });
+      } catch (error) {
+        if (error.statusCode === 400) {
+          return res.status(400).json({ error: error.message });
+        }
+        logger.error('Failed to export bank statement', { error: error.message });
+        res.status(500).json({ error: 'Failed to export bank statement', details: error.message });
+      }
+    });
+
+    this.app.get('/api/export/statements/:exportId/download', async (req, res) => {
+      try {
+        const found = await req.profile.statementExport.getExport(req.params.exportId);
+        if (!found) {
+          return res.status(404).json({ error: 'Statement export not found' });
+        }
+        
+        res.download(found.filePath, found.summary.file_name);
+      } catch (error) {
+        logger.error('Failed to download statement export', { error: error.message });
+        res.status(500).json({ error: 'Failed to download statement export' });
       }
     });
 
     // Current sync status endpoint
     this.app.get('/api/sync/current-status', (req, res) => {
-      res.json({
-        syncing: false,
-        reprocessing: false,
-        lastSync: null
-      });
+      try {
+        const haService = req.profile.services.haService;
+        
+        res.json({
+          profile: req.profile.name,
+          syncing: haService.syncStatus === 'running',
+          currentSyncId: req.profile.currentSyncId,
+          reprocessing: !!req.profile.activeReprocessId,
+          propagatingChanges: !!req.profile.activeChangeRunId,
+          currentChangeRunId: req.profile.activeChangeRunId,
+          backfilling: req.profile.backfill.isRunning(),
+          currentBackfillId: req.profile.backfill.activeJobId,
+          lastSync: haService.lastSyncTime ? haService.lastSyncTime.toISOString() : null,
+          schedule: req.profile.scheduler ? req.profile.scheduler.getStatus() : null
+        });
+      } catch (error) {
+        logger.error('Failed to get current sync status', { error: error.message });
+        res.status(500).json({ error: 'Failed to get current sync status' });
+      }
+    });
+
+    // Xero connection status endpoint
+    this.app.get('/api/xero/status', (req, res) => {
+      try {
+        const { oauth, rateLimiter } = req.profile.services.xeroClient.getStatus();
+        
+        res.json({
+          profile: req.profile.name,
+          connected: oauth.hasToken,
+          tokenExpiresAt: oauth.tokenExpiresAt,
+          tenantId: oauth.tenantId,
+          redirectUri: req.profile.services.xeroClient.redirectUri,
+          rateLimit: rateLimiter,
+          deferredImports: req.profile.deferredImports ? req.profile.deferredImports.getStatus().count : 0
+        });
+      } catch (error) {
+        logger.error('Failed to get Xero connection status', { error: error.message });
+        res.status(500).json({ error: 'Failed to get Xero connection status' });
+      }
+    });
+
+    // Start the Xero OAuth flow (one connection covers every profile's organisation)
+    this.app.get('/api/xero/connect', (req, res) => {
+      try {
+        const { url, state } = this.xeroConnection.getAuthorizationUrl();
+        
+        this.pruneOAuthStates();
+        this.oauthStates.set(state, Date.now());
+        
+        logger.info('Redirecting to Xero for authorization');
+        res.redirect(url);
+      } catch (error) {
+        logger.error('Failed to start Xero authorization', { error: error.message });
+        res.status(500).json({ error: 'Failed to start Xero authorization' });
+      }
+    });
+
+    // Xero OAuth callback (must match the redirect URI registered with Xero)
+    this.app.get('/callback', async (req, res) => {
+      const { code, state, error: oauthError, error_description: errorDescription } = req.query;
+      
+      const redirectWithError = (message) => {
+        logger.error(`Xero authorization failed: ${message}`);
+        res.redirect(`/?xero=error&message=${encodeURIComponent(message)}`);
+      };
+      
+      if (oauthError) {
+        return redirectWithError(errorDescription || oauthError);
+      }
+      
+      this.pruneOAuthStates();
+      if (!state || !this.oauthStates.has(state)) {
+        return redirectWithError('Invalid or expired authorization state, please try connecting again');
+      }
+      this.oauthStates.delete(state);
+      
+      if (!code) {
+        return redirectWithError('No authorization code received from Xero');
+      }
+      
+      try {
+        await this.xeroConnection.exchangeCodeForToken(code, state);
+        
+        // Check every profile's organisation was included in the authorization
+        const connections = await this.xeroConnection.getConnections();
+        const missing = Array.from(this.profiles.values())
+          .filter(profile => !connections.some(connection => connection.tenant_id === profile.config.xero_tenant_id));
+        
+        if (missing.length > 0) {
+          logger.warn('Configured Xero tenant was not authorized', {
+            profiles: missing.map(profile => `${profile.name} (${profile.config.xero_tenant_id})`),
+            authorizedTenants: connections.map(connection => `${connection.tenant_name} (${connection.tenant_id})`)
+          });
+          return redirectWithError(this.config.profiles.length > 0
+            ? `The Xero organisation for profile ${missing.map(profile => profile.name).join(', ')} was not authorized; select every organisation when connecting`
+            : 'The configured Xero organisation (xero_tenant_id) was not authorized');
+        }
+        
+        logger.info('Xero connected successfully');
+        res.redirect('/?xero=connected');
+      } catch (error) {
+        redirectWithError(error.message);
+      }
+    });
+
+    // Disconnect Xero and remove stored tokens
+    this.app.post('/api/xero/disconnect', async (req, res) => {
+      try {
+        await this.xeroConnection.clearToken();
+        
+        res.json({
+          message: 'Xero disconnected',
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to disconnect Xero', { error: error.message });
+        res.status(500).json({ error: 'Failed to disconnect Xero' });
+      }
     });
 
     // Log monitoring endpoints
@@ -437,7 +1025,7 @@ class ActualXeroSyncApp {
     // Home Assistant integration endpoints
     this.app.get('/api/homeassistant/status', (req, res) => {
       try {
-        const status = this.services.haService.getStatus();
+        const status = req.profile.services.haService.getStatus();
         res.json(status);
       } catch (error) {
         logger.error('Failed to get Home Assistant status', { error: error.message });
@@ -447,7 +1035,9 @@ class ActualXeroSyncApp {
 
     this.app.get('/api/homeassistant/entities', (req, res) => {
       try {
-        const entities = this.services.haService.getEntities();
+        // Every profile's entities unless the request names one
+        const profiles = req.query.profile ? [req.profile] : Array.from(this.profiles.values());
+        const entities = profiles.flatMap(profile => profile.services.haService.getEntities());
         res.json({ entities });
       } catch (error) {
         logger.error('Failed to get Home Assistant entities', { error: error.message });
@@ -457,7 +1047,7 @@ class ActualXeroSyncApp {
 
     this.app.get('/api/homeassistant/services', (req, res) => {
       try {
-        const services = this.services.haService.getServiceCalls();
+        const services = req.profile.services.haService.getServiceCalls();
         res.json({ services });
       } catch (error) {
         logger.error('Failed to get Home Assistant services', { error: error.message });
@@ -468,7 +1058,19 @@ class ActualXeroSyncApp {
     this.app.post('/api/homeassistant/sync/trigger', async (req, res) => {
       try {
         const { source = 'api' } = req.body;
-        const result = await this.services.haService.handleSyncTrigger(source);
+        
+        // Home Assistant service calls name the profile in their data rather than the URL
+        const profile = req.body.profile ? this.getProfile(req.body.profile) : req.profile;
+        if (!profile) {
+          return res.status(404).json({ success: false, error: `Unknown sync profile: ${req.body.profile}` });
+        }
+        
+        const busy = profile.getBusyOperation();
+        if (busy) {
+          return res.status(409).json({ success: false, ...busy });
+        }
+        
+        const result = await profile.runSync(Date.now().toString(), source);
         
         if (result.success) {
           res.json(result);
@@ -527,6 +1129,11 @@ class ActualXeroSyncApp {
       
       // Start log monitoring after server is running
       await this.startLogMonitoring();
+      
+      // Start each profile's scheduled syncs and receipts inbox
+      for (const profile of this.profiles.values()) {
+        await profile.start();
+      }
     });
 
     // Graceful shutdown handling
@@ -545,6 +1152,17 @@ class ActualXeroSyncApp {
     // Stop log monitoring
     this.stopLogMonitoring();
     
+    // Stop scheduling new syncs and watching receipts; in-progress runs are tracked as active operations
+    for (const profile of this.profiles.values()) {
+      profile.stop();
+    }
+    
+    // Close live progress streams so the HTTP server can shut down
+    for (const client of this.sseClients) {
+      client.res.end();
+    }
+    this.sseClients.clear();
+    
     // Wait for active operations to complete
     if (this.activeOperations.size > 0) {
       logger.info(`Waiting for ${this.activeOperations.size} active operations to complete...`);
@@ -561,6 +1179,11 @@ class ActualXeroSyncApp {
       clearTimeout(timeout);
     }
     
+    // Close the Actual budget so pending changes are flushed to disk (profiles share the connection)
+    if (this.defaultProfile && this.defaultProfile.services.actualClient) {
+      await this.defaultProfile.services.actualClient.shutdown();
+    }
+    
     if (this.server) {
       this.server.close(() => {
         logger.info('HTTP server closed');
@@ -625,6 +1248,220 @@ class ActualXeroSyncApp {
     }
   }
 
+  /**
+   * Parse and validate reprocessing options from a request body
+   * @param {Object} body - Request body
+   * @param {Object} config - Configuration of the profile the request is for
+   * @returns {Object} - { options, errors }
+   */
+  parseReprocessOptions(body, config) {
+    const errors = [];
+    const validStatuses = ['pending', 'mapped', 'failed'];
+    
+    const options = {
+      limit: 50,
+      statuses: ['pending', 'failed'],
+      autoResolve: true,
+      // Follow the add-on safety settings unless the request overrides them
+      dryRun: !!config.dry_run_mode,
+      importToXero: config.sync_to_xero !== false
+    };
+    
+    if (body.limit !== undefined) {
+      const limit = parseInt(body.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > 500) {
+        errors.push('limit must be a number between 1 and 500');
+      } else {
+        options.limit = limit;
+      }
+    }
+    
+    if (body.statuses !== undefined) {
+      const statuses = Array.isArray(body.statuses) ? body.statuses : String(body.statuses).split(',');
+      const invalid = statuses.filter(status => !validStatuses.includes(status));
+      if (statuses.length === 0 || invalid.length > 0) {
+        errors.push(`statuses must be one or more of: ${validStatuses.join(', ')}`);
+      } else {
+        options.statuses = statuses;
+      }
+    }
+    
+    for (const flag of ['autoResolve', 'dryRun', 'importToXero']) {
+      if (body[flag] !== undefined) {
+        if (typeof body[flag] !== 'boolean') {
+          errors.push(`${flag} must be true or false`);
+        } else {
+          options[flag] = body[flag];
+        }
+      }
+    }
+    
+    return { options, errors };
+  }
+
+  /**
+   * Parse and validate change detection options from a request body
+   * @param {Object} body - Request body
+   * @param {Object} config - Configuration of the profile the request is for
+   * @returns {Object} - { options, errors }
+   */
+  parseChangeDetectionOptions(body, config) {
+    const errors = [];
+    
+    const options = {
+      limit: 200,
+      daysBack: 90,
+      // Follow the add-on safety settings unless the request overrides them
+      dryRun: !!config.dry_run_mode
+    };
+    
+    if (body.limit !== undefined) {
+      const limit = parseInt(body.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > 1000) {
+        errors.push('limit must be a number between 1 and 1000');
+      } else {
+        options.limit = limit;
+      }
+    }
+    
+    if (body.daysBack !== undefined) {
+      const daysBack = parseInt(body.daysBack, 10);
+      if (isNaN(daysBack) || daysBack < 1 || daysBack > 365) {
+        errors.push('daysBack must be a number between 1 and 365');
+      } else {
+        options.daysBack = daysBack;
+      }
+    }
+    
+    if (body.dryRun !== undefined) {
+      if (typeof body.dryRun !== 'boolean') {
+        errors.push('dryRun must be true or false');
+      } else {
+        options.dryRun = body.dryRun;
+      }
+    }
+    
+    return { options, errors };
+  }
+
+  /**
+   * Parse and validate backfill options from a request body
+   * @param {Object} body - Request body
+   * @param {Object} config - Configuration of the profile the request is for
+   * @returns {Object} - { options, errors }
+   */
+  parseBackfillOptions(body, config) {
+    const options = {
+      from: body.from ? String(body.from) : null,
+      until: body.until ? String(body.until) : new Date().toISOString().split('T')[0],
+      // Follow the add-on safety settings unless the request overrides them
+      dryRun: !!config.dry_run_mode
+    };
+    
+    const errors = BackfillService.validateRange(options.from, options.until);
+    
+    if (body.dryRun !== undefined) {
+      if (typeof body.dryRun !== 'boolean') {
+        errors.push('dryRun must be true or false');
+      } else {
+        options.dryRun = body.dryRun;
+      }
+    }
+    
+    return { options, errors };
+  }
+
+  /**
+   * Parse and validate sync filter test options from a request body
+   * @param {Object} body - Request body
+   * @param {Object} config - Configuration of the profile the request is for
+   * @returns {Object} - { options, errors }
+   */
+  parseFilterTestOptions(body, config) {
+    const errors = [];
+    const days = body.days !== undefined ? parseInt(body.days) : (config.sync_days_back || 7);
+    
+    if (isNaN(days) || days < 1 || days > 365) {
+      errors.push('days must be between 1 and 365');
+    }
+    
+    const options = {
+      since: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+      until: null
+    };
+    
+    // Draft rules from the web UI are tried as they are, without touching the add-on options
+    if (body.rules !== undefined) {
+      const validation = ConfigValidator.validateFilterRules(body.rules);
+      if (!validation.isValid) {
+        errors.push(...validation.errors);
+      } else {
+        options.rules = validation.rules;
+      }
+    }
+    
+    if (body.default_action !== undefined) {
+      if (!['include', 'exclude'].includes(body.default_action)) {
+        errors.push('default_action must be include or exclude');
+      } else {
+        options.defaultAction = body.default_action;
+      }
+    }
+    
+    return { options, errors };
+  }
+
+  /**
+   * Remove Xero OAuth states older than 10 minutes
+   */
+  pruneOAuthStates() {
+    const maxAge = 10 * 60 * 1000;
+    const now = Date.now();
+    
+    for (const [state, createdAt] of this.oauthStates) {
+      if (now - createdAt > maxAge) {
+        this.oauthStates.delete(state);
+      }
+    }
+  }
+
+  /**
+   * Push the latest progress of a sync to the profile's subscribed SSE clients
+   * @param {SyncProfile} profile - Profile running the sync
+   * @param {string} syncId - Sync ID
+   */
+  broadcastSyncProgress(profile, syncId) {
+    if (this.sseClients.size === 0) {
+      return;
+    }
+    
+    const progress = profile.getSyncProgress(syncId);
+    if (!progress) {
+      return;
+    }
+    
+    for (const client of this.sseClients) {
+      if (client.profile === profile && (!client.syncId || client.syncId === syncId)) {
+        this.sendSseEvent(client, 'progress', progress);
+      }
+    }
+  }
+
+  /**
+   * Write a single Server-Sent Event to a client
+   * @param {Object} client - SSE client
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  sendSseEvent(client, event, data) {
+    try {
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      logger.debug('Failed to write SSE event', { error: error.message });
+      this.sseClients.delete(client);
+    }
+  }
+
   /**
    * Get log monitoring status
    */
@@ -4,6 +4,210 @@ const Joi = require('joi');
  * Configuration model with comprehensive validation
  */
 class ConfigValidator {
+  /**
+   * Name of the profile used when no profiles are configured
+   */
+  static DEFAULT_PROFILE = 'default';
+
+  /**
+   * Settings a profile may override; anything it leaves out comes from the top-level options
+   */
+  static PROFILE_SETTINGS = [
+    'actual_budget_id',
+    'actual_budget_encryption_password',
+    'business_category_group_id',
+    'business_category_group_name',
+    'xero_tenant_id',
+    'xano_api_url',
+    'xano_api_key',
+    'sync_schedule',
+    'dry_run_mode',
+    'test_mode',
+    'sync_to_xero'
+  ];
+
+  /**
+   * Cron pattern accepted for sync schedules
+   */
+  static SCHEDULE_PATTERN = /^(\*|([0-5]?\d)) (\*|([01]?\d|2[0-3])) (\*|([0-2]?\d|3[01])) (\*|([0]?\d|1[0-2])) (\*|[0-6])$/;
+
+  /**
+   * Joi schema for one named sync profile (a budget synced to a Xero organisation)
+   */
+  static profileSchema = Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).max(32).required()
+      .messages({
+        'string.pattern.base': 'Profile name must use lowercase letters, numbers, - and _',
+        'string.max': 'Profile name cannot exceed 32 characters',
+        'any.required': 'Profile name is required'
+      }),
+    
+    // Folder the profile's mappings and sync state are kept in; defaults to the name
+    mapping_namespace: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).max(32).allow('').optional()
+      .messages({
+        'string.pattern.base': 'Mapping namespace must use lowercase letters, numbers, - and _'
+      }),
+    
+    actual_budget_id: Joi.string().allow('').optional(),
+    actual_budget_encryption_password: Joi.string().allow('').optional(),
+    business_category_group_id: Joi.string().allow('').optional(),
+    business_category_group_name: Joi.string().allow('').optional(),
+    xero_tenant_id: Joi.string().allow('').optional(),
+    
+    xano_api_url: Joi.string().uri().allow('').optional()
+      .messages({
+        'string.uri': 'Xano API URL must be a valid URL'
+      }),
+    
+    xano_api_key: Joi.string().allow('').optional(),
+    
+    sync_schedule: Joi.string().pattern(ConfigValidator.SCHEDULE_PATTERN).allow('').optional()
+      .messages({
+        'string.pattern.base': 'Sync schedule must be a valid cron expression'
+      }),
+    
+    dry_run_mode: Joi.boolean().optional(),
+    test_mode: Joi.boolean().optional(),
+    sync_to_xero: Joi.boolean().optional()
+  });
+
+  /**
+   * Joi schema for one include/exclude rule choosing which transactions are synced
+   */
+  static filterRuleSchema = Joi.object({
+    name: Joi.string().max(100).allow('').optional(),
+    action: Joi.string().valid('include', 'exclude').required()
+      .messages({
+        'any.only': 'Filter action must be include or exclude',
+        'any.required': 'Filter action is required'
+      }),
+    
+    // Only applies to this profile; applies to every profile when left out
+    profile: Joi.string().allow('').optional(),
+    enabled: Joi.boolean().optional(),
+    
+    account: Joi.string().allow('').optional(),
+    payee: Joi.string().allow('').optional(),
+    min_amount: Joi.number().min(0).optional(),
+    max_amount: Joi.number().min(0).optional(),
+    direction: Joi.string().valid('spend', 'receive').allow('').optional()
+      .messages({
+        'any.only': 'Filter direction must be spend or receive'
+      }),
+    notes_tag: Joi.string().pattern(/^#?[^\s#]+$/).allow('').optional()
+      .messages({
+        'string.pattern.base': 'Filter notes tag must be a single tag such as #business'
+      }),
+    date_from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow('').optional()
+      .messages({
+        'string.pattern.base': 'Filter dates must be YYYY-MM-DD'
+      }),
+    date_to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow('').optional()
+      .messages({
+        'string.pattern.base': 'Filter dates must be YYYY-MM-DD'
+      })
+  }).or('account', 'payee', 'min_amount', 'max_amount', 'direction', 'notes_tag', 'date_from', 'date_to')
+    .messages({
+      'object.missing': 'Filter rules need at least one condition'
+    });
+
+  /**
+   * Joi schema for one ordered mapping rule, checked before the 1:1 category and payee mappings
+   */
+  static mappingRuleSchema = Joi.object({
+    name: Joi.string().max(100).allow('').optional(),
+    
+    // Only applies to this profile; applies to every profile when left out
+    profile: Joi.string().allow('').optional(),
+    enabled: Joi.boolean().optional(),
+    match: Joi.string().valid('contains', 'regex').default('contains')
+      .messages({
+        'any.only': 'Mapping rule match must be contains or regex'
+      }),
+    
+    // Conditions
+    payee: Joi.string().allow('').optional(),
+    notes: Joi.string().allow('').optional(),
+    account: Joi.string().allow('').optional(),
+    category: Joi.string().allow('').optional(),
+    min_amount: Joi.number().min(0).optional(),
+    max_amount: Joi.number().min(0).optional(),
+    direction: Joi.string().valid('spend', 'receive').allow('').optional()
+      .messages({
+        'any.only': 'Mapping rule direction must be spend or receive'
+      }),
+    
+    // Actions
+    xero_account_id: Joi.string().allow('').optional(),
+    xero_account_code: Joi.string().max(10).allow('').optional(),
+    xero_contact_id: Joi.string().allow('').optional(),
+    xero_contact_name: Joi.string().max(255).allow('').optional(),
+    xero_tax_type: Joi.string().max(50).allow('').optional(),
+    description: Joi.string().max(4000).allow('').optional()
+  }).or('payee', 'notes', 'account', 'category', 'min_amount', 'max_amount', 'direction')
+    .custom((rule, helpers) => {
+      const actions = ['xero_account_id', 'xero_account_code', 'xero_contact_id', 'xero_contact_name', 'xero_tax_type', 'description'];
+      if (!actions.some(key => rule[key])) {
+        return helpers.error('custom.mappingAction');
+      }
+      
+      if (rule.match === 'regex') {
+        for (const key of ['payee', 'notes', 'account', 'category']) {
+          try {
+            if (rule[key]) new RegExp(rule[key]);
+          } catch (error) {
+            return helpers.error('custom.mappingPattern', { field: key, message: error.message });
+          }
+        }
+      }
+      
+      return rule;
+    })
+    .messages({
+      'object.missing': 'Mapping rules need at least one condition',
+      'custom.mappingAction': 'Mapping rules need at least one action (Xero account, contact, tax type or description)',
+      'custom.mappingPattern': 'Mapping rule {{#field}} is not a valid regular expression: {{#message}}'
+    });
+
+  /**
+   * Joi schema for one mapping from a notes tag or Actual category to a Xero tracking option
+   */
+  static trackingMappingSchema = Joi.object({
+    name: Joi.string().max(100).allow('').optional(),
+    
+    // Only applies to this profile; applies to every profile when left out
+    profile: Joi.string().allow('').optional(),
+    enabled: Joi.boolean().optional(),
+    
+    tag: Joi.string().pattern(/^#?[^\s#]+$/).optional()
+      .messages({
+        'string.pattern.base': 'Tracking mapping tag must be a single tag such as #proj-acme'
+      }),
+    tag_prefix: Joi.string().pattern(/^#?[^\s#]+$/).optional()
+      .messages({
+        'string.pattern.base': 'Tracking mapping tag prefix must be the start of a tag such as #proj-'
+      }),
+    category: Joi.string().optional(),
+    
+    tracking_category: Joi.string().max(100).required()
+      .messages({
+        'any.required': 'Tracking mappings need a Xero tracking category'
+      }),
+    // Taken from the rest of the tag when a tag_prefix mapping leaves it out
+    option: Joi.string().max(100).when('tag_prefix', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
+      .messages({
+        'any.required': 'Tracking mappings need a Xero tracking option'
+      })
+  }).xor('tag', 'tag_prefix', 'category')
+    .messages({
+      'object.missing': 'Tracking mappings need a tag, tag_prefix or category',
+      'object.xor': 'Tracking mappings take only one of tag, tag_prefix or category'
+    });
+
   /**
    * Joi schema for configuration validation
    */
@@ -21,22 +225,37 @@ class ConfigValidator {
         'any.required': 'Actual Budget password is required'
       }),
     
+    actual_budget_id: Joi.string().allow('').optional(),
+    
+    actual_budget_encryption_password: Joi.string().allow('').optional(),
+    
     business_category_group_id: Joi.string().allow('').optional(),
     
-    business_category_group_name: Joi.string().min(1).required()
+    // Optional here when every profile names its own group (checked below)
+    business_category_group_name: Joi.string().allow('').optional(),
+    
+    // Storage Configuration
+    storage_backend: Joi.string().valid('xano', 'local').default('xano')
       .messages({
-        'string.min': 'Business category group name cannot be empty',
-        'any.required': 'Business category group name is required'
+        'any.only': 'Storage backend must be one of: xano, local'
       }),
     
-    // Xano Configuration
-    xano_api_url: Joi.string().uri().required()
+    // Xano Configuration (only required for the xano storage backend)
+    xano_api_url: Joi.when('storage_backend', {
+      is: 'xano',
+      then: Joi.string().uri().required(),
+      otherwise: Joi.string().uri().allow('').optional()
+    })
       .messages({
         'string.uri': 'Xano API URL must be a valid URL',
         'any.required': 'Xano API URL is required'
       }),
     
-    xano_api_key: Joi.string().min(1).required()
+    xano_api_key: Joi.when('storage_backend', {
+      is: 'xano',
+      then: Joi.string().min(1).required(),
+      otherwise: Joi.string().allow('').optional()
+    })
       .messages({
         'string.min': 'Xano API key cannot be empty',
         'any.required': 'Xano API key is required'
@@ -61,23 +280,51 @@ class ConfigValidator {
         'any.required': 'Xero Client Secret is required'
       }),
     
-    xero_tenant_id: Joi.string().min(1).required()
+    // Optional here when every profile sets its own tenant (checked below)
+    xero_tenant_id: Joi.string().allow('').optional(),
+    
+    xero_redirect_uri: Joi.string().uri().allow('').optional()
+      .messages({
+        'string.uri': 'Xero redirect URI must be a valid URL'
+      }),
+    
+    // Tax defaults for category mappings without their own tax settings
+    xero_default_tax_type: Joi.string().max(50).default('NONE')
+      .messages({
+        'string.max': 'Xero default tax type cannot exceed 50 characters'
+      }),
+    
+    xero_default_line_amount_types: Joi.string().valid('Inclusive', 'Exclusive', 'NoTax').default('Inclusive')
+      .messages({
+        'any.only': 'Xero default line amount types must be one of: Inclusive, Exclusive, NoTax'
+      }),
+    
+    // Daily Xero API calls left untouched; syncs defer remaining work once at or below it
+    xero_daily_quota_reserve: Joi.number().integer().min(0).max(5000).default(100)
       .messages({
-        'string.min': 'Xero Tenant ID cannot be empty',
-        'any.required': 'Xero Tenant ID is required'
+        'number.min': 'Xero daily quota reserve cannot be negative',
+        'number.max': 'Xero daily quota reserve cannot exceed the 5000 daily call limit'
       }),
     
     // Sync Configuration
-    sync_schedule: Joi.string().pattern(/^(\*|([0-5]?\d)) (\*|([01]?\d|2[0-3])) (\*|([0-2]?\d|3[01])) (\*|([0]?\d|1[0-2])) (\*|[0-6])$/)
+    sync_schedule: Joi.string().pattern(ConfigValidator.SCHEDULE_PATTERN)
       .default('0 2 * * 1')
       .messages({
         'string.pattern.base': 'Sync schedule must be a valid cron expression'
       }),
     
-    sync_days_back: Joi.number().integer().min(1).max(30).default(7)
+    // Only used for the first run, before a sync watermark exists
+    sync_days_back: Joi.number().integer().min(1).max(365).default(7)
       .messages({
         'number.min': 'Sync days back must be at least 1 day',
-        'number.max': 'Sync days back cannot exceed 30 days'
+        'number.max': 'Sync days back cannot exceed 365 days'
+      }),
+    
+    // Days before the watermark re-fetched each run to catch late-cleared transactions
+    sync_overlap_days: Joi.number().integer().min(0).max(90).default(3)
+      .messages({
+        'number.min': 'Sync overlap days cannot be negative',
+        'number.max': 'Sync overlap days cannot exceed 90 days'
       }),
     
     batch_size: Joi.number().integer().min(1).max(50).default(10)
@@ -86,6 +333,37 @@ class ConfigValidator {
         'number.max': 'Batch size cannot exceed 50'
       }),
     
+    // Receipt Configuration: files dropped in the folder are attached to imported Xero transactions
+    receipts_enabled: Joi.boolean().default(false)
+      .messages({
+        'boolean.base': 'Receipts enabled must be true or false'
+      }),
+    
+    receipts_folder: Joi.string().pattern(/^\//).default('/share/actual-xero-sync/receipts')
+      .messages({
+        'string.pattern.base': 'Receipts folder must be an absolute path'
+      }),
+    
+    // Reconciliation: transactions reconciled in Xero are tagged #paid in Actual Budget after each sync
+    reconciliation_sync: Joi.boolean().default(false)
+      .messages({
+        'boolean.base': 'Reconciliation sync must be true or false'
+      }),
+    
+    // Transaction filters: the first matching rule includes or excludes a transaction
+    sync_filters: Joi.array().items(ConfigValidator.filterRuleSchema).default([]),
+    
+    sync_filter_default: Joi.string().valid('include', 'exclude').default('include')
+      .messages({
+        'any.only': 'Sync filter default must be include or exclude'
+      }),
+    
+    // Mapping rules: the first matching rule sets the Xero account, contact, tax type or description
+    mapping_rules: Joi.array().items(ConfigValidator.mappingRuleSchema).default([]),
+    
+    // Tracking mappings: Xero tracking options set on line items from notes tags or Actual categories
+    tracking_mappings: Joi.array().items(ConfigValidator.trackingMappingSchema).default([]),
+    
     // Safety Configuration
     dry_run_mode: Joi.boolean().default(true)
       .messages({
@@ -106,17 +384,142 @@ class ConfigValidator {
     log_level: Joi.string().valid('debug', 'info', 'warn', 'error').default('info')
       .messages({
         'any.only': 'Log level must be one of: debug, info, warn, error'
+      }),
+    
+    // Named sync profiles, each syncing its own budget to its own Xero organisation
+    profiles: Joi.array().items(ConfigValidator.profileSchema).unique('name').default([])
+      .messages({
+        'array.unique': 'Profile names must be unique'
       })
   }).custom((value, helpers) => {
-    // Custom validation: Either category group ID or name must be provided
-    if (!value.business_category_group_id && !value.business_category_group_name) {
-      return helpers.error('custom.categoryGroup');
+    const profiles = ConfigValidator.resolveProfiles(value);
+    
+    // Custom validation: Either category group ID or name must be provided for every profile
+    const withoutGroup = profiles.find(profile => !profile.business_category_group_id && !profile.business_category_group_name);
+    if (withoutGroup) {
+      return helpers.error('custom.categoryGroup', { profile: withoutGroup.profile_name });
+    }
+    
+    const withoutTenant = profiles.find(profile => !profile.xero_tenant_id);
+    if (withoutTenant) {
+      return helpers.error('custom.xeroTenant', { profile: withoutTenant.profile_name });
+    }
+    
+    // Profiles keep their mappings and sync state apart, so no two may share a namespace or Xano workspace
+    const namespaces = profiles.map(profile => profile.mapping_namespace);
+    const sharedNamespace = namespaces.find((namespace, index) => namespaces.indexOf(namespace) !== index);
+    if (sharedNamespace) {
+      return helpers.error('custom.profileNamespace', { namespace: sharedNamespace });
+    }
+    
+    const profileNames = profiles.map(profile => profile.profile_name);
+    const unknownFilter = (value.sync_filters || []).find(rule => rule.profile && !profileNames.includes(rule.profile));
+    if (unknownFilter) {
+      return helpers.error('custom.filterProfile', { profile: unknownFilter.profile });
     }
+    
+    const unknownRule = (value.mapping_rules || []).find(rule => rule.profile && !profileNames.includes(rule.profile));
+    if (unknownRule) {
+      return helpers.error('custom.mappingRuleProfile', { profile: unknownRule.profile });
+    }
+    
+    const unknownTracking = (value.tracking_mappings || []).find(mapping => mapping.profile && !profileNames.includes(mapping.profile));
+    if (unknownTracking) {
+      return helpers.error('custom.trackingProfile', { profile: unknownTracking.profile });
+    }
+    
+    if (value.storage_backend === 'xano') {
+      const urls = profiles.map(profile => profile.xano_api_url);
+      const sharedUrl = urls.find((url, index) => urls.indexOf(url) !== index);
+      if (sharedUrl) {
+        return helpers.error('custom.profileXano', { url: sharedUrl });
+      }
+    }
+    
     return value;
   }).messages({
-    'custom.categoryGroup': 'Either business_category_group_id or business_category_group_name must be provided'
+    'custom.categoryGroup': 'Either business_category_group_id or business_category_group_name must be provided (profile: {{#profile}})',
+    'custom.xeroTenant': 'Xero Tenant ID is required (profile: {{#profile}})',
+    'custom.profileNamespace': 'Profiles cannot share the mapping namespace "{{#namespace}}"',
+    'custom.profileXano': 'Profiles using Xano storage need their own xano_api_url ({{#url}} is used twice)',
+    'custom.filterProfile': 'Sync filter refers to unknown profile "{{#profile}}"',
+    'custom.mappingRuleProfile': 'Mapping rule refers to unknown profile "{{#profile}}"',
+    'custom.trackingProfile': 'Tracking mapping refers to unknown profile "{{#profile}}"'
   });
 
+  /**
+   * Resolve the sync profiles in a configuration
+   *
+   * Each profile is a full configuration: the top-level options with the
+   * profile's own settings on top. Without configured profiles there is a
+   * single "default" profile using the top-level options as they are.
+   * @param {Object} config - Configuration object
+   * @returns {Array<Object>} - One configuration per profile, with profile_name and mapping_namespace
+   */
+  static resolveProfiles(config) {
+    const profiles = config.profiles && config.profiles.length > 0
+      ? config.profiles
+      : [{ name: this.DEFAULT_PROFILE }];
+    
+    return profiles.map((profile) => {
+      const resolved = { ...config };
+      delete resolved.profiles;
+      
+      // Paired settings come from the same place, so a profile's group name is not overruled by a top-level group ID
+      const pairs = [
+        ['business_category_group_id', 'business_category_group_name'],
+        ['xano_api_url', 'xano_api_key'],
+        ['actual_budget_id', 'actual_budget_encryption_password']
+      ];
+      for (const pair of pairs) {
+        if (pair.some(key => profile[key])) {
+          for (const key of pair) {
+            resolved[key] = profile[key] || '';
+          }
+        }
+      }
+      
+      for (const key of this.PROFILE_SETTINGS) {
+        if (profile[key] !== undefined && profile[key] !== '') {
+          resolved[key] = profile[key];
+        }
+      }
+      
+      resolved.profile_name = profile.name;
+      resolved.mapping_namespace = profile.mapping_namespace || profile.name;
+      
+      // Filters and mapping rules scoped to another profile are dropped so each profile only sees its own
+      for (const key of ['sync_filters', 'mapping_rules', 'tracking_mappings']) {
+        if (Array.isArray(config[key])) {
+          resolved[key] = config[key].filter(rule => !rule.profile || rule.profile === profile.name);
+        }
+      }
+      return resolved;
+    });
+  }
+
+  /**
+   * Validate a list of sync filter rules on its own, such as draft rules tried from the web UI
+   * @param {Array} rules - Filter rules
+   * @returns {Object} - { isValid, errors, rules }
+   */
+  static validateFilterRules(rules) {
+    const { error, value } = Joi.array().items(this.filterRuleSchema).validate(rules, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => detail.message),
+        rules: null
+      };
+    }
+
+    return { isValid: true, errors: [], rules: value };
+  }
+
   /**
    * Validate configuration object
    * @param {Object} config - Configuration object to validate
@@ -181,21 +584,37 @@ class ConfigValidator {
     const config = {
       actual_budget_url: options.actual_budget_url,
       actual_budget_password: options.actual_budget_password,
+      actual_budget_id: options.actual_budget_id || '',
+      actual_budget_encryption_password: options.actual_budget_encryption_password || '',
       business_category_group_id: options.business_category_group_id || '',
       business_category_group_name: options.business_category_group_name,
+      storage_backend: options.storage_backend || 'xano',
       xano_api_url: options.xano_api_url,
       xano_api_key: options.xano_api_key,
       xano_rate_limit: parseInt(options.xano_rate_limit) || 18,
       xero_client_id: options.xero_client_id,
       xero_client_secret: options.xero_client_secret,
       xero_tenant_id: options.xero_tenant_id,
+      xero_redirect_uri: options.xero_redirect_uri || '',
+      xero_default_tax_type: options.xero_default_tax_type || 'NONE',
+      xero_default_line_amount_types: options.xero_default_line_amount_types || 'Inclusive',
+      xero_daily_quota_reserve: options.xero_daily_quota_reserve !== undefined ? parseInt(options.xero_daily_quota_reserve) : 100,
       sync_schedule: options.sync_schedule || '0 2 * * 1',
       sync_days_back: parseInt(options.sync_days_back) || 7,
+      sync_overlap_days: options.sync_overlap_days !== undefined ? parseInt(options.sync_overlap_days) : 3,
       batch_size: parseInt(options.batch_size) || 10,
+      receipts_enabled: options.receipts_enabled === true,
+      receipts_folder: options.receipts_folder || '/share/actual-xero-sync/receipts',
+      reconciliation_sync: options.reconciliation_sync === true,
+      sync_filters: Array.isArray(options.sync_filters) ? options.sync_filters : [],
+      sync_filter_default: options.sync_filter_default || 'include',
+      mapping_rules: Array.isArray(options.mapping_rules) ? options.mapping_rules : [],
+      tracking_mappings: Array.isArray(options.tracking_mappings) ? options.tracking_mappings : [],
       dry_run_mode: options.dry_run_mode !== false, // Default to true for safety
       test_mode: options.test_mode !== false, // Default to true for safety
       sync_to_xero: options.sync_to_xero === true, // Default to false for safety
-      log_level: options.log_level || 'info'
+      log_level: options.log_level || 'info',
+      profiles: Array.isArray(options.profiles) ? options.profiles : []
     };
     
     // Debug: Log configuration values (without sensitive data)
@@ -203,6 +622,8 @@ class ConfigValidator {
       actual_budget_url: config.actual_budget_url,
       actual_budget_password: config.actual_budget_password ? `[${config.actual_budget_password.length} chars]` : 'EMPTY',
       business_category_group_name: config.business_category_group_name,
+      storage_backend: config.storage_backend,
+      profiles: config.profiles.map(profile => profile.name),
       xano_api_url: config.xano_api_url ? 'SET' : 'EMPTY',
       xano_api_key: config.xano_api_key ? `[${config.xano_api_key.length} chars]` : 'EMPTY',
       dry_run_mode: config.dry_run_mode,
@@ -221,18 +642,36 @@ class ConfigValidator {
     return {
       actual_budget_url: process.env.ACTUAL_BUDGET_URL,
       actual_budget_password: process.env.ACTUAL_BUDGET_PASSWORD,
+      actual_budget_id: process.env.ACTUAL_BUDGET_ID || '',
+      actual_budget_encryption_password: process.env.ACTUAL_BUDGET_ENCRYPTION_PASSWORD || '',
       business_category_group_id: process.env.BUSINESS_CATEGORY_GROUP_ID || '',
       business_category_group_name: process.env.BUSINESS_CATEGORY_GROUP_NAME,
+      storage_backend: process.env.STORAGE_BACKEND || 'xano',
       xano_api_url: process.env.XANO_API_URL,
       xano_api_key: process.env.XANO_API_KEY,
       xano_rate_limit: parseInt(process.env.XANO_RATE_LIMIT) || 18,
       xero_client_id: process.env.XERO_CLIENT_ID,
       xero_client_secret: process.env.XERO_CLIENT_SECRET,
       xero_tenant_id: process.env.XERO_TENANT_ID,
+      xero_redirect_uri: process.env.XERO_REDIRECT_URI || '',
+      xero_default_tax_type: process.env.XERO_DEFAULT_TAX_TYPE || 'NONE',
+      xero_default_line_amount_types: process.env.XERO_DEFAULT_LINE_AMOUNT_TYPES || 'Inclusive',
+      xero_daily_quota_reserve: process.env.XERO_DAILY_QUOTA_RESERVE !== undefined ? parseInt(process.env.XERO_DAILY_QUOTA_RESERVE) : 100,
       sync_schedule: process.env.SYNC_SCHEDULE || '0 2 * * 1',
       sync_days_back: parseInt(process.env.SYNC_DAYS_BACK) || 7,
+      sync_overlap_days: process.env.SYNC_OVERLAP_DAYS !== undefined ? parseInt(process.env.SYNC_OVERLAP_DAYS) : 3,
       batch_size: parseInt(process.env.BATCH_SIZE) || 10,
-      log_level: process.env.LOG_LEVEL || 'info'
+      receipts_enabled: process.env.RECEIPTS_ENABLED === 'true',
+      receipts_folder: process.env.RECEIPTS_FOLDER || '/share/actual-xero-sync/receipts',
+      reconciliation_sync: process.env.RECONCILIATION_SYNC === 'true',
+      // JSON array of filter rules, e.g. [{"action":"exclude","notes_tag":"#personal"}]
+      sync_filters: process.env.SYNC_FILTERS ? JSON.parse(process.env.SYNC_FILTERS) : [],
+      sync_filter_default: process.env.SYNC_FILTER_DEFAULT || 'include',
+      mapping_rules: process.env.MAPPING_RULES ? JSON.parse(process.env.MAPPING_RULES) : [],
+      tracking_mappings: process.env.TRACKING_MAPPINGS ? JSON.parse(process.env.TRACKING_MAPPINGS) : [],
+      log_level: process.env.LOG_LEVEL || 'info',
+      // JSON array of profiles, e.g. [{"name":"cafe","actual_budget_id":"...","xero_tenant_id":"..."}]
+      profiles: process.env.SYNC_PROFILES ? JSON.parse(process.env.SYNC_PROFILES) : []
     };
   }
 
@@ -360,18 +799,44 @@ class ConfigValidator {
   static getConfigSummary(config) {
     return {
       actual_budget_url: config.actual_budget_url,
+      actual_budget_id: config.actual_budget_id || 'First available',
       business_category_group_id: config.business_category_group_id || 'Not set',
       business_category_group_name: config.business_category_group_name,
-      xano_api_url: config.xano_api_url,
+      storage_backend: config.storage_backend,
+      xano_api_url: config.xano_api_url || 'Not set',
       xano_rate_limit: config.xano_rate_limit,
       xero_client_id: config.xero_client_id ? `${config.xero_client_id.substring(0, 8)}...` : 'Not set',
       xero_tenant_id: config.xero_tenant_id ? `${config.xero_tenant_id.substring(0, 8)}...` : 'Not set',
+      xero_redirect_uri: config.xero_redirect_uri || 'Default',
+      xero_default_tax_type: config.xero_default_tax_type,
+      xero_default_line_amount_types: config.xero_default_line_amount_types,
+      xero_daily_quota_reserve: config.xero_daily_quota_reserve,
       sync_schedule: config.sync_schedule,
       sync_days_back: config.sync_days_back,
+      sync_overlap_days: config.sync_overlap_days,
       batch_size: config.batch_size,
+      receipts_enabled: config.receipts_enabled,
+      receipts_folder: config.receipts_folder,
+      reconciliation_sync: config.reconciliation_sync,
+      sync_filters: (config.sync_filters || []).length,
+      sync_filter_default: config.sync_filter_default,
+      mapping_rules: (config.mapping_rules || []).length,
+      tracking_mappings: (config.tracking_mappings || []).length,
       log_level: config.log_level,
+      profiles: this.resolveProfiles(config).map(profile => ({
+        name: profile.profile_name,
+        mapping_namespace: profile.mapping_namespace,
+        actual_budget_id: profile.actual_budget_id || 'First available',
+        business_category_group: profile.business_category_group_id || profile.business_category_group_name,
+        xero_tenant_id: profile.xero_tenant_id ? `${profile.xero_tenant_id.substring(0, 8)}...` : 'Not set',
+        sync_schedule: profile.sync_schedule,
+        dry_run_mode: profile.dry_run_mode,
+        test_mode: profile.test_mode,
+        sync_to_xero: profile.sync_to_xero
+      })),
       // Sensitive fields are masked
       actual_budget_password: config.actual_budget_password ? '[SET]' : '[NOT SET]',
+      actual_budget_encryption_password: config.actual_budget_encryption_password ? '[SET]' : '[NOT SET]',
       xano_api_key: config.xano_api_key ? '[SET]' : '[NOT SET]',
       xero_client_secret: config.xero_client_secret ? '[SET]' : '[NOT SET]'
     };
@@ -386,18 +851,34 @@ class ConfigValidator {
     return {
       actual_budget_url: options.actual_budget_url,
       actual_budget_password: options.actual_budget_password,
+      actual_budget_id: options.actual_budget_id || '',
+      actual_budget_encryption_password: options.actual_budget_encryption_password || '',
       business_category_group_id: options.business_category_group_id || '',
       business_category_group_name: options.business_category_group_name,
+      storage_backend: options.storage_backend || 'xano',
       xano_api_url: options.xano_api_url,
       xano_api_key: options.xano_api_key,
       xano_rate_limit: options.xano_rate_limit || 18,
       xero_client_id: options.xero_client_id,
       xero_client_secret: options.xero_client_secret,
       xero_tenant_id: options.xero_tenant_id,
+      xero_redirect_uri: options.xero_redirect_uri || '',
+      xero_default_tax_type: options.xero_default_tax_type || 'NONE',
+      xero_default_line_amount_types: options.xero_default_line_amount_types || 'Inclusive',
+      xero_daily_quota_reserve: options.xero_daily_quota_reserve !== undefined ? options.xero_daily_quota_reserve : 100,
       sync_schedule: options.sync_schedule || '0 2 * * 1',
       sync_days_back: options.sync_days_back || 7,
+      sync_overlap_days: options.sync_overlap_days !== undefined ? options.sync_overlap_days : 3,
       batch_size: options.batch_size || 10,
-      log_level: options.log_level || 'info'
+      receipts_enabled: options.receipts_enabled === true,
+      receipts_folder: options.receipts_folder || '/share/actual-xero-sync/receipts',
+      reconciliation_sync: options.reconciliation_sync === true,
+      sync_filters: Array.isArray(options.sync_filters) ? options.sync_filters : [],
+      sync_filter_default: options.sync_filter_default || 'include',
+      mapping_rules: Array.isArray(options.mapping_rules) ? options.mapping_rules : [],
+      tracking_mappings: Array.isArray(options.tracking_mappings) ? options.tracking_mappings : [],
+      log_level: options.log_level || 'info',
+      profiles: Array.isArray(options.profiles) ? options.profiles : []
     };
   }
 
@@ -458,18 +939,21 @@ class ConfigValidator {
       return schemaValidation;
     }
 
-    // Additional validations
+    // Additional validations, with the category group checked for every profile
     const apiValidation = this.validateApiCredentials(config);
-    const categoryValidation = this.validateCategoryGroup(config);
+    const profiles = this.resolveProfiles(schemaValidation.config);
+    const categoryValidations = profiles.map(profile => this.validateCategoryGroup(profile));
+    const categoryValidation = categoryValidations[0];
+    const label = (index, message) => (profiles.length > 1 ? `${profiles[index].profile_name}: ${message}` : message);
 
     const allErrors = [
       ...apiValidation.errors,
-      ...categoryValidation.errors
+      ...categoryValidations.flatMap((validation, index) => validation.errors.map(error => label(index, error)))
     ];
 
     const allWarnings = [
       ...apiValidation.warnings,
-      ...categoryValidation.warnings
+      ...categoryValidations.flatMap((validation, index) => validation.warnings.map(warning => label(index, warning)))
     ];
 
     return {
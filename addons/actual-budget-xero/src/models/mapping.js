@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { LineAmountTypes, XeroDocumentType } = require('./transaction');
 
 /**
  * Base mapping class with common functionality
@@ -152,6 +153,16 @@ class CategoryMapping extends BaseMapping {
     xero_account_code: Joi.string().max(10).allow('').optional()
       .messages({
         'string.max': 'Xero account code cannot exceed 10 characters'
+      }),
+    
+    // Tax handling (empty means use the configured default)
+    xero_tax_type: Joi.string().max(50).allow('').optional()
+      .messages({
+        'string.max': 'Xero tax type cannot exceed 50 characters'
+      }),
+    xero_line_amount_types: Joi.string().valid(...Object.values(LineAmountTypes)).allow('').optional()
+      .messages({
+        'any.only': `Xero line amount types must be one of: ${Object.values(LineAmountTypes).join(', ')}`
       })
   });
 
@@ -185,6 +196,17 @@ class CategoryMapping extends BaseMapping {
     this.updated_date = new Date();
   }
 
+  /**
+   * Set tax handling for transactions in this category
+   * @param {string} taxType - Xero tax type (e.g. INPUT, OUTPUT, NONE)
+   * @param {string} lineAmountTypes - Inclusive, Exclusive or NoTax
+   */
+  setTaxHandling(taxType = '', lineAmountTypes = '') {
+    this.xero_tax_type = taxType;
+    this.xero_line_amount_types = lineAmountTypes;
+    this.updated_date = new Date();
+  }
+
   /**
    * Clear Xero account mapping
    */
@@ -236,7 +258,9 @@ class CategoryMapping extends BaseMapping {
       actual_category_name: this.actual_category_name,
       xero_account_id: this.xero_account_id,
       xero_account_name: this.xero_account_name,
-      xero_account_code: this.xero_account_code
+      xero_account_code: this.xero_account_code,
+      xero_tax_type: this.xero_tax_type,
+      xero_line_amount_types: this.xero_line_amount_types
     };
   }
 
@@ -279,7 +303,13 @@ class PayeeMapping extends BaseMapping {
     
     // Xero fields (optional until mapped)
     xero_contact_id: Joi.string().allow('').optional(),
-    xero_contact_name: Joi.string().allow('').optional()
+    xero_contact_name: Joi.string().allow('').optional(),
+    
+    // Export spend with this payee as a bill plus payment instead of a bank transaction
+    xero_document_type: Joi.string().valid(...Object.values(XeroDocumentType)).allow('', null).optional()
+      .messages({
+        'any.only': `Xero document type must be one of: ${Object.values(XeroDocumentType).join(', ')}`
+      })
   });
 
   /**
@@ -368,7 +398,8 @@ class PayeeMapping extends BaseMapping {
       actual_payee_id: this.actual_payee_id,
       actual_payee_name: this.actual_payee_name,
       xero_contact_id: this.xero_contact_id,
-      xero_contact_name: this.xero_contact_name
+      xero_contact_name: this.xero_contact_name,
+      xero_document_type: this.xero_document_type
     };
   }
 
@@ -386,6 +417,125 @@ class PayeeMapping extends BaseMapping {
   }
 }
 
+/**
+ * Account mapping between an Actual Budget account and a Xero bank account
+ */
+class AccountMapping extends BaseMapping {
+  /**
+   * Joi schema for account mapping validation
+   */
+  static schema = Joi.object({
+    ...BaseMapping.baseSchema,
+    
+    // Actual Budget fields (required)
+    actual_account_id: Joi.string().min(1).required()
+      .messages({
+        'string.min': 'Actual account ID cannot be empty',
+        'any.required': 'Actual account ID is required'
+      }),
+    
+    actual_account_name: Joi.string().min(1).required()
+      .messages({
+        'string.min': 'Actual account name cannot be empty',
+        'any.required': 'Actual account name is required'
+      }),
+    
+    // Xero fields (optional until mapped)
+    xero_bank_account_id: Joi.string().allow('').optional(),
+    xero_bank_account_name: Joi.string().allow('').optional(),
+    xero_bank_account_code: Joi.string().max(10).allow('').optional()
+      .messages({
+        'string.max': 'Xero bank account code cannot exceed 10 characters'
+      }),
+    
+    // Currency of the Xero bank account (ISO 4217, e.g. AUD, USD)
+    currency_code: Joi.string().pattern(/^[A-Z]{3}$/).allow('').optional()
+      .messages({
+        'string.pattern.base': 'Currency code must be a 3-letter ISO code (e.g. AUD, USD)'
+      })
+  });
+
+  /**
+   * Create a new AccountMapping instance
+   * @param {Object} data - Account mapping data
+   */
+  constructor(data = {}) {
+    super(data, AccountMapping.schema);
+  }
+
+  /**
+   * Validate account mapping data
+   * @param {Object} data - Account mapping data to validate
+   * @returns {Object} - Validation result
+   */
+  static validate(data) {
+    return super.validate(data, this.schema);
+  }
+
+  /**
+   * Set Xero bank account mapping
+   * @param {string} bankAccountId - Xero bank account ID
+   * @param {string} bankAccountName - Xero bank account name
+   * @param {string} bankAccountCode - Xero bank account code
+   * @param {string} currencyCode - Currency of the Xero bank account
+   */
+  setXeroMapping(bankAccountId, bankAccountName = '', bankAccountCode = '', currencyCode = '') {
+    this.xero_bank_account_id = bankAccountId;
+    this.xero_bank_account_name = bankAccountName;
+    this.xero_bank_account_code = bankAccountCode;
+    this.currency_code = currencyCode;
+    this.updated_date = new Date();
+  }
+
+  /**
+   * Clear Xero bank account mapping
+   */
+  clearXeroMapping() {
+    this.xero_bank_account_id = '';
+    this.xero_bank_account_name = '';
+    this.xero_bank_account_code = '';
+    this.currency_code = '';
+    this.updated_date = new Date();
+  }
+
+  /**
+   * Check if mapping has Xero bank account ID assigned
+   * @returns {boolean} - True if mapped
+   */
+  isMapped() {
+    return !!(this.xero_bank_account_id && this.xero_bank_account_id.trim());
+  }
+
+  /**
+   * Convert mapping to plain object for storage
+   * @returns {Object} - Plain object representation
+   */
+  toObject() {
+    return {
+      ...super.toObject(),
+      actual_account_id: this.actual_account_id,
+      actual_account_name: this.actual_account_name,
+      xero_bank_account_id: this.xero_bank_account_id,
+      xero_bank_account_name: this.xero_bank_account_name,
+      xero_bank_account_code: this.xero_bank_account_code,
+      currency_code: this.currency_code
+    };
+  }
+
+  /**
+   * Create account mapping from Actual Budget account
+   * @param {Object} actualAccount - Account from Actual Budget API
+   * @returns {AccountMapping} - New account mapping instance
+   */
+  static fromActualBudgetAccount(actualAccount) {
+    return new AccountMapping({
+      actual_account_id: actualAccount.id,
+      actual_account_name: actualAccount.name,
+      is_active: !actualAccount.closed
+    });
+  }
+}
+
 /**
  * Utility class for managing mappings
  */
@@ -479,5 +629,6 @@ module.exports = {
   BaseMapping,
   CategoryMapping,
   PayeeMapping,
+  AccountMapping,
   MappingManager
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const crypto = require('crypto');
 
 /**
  * Transaction status enumeration
@@ -7,9 +8,41 @@ const TransactionStatus = {
   PENDING: 'pending',
   MAPPED: 'mapped',
   IMPORTED: 'imported',
+  FAILED: 'failed',
+  VOIDED: 'voided',
+  EXPORTED: 'exported'
+};
+
+/**
+ * Receipt attachment status on a stored transaction
+ */
+const ReceiptStatus = {
+  ATTACHED: 'attached',
   FAILED: 'failed'
 };
 
+/**
+ * Xero document a business transaction is exported as (set per payee mapping)
+ */
+const XeroDocumentType = {
+  BANK_TRANSACTION: 'bank_transaction',
+  BILL: 'bill'
+};
+
+/**
+ * Tags the add-on itself appends to Actual Budget notes (#paid is followed by its date)
+ */
+const SYNC_TAG_PATTERN = /(^|\s)#(?:xano|xero|paid(?:\s+#\d{4}-\d{2}-\d{2})?)(?=\s|$)/gi;
+
+/**
+ * Xero LineAmountTypes enumeration (whether line amounts include tax)
+ */
+const LineAmountTypes = {
+  INCLUSIVE: 'Inclusive',
+  EXCLUSIVE: 'Exclusive',
+  NO_TAX: 'NoTax'
+};
+
 /**
  * Transaction data model with comprehensive validation
  */
@@ -45,13 +78,63 @@ class Transaction {
     // Mapping fields
     actual_category_id: Joi.string().allow('').optional(),
     actual_payee_id: Joi.string().allow('').optional(),
+    actual_account_id: Joi.string().allow('').optional(),
     xero_account_id: Joi.string().allow('').optional(),
     xero_contact_id: Joi.string().allow('').optional(),
     
+    // Xero bank account for the Actual account, and its currency when known
+    xero_bank_account_id: Joi.string().allow('').optional(),
+    currency_code: Joi.string().pattern(/^[A-Z]{3}$/).allow('', null).optional(),
+    
+    // Tax handling from the category mapping (empty means use the configured default)
+    xero_tax_type: Joi.string().allow('', null).optional(),
+    xero_line_amount_types: Joi.string().valid(...Object.values(LineAmountTypes)).allow('', null).optional(),
+    
+    // Split transactions: one line per child subtransaction
+    is_split: Joi.boolean().default(false),
+    split_lines: Joi.array().items(Joi.object({
+      actual_transaction_id: Joi.string().min(1).required(),
+      actual_category_id: Joi.string().allow('', null).optional(),
+      actual_category_name: Joi.string().allow('', null).optional(),
+      amount: Joi.number().precision(2).required(),
+      description: Joi.string().allow('').optional(),
+      xero_account_id: Joi.string().allow('', null).optional(),
+      xero_account_code: Joi.string().allow('', null).optional(),
+      xero_tax_type: Joi.string().allow('', null).optional(),
+      xero_line_amount_types: Joi.string().valid(...Object.values(LineAmountTypes)).allow('', null).optional()
+    })).optional(),
+    
+    // Transfers between two mapped accounts: stored once, from the outgoing leg,
+    // and imported as a Xero bank transfer into the other leg's bank account
+    is_transfer: Joi.boolean().default(false),
+    actual_transfer_id: Joi.string().allow('', null).optional(),
+    transfer_account_id: Joi.string().allow('', null).optional(),
+    xero_to_bank_account_id: Joi.string().allow('', null).optional(),
+    
+    // Payees paid on terms are exported as a Xero bill (ACCPAY) with a payment
+    // from the bank account; xero_transaction_id then holds the bill's InvoiceID
+    xero_document_type: Joi.string().valid(...Object.values(XeroDocumentType)).allow(null).optional(),
+    xero_payment_id: Joi.string().allow('', null).optional(),
+    
+    // Receipt attached to the Xero entry from the receipts inbox
+    receipt_status: Joi.string().valid(...Object.values(ReceiptStatus)).allow(null).optional(),
+    receipt_file_name: Joi.string().allow('', null).optional(),
+    receipt_attachment_id: Joi.string().allow('', null).optional(),
+    receipt_attached_date: Joi.date().allow(null).optional(),
+    receipt_error: Joi.string().allow('', null).optional(),
+    
+    // Offline export: the precoded bank statement CSV the transaction went out in
+    statement_export_id: Joi.string().allow('', null).optional(),
+    statement_exported_date: Joi.date().allow(null).optional(),
+    
     // Xero import tracking
     xero_transaction_id: Joi.string().allow('').optional(),
     xero_imported_date: Joi.date().allow(null).optional(),
     
+    // Change detection: fingerprint of the Actual state last sent to Xero
+    actual_fingerprint: Joi.string().allow('', null).optional(),
+    last_change_date: Joi.date().allow(null).optional(),
+    
     // Status and error tracking
     status: Joi.string().valid(...Object.values(TransactionStatus)).default(TransactionStatus.PENDING)
       .messages({
@@ -123,14 +206,644 @@ class Transaction {
       transaction_date: new Date(actualData.date),
       amount: actualData.amount / 100, // Convert from cents to dollars
       description: actualData.notes || actualData.imported_description || '',
-      actual_category_id: actualData.category,
+      // Split parents have no category of their own; each split line carries one
+      actual_category_id: actualData.is_split ? '' : actualData.category,
       actual_payee_id: actualData.payee,
+      actual_account_id: actualData.account,
       status: TransactionStatus.PENDING
     };
 
+    if (actualData.is_split) {
+      transactionData.is_split = true;
+      transactionData.split_lines = Transaction.splitLinesFromActualBudget(actualData);
+    }
+
+    if (actualData.is_transfer) {
+      transactionData.is_transfer = true;
+      transactionData.actual_transfer_id = actualData.transfer_id;
+      transactionData.transfer_account_id = actualData.transfer_account;
+    }
+
     return new Transaction(transactionData);
   }
 
+  /**
+   * Build split lines from a collapsed Actual Budget split transaction
+   * @param {Object} actualData - Parent transaction with subtransactions
+   * @returns {Object[]} - Split lines (amounts in dollars)
+   */
+  static splitLinesFromActualBudget(actualData) {
+    return (actualData.subtransactions || []).map(child => ({
+      actual_transaction_id: child.id,
+      actual_category_id: child.category || null,
+      actual_category_name: child.category_name || null,
+      amount: child.amount / 100,
+      description: child.notes || ''
+    }));
+  }
+
+  /**
+   * Remove the add-on's own sync tags from Actual Budget notes
+   * @param {string} notes - Transaction notes
+   * @returns {string} - Notes without #xano, #xero and #paid tags
+   */
+  static stripSyncTags(notes) {
+    return (notes || '').replace(SYNC_TAG_PATTERN, '').trim();
+  }
+
+  /**
+   * Fingerprint the Actual Budget fields that end up in Xero
+   *
+   * Works on the storage shape (see formatTransactionForStorage), so a stored
+   * record and the current Actual state of the same transaction fingerprint
+   * alike until something in Actual changes. Sync tags in the description are
+   * ignored, since the add-on adds those itself after storing.
+   * @param {Object} record - Transaction record in storage shape
+   * @returns {string} - SHA-256 hex digest
+   */
+  static fingerprint(record) {
+    const date = new Date(record.transaction_date);
+    const lines = record.is_split && Array.isArray(record.split_lines)
+      ? record.split_lines
+        .map(line => [line.actual_category_id || '', Math.round(line.amount * 100)])
+        .sort((a, b) => `${a[0]}:${a[1]}`.localeCompare(`${b[0]}:${b[1]}`))
+      : [];
+
+    const fields = [
+      isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0],
+      Math.round(record.amount * 100),
+      Transaction.stripSyncTags(record.description),
+      record.is_split ? '' : (record.actual_category_id || ''),
+      record.actual_payee_id || '',
+      record.actual_account_id || '',
+      lines
+    ];
+
+    // Only transfers carry a second account, so other fingerprints stay as they were
+    if (record.is_transfer) {
+      fields.push(record.transfer_account_id || '');
+    }
+
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  /**
+   * Get the Actual Budget category IDs a transaction record needs mappings for
+   * @param {Object} transaction - Transaction record
+   * @returns {string[]} - Category IDs (one per split line for split transactions)
+   */
+  static getCategoryIds(transaction) {
+    if (transaction.is_split && Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0) {
+      return [...new Set(transaction.split_lines.map(line => line.actual_category_id).filter(id => id))];
+    }
+
+    return transaction.actual_category_id ? [transaction.actual_category_id] : [];
+  }
+
+  /**
+   * Apply category mappings to a transaction record (and to each split line)
+   * @param {Object} transaction - Transaction record, updated in place
+   * @param {Map} categoryMappingMap - Category mappings keyed by Actual category ID
+   * @returns {Object} - { isValid, missingCategories } where missingCategories lists unmapped categories
+   */
+  static applyCategoryMappings(transaction, categoryMappingMap) {
+    const lines = transaction.is_split && Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0
+      ? transaction.split_lines
+      : [transaction];
+
+    const missingCategories = [];
+
+    for (const line of lines) {
+      const mapping = categoryMappingMap.get(line.actual_category_id);
+
+      if (mapping && mapping.xero_account_id) {
+        line.xero_account_id = mapping.xero_account_id;
+        line.xero_account_code = mapping.xero_account_code;
+        line.xero_tax_type = mapping.xero_tax_type || '';
+        line.xero_line_amount_types = mapping.xero_line_amount_types || '';
+      } else {
+        missingCategories.push({
+          actual_category_id: line.actual_category_id,
+          actual_category_name: line.actual_category_name
+        });
+      }
+    }
+
+    // The record-level account is the first line's account, so status checks keep working
+    if (missingCategories.length === 0 && lines[0] !== transaction) {
+      transaction.xero_account_id = lines[0].xero_account_id;
+      transaction.xero_account_code = lines[0].xero_account_code;
+      transaction.xero_tax_type = lines[0].xero_tax_type;
+      transaction.xero_line_amount_types = lines.map(line => line.xero_line_amount_types).find(value => value) || '';
+    }
+
+    return {
+      isValid: missingCategories.length === 0,
+      missingCategories
+    };
+  }
+
+  /**
+   * Apply the account mapping for a transaction record's Actual account
+   * @param {Object} transaction - Transaction record, updated in place
+   * @param {Map} accountMappingMap - Account mappings keyed by Actual account ID
+   * @returns {boolean} - True if the account is mapped to a Xero bank account
+   */
+  static applyAccountMapping(transaction, accountMappingMap) {
+    const mapping = accountMappingMap.get(transaction.actual_account_id);
+
+    if (!mapping || !mapping.xero_bank_account_id) {
+      return false;
+    }
+
+    transaction.xero_bank_account_id = mapping.xero_bank_account_id;
+    transaction.currency_code = mapping.currency_code || '';
+    return true;
+  }
+
+  /**
+   * Apply the account mappings for both sides of a transfer record
+   * @param {Object} transaction - Transfer record, updated in place
+   * @param {Map} accountMappingMap - Account mappings keyed by Actual account ID
+   * @returns {Object} - { isValid, missingAccounts, error } where missingAccounts lists unmapped Actual account IDs
+   */
+  static applyTransferMapping(transaction, accountMappingMap) {
+    const from = accountMappingMap.get(transaction.actual_account_id);
+    const to = accountMappingMap.get(transaction.transfer_account_id);
+
+    const missingAccounts = [
+      [transaction.actual_account_id, from],
+      [transaction.transfer_account_id, to]
+    ]
+      .filter(([, mapping]) => !mapping || !mapping.xero_bank_account_id)
+      .map(([accountId]) => accountId);
+
+    if (missingAccounts.length > 0) {
+      return { isValid: false, missingAccounts, error: null };
+    }
+
+    // A Xero bank transfer has one amount, so both accounts must hold the same currency
+    if ((from.currency_code || '') !== (to.currency_code || '')) {
+      return {
+        isValid: false,
+        missingAccounts,
+        error: `Transfers between ${from.currency_code || 'base currency'} and ${to.currency_code || 'base currency'} accounts must be entered in Xero directly`
+      };
+    }
+
+    transaction.xero_bank_account_id = from.xero_bank_account_id;
+    transaction.xero_to_bank_account_id = to.xero_bank_account_id;
+    transaction.currency_code = from.currency_code || '';
+    return { isValid: true, missingAccounts, error: null };
+  }
+
+  /**
+   * Work out the storage status for resolved mappings
+   *
+   * Transfers need both bank accounts; everything else needs an account, a
+   * contact and a bank account.
+   * @param {Object} mappings - Resolved mappings (xero_account_id, xero_contact_id, xero_bank_account_id, xero_to_bank_account_id)
+   * @returns {string} - mapped or pending
+   */
+  static mappingStatus(mappings) {
+    if (!mappings.xero_bank_account_id) {
+      return TransactionStatus.PENDING;
+    }
+
+    const complete = mappings.xero_to_bank_account_id || (mappings.xero_account_id && mappings.xero_contact_id);
+    return complete ? TransactionStatus.MAPPED : TransactionStatus.PENDING;
+  }
+
+  /**
+   * Build the Xero bank transfer for a transfer record
+   *
+   * The stored record is the outgoing leg, so its amount is negative; Xero
+   * takes the positive amount moved from one bank account to the other.
+   * @param {Object} transaction - Transfer record with both bank accounts resolved
+   * @param {string} xeroReference - Reference (Xano-{id})
+   * @returns {Object} - Xero BankTransfer
+   * @throws {Error} If a bank account is missing or the amount is zero
+   */
+  static buildXeroBankTransfer(transaction, xeroReference) {
+    if (!transaction.xero_bank_account_id || !transaction.xero_to_bank_account_id) {
+      throw new Error('Transfer is missing a Xero bank account mapping');
+    }
+
+    const amount = Math.round(Math.abs(transaction.amount) * 100) / 100;
+    if (amount === 0) {
+      throw new Error('Transfer amount must not be zero');
+    }
+
+    return {
+      FromBankAccount: { AccountID: transaction.xero_bank_account_id },
+      ToBankAccount: { AccountID: transaction.xero_to_bank_account_id },
+      Amount: amount,
+      Date: new Date(transaction.transaction_date).toISOString().split('T')[0],
+      Reference: xeroReference
+    };
+  }
+
+  /**
+   * Work out which Xero document a transaction is exported as
+   *
+   * Only money going out can be a bill; a refund from a supplier paid on
+   * terms stays a RECEIVE bank transaction.
+   * @param {Object} transaction - Transaction record
+   * @param {Object} payeeMapping - The transaction's payee mapping
+   * @returns {string} - bill or bank_transaction (see XeroDocumentType)
+   */
+  static resolveDocumentType(transaction, payeeMapping) {
+    const isBill = payeeMapping && payeeMapping.xero_document_type === XeroDocumentType.BILL && transaction.amount < 0;
+    return isBill ? XeroDocumentType.BILL : XeroDocumentType.BANK_TRANSACTION;
+  }
+
+  /**
+   * Build and validate the Xero bank transaction (SPEND or RECEIVE) for a transaction record
+   *
+   * New imports and edits propagated by change detection both go through
+   * here, so Xero gets the same checks either way.
+   * @param {Object} transaction - Transaction record with resolved mappings
+   * @param {string} xeroReference - Reference (Xano-{id})
+   * @param {Object} taxDefaults - Configured defaults (see taxDefaultsFromConfig)
+   * @returns {Object} - Xero BankTransaction
+   * @throws {Error} If a mapping is missing or the result would not pass Xero's checks
+   */
+  static buildXeroBankTransaction(transaction, xeroReference, taxDefaults = {}) {
+    if (!transaction.xero_account_id) {
+      throw new Error('Xero account ID is required');
+    }
+    if (!transaction.xero_contact_id) {
+      throw new Error('Xero contact ID is required');
+    }
+    if (!transaction.xero_bank_account_id) {
+      throw new Error('Xero bank account ID is required');
+    }
+    if (!transaction.amount || transaction.amount === 0) {
+      throw new Error('Transaction amount must be non-zero');
+    }
+
+    const transactionDate = new Date(transaction.transaction_date);
+    if (isNaN(transactionDate.getTime())) {
+      throw new Error('Invalid transaction date');
+    }
+
+    const description = transaction.xero_description || transaction.description ||
+                       `Transaction from Actual Budget (${transaction.actual_transaction_id})`;
+
+    // Split transactions get one line item per child
+    const xeroTransaction = {
+      Type: transaction.amount < 0 ? 'SPEND' : 'RECEIVE',
+      Contact: {
+        ContactID: transaction.xero_contact_id
+      },
+      Date: transactionDate.toISOString().split('T')[0],
+      Reference: xeroReference,
+      Status: 'AUTHORISED',
+      ...Transaction.buildXeroBankFields(transaction),
+      LineAmountTypes: Transaction.resolveLineAmountTypes(transaction, taxDefaults),
+      LineItems: Transaction.buildXeroLineItems(transaction, description, taxDefaults)
+    };
+
+    const errors = Transaction.validateXeroBankTransaction(xeroTransaction);
+    if (errors.length > 0) {
+      throw new Error(`Transaction validation failed: ${errors.join(', ')}`);
+    }
+
+    return xeroTransaction;
+  }
+
+  /**
+   * Check a Xero bank transaction before sending it
+   * @param {Object} xeroTransaction - Xero BankTransaction
+   * @returns {string[]} - Validation errors
+   */
+  static validateXeroBankTransaction(xeroTransaction) {
+    const errors = [];
+
+    if (!xeroTransaction.Type || !['SPEND', 'RECEIVE'].includes(xeroTransaction.Type)) {
+      errors.push('Transaction type must be SPEND or RECEIVE');
+    }
+
+    if (!xeroTransaction.Contact?.ContactID) {
+      errors.push('Contact ID is required');
+    }
+
+    if (!xeroTransaction.BankAccount?.AccountID) {
+      errors.push('Bank account ID is required');
+    }
+
+    if (xeroTransaction.CurrencyCode && !/^[A-Z]{3}$/.test(xeroTransaction.CurrencyCode)) {
+      errors.push('Currency code must be a 3-letter ISO code');
+    }
+
+    if (!xeroTransaction.Date || !/^\d{4}-\d{2}-\d{2}$/.test(xeroTransaction.Date)) {
+      errors.push('Date must be in YYYY-MM-DD format');
+    }
+
+    if (!xeroTransaction.Reference || xeroTransaction.Reference.length > 255) {
+      errors.push('Reference is required and must be 255 characters or less');
+    }
+
+    if (xeroTransaction.LineAmountTypes && !Object.values(LineAmountTypes).includes(xeroTransaction.LineAmountTypes)) {
+      errors.push(`Line amount types must be one of: ${Object.values(LineAmountTypes).join(', ')}`);
+    }
+
+    errors.push(...Transaction.validateXeroLineItems(xeroTransaction.LineItems));
+
+    return errors;
+  }
+
+  /**
+   * Check a Xero bill before sending it
+   * @param {Object} xeroBill - Xero Invoice (ACCPAY)
+   * @returns {string[]} - Validation errors
+   */
+  static validateXeroBill(xeroBill) {
+    const errors = [];
+
+    if (xeroBill.Type !== 'ACCPAY') {
+      errors.push('Bill type must be ACCPAY');
+    }
+
+    if (!xeroBill.InvoiceNumber || xeroBill.InvoiceNumber.length > 255) {
+      errors.push('Invoice number is required and must be 255 characters or less');
+    }
+
+    if (!xeroBill.Contact?.ContactID) {
+      errors.push('Contact ID is required');
+    }
+
+    if (xeroBill.CurrencyCode && !/^[A-Z]{3}$/.test(xeroBill.CurrencyCode)) {
+      errors.push('Currency code must be a 3-letter ISO code');
+    }
+
+    if (!xeroBill.Date || !/^\d{4}-\d{2}-\d{2}$/.test(xeroBill.Date) || xeroBill.DueDate !== xeroBill.Date) {
+      errors.push('Date and due date must be the same day in YYYY-MM-DD format');
+    }
+
+    if (xeroBill.LineAmountTypes && !Object.values(LineAmountTypes).includes(xeroBill.LineAmountTypes)) {
+      errors.push(`Line amount types must be one of: ${Object.values(LineAmountTypes).join(', ')}`);
+    }
+
+    errors.push(...Transaction.validateXeroLineItems(xeroBill.LineItems));
+
+    return errors;
+  }
+
+  /**
+   * Check the line items of a Xero bank transaction or bill
+   * @param {Object[]} lineItems - Xero LineItems
+   * @returns {string[]} - Validation errors
+   */
+  static validateXeroLineItems(lineItems) {
+    const errors = [];
+
+    if (!lineItems || lineItems.length === 0) {
+      errors.push('At least one line item is required');
+      return errors;
+    }
+
+    const singleLine = lineItems.length === 1;
+
+    lineItems.forEach((lineItem, index) => {
+      const label = singleLine ? 'line item' : `line item ${index + 1}`;
+
+      if (!lineItem.AccountID) {
+        errors.push(`Account ID is required for ${label}`);
+      }
+
+      // Split lines may be negative (e.g. a refund inside a purchase), single lines may not
+      if (!lineItem.UnitAmount || (singleLine && lineItem.UnitAmount <= 0)) {
+        errors.push(singleLine ? 'Unit amount must be greater than zero' : `Unit amount must be non-zero for ${label}`);
+      }
+
+      if (Math.abs(lineItem.UnitAmount) > 999999999.99) {
+        errors.push(`Unit amount exceeds maximum allowed value for ${label}`);
+      }
+
+      if (!lineItem.Description || lineItem.Description.trim().length === 0) {
+        errors.push(`Description is required for ${label}`);
+      }
+    });
+
+    const total = lineItems.reduce((sum, lineItem) => sum + (lineItem.UnitAmount || 0), 0);
+    if (!singleLine && total <= 0) {
+      errors.push('Line items must add up to more than zero');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the Xero bill (ACCPAY invoice) for a transaction record
+   *
+   * Bills have no Reference field, so the Xano-{id} reference is the bill's
+   * InvoiceNumber. The bill is due on the transaction date, the day it was paid.
+   * @param {Object} transaction - Spend transaction record with resolved mappings
+   * @param {string} xeroReference - Reference (Xano-{id})
+   * @param {string} description - Fallback line description
+   * @param {Object} taxDefaults - Configured defaults (see taxDefaultsFromConfig)
+   * @returns {Object} - Xero Invoice
+   */
+  static buildXeroBill(transaction, xeroReference, description, taxDefaults = {}) {
+    const date = new Date(transaction.transaction_date).toISOString().split('T')[0];
+    const bill = {
+      Type: 'ACCPAY',
+      Contact: {
+        ContactID: transaction.xero_contact_id
+      },
+      Date: date,
+      DueDate: date,
+      InvoiceNumber: xeroReference,
+      Status: 'AUTHORISED',
+      LineAmountTypes: Transaction.resolveLineAmountTypes(transaction, taxDefaults),
+      LineItems: Transaction.buildXeroLineItems(transaction, description, taxDefaults)
+    };
+
+    if (transaction.currency_code) {
+      bill.CurrencyCode = transaction.currency_code;
+    }
+
+    return bill;
+  }
+
+  /**
+   * Build the Xero payment that pays a bill from the transaction's bank account
+   * @param {Object} transaction - Transaction record with a resolved account mapping
+   * @param {string} invoiceId - Xero InvoiceID of the bill
+   * @param {number} amount - Amount to pay (what is still due on the bill)
+   * @param {string} xeroReference - Reference (Xano-{id})
+   * @returns {Object} - Xero Payment
+   */
+  static buildXeroBillPayment(transaction, invoiceId, amount, xeroReference) {
+    return {
+      Invoice: { InvoiceID: invoiceId },
+      Account: { AccountID: transaction.xero_bank_account_id },
+      Date: new Date(transaction.transaction_date).toISOString().split('T')[0],
+      Amount: Math.round(amount * 100) / 100,
+      Reference: xeroReference
+    };
+  }
+
+  /**
+   * Build the fields written when a receipt is attached (or fails to attach)
+   * @param {Object} receipt - Receipt outcome ({ status, file_name, attachment_id, error })
+   * @returns {Object} - Transaction fields
+   */
+  static buildReceiptUpdate(receipt) {
+    const attached = receipt.status === ReceiptStatus.ATTACHED;
+
+    return {
+      receipt_status: receipt.status,
+      receipt_file_name: receipt.file_name,
+      ...(attached ? {
+        receipt_attachment_id: receipt.attachment_id || null,
+        receipt_attached_date: new Date().toISOString()
+      } : {}),
+      receipt_error: attached ? null : (receipt.error || null)
+    };
+  }
+
+  /**
+   * Build the fields written once a transaction is found reconciled in Xero
+   * @param {Object} reconciliation - Reconciliation found ({ reconciled_date })
+   * @returns {Object} - Transaction fields
+   */
+  static buildReconciliationUpdate(reconciliation) {
+    return {
+      is_reconciled: true,
+      reconciled_date: reconciliation.reconciled_date || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build the fields written when a transaction is exported in a bank statement CSV
+   *
+   * Exported transactions leave the import queue, so connecting Xero later
+   * doesn't import them a second time.
+   * @param {string} exportId - ID of the statement export
+   * @returns {Object} - Transaction fields
+   */
+  static buildStatementExportUpdate(exportId) {
+    return {
+      statement_export_id: exportId,
+      statement_exported_date: new Date().toISOString(),
+      status: TransactionStatus.EXPORTED,
+      error_message: null
+    };
+  }
+
+  /**
+   * Build the Xero bank account and currency fields for a transaction record
+   *
+   * CurrencyRate is left out: Actual Budget holds no exchange rates, so Xero
+   * applies its own daily rate for foreign currency bank accounts.
+   * @param {Object} transaction - Transaction record with a resolved account mapping
+   * @returns {Object} - { BankAccount, CurrencyCode? }
+   */
+  static buildXeroBankFields(transaction) {
+    const fields = {
+      BankAccount: {
+        AccountID: transaction.xero_bank_account_id
+      }
+    };
+
+    if (transaction.currency_code) {
+      fields.CurrencyCode = transaction.currency_code;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Get the tax defaults for line items from the add-on configuration
+   * @param {Object} config - Add-on configuration
+   * @returns {Object} - { taxType, lineAmountTypes }
+   */
+  static taxDefaultsFromConfig(config = {}) {
+    return {
+      taxType: config.xero_default_tax_type || 'NONE',
+      lineAmountTypes: config.xero_default_line_amount_types || LineAmountTypes.INCLUSIVE
+    };
+  }
+
+  /**
+   * Resolve the Xero LineAmountTypes for a transaction record
+   *
+   * LineAmountTypes applies to the whole Xero transaction, so every split line
+   * must agree (lines without their own setting follow the others).
+   * @param {Object} transaction - Transaction record with resolved mappings
+   * @param {Object} taxDefaults - Configured defaults
+   * @param {string} taxDefaults.lineAmountTypes - Default LineAmountTypes
+   * @returns {string} - Inclusive, Exclusive or NoTax
+   * @throws {Error} If split lines use different LineAmountTypes
+   */
+  static resolveLineAmountTypes(transaction, taxDefaults = {}) {
+    const lines = transaction.is_split && Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0
+      ? transaction.split_lines
+      : [transaction];
+
+    const values = [...new Set(lines.map(line => line.xero_line_amount_types).filter(value => value))];
+    if (values.length > 1) {
+      throw new Error(`Split lines use different line amount types (${values.join(', ')}), which Xero only allows per transaction`);
+    }
+
+    return values[0] || taxDefaults.lineAmountTypes || LineAmountTypes.INCLUSIVE;
+  }
+
+  /**
+   * Build Xero line items for a transaction record
+   *
+   * Split transactions get one line item per child, each on its own category's
+   * Xero account. Line amounts are expressed relative to the transaction type,
+   * so a refund line inside a spend split becomes a negative line.
+   * @param {Object} transaction - Transaction record with resolved mappings
+   * @param {string} description - Fallback line description
+   * @param {Object} taxDefaults - Configured defaults
+   * @param {string} taxDefaults.taxType - Tax type for lines whose mapping has none
+   * @param {string} taxDefaults.lineAmountTypes - Default LineAmountTypes
+   * @returns {Object[]} - Xero LineItems
+   */
+  static buildXeroLineItems(transaction, description, taxDefaults = {}) {
+    const isSpend = transaction.amount < 0;
+    const noTax = Transaction.resolveLineAmountTypes(transaction, taxDefaults) === LineAmountTypes.NO_TAX;
+    const lines = transaction.is_split && Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0
+      ? transaction.split_lines
+      : [{
+        amount: transaction.amount,
+        description,
+        xero_account_id: transaction.xero_account_id,
+        xero_account_code: transaction.xero_account_code,
+        xero_tax_type: transaction.xero_tax_type,
+        xero_tracking: transaction.xero_tracking
+      }];
+
+    return lines.map(line => {
+      const lineItem = {
+        Description: (line.description || description).substring(0, 4000), // Xero has a 4000 character limit
+        Quantity: 1,
+        UnitAmount: Math.round((isSpend ? -line.amount : line.amount) * 100) / 100,
+        AccountID: line.xero_account_id,
+        TaxType: noTax ? 'NONE' : (line.xero_tax_type || taxDefaults.taxType || 'NONE')
+      };
+
+      if (line.xero_account_code) {
+        lineItem.AccountCode = line.xero_account_code;
+      }
+
+      // Options picked by the tracking mappings (at most one per tracking category)
+      if (Array.isArray(line.xero_tracking) && line.xero_tracking.length > 0) {
+        lineItem.Tracking = line.xero_tracking.map(tracking => ({
+          ...(tracking.tracking_category_id ? { TrackingCategoryID: tracking.tracking_category_id } : {}),
+          Name: tracking.name,
+          Option: tracking.option
+        }));
+      }
+
+      return lineItem;
+    });
+  }
+
   /**
    * Update transaction status
    * @param {string} status - New status
@@ -166,6 +879,17 @@ class Transaction {
     }
   }
 
+  /**
+   * Set the Xero bank account the transaction is imported into
+   * @param {string} xeroBankAccountId - Xero bank account ID
+   * @param {string} currencyCode - Currency of the bank account (optional)
+   */
+  setBankAccount(xeroBankAccountId, currencyCode = '') {
+    this.xero_bank_account_id = xeroBankAccountId || '';
+    this.currency_code = currencyCode || '';
+    this.updated_date = new Date();
+  }
+
   /**
    * Mark transaction as imported to Xero
    * @param {string} xeroTransactionId - Xero transaction ID
@@ -189,7 +913,7 @@ class Transaction {
    * @returns {boolean} - True if ready for import
    */
   isReadyForXeroImport() {
-    return !!(this.xero_account_id && this.xero_contact_id && this.status === TransactionStatus.MAPPED);
+    return !!(this.xero_account_id && this.xero_contact_id && this.xero_bank_account_id && this.status === TransactionStatus.MAPPED);
   }
 
   /**
@@ -221,9 +945,10 @@ class Transaction {
 
   /**
    * Convert transaction to Xero API format
+   * @param {Object} taxDefaults - Configured tax defaults ({ taxType, lineAmountTypes })
    * @returns {Object} - Xero transaction object
    */
-  toXeroFormat() {
+  toXeroFormat(taxDefaults = {}) {
     if (!this.isReadyForXeroImport()) {
       throw new Error('Transaction is not ready for Xero import - missing mappings');
     }
@@ -234,13 +959,9 @@ class Transaction {
         ContactID: this.xero_contact_id
       },
       Date: this.transaction_date.toISOString().split('T')[0], // YYYY-MM-DD format
-      LineItems: [{
-        Description: this.description || 'Transaction from Actual Budget',
-        Quantity: 1,
-        UnitAmount: Math.abs(this.amount),
-        AccountCode: this.xero_account_id,
-        TaxType: 'NONE' // Default tax type, can be configured
-      }],
+      ...Transaction.buildXeroBankFields(this),
+      LineAmountTypes: Transaction.resolveLineAmountTypes(this, taxDefaults),
+      LineItems: Transaction.buildXeroLineItems(this, this.description || 'Transaction from Actual Budget', taxDefaults),
       Reference: this.getXeroReference(),
       Status: 'AUTHORISED'
     };
@@ -260,10 +981,23 @@ class Transaction {
       description: this.description,
       actual_category_id: this.actual_category_id,
       actual_payee_id: this.actual_payee_id,
+      actual_account_id: this.actual_account_id,
       xero_account_id: this.xero_account_id,
       xero_contact_id: this.xero_contact_id,
+      xero_bank_account_id: this.xero_bank_account_id,
+      currency_code: this.currency_code,
+      xero_tax_type: this.xero_tax_type,
+      xero_line_amount_types: this.xero_line_amount_types,
+      is_split: this.is_split,
+      split_lines: this.split_lines,
+      xero_document_type: this.xero_document_type,
+      xero_payment_id: this.xero_payment_id,
       xero_transaction_id: this.xero_transaction_id,
       xero_imported_date: this.xero_imported_date,
+      statement_export_id: this.statement_export_id,
+      statement_exported_date: this.statement_exported_date,
+      actual_fingerprint: this.actual_fingerprint,
+      last_change_date: this.last_change_date,
       status: this.status,
       error_message: this.error_message,
       updated_date: this.updated_date
@@ -281,9 +1015,11 @@ class Transaction {
       transaction_date: new Date(record.transaction_date),
       created_date: record.created_date ? new Date(record.created_date) : new Date(),
       xero_imported_date: record.xero_imported_date ? new Date(record.xero_imported_date) : null,
+      statement_exported_date: record.statement_exported_date ? new Date(record.statement_exported_date) : null,
+      last_change_date: record.last_change_date ? new Date(record.last_change_date) : null,
       updated_date: record.updated_date ? new Date(record.updated_date) : null
     });
   }
 }
 
-module.exports = { Transaction, TransactionStatus };
\ No newline at end of file
+module.exports = { Transaction, TransactionStatus, LineAmountTypes, ReceiptStatus, XeroDocumentType };
\ No newline at end of file
@@ -1,267 +1,310 @@
-const BaseApiClient = require('../utils/base-api-client');
+const fs = require('fs').promises;
+const path = require('path');
+const api = require('@actual-app/api');
+
+// @actual-app/api keeps one server connection and one open budget per process,
+// so every client built on the same api module shares this state
+const sessions = new WeakMap();
 
 /**
- * ActualBudgetClient - API client for Actual Budget integration
- * 
- * Handles authentication, transaction fetching, and note updates for Actual Budget
+ * Get the shared connection state for an @actual-app/api module
+ * @param {Object} apiModule - @actual-app/api (or a stand-in)
+ * @returns {Object} - Shared session state
  */
-class ActualBudgetClient extends BaseApiClient {
-  constructor(options = {}) {
-    super({
-      baseUrl: options.baseUrl,
-      timeout: options.timeout || 30000,
-      logger: options.logger || console,
-      defaultHeaders: {
-        'Content-Type': 'application/json'
-      }
+function getSession(apiModule) {
+  if (!sessions.has(apiModule)) {
+    sessions.set(apiModule, {
+      initialized: false,
+      initPromise: null,
+      openBudgetId: null,
+      holder: null,
+      active: 0,
+      waiters: []
     });
-    
+  }
+  return sessions.get(apiModule);
+}
+
+/**
+ * ActualBudgetClient - Actual Budget integration built on @actual-app/api
+ *
+ * Downloads the configured budget (including end-to-end encrypted budgets),
+ * reads transactions with AQL queries and writes note tags through
+ * updateTransaction. @actual-app/api holds a single open budget per process;
+ * clients for different budgets (one per sync profile) take turns with it,
+ * switching the open budget when their turn comes.
+ */
+class ActualBudgetClient {
+  /**
+   * Methods that read or write the open budget. Each call holds the budget
+   * until it finishes, so another client cannot switch budgets underneath it.
+   */
+  static BUDGET_METHODS = [
+    'getCategories',
+    'getCategoryGroups',
+    'findCategoryGroupByName',
+    'getPayees',
+    'getAccounts',
+    'getReconciledTransactions',
+    'getReconciledTransfers',
+    'getTransactionsByIds',
+    'getTransaction',
+    'updateTransactionNotes'
+  ];
+
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl;
     this.password = options.password;
-    this.token = null;
-    this.budgetId = null;
-    this.isAuthenticated = false;
+    this.budgetId = options.budgetId || null;
+    this.encryptionPassword = options.encryptionPassword || null;
+    this.dataDir = options.dataDir || path.join(process.env.DATA_DIR || '/data', 'actual-data');
+    this.includeCleared = options.includeCleared || false;
+    this.logger = options.logger || console;
+    this.api = options.api || api;
+    this.session = getSession(this.api);
+
+    this.isInitialized = false;
+    this.loadedBudgetId = null;
+    this.loadPromise = null;
+
+    for (const method of ActualBudgetClient.BUDGET_METHODS) {
+      const unguarded = this[method];
+      this[method] = (...args) => this.withBudget(() => unguarded.apply(this, args));
+    }
+
+    this.stats = {
+      totalQueries: 0,
+      totalUpdates: 0,
+      failedRequests: 0,
+      lastSyncTime: null
+    };
   }
 
   /**
-   * Authenticate with Actual Budget server
-   * @returns {Promise<boolean>} - Authentication success
+   * Connect @actual-app/api to the Actual Budget server
+   * @returns {Promise<boolean>} - Initialization success
    */
-  async authenticate() {
-    try {
-      this.logger.info('Authenticating with Actual Budget server', {
-        url: this.baseUrl,
-        passwordLength: this.password ? this.password.length : 0
-      });
-      
-      const response = await this.post('/account/login', {
-        password: this.password
-      });
-
-      this.logger.debug('Authentication response:', {
-        statusCode: response.statusCode,
-        hasData: !!response.data,
-        dataType: typeof response.data,
-        dataKeys: response.data ? Object.keys(response.data) : []
-      });
-
-      // Handle both possible response formats from Actual Budget
-      let token = null;
-      if (response.data && response.data.data && response.data.data.token) {
-        // Nested format: { status: "ok", data: { token: "..." } }
-        token = response.data.data.token;
-      } else if (response.data && response.data.token) {
-        // Direct format: { token: "..." }
-        token = response.data.token;
-      }
+  async init() {
+    if (this.session.initialized) {
+      this.isInitialized = true;
+      return true;
+    }
 
-      if (token) {
-        this.token = token;
-        this.defaultHeaders['X-ACTUAL-TOKEN'] = this.token;
-        this.isAuthenticated = true;
-        this.logger.info('Successfully authenticated with Actual Budget', {
-          tokenLength: token.length
-        });
-        return true;
-      } else {
-        this.logger.error('Authentication failed - no token in response:', {
-          responseData: response.data,
-          statusCode: response.statusCode
-        });
-        throw new Error('No token received from authentication');
-      }
-    } catch (error) {
-      this.logger.error('Failed to authenticate with Actual Budget:', {
-        message: error.message,
-        statusCode: error.statusCode,
-        url: this.baseUrl,
-        passwordProvided: !!this.password
-      });
-      this.isAuthenticated = false;
-      throw error;
+    // Every client shares the one connection; only the first to get here opens it
+    if (!this.session.initPromise) {
+      this.session.initPromise = (async () => {
+        try {
+          this.logger.info('Connecting to Actual Budget server', { url: this.baseUrl });
+
+          await fs.mkdir(this.dataDir, { recursive: true });
+          await this.api.init({
+            serverURL: this.baseUrl,
+            password: this.password,
+            dataDir: this.dataDir
+          });
+
+          this.session.initialized = true;
+          this.logger.info('Connected to Actual Budget server');
+          return true;
+        } catch (error) {
+          this.stats.failedRequests++;
+          this.logger.error('Failed to connect to Actual Budget:', {
+            message: error.message,
+            url: this.baseUrl,
+            passwordProvided: !!this.password
+          });
+          throw new Error(`Cannot connect to Actual Budget server at ${this.baseUrl}: ${error.message}`);
+        } finally {
+          this.session.initPromise = null;
+        }
+      })();
     }
+
+    await this.session.initPromise;
+    this.isInitialized = true;
+    return true;
   }
 
   /**
-   * Test connectivity to Actual Budget server
-   * @returns {Promise<boolean>} - Connectivity test result
+   * Run a budget operation while holding the shared api
+   *
+   * Calls from the same client run side by side (and may nest); a client for
+   * another budget waits until they have all finished.
+   * @param {Function} operation - Async function using the open budget
+   * @returns {Promise<*>} - Result of the operation
+   * @private
    */
-  async testConnectivity() {
+  async withBudget(operation) {
+    await this.acquireBudget();
     try {
-      this.logger.info('Testing connectivity to Actual Budget server', { url: this.baseUrl });
-      
-      // Try a simple GET request to see if the server is reachable
-      const response = await this.get('/');
-      
-      this.logger.info('Connectivity test successful', {
-        statusCode: response.statusCode,
-        url: this.baseUrl
-      });
-      
-      return true;
-    } catch (error) {
-      this.logger.error('Connectivity test failed', {
-        message: error.message,
-        code: error.code,
-        url: this.baseUrl
-      });
-      
-      return false;
+      return await operation();
+    } finally {
+      this.releaseBudget();
     }
   }
 
   /**
-   * Ensure authentication before making API calls
+   * Take the shared api, waiting while another client holds it
+   * @returns {Promise<void>}
    * @private
    */
-  async ensureAuthenticated() {
-    if (!this.isAuthenticated) {
-      // Test connectivity first
-      const isConnected = await this.testConnectivity();
-      if (!isConnected) {
-        throw new Error(`Cannot connect to Actual Budget server at ${this.baseUrl}. Please check the URL and ensure the server is running.`);
+  acquireBudget() {
+    const session = this.session;
+
+    if (session.active === 0 || session.holder === this) {
+      session.holder = this;
+      session.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => session.waiters.push({ client: this, resolve }));
+  }
+
+  /**
+   * Give the shared api back, handing it to the next waiting client once idle
+   * @private
+   */
+  releaseBudget() {
+    const session = this.session;
+
+    session.active--;
+    if (session.active > 0) {
+      return;
+    }
+
+    session.holder = null;
+    if (session.waiters.length === 0) {
+      return;
+    }
+
+    // Admit every queued call of the next client together
+    const next = session.waiters[0].client;
+    session.holder = next;
+    session.waiters = session.waiters.filter((waiter) => {
+      if (waiter.client !== next) {
+        return true;
       }
-      
-      await this.authenticate();
+      session.active++;
+      waiter.resolve();
+      return false;
+    });
+  }
+
+  /**
+   * Make sure the configured budget is downloaded and up to date
+   * @private
+   */
+  async ensureBudgetLoaded() {
+    await this.init();
+
+    // Also reopens our budget after another client's budget was opened
+    if (!this.loadedBudgetId || this.session.openBudgetId !== this.loadedBudgetId) {
+      // Calls arriving together share one download
+      if (!this.loadPromise) {
+        const budgetId = this.loadedBudgetId || this.budgetId;
+        this.loadPromise = (budgetId ? this.loadBudget(budgetId) : this.autoLoadBudget())
+          .finally(() => {
+            this.loadPromise = null;
+          });
+      }
+      await this.loadPromise;
+      return;
     }
+
+    // Pull changes made in Actual since the budget was downloaded
+    await this.api.sync();
+    this.stats.lastSyncTime = new Date().toISOString();
   }
 
   /**
-   * Get list of available budgets
-   * @returns {Promise<Array>} - Array of budget objects
+   * Get list of budgets available on the server
+   * @returns {Promise<Array>} - Array of budget file objects
    */
   async getBudgets() {
-    await this.ensureAuthenticated();
-    
+    await this.init();
+
     try {
-      // Try different API endpoints to get budgets
-      let response;
-      let budgets = [];
-      
-      // Method 1: Try the sync list endpoint
-      try {
-        response = await this.get('/sync/list-user-files');
-        
-        this.logger.debug('Sync list response:', {
-          statusCode: response.statusCode,
-          dataType: typeof response.data,
-          isArray: Array.isArray(response.data),
-          data: response.data
-        });
-        
-        // Handle different possible response formats
-        if (Array.isArray(response.data)) {
-          budgets = response.data;
-        } else if (response.data && typeof response.data === 'object') {
-          // If it's an object, try to extract budgets from common properties
-          if (response.data.files) {
-            budgets = response.data.files;
-          } else if (response.data.budgets) {
-            budgets = response.data.budgets;
-          } else if (response.data.data) {
-            budgets = Array.isArray(response.data.data) ? response.data.data : [];
-          } else {
-            // Convert object to array if it has budget-like properties
-            budgets = [response.data];
-          }
-        }
-      } catch (error) {
-        this.logger.debug(`Sync list endpoint failed: ${error.message}`);
-      }
-      
-      // Method 2: Try alternative endpoint if first failed
-      if (budgets.length === 0) {
-        try {
-          response = await this.get('/api/budgets');
-          if (Array.isArray(response.data)) {
-            budgets = response.data;
-          }
-        } catch (error) {
-          this.logger.debug(`API budgets endpoint failed: ${error.message}`);
-        }
-      }
-      
-      // Ensure we return an array
-      if (!Array.isArray(budgets)) {
-        this.logger.warn('Budgets response is not an array, converting to empty array');
-        budgets = [];
-      }
-      
+      const budgets = await this.api.getBudgets();
+
       this.logger.info(`Found ${budgets.length} budgets`);
-      if (budgets.length > 0) {
-        this.logger.debug('First budget structure:', Object.keys(budgets[0]));
-      }
-      
       return budgets;
     } catch (error) {
+      this.stats.failedRequests++;
       this.logger.error('Failed to get budgets:', error.message);
       throw error;
     }
   }
 
   /**
-   * Load a specific budget
-   * @param {string} budgetId - Budget ID to load
+   * Download and open a budget
+   * @param {string} budgetId - Budget sync ID (Settings → Advanced → Sync ID in Actual)
    * @returns {Promise<boolean>} - Success status
    */
   async loadBudget(budgetId) {
-    await this.ensureAuthenticated();
-    
+    await this.init();
+
     try {
       this.logger.info(`Loading budget: ${budgetId}`);
-      
-      // Try different possible API endpoints for loading budgets
-      let response;
-      let success = false;
-      
-      // Method 1: Try the sync endpoint (most common)
-      try {
-        response = await this.post('/sync/sync', {
-          fileId: budgetId,
-          groupId: null,
-          keyId: null,
-          since: null
-        });
-        success = response.statusCode === 200;
-      } catch (error) {
-        this.logger.debug(`Sync endpoint failed: ${error.message}`);
-      }
-      
-      // Method 2: Try direct file loading
-      if (!success) {
-        try {
-          response = await this.post('/sync/download-user-file', {
-            fileId: budgetId
-          });
-          success = response.statusCode === 200;
-        } catch (error) {
-          this.logger.debug(`Download endpoint failed: ${error.message}`);
-        }
-      }
-      
-      // Method 3: Just set the budget ID (some Actual Budget setups don't require explicit loading)
-      if (!success) {
-        this.logger.info(`Direct budget loading not available, setting budget ID: ${budgetId}`);
-        this.budgetId = budgetId;
-        
-        // Test if we can access budget data
-        try {
-          await this.get('/api/categories');
-          success = true;
-          this.logger.info(`Budget ${budgetId} is accessible without explicit loading`);
-        } catch (error) {
-          throw new Error(`Cannot access budget data: ${error.message}`);
-        }
+
+      // Encrypted budgets need the end-to-end encryption password to download
+      const downloadOptions = this.encryptionPassword ? { password: this.encryptionPassword } : undefined;
+      await this.api.downloadBudget(budgetId, downloadOptions);
+
+      this.loadedBudgetId = budgetId;
+      this.session.openBudgetId = budgetId;
+      this.stats.lastSyncTime = new Date().toISOString();
+      this.logger.info(`Successfully loaded budget: ${budgetId}`);
+      return true;
+    } catch (error) {
+      this.stats.failedRequests++;
+      this.logger.error('Failed to load budget:', error.message);
+      throw new Error(`Failed to load budget ${budgetId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the first budget available on the server (used when no budget ID is configured)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async autoLoadBudget() {
+    try {
+      this.logger.info('No budget ID configured, auto-loading first available budget');
+
+      const budgets = await this.getBudgets();
+      const remoteBudgets = budgets.filter(budget => budget.groupId);
+
+      if (remoteBudgets.length === 0) {
+        throw new Error('No budgets available to load');
       }
 
-      if (success) {
-        this.budgetId = budgetId;
-        this.logger.info(`Successfully loaded budget: ${budgetId}`);
-        return true;
-      } else {
-        throw new Error(`Failed to load budget: ${response?.statusMessage || 'Unknown error'}`);
+      if (remoteBudgets.length > 1) {
+        this.logger.warn(`Found ${remoteBudgets.length} budgets; set actual_budget_id to choose one. Available: ${remoteBudgets.map(b => `${b.name} (${b.groupId})`).join(', ')}`);
       }
+
+      const firstBudget = remoteBudgets[0];
+      await this.loadBudget(firstBudget.groupId);
+
+      this.logger.info(`Auto-loaded budget: ${firstBudget.name || firstBudget.groupId}`);
+      return true;
     } catch (error) {
-      this.logger.error('Failed to load budget:', error.message);
+      this.logger.error('Failed to auto-load budget:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Run an AQL query against the loaded budget
+   * @param {Object} query - Query built with api.q()
+   * @returns {Promise<Array>} - Query result rows
+   * @private
+   */
+  async runQuery(query) {
+    try {
+      const result = await this.api.runQuery(query);
+      this.stats.totalQueries++;
+      return result.data;
+    } catch (error) {
+      this.stats.failedRequests++;
       throw error;
     }
   }
@@ -272,111 +315,17 @@ class ActualBudgetClient extends BaseApiClient {
    * @returns {Promise<Array>} - Array of category objects
    */
   async getCategories(groupId = null) {
-    await this.ensureAuthenticated();
-    
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      // Try different possible API endpoints for categories
-      let response;
-      let success = false;
-      
-      // Try sync-based approach since other APIs don't work
-      response = await this.post('/sync/sync', {
-        fileId: this.budgetId,
-        groupId: null,
-        keyId: null,
-        since: null,
-        messages: [
-          {
-            dataset: 'categories',
-            row: null,
-            column: null,
-            value: null,
-            timestamp: Date.now()
-          }
-        ]
-      });
-      
-      if (response.statusCode !== 200 || typeof response.data === 'string') {
-        throw new Error('Sync-based categories request failed or returned HTML');
-      }
-      
-      this.logger.info('Categories API response:', {
-        statusCode: response.statusCode,
-        dataType: typeof response.data,
-        isArray: Array.isArray(response.data),
-        dataKeys: response.data ? Object.keys(response.data) : [],
-        fullData: response.data // Log the full response to see structure
-      });
-      
-      let categories = [];
-      
-      // Handle different possible response formats
-      if (Array.isArray(response.data)) {
-        categories = response.data;
-      } else if (response.data && typeof response.data === 'object') {
-        // Try to extract categories from nested structure
-        if (response.data.categories) {
-          categories = Array.isArray(response.data.categories) ? response.data.categories : [];
-        } else if (response.data.data) {
-          categories = Array.isArray(response.data.data) ? response.data.data : [];
-        } else {
-          // Convert object values to array if they look like categories
-          const values = Object.values(response.data);
-          if (values.length > 0 && values[0] && typeof values[0] === 'object') {
-            categories = values;
-          }
-        }
-      }
-      
-      // Ensure we have an array
-      if (!Array.isArray(categories)) {
-        this.logger.warn('Categories response is not an array, converting to empty array');
-        categories = [];
-      }
-
-      // Filter by group ID if specified
-      if (groupId && categories.length > 0) {
-        const originalLength = categories.length;
-        const originalCategories = [...categories]; // Keep original for logging
-        
-        // Log all categories to see their structure
-        this.logger.info('All categories before filtering:', originalCategories.map(cat => ({
-          id: cat.id,
-          name: cat.name,
-          cat_group: cat.cat_group,
-          categoryGroup: cat.categoryGroup,
-          group_id: cat.group_id,
-          groupId: cat.groupId,
-          allKeys: Object.keys(cat)
-        })));
-        
-        categories = categories.filter(category => 
-          category.group_id === groupId
-        );
-        
-        this.logger.info(`Filtered categories from ${originalLength} to ${categories.length} for group ${groupId}`);
-        
-        if (categories.length === 0) {
-          this.logger.warn(`No categories found for group ${groupId}. Available group IDs in categories:`, 
-            [...new Set(originalCategories.map(cat => cat.cat_group || cat.categoryGroup || cat.group_id || cat.groupId).filter(Boolean))]
-          );
-        }
-      }
+      const categories = (await this.api.getCategories())
+        .filter(category => category.group_id !== undefined)
+        .filter(category => !groupId || category.group_id === groupId);
 
       this.logger.info(`Retrieved ${categories.length} categories${groupId ? ` for group ${groupId}` : ''}`);
-      
-      if (categories.length > 0) {
-        this.logger.info('First category structure:', Object.keys(categories[0]));
-      } else {
-        this.logger.info('No categories found in response - this might be why no transactions are detected');
-      }
-      
       return categories;
     } catch (error) {
+      this.stats.failedRequests++;
       this.logger.error('Failed to get categories:', error.message);
       throw error;
     }
@@ -387,24 +336,15 @@ class ActualBudgetClient extends BaseApiClient {
    * @returns {Promise<Array>} - Array of category group objects
    */
   async getCategoryGroups() {
-    await this.ensureAuthenticated();
-    
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      const response = await this.post('/api/getCategoryGroups', {});
-      
-      if (response.statusCode !== 200 || typeof response.data === 'string') {
-        throw new Error('getCategoryGroups method failed or returned HTML');
-      }
-      
-      const groups = response.data || [];
-      
+      const groups = await this.api.getCategoryGroups();
+
       this.logger.info(`Retrieved ${groups.length} category groups`);
       return groups;
     } catch (error) {
+      this.stats.failedRequests++;
       this.logger.error('Failed to get category groups:', error.message);
       throw error;
     }
@@ -416,16 +356,43 @@ class ActualBudgetClient extends BaseApiClient {
    * @returns {Promise<Object|null>} - Category group object or null if not found
    */
   async findCategoryGroupByName(groupName) {
-    const groups = await this.getCategoryGroups();
-    const group = groups.find(g => g.name === groupName);
-    
-    if (group) {
-      this.logger.info(`Found category group "${groupName}" with ID: ${group.id}`);
-    } else {
-      this.logger.warn(`Category group "${groupName}" not found`);
-    }
-    
-    return group || null;
+    try {
+      const groups = await this.getCategoryGroups();
+      const group = groups.find(g => g.name === groupName);
+
+      if (group) {
+        this.logger.info(`Found category group "${groupName}" with ID: ${group.id}`);
+        return group;
+      } else {
+        this.logger.warn(`Category group "${groupName}" not found. Available groups: ${groups.map(g => g.name).join(', ')}`);
+        return null;
+      }
+    } catch (error) {
+      this.logger.error(`Failed to find category group "${groupName}":`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the business category group from the configured ID or name
+   * @param {string} groupId - Configured category group ID, used as is when set
+   * @param {string} groupName - Configured category group name, looked up when no ID is set
+   * @returns {Promise<string>} - Category group ID
+   * @throws {Error} If no group by that name exists
+   */
+  async resolveCategoryGroupId(groupId, groupName) {
+    if (groupId || !groupName) {
+      return groupId;
+    }
+
+    this.logger.info(`Looking up category group by name: ${groupName}`);
+    const categoryGroup = await this.findCategoryGroupByName(groupName);
+
+    if (!categoryGroup) {
+      throw new Error(`Category group not found: ${groupName}`);
+    }
+
+    return categoryGroup.id;
   }
 
   /**
@@ -433,139 +400,369 @@ class ActualBudgetClient extends BaseApiClient {
    * @returns {Promise<Array>} - Array of payee objects
    */
   async getPayees() {
-    await this.ensureAuthenticated();
-    
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      const response = await this.get('/api/payees');
-      const payees = response.data || [];
-      
+      const payees = await this.api.getPayees();
+
       this.logger.info(`Retrieved ${payees.length} payees`);
       return payees;
     } catch (error) {
+      this.stats.failedRequests++;
       this.logger.error('Failed to get payees:', error.message);
       throw error;
     }
   }
 
   /**
-   * Get reconciled transactions by category group
-   * @param {string} categoryGroupId - Category group ID to filter by
-   * @param {Date} since - Optional date to get transactions since
-   * @returns {Promise<Array>} - Array of reconciled transaction objects
+   * Get accounts for the loaded budget
+   * @returns {Promise<Array>} - Array of account objects ({ id, name, offbudget, closed })
    */
-  async getReconciledTransactions(categoryGroupId, since = null) {
-    await this.ensureAuthenticated();
-    
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+  async getAccounts() {
+    await this.ensureBudgetLoaded();
 
     try {
-      // First get all categories in the group to filter transactions
-      const categories = await this.getCategories(categoryGroupId);
-      const categoryIds = categories.map(cat => cat.id);
-      
-      if (categoryIds.length === 0) {
-        this.logger.warn(`No categories found for group ${categoryGroupId}`);
-        return [];
-      }
+      const accounts = await this.api.getAccounts();
+
+      this.logger.info(`Retrieved ${accounts.length} accounts`);
+      return accounts;
+    } catch (error) {
+      this.stats.failedRequests++;
+      this.logger.error('Failed to get accounts:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reconciled transactions for a category group
+   * @param {string} categoryGroupId - Category group ID
+   * @param {Date|string} since - Date to fetch transactions since
+   * @param {Date|string} until - Last transaction date to fetch (inclusive)
+   * @returns {Promise<Array>} - Array of reconciled transactions
+   */
+  async getReconciledTransactions(categoryGroupId, since = null, until = null) {
+    await this.ensureBudgetLoaded();
+
+    if (!categoryGroupId) {
+      throw new Error('Category group ID is required');
+    }
 
-      // Build query parameters
-      const queryParams = {
-        'filter[reconciled]': true
+    try {
+      const sinceDate = since instanceof Date ? since.toISOString().split('T')[0] : since;
+      const untilDate = until instanceof Date ? until.toISOString().split('T')[0] : until;
+      this.logger.info(`Fetching reconciled transactions for category group ${categoryGroupId}${sinceDate ? ` since ${sinceDate}` : ''}${untilDate ? ` until ${untilDate}` : ''}`);
+
+      const filter = {
+        'category.group': categoryGroupId,
+        ...(this.includeCleared
+          ? { $or: [{ cleared: true }, { reconciled: true }] }
+          : { reconciled: true })
       };
 
-      // Add date filter if specified
-      if (since) {
-        const sinceDate = since instanceof Date ? since.toISOString().split('T')[0] : since;
-        queryParams['filter[date]'] = `>=${sinceDate}`;
+      if (sinceDate || untilDate) {
+        filter.date = {
+          ...(sinceDate ? { $gte: sinceDate } : {}),
+          ...(untilDate ? { $lte: untilDate } : {})
+        };
       }
 
-      const response = await this.get('/api/transactions', { queryParams });
-      let transactions = response.data || [];
-
-      // Filter transactions by category group
-      transactions = transactions.filter(transaction => 
-        categoryIds.includes(transaction.category)
-      );
+      // Split children carry the categories, so query them inline rather than their parents
+      const query = this.api.q('transactions')
+        .filter(filter)
+        .options({ splits: 'inline' })
+        .select([
+          '*',
+          { category_name: 'category.name' },
+          { payee_name: 'payee.name' },
+          { account_name: 'account.name' }
+        ])
+        .orderBy({ date: 'asc' });
+
+      const rows = (await this.runQuery(query)).map(transaction => ({
+        ...transaction,
+        imported_description: transaction.imported_payee || null
+      }));
+
+      const transactions = await this.collapseSplitTransactions(rows);
 
       this.logger.info(`Retrieved ${transactions.length} reconciled transactions for category group ${categoryGroupId}`);
       return transactions;
     } catch (error) {
-      this.logger.error('Failed to get reconciled transactions:', error.message);
+      this.logger.error(`Failed to get reconciled transactions for group ${categoryGroupId}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Update transaction notes with sync status tags
-   * @param {string} transactionId - Transaction ID to update
-   * @param {string} newTags - Tags to add to the transaction notes
-   * @returns {Promise<boolean>} - Success status
+   * Get reconciled transfers between the given accounts
+   *
+   * Actual records a transfer as two linked transactions (transfer_id points at
+   * the other leg). Only the outgoing leg is returned, with the receiving account
+   * attached, so each transfer comes back once. Transfers to accounts outside
+   * the list are left out.
+   * @param {string[]} accountIds - Actual Budget account IDs on both sides of the transfer
+   * @param {Date|string} since - Earliest transaction date (inclusive)
+   * @param {Date|string} until - Latest transaction date (inclusive)
+   * @returns {Promise<Array>} - Outgoing transfer legs with is_transfer, transfer_account and transfer_account_name
    */
-  async updateTransactionNotes(transactionId, newTags) {
-    await this.ensureAuthenticated();
-    
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
+  async getReconciledTransfers(accountIds = [], since = null, until = null) {
+    await this.ensureBudgetLoaded();
+
+    if (accountIds.length < 2) {
+      return [];
     }
 
     try {
-      // First get the current transaction to preserve existing notes
-      const currentTransaction = await this.getTransaction(transactionId);
-      if (!currentTransaction) {
-        throw new Error(`Transaction ${transactionId} not found`);
-      }
+      const sinceDate = since instanceof Date ? since.toISOString().split('T')[0] : since;
+      const untilDate = until instanceof Date ? until.toISOString().split('T')[0] : until;
+
+      const filter = {
+        account: { $oneof: accountIds },
+        transfer_id: { $ne: null },
+        amount: { $lt: 0 },
+        ...(this.includeCleared
+          ? { $or: [{ cleared: true }, { reconciled: true }] }
+          : { reconciled: true })
+      };
 
-      // Append new tags to existing notes
-      const existingNotes = currentTransaction.notes || '';
-      const updatedNotes = this.appendTags(existingNotes, newTags);
+      if (sinceDate || untilDate) {
+        filter.date = {
+          ...(sinceDate ? { $gte: sinceDate } : {}),
+          ...(untilDate ? { $lte: untilDate } : {})
+        };
+      }
 
-      // Update the transaction
-      const response = await this.patch(`/api/transactions/${transactionId}`, {
-        notes: updatedNotes
-      });
+      const legs = await this.runQuery(this.api.q('transactions')
+        .filter(filter)
+        .select([
+          '*',
+          { payee_name: 'payee.name' },
+          { account_name: 'account.name' }
+        ])
+        .orderBy({ date: 'asc' }));
 
-      if (response.statusCode === 200) {
-        this.logger.info(`Successfully updated notes for transaction ${transactionId}`);
-        return true;
-      } else {
-        throw new Error(`Failed to update transaction notes: ${response.statusMessage}`);
+      if (legs.length === 0) {
+        return [];
       }
+
+      const counterparts = await this.runQuery(this.api.q('transactions')
+        .filter({ id: { $oneof: legs.map(leg => leg.transfer_id) } })
+        .select(['id', 'account', { account_name: 'account.name' }]));
+      const counterpartById = new Map(counterparts.map(counterpart => [counterpart.id, counterpart]));
+
+      const transfers = legs
+        .filter(leg => accountIds.includes(counterpartById.get(leg.transfer_id)?.account))
+        .map(leg => {
+          const counterpart = counterpartById.get(leg.transfer_id);
+          return {
+            ...leg,
+            imported_description: leg.imported_payee || null,
+            is_transfer: true,
+            transfer_account: counterpart.account,
+            transfer_account_name: counterpart.account_name
+          };
+        });
+
+      this.logger.info(`Retrieved ${transfers.length} reconciled transfers between ${accountIds.length} accounts`);
+      return transfers;
     } catch (error) {
-      this.logger.error(`Failed to update transaction notes for ${transactionId}:`, error.message);
+      this.logger.error('Failed to get reconciled transfers:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get the current state of specific transactions in a category group
+   *
+   * Unlike getReconciledTransactions this ignores the cleared/reconciled flags
+   * and dates, so edits to transactions that were already synced are picked up.
+   * Split transactions are matched by their parent ID and collapsed the same way.
+   * @param {string} categoryGroupId - Category group ID
+   * @param {string[]} transactionIds - Actual Budget transaction IDs (split parents for splits)
+   * @returns {Promise<Array>} - Transactions still in the category group; deleted or moved ones are left out
+   */
+  async getTransactionsByIds(categoryGroupId, transactionIds = []) {
+    await this.ensureBudgetLoaded();
+
+    if (!categoryGroupId) {
+      throw new Error('Category group ID is required');
+    }
+
+    if (transactionIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const query = this.api.q('transactions')
+        .filter({
+          'category.group': categoryGroupId,
+          $or: [{ id: { $oneof: transactionIds } }, { parent_id: { $oneof: transactionIds } }]
+        })
+        .options({ splits: 'inline' })
+        .select([
+          '*',
+          { category_name: 'category.name' },
+          { payee_name: 'payee.name' },
+          { account_name: 'account.name' }
+        ]);
+
+      const rows = (await this.runQuery(query)).map(transaction => ({
+        ...transaction,
+        imported_description: transaction.imported_payee || null
+      }));
+
+      return await this.collapseSplitTransactions(rows);
+    } catch (error) {
+      this.logger.error(`Failed to get ${transactionIds.length} transactions for group ${categoryGroupId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Collapse split children into their parent transaction
+   *
+   * The query returns split children individually (they carry the categories).
+   * Children of the same parent are replaced by one parent transaction with
+   * `is_split` set and the matching children in `subtransactions`, so a split
+   * receipt becomes a single Xero entry. The parent amount is checked against
+   * the sum of all its children; a mismatch is reported in `split_error`.
+   * @param {Array} rows - Transactions from the reconciled-transactions query
+   * @returns {Promise<Array>} - Transactions with splits collapsed
+   */
+  async collapseSplitTransactions(rows) {
+    const childRows = rows.filter(row => row.is_child && row.parent_id);
+    const parentIds = [...new Set(childRows.map(row => row.parent_id))];
+
+    if (parentIds.length === 0) {
+      return rows;
+    }
+
+    // Load each parent together with every child, including children outside the category group
+    const splitRows = await this.runQuery(
+      this.api.q('transactions')
+        .filter({ $or: [{ id: { $oneof: parentIds } }, { parent_id: { $oneof: parentIds } }] })
+        .options({ splits: 'all' })
+        .select(['*', { payee_name: 'payee.name' }, { account_name: 'account.name' }])
+    );
+
+    const parents = new Map(splitRows.filter(row => row.is_parent).map(row => [row.id, row]));
+    const allChildren = new Map(parentIds.map(id => [id, splitRows.filter(row => row.parent_id === id)]));
+
+    const transactions = [];
+    const collapsed = new Map();
+
+    for (const row of rows) {
+      if (!row.is_child || !row.parent_id) {
+        transactions.push(row);
+        continue;
+      }
+
+      let split = collapsed.get(row.parent_id);
+      if (!split) {
+        const parent = parents.get(row.parent_id) || {};
+        const childrenTotal = allChildren.get(row.parent_id).reduce((sum, child) => sum + child.amount, 0);
+
+        split = {
+          ...parent,
+          id: row.parent_id,
+          date: parent.date || row.date,
+          payee: parent.payee || row.payee,
+          payee_name: parent.payee_name || row.payee_name,
+          account: parent.account || row.account,
+          account_name: parent.account_name || row.account_name,
+          notes: parent.notes || null,
+          imported_description: parent.imported_payee || null,
+          category: null,
+          category_name: null,
+          amount: 0,
+          is_split: true,
+          split_total: parent.amount,
+          subtransactions: [],
+          split_error: null
+        };
+
+        if (parent.amount === undefined) {
+          split.split_error = `Parent transaction ${row.parent_id} not found`;
+        } else if (childrenTotal !== parent.amount) {
+          split.split_error = `Split amounts do not add up: parent ${parent.amount}, children ${childrenTotal}`;
+        }
+
+        collapsed.set(row.parent_id, split);
+        transactions.push(split);
+      }
+
+      split.subtransactions.push(row);
+      split.amount += row.amount;
+    }
+
+    this.logger.debug(`Collapsed ${collapsed.size} split transactions from ${childRows.length} child rows`);
+    return transactions;
+  }
+
   /**
    * Get a single transaction by ID
    * @param {string} transactionId - Transaction ID
    * @returns {Promise<Object|null>} - Transaction object or null if not found
    */
   async getTransaction(transactionId) {
-    await this.ensureAuthenticated();
-    
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
+    // Read from the already-synced copy; callers sync before and after changes
+    if (!this.loadedBudgetId || this.session.openBudgetId !== this.loadedBudgetId) {
+      await this.ensureBudgetLoaded();
     }
 
     try {
-      const response = await this.get(`/api/transactions/${transactionId}`);
-      return response.data || null;
+      const query = this.api.q('transactions')
+        .filter({ id: transactionId })
+        .options({ splits: 'all' })
+        .select('*');
+
+      const [transaction] = await this.runQuery(query);
+      return transaction || null;
     } catch (error) {
-      if (error.statusCode === 404) {
-        return null;
-      }
       this.logger.error(`Failed to get transaction ${transactionId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Update transaction notes with sync status tags
+   * @param {string} transactionId - Transaction ID to update
+   * @param {string} newTags - Tags to add to the transaction notes
+   * @returns {Promise<boolean>} - Success status
+   */
+  async updateTransactionNotes(transactionId, newTags) {
+    try {
+      // First get the current transaction to preserve existing notes
+      const currentTransaction = await this.getTransaction(transactionId);
+      if (!currentTransaction) {
+        throw new Error(`Transaction ${transactionId} not found`);
+      }
+
+      // Append new tags to existing notes
+      const existingNotes = currentTransaction.notes || '';
+      const updatedNotes = this.appendTags(existingNotes, newTags);
+
+      if (updatedNotes === existingNotes) {
+        this.logger.debug(`Transaction ${transactionId} already has tags: ${newTags}`);
+        return true;
+      }
+
+      await this.api.updateTransaction(transactionId, { notes: updatedNotes });
+      this.stats.totalUpdates++;
+
+      // Push the change to the server so it shows up in other Actual clients
+      await this.api.sync();
+      this.stats.lastSyncTime = new Date().toISOString();
+
+      this.logger.info(`Successfully updated notes for transaction ${transactionId}`);
+      return true;
+    } catch (error) {
+      this.stats.failedRequests++;
+      this.logger.error(`Failed to update transaction notes for ${transactionId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Append tags to existing notes without removing content
    * @param {string} existingNotes - Current transaction notes
@@ -579,7 +776,7 @@ class ActualBudgetClient extends BaseApiClient {
 
     // Clean up the new tags
     const cleanTags = newTags.trim();
-    
+
     // If no existing notes, just return the tags
     if (!existingNotes || existingNotes.trim() === '') {
       return cleanTags;
@@ -588,8 +785,8 @@ class ActualBudgetClient extends BaseApiClient {
     // Check if tags already exist to avoid duplicates
     const existingTagsLower = existingNotes.toLowerCase();
     const newTagsArray = cleanTags.split(' ').filter(tag => tag.startsWith('#'));
-    
-    const tagsToAdd = newTagsArray.filter(tag => 
+
+    const tagsToAdd = newTagsArray.filter(tag =>
       !existingTagsLower.includes(tag.toLowerCase())
     );
 
@@ -626,173 +823,49 @@ class ActualBudgetClient extends BaseApiClient {
    * @returns {Promise<boolean>} - Success status
    */
   async addPaidTag(transactionId, paidDate = new Date()) {
-    const dateString = paidDate instanceof Date 
-      ? paidDate.toISOString().split('T')[0] 
+    const dateString = paidDate instanceof Date
+      ? paidDate.toISOString().split('T')[0]
       : paidDate;
-    
+
     const tags = `#paid #${dateString}`;
     return this.updateTransactionNotes(transactionId, tags);
   }
 
   /**
-   * Find category group by name
-   * @param {string} groupName - Name of the category group to find
-   * @returns {Promise<Object|null>} - Category group object or null if not found
-   */
-  async findCategoryGroupByName(groupName) {
-    await this.ensureAuthenticated();
-    
-    // Auto-load the first available budget if none is loaded
-    if (!this.budgetId) {
-      await this.autoLoadBudget();
-    }
-
-    try {
-      const groups = await this.getCategoryGroups();
-      const group = groups.find(g => g.name === groupName);
-      
-      if (group) {
-        this.logger.info(`Found category group "${groupName}" with ID: ${group.id}`);
-        return group;
-      } else {
-        this.logger.warn(`Category group "${groupName}" not found. Available groups: ${groups.map(g => g.name).join(', ')}`);
-        return null;
-      }
-    } catch (error) {
-      this.logger.error(`Failed to find category group "${groupName}":`, error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Get reconciled transactions for a category group
-   * @param {string} categoryGroupId - Category group ID
-   * @param {Date} since - Date to fetch transactions since
-   * @returns {Promise<Array>} - Array of reconciled transactions
-   */
-  async getReconciledTransactions(categoryGroupId, since) {
-    await this.ensureAuthenticated();
-    
-    // Auto-load the first available budget if none is loaded
-    if (!this.budgetId) {
-      await this.autoLoadBudget();
-    }
-
-    try {
-      this.logger.info(`Fetching reconciled transactions for category group ${categoryGroupId} since ${since.toISOString()}`);
-
-      // Since API endpoints don't work, let's try a sync-based approach to get all data
-      this.logger.info('Attempting to get all budget data via sync mechanism');
-      
-      try {
-        // Try to get all budget data using sync
-        const syncResponse = await this.post('/sync/sync', {
-          fileId: this.budgetId,
-          groupId: null,
-          keyId: null,
-          since: 0, // Get all data
-          messages: []
-        });
-        
-        this.logger.info('Sync response received:', {
-          statusCode: syncResponse.statusCode,
-          dataType: typeof syncResponse.data,
-          hasData: !!syncResponse.data
-        });
-        
-        if (syncResponse.data && typeof syncResponse.data === 'object') {
-          // Look for transactions in the sync response
-          let allTransactions = [];
-          
-          if (syncResponse.data.transactions) {
-            allTransactions = syncResponse.data.transactions;
-          } else if (syncResponse.data.data && syncResponse.data.data.transactions) {
-            allTransactions = syncResponse.data.data.transactions;
-          } else if (Array.isArray(syncResponse.data)) {
-            allTransactions = syncResponse.data;
-          }
-          
-          this.logger.info(`Found ${allTransactions.length} total transactions in sync data`);
-          
-          // Filter for reconciled transactions since the date
-          const reconciledTransactions = allTransactions.filter(transaction => {
-            const transactionDate = new Date(transaction.date);
-            return transactionDate >= since && 
-                   (transaction.cleared === true || transaction.reconciled === true);
-          });
-          
-          this.logger.info(`Found ${reconciledTransactions.length} reconciled transactions since ${since.toISOString()}`);
-          
-          // For now, return all reconciled transactions (we'll add category filtering later)
-          if (reconciledTransactions.length > 0) {
-            this.logger.info('Sample transaction structure:', Object.keys(reconciledTransactions[0]));
-            return reconciledTransactions;
-          }
-        }
-      } catch (syncError) {
-        this.logger.error('Sync-based data retrieval failed:', syncError.message);
-      }
-      
-      this.logger.warn('No method worked to retrieve transactions - API may not be available');
-      return [];
-    } catch (error) {
-      this.logger.error(`Failed to get reconciled transactions for group ${categoryGroupId}:`, error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Auto-load the first available budget
-   * @returns {Promise<boolean>} - Success status
+   * Test connection to Actual Budget server
+   * @returns {Promise<boolean>} - Connection success
    */
-  async autoLoadBudget() {
+  async testConnection() {
     try {
-      this.logger.info('Auto-loading first available budget');
-      
       const budgets = await this.getBudgets();
-      
-      if (budgets.length === 0) {
-        throw new Error('No budgets available to load');
-      }
-
-      // Debug: Log budget structure
-      this.logger.debug('Available budgets:', budgets.map(b => ({
-        keys: Object.keys(b),
-        id: b.id || b.fileId || b.name,
-        name: b.name || b.fileName || 'Unknown'
-      })));
-
-      // Load the first budget - try different possible ID fields
-      const firstBudget = budgets[0];
-      const budgetId = firstBudget.id || firstBudget.fileId || firstBudget.name;
-      
-      if (!budgetId) {
-        throw new Error(`Cannot determine budget ID from budget object: ${JSON.stringify(firstBudget)}`);
-      }
-
-      await this.loadBudget(budgetId);
-      
-      this.logger.info(`Auto-loaded budget: ${firstBudget.name || firstBudget.fileName || budgetId}`);
+      this.logger.info(`Connection test successful. Found ${budgets.length} budgets.`);
       return true;
     } catch (error) {
-      this.logger.error('Failed to auto-load budget:', error.message);
-      throw error;
+      this.logger.error('Connection test failed:', error.message);
+      return false;
     }
   }
 
   /**
-   * Test connection to Actual Budget server
-   * @returns {Promise<boolean>} - Connection success
+   * Close the budget and disconnect from the server
+   *
+   * The connection is shared, so this disconnects every client on it.
+   * @returns {Promise<void>}
    */
-  async testConnection() {
+  async shutdown() {
+    if (!this.session.initialized) {
+      return;
+    }
+
     try {
-      await this.authenticate();
-      const budgets = await this.getBudgets();
-      this.logger.info(`Connection test successful. Found ${budgets.length} budgets.`);
-      return true;
+      await this.api.shutdown();
     } catch (error) {
-      this.logger.error('Connection test failed:', error.message);
-      return false;
+      this.logger.warn(`Failed to shut down Actual Budget API cleanly: ${error.message}`);
+    } finally {
+      this.session.initialized = false;
+      this.session.openBudgetId = null;
+      this.isInitialized = false;
+      this.loadedBudgetId = null;
     }
   }
 
@@ -802,12 +875,15 @@ class ActualBudgetClient extends BaseApiClient {
    */
   getStatus() {
     return {
-      isAuthenticated: this.isAuthenticated,
-      budgetId: this.budgetId,
+      isAuthenticated: this.isInitialized,
+      budgetId: this.loadedBudgetId || this.budgetId,
+      budgetLoaded: !!this.loadedBudgetId,
+      budgetOpen: !!this.loadedBudgetId && this.session.openBudgetId === this.loadedBudgetId,
+      encrypted: !!this.encryptionPassword,
       baseUrl: this.baseUrl,
-      stats: this.getStats()
+      stats: { ...this.stats }
     };
   }
 }
 
-module.exports = ActualBudgetClient;
\ No newline at end of file
+module.exports = ActualBudgetClient;
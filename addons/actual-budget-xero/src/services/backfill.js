@@ -0,0 +1,447 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const AtomicFileWriter = require('../utils/atomic-file-writer');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * BackfillService - Historical sync over an explicit date range
+ *
+ * Splits a from/until range into calendar-month chunks and syncs them oldest
+ * first, one sync run per chunk. The job is checkpointed to disk after every
+ * chunk, so a failed or interrupted backfill resumes at the first chunk that
+ * did not complete instead of starting over.
+ *
+ * Emits 'progress' events whenever a chunk starts or finishes.
+ */
+class BackfillService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || '/data', 'backfill-state.json');
+    this.runChunk = options.runChunk;
+    this.maxJobs = options.maxJobs || 20;
+    this.logger = options.logger || console;
+
+    this.jobs = [];
+    this.activeJobId = null;
+    this.loaded = false;
+
+    this.writer = new AtomicFileWriter(this.filePath);
+
+    this.validateDependencies();
+  }
+
+  /**
+   * Validate that all required dependencies are provided
+   * @throws {Error} If required dependencies are missing
+   */
+  validateDependencies() {
+    if (typeof this.runChunk !== 'function') {
+      throw new Error('runChunk function is required');
+    }
+  }
+
+  /**
+   * Load checkpointed jobs from disk
+   *
+   * Jobs that were running when the add-on stopped are marked interrupted so
+   * they can be resumed.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.jobs = Array.isArray(data.jobs) ? data.jobs : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load backfill state from ${this.filePath}: ${error.message}`);
+      }
+      this.jobs = [];
+    }
+
+    const interrupted = this.jobs.filter(job => job.status === 'running');
+    interrupted.forEach(job => {
+      job.status = 'interrupted';
+      job.chunks
+        .filter(chunk => chunk.status === 'running')
+        .forEach(chunk => {
+          chunk.status = 'pending';
+          chunk.sync_id = null;
+        });
+    });
+
+    if (interrupted.length > 0) {
+      this.logger.warn(`${interrupted.length} backfill job(s) were interrupted and can be resumed`);
+
+      try {
+        await this.persist();
+      } catch (error) {
+        // The jobs are marked interrupted again on the next start
+        this.logger.error(error.message);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Split a date range into calendar-month chunks
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} until - Last date (YYYY-MM-DD), inclusive
+   * @returns {Object[]} - Chunks ({ index, from, until }) oldest first
+   */
+  static buildMonthlyChunks(from, until) {
+    const chunks = [];
+    let chunkStart = new Date(`${from}T00:00:00.000Z`);
+    const end = new Date(`${until}T00:00:00.000Z`);
+
+    while (chunkStart <= end) {
+      const monthEnd = new Date(Date.UTC(chunkStart.getUTCFullYear(), chunkStart.getUTCMonth() + 1, 0));
+      const chunkEnd = monthEnd < end ? monthEnd : end;
+
+      chunks.push({
+        index: chunks.length,
+        from: chunkStart.toISOString().split('T')[0],
+        until: chunkEnd.toISOString().split('T')[0]
+      });
+
+      chunkStart = new Date(Date.UTC(chunkEnd.getUTCFullYear(), chunkEnd.getUTCMonth(), chunkEnd.getUTCDate() + 1));
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Validate a backfill date range
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} until - Last date (YYYY-MM-DD)
+   * @returns {string[]} - Validation errors (empty if valid)
+   */
+  static validateRange(from, until) {
+    const errors = [];
+    const today = new Date().toISOString().split('T')[0];
+
+    [['from', from], ['until', until]].forEach(([name, value]) => {
+      if (!value || !DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+        errors.push(`${name} must be a valid YYYY-MM-DD date`);
+      }
+    });
+
+    if (errors.length === 0) {
+      if (from > until) {
+        errors.push('from must not be after until');
+      }
+      if (until > today) {
+        errors.push('until must not be in the future');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Start a new backfill in the background
+   * @param {Object} options - Backfill options
+   * @param {string} options.from - First date (YYYY-MM-DD)
+   * @param {string} options.until - Last date (YYYY-MM-DD), inclusive
+   * @param {boolean} options.dryRun - Don't import to Xero
+   * @returns {Promise<Object>} - The new job
+   * @throws {Error} If the range is invalid or a backfill is already running
+   */
+  async start(options = {}) {
+    if (this.activeJobId) {
+      throw new Error(`Backfill ${this.activeJobId} is already running`);
+    }
+
+    const errors = BackfillService.validateRange(options.from, options.until);
+    if (errors.length > 0) {
+      throw new Error(`Invalid backfill range: ${errors.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: Date.now().toString(),
+      from: options.from,
+      until: options.until,
+      options: {
+        dryRun: !!options.dryRun
+      },
+      status: 'running',
+      chunks: BackfillService.buildMonthlyChunks(options.from, options.until).map(chunk => ({
+        ...chunk,
+        status: 'pending',
+        sync_id: null,
+        statistics: null,
+        error: null,
+        started_at: null,
+        completed_at: null
+      })),
+      created_at: now,
+      updated_at: now,
+      completed_at: null,
+      error: null
+    };
+
+    this.jobs.push(job);
+    if (this.jobs.length > this.maxJobs) {
+      this.jobs.splice(0, this.jobs.length - this.maxJobs);
+    }
+
+    this.logger.info(`Starting backfill ${job.id}: ${job.from} to ${job.until} in ${job.chunks.length} monthly chunk(s)`);
+    this.launch(job);
+
+    return this.summarizeJob(job);
+  }
+
+  /**
+   * Resume a failed or interrupted backfill from its first incomplete chunk
+   * @param {string} jobId - Backfill job ID
+   * @returns {Promise<Object>} - The resumed job
+   * @throws {Error} If the job is unknown, finished or another backfill is running
+   */
+  async resume(jobId) {
+    if (this.activeJobId) {
+      throw new Error(`Backfill ${this.activeJobId} is already running`);
+    }
+
+    const job = this.jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+      throw new Error(`Backfill ${jobId} not found`);
+    }
+    if (!['failed', 'interrupted'].includes(job.status)) {
+      throw new Error(`Backfill ${jobId} cannot be resumed (status: ${job.status})`);
+    }
+
+    job.status = 'running';
+    job.error = null;
+    job.completed_at = null;
+
+    const nextChunk = job.chunks.find(chunk => chunk.status !== 'completed');
+    this.logger.info(`Resuming backfill ${job.id} at chunk ${nextChunk.index + 1} of ${job.chunks.length} (${nextChunk.from})`);
+    this.launch(job);
+
+    return this.summarizeJob(job);
+  }
+
+  /**
+   * Run a job in the background
+   * @param {Object} job - Backfill job
+   */
+  launch(job) {
+    this.activeJobId = job.id;
+
+    this.runJob(job)
+      .catch(error => {
+        // Usually a checkpoint that could not be saved; stop rather than run chunks whose progress isn't recorded
+        this.failJob(job, error);
+      })
+      .finally(() => {
+        this.activeJobId = null;
+      });
+  }
+
+  /**
+   * Mark a job failed after an unexpected error, so it shows as resumable
+   * @param {Object} job - Backfill job
+   * @param {Error} error - What stopped the job
+   */
+  failJob(job, error) {
+    const now = new Date().toISOString();
+
+    job.chunks
+      .filter(chunk => chunk.status === 'running')
+      .forEach(chunk => {
+        chunk.status = 'failed';
+        chunk.error = error.message;
+        chunk.completed_at = now;
+      });
+
+    job.status = 'failed';
+    job.error = error.message;
+    job.completed_at = now;
+    job.updated_at = now;
+
+    this.logger.error(`Backfill ${job.id} failed: ${error.message}`);
+
+    // Saved if the disk has recovered; otherwise the job shows as interrupted after a restart
+    this.persist().catch(() => {});
+
+    try {
+      this.emit('progress', this.summarizeJob(job));
+    } catch (listenerError) {
+      this.logger.warn(`Backfill progress listener failed: ${listenerError.message}`);
+    }
+  }
+
+  /**
+   * Process the remaining chunks of a job in order, checkpointing after each
+   * @param {Object} job - Backfill job
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    await this.checkpoint(job);
+
+    for (const chunk of job.chunks) {
+      if (chunk.status === 'completed') {
+        continue;
+      }
+
+      chunk.status = 'running';
+      chunk.error = null;
+      chunk.started_at = new Date().toISOString();
+      chunk.sync_id = `${job.id}-${chunk.index + 1}`;
+      await this.checkpoint(job);
+
+      let result;
+      try {
+        result = await this.runChunk(chunk, job);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      chunk.completed_at = new Date().toISOString();
+      chunk.statistics = result.statistics || null;
+
+      if (!result.success) {
+        chunk.status = 'failed';
+        chunk.error = result.error || 'Unknown error';
+        job.status = 'failed';
+        job.error = `Chunk ${chunk.from} to ${chunk.until} failed: ${chunk.error}`;
+        job.completed_at = chunk.completed_at;
+        await this.checkpoint(job);
+
+        this.logger.error(`Backfill ${job.id} stopped: ${job.error}`);
+        return;
+      }
+
+      chunk.status = 'completed';
+      await this.checkpoint(job);
+      this.logger.info(`Backfill ${job.id}: chunk ${chunk.index + 1} of ${job.chunks.length} (${chunk.from} to ${chunk.until}) completed`);
+    }
+
+    job.status = 'completed';
+    job.completed_at = new Date().toISOString();
+    await this.checkpoint(job);
+
+    this.logger.info(`Backfill ${job.id} completed: ${job.from} to ${job.until}`);
+  }
+
+  /**
+   * Save a job's progress and notify listeners
+   * @param {Object} job - Backfill job
+   * @returns {Promise<void>}
+   */
+  async checkpoint(job) {
+    job.updated_at = new Date().toISOString();
+    await this.persist();
+
+    try {
+      this.emit('progress', this.summarizeJob(job));
+    } catch (error) {
+      // A faulty listener must never break the backfill itself
+      this.logger.warn(`Backfill progress listener failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Backfill job ID
+   * @returns {Object|null} - Job summary, or null if not found
+   */
+  getJob(jobId) {
+    const job = this.jobs.find(candidate => candidate.id === jobId);
+    return job ? this.summarizeJob(job) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @returns {Object[]} - Job summaries
+   */
+  listJobs() {
+    return this.jobs.slice().reverse().map(job => this.summarizeJob(job));
+  }
+
+  /**
+   * Check whether a backfill is running
+   * @returns {boolean} - True while a job is running
+   */
+  isRunning() {
+    return !!this.activeJobId;
+  }
+
+  /**
+   * Build the API view of a job with chunk counts and summed statistics
+   * @param {Object} job - Backfill job
+   * @returns {Object} - Job summary
+   */
+  summarizeJob(job) {
+    const completedChunks = job.chunks.filter(chunk => chunk.status === 'completed');
+    const currentChunk = job.chunks.find(chunk => chunk.status === 'running') || null;
+    const totals = {
+      totalProcessed: 0,
+      storedInXano: 0,
+      duplicatesSkipped: 0,
+      mappedTransactions: 0,
+      importedToXero: 0,
+      failedTransactions: 0
+    };
+
+    job.chunks.forEach(chunk => {
+      Object.keys(totals).forEach(key => {
+        totals[key] += (chunk.statistics && chunk.statistics[key]) || 0;
+      });
+    });
+
+    return {
+      id: job.id,
+      from: job.from,
+      until: job.until,
+      options: job.options,
+      status: job.status,
+      total_chunks: job.chunks.length,
+      completed_chunks: completedChunks.length,
+      current_chunk: currentChunk ? { ...currentChunk } : null,
+      resumable: ['failed', 'interrupted'].includes(job.status),
+      statistics: totals,
+      chunks: job.chunks.map(chunk => ({ ...chunk })),
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      completed_at: job.completed_at,
+      error: job.error
+    };
+  }
+
+  /**
+   * Write jobs to disk
+   * @returns {Promise<void>}
+   * @throws {Error} If the state file could not be written
+   */
+  async persist() {
+    const content = JSON.stringify({ version: 1, jobs: this.jobs });
+
+    try {
+      await this.writer.write(content);
+    } catch (error) {
+      throw new Error(`Failed to write backfill state to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get service status
+   * @returns {Object} - Service status
+   */
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      loaded: this.loaded,
+      running: this.isRunning(),
+      activeJobId: this.activeJobId,
+      jobs: this.jobs.length
+    };
+  }
+}
+
+module.exports = BackfillService;
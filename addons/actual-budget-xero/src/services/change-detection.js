@@ -0,0 +1,575 @@
+const { Transaction, TransactionStatus, XeroDocumentType } = require('../models/transaction');
+const MappingRuleEngine = require('./mapping-rules');
+const TrackingMapper = require('./tracking');
+const XeroRateLimiter = require('../utils/xero-rate-limiter');
+const { getAllTransactionsForReprocessing } = require('./storage');
+
+/**
+ * Fields compared when describing what changed in Actual Budget
+ */
+const TRACKED_FIELDS = [
+  'transaction_date',
+  'amount',
+  'description',
+  'actual_category_id',
+  'actual_payee_id',
+  'actual_account_id',
+  'split_lines'
+];
+
+/**
+ * ChangeDetectionService - Propagates Actual Budget edits and deletions to Xero
+ *
+ * Imported transactions are never synced again, so this service compares the
+ * fingerprint stored with each imported record against the transaction's
+ * current state in Actual Budget. Edited transactions are re-mapped and
+ * updated in Xero; deleted ones (or ones moved out of the business category
+ * group) are voided. Every propagated change, and every failed attempt, is
+ * appended to the record's change history in storage.
+ */
+class ChangeDetectionService {
+  constructor(options = {}) {
+    this.xanoClient = options.xanoClient;
+    this.xeroClient = options.xeroClient;
+    this.actualClient = options.actualClient;
+    this.logger = options.logger || console;
+    this.config = options.config || {};
+
+    // Mapping rules re-applied to edited transactions
+    this.mappingRules = new MappingRuleEngine({
+      rules: this.config.mapping_rules,
+      actualClient: this.actualClient,
+      xeroClient: this.xeroClient,
+      logger: this.logger
+    });
+
+    // Xero tracking options picked from notes tags or Actual categories
+    this.trackingMapper = new TrackingMapper({
+      mappings: this.config.tracking_mappings,
+      actualClient: this.actualClient,
+      xeroClient: this.xeroClient,
+      logger: this.logger
+    });
+
+    // Change detection statistics
+    this.stats = {
+      transactionsChecked: 0,
+      transactionsUnchanged: 0,
+      transactionsChanged: 0,
+      transactionsUpdated: 0,
+      transactionsVoided: 0,
+      transactionsFailed: 0,
+      transactionsDeferred: 0,
+      errors: []
+    };
+
+    // Progress callback for the current run
+    this.onProgress = null;
+
+    // Validate required dependencies
+    this.validateDependencies();
+  }
+
+  /**
+   * Validate that all required service dependencies are provided
+   * @throws {Error} If required dependencies are missing
+   */
+  validateDependencies() {
+    if (!this.xanoClient) {
+      throw new Error('XanoClient is required');
+    }
+    if (!this.xeroClient) {
+      throw new Error('XeroClient is required');
+    }
+    if (!this.actualClient) {
+      throw new Error('ActualBudgetClient is required');
+    }
+  }
+
+  /**
+   * Find imported transactions that changed in Actual Budget and propagate the changes to Xero
+   * @param {Object} options - Change detection options
+   * @param {number} options.limit - Imported transactions loaded per storage request; every one in the window is checked (default: 200)
+   * @param {number} options.daysBack - Only check transactions dated within this many days (default: 90)
+   * @param {boolean} options.dryRun - Report changes without updating Xero or storage (default: false)
+   * @param {Function} options.onProgress - Called with progress updates during the run
+   * @returns {Promise<Object>} - Change detection results
+   */
+  async propagateChanges(options = {}) {
+    const startTime = Date.now();
+    this.resetStats();
+    this.onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+
+    const runOptions = {
+      limit: options.limit || 200,
+      daysBack: options.daysBack || 90,
+      dryRun: options.dryRun || false
+    };
+    const changes = [];
+
+    try {
+      this.logger.info(`Starting change detection: limit=${runOptions.limit}, daysBack=${runOptions.daysBack}, dryRun=${runOptions.dryRun}`);
+
+      // Step 1: Load imported transactions
+      this.reportProgress('finding', 5, 'Finding imported transactions...');
+      const records = await this.findImportedTransactions(runOptions);
+
+      if (records.length === 0) {
+        this.logger.info('No imported transactions to check');
+        this.reportProgress('completed', 100, 'No imported transactions to check');
+        return this.getResults(startTime, runOptions, changes);
+      }
+
+      // Step 2: Compare against the current state in Actual Budget
+      this.reportProgress('comparing', 20, `Comparing ${records.length} transactions with Actual Budget...`);
+      changes.push(...await this.detectChanges(records));
+
+      this.stats.transactionsChanged = changes.length;
+      this.logger.info(`Change detection found ${changes.length} changed of ${records.length} imported transactions`);
+
+      if (runOptions.dryRun || changes.length === 0) {
+        const message = changes.length === 0 ? 'No changes found' : `Dry run: ${changes.length} change(s) not applied`;
+        this.reportProgress('completed', 100, message);
+        return this.getResults(startTime, runOptions, changes);
+      }
+
+      // Step 3: Re-map edited transactions and apply every change in Xero
+      await this.resolveMappings(changes.filter(change => change.type === 'updated'));
+
+      for (const [index, change] of changes.entries()) {
+        // Unapplied changes are found again next run, so stop rather than use up the daily quota
+        if (this.xeroClient.isDailyQuotaLow()) {
+          this.deferChanges(changes.slice(index));
+          break;
+        }
+
+        this.reportProgress(
+          'propagating',
+          40 + (index / changes.length) * 60,
+          `Propagating change ${index + 1} of ${changes.length} to Xero...`
+        );
+
+        await this.applyChange(change);
+
+        if (change.result === 'deferred') {
+          this.deferChanges(changes.slice(index + 1));
+          break;
+        }
+      }
+
+      const results = this.getResults(startTime, runOptions, changes);
+      this.logger.info(`Change detection completed: ${results.summary} in ${results.duration}ms`);
+      this.reportProgress('completed', 100, 'Change detection completed');
+
+      return results;
+
+    } catch (error) {
+      this.stats.errors.push({
+        type: 'CHANGE_DETECTION_ERROR',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      this.logger.error(`Change detection failed: ${error.message}`);
+      throw error;
+    } finally {
+      this.onProgress = null;
+    }
+  }
+
+  /**
+   * Report progress for the current run
+   * @param {string} stage - Current stage name
+   * @param {number} percentage - Overall completion percentage (0-100)
+   * @param {string} message - Human readable progress message
+   */
+  reportProgress(stage, percentage, message) {
+    if (!this.onProgress) {
+      return;
+    }
+
+    try {
+      this.onProgress({
+        stage,
+        percentage: Math.min(100, Math.round(percentage)),
+        message,
+        statistics: {
+          transactionsChecked: this.stats.transactionsChecked,
+          transactionsUnchanged: this.stats.transactionsUnchanged,
+          transactionsChanged: this.stats.transactionsChanged,
+          transactionsUpdated: this.stats.transactionsUpdated,
+          transactionsVoided: this.stats.transactionsVoided,
+          transactionsFailed: this.stats.transactionsFailed,
+          transactionsDeferred: this.stats.transactionsDeferred
+        }
+      });
+    } catch (error) {
+      this.logger.warn(`Change detection progress callback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load imported transactions within the checked date window
+   * @param {Object} options - Run options
+   * @returns {Promise<Array>} - Imported transactions that have a Xero transaction ID
+   */
+  async findImportedTransactions(options) {
+    const transactionSince = new Date(Date.now() - options.daysBack * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .split('T')[0];
+
+    const records = await getAllTransactionsForReprocessing(this.xanoClient, {
+      limit: options.limit,
+      statuses: [TransactionStatus.IMPORTED],
+      transactionSince
+    });
+
+    // Records imported before the Xero ID was tracked cannot be updated, the
+    // Xero API cannot edit or delete bank transfers, and a paid bill cannot be
+    // edited or voided until its payment is removed in Xero
+    const checkable = records.filter(record => record.xero_transaction_id && !record.is_transfer && record.xero_document_type !== XeroDocumentType.BILL);
+    this.stats.transactionsChecked = checkable.length;
+
+    this.logger.info(`Found ${records.length} imported transactions since ${transactionSince}, ${checkable.length} with a Xero transaction ID`);
+    return checkable;
+  }
+
+  /**
+   * Compare imported transactions with their current Actual Budget state
+   * @param {Array} records - Imported transaction records
+   * @returns {Promise<Array>} - Changes ({ type, record, current, changes })
+   */
+  async detectChanges(records) {
+    const groupId = await this.actualClient.resolveCategoryGroupId(
+      this.config.business_category_group_id,
+      this.config.business_category_group_name
+    );
+    const currentTransactions = await this.actualClient.getTransactionsByIds(
+      groupId,
+      records.map(record => record.actual_transaction_id)
+    );
+    const currentById = new Map(currentTransactions.map(transaction => [transaction.id, transaction]));
+
+    const changes = [];
+
+    for (const record of records) {
+      const transaction = currentById.get(record.actual_transaction_id);
+
+      if (!transaction) {
+        // Tell a deletion apart from a transaction that left the business category group
+        const existing = await this.actualClient.getTransaction(record.actual_transaction_id);
+        changes.push({
+          type: existing ? 'removed' : 'deleted',
+          record,
+          current: null,
+          changes: []
+        });
+        continue;
+      }
+
+      if (transaction.split_error) {
+        this.recordError('SPLIT_MISMATCH', `Skipped changed split: ${transaction.split_error}`, record);
+        continue;
+      }
+
+      // The add-on's own tags must not count as edits, nor end up in Xero
+      const current = this.xanoClient.formatTransactionForStorage({
+        ...transaction,
+        notes: Transaction.stripSyncTags(transaction.notes)
+      });
+      const storedFingerprint = record.actual_fingerprint || Transaction.fingerprint(record);
+
+      if (current.actual_fingerprint === storedFingerprint) {
+        this.stats.transactionsUnchanged++;
+        continue;
+      }
+
+      changes.push({
+        type: 'updated',
+        record,
+        current,
+        changes: this.describeChanges(record, current)
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * List the tracked fields that differ between a stored record and the current state
+   * @param {Object} record - Stored transaction record
+   * @param {Object} current - Current Actual Budget state in storage shape
+   * @returns {Object[]} - Changed fields ({ field, from, to })
+   */
+  describeChanges(record, current) {
+    const normalize = (field, value) => {
+      if (field === 'transaction_date') {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date.toISOString().split('T')[0];
+      }
+      if (field === 'amount') {
+        return Math.round(value * 100) / 100;
+      }
+      if (field === 'description') {
+        return Transaction.stripSyncTags(value);
+      }
+      if (field === 'split_lines') {
+        return Array.isArray(value)
+          ? value.map(line => ({ actual_category_id: line.actual_category_id || null, amount: Math.round(line.amount * 100) / 100 }))
+          : null;
+      }
+      return value || null;
+    };
+
+    return TRACKED_FIELDS
+      .map(field => ({ field, from: normalize(field, record[field]), to: normalize(field, current[field]) }))
+      .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+  }
+
+  /**
+   * Resolve Xero mappings for edited transactions from their current Actual state
+   * @param {Array} changes - Changes of type 'updated' (current is updated in place)
+   * @returns {Promise<void>}
+   */
+  async resolveMappings(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    const currents = changes.map(change => change.current);
+    const categoryIds = [...new Set(currents.flatMap(current => Transaction.getCategoryIds(current)))];
+    const payeeIds = [...new Set(currents.map(current => current.actual_payee_id).filter(id => id))];
+    const accountIds = [...new Set(currents.map(current => current.actual_account_id).filter(id => id))];
+
+    const mappings = await this.xanoClient.batchGetMappings(categoryIds, payeeIds, accountIds);
+
+    const categoryMappingMap = new Map(mappings.categoryMappings.map(mapping => [mapping.actual_category_id, mapping]));
+    const payeeMappingMap = new Map(mappings.payeeMappings.map(mapping => [mapping.actual_payee_id, mapping]));
+    const accountMappingMap = new Map((mappings.accountMappings || [])
+      .filter(mapping => mapping.is_active !== false)
+      .map(mapping => [mapping.actual_account_id, mapping]));
+
+    await this.mappingRules.prepare(currents);
+    await this.trackingMapper.prepare();
+
+    for (const change of changes) {
+      const current = change.current;
+      const categoryResult = Transaction.applyCategoryMappings(current, categoryMappingMap);
+      const payeeMapping = payeeMappingMap.get(current.actual_payee_id);
+      const ruleResult = this.mappingRules.applyWithMappings(current, categoryResult, payeeMapping);
+      const hasAccountMapping = Transaction.applyAccountMapping(current, accountMappingMap);
+
+      current.xero_contact_id = ruleResult.contactId || '';
+
+      const missingMappings = [];
+      if (!ruleResult.hasAccount) missingMappings.push('category');
+      if (!current.xero_contact_id) missingMappings.push('payee');
+      if (!hasAccountMapping) missingMappings.push('bank account');
+
+      change.missingMappings = missingMappings;
+      change.mappingError = ruleResult.error || this.trackingMapper.apply(current);
+    }
+  }
+
+  /**
+   * Apply one change in Xero and record it against the stored transaction
+   * @param {Object} change - Change from detectChanges
+   * @returns {Promise<void>}
+   */
+  async applyChange(change) {
+    const { record } = change;
+    const entry = {
+      type: change.type,
+      changes: change.changes,
+      xero_transaction_id: record.xero_transaction_id,
+      previous_fingerprint: record.actual_fingerprint || Transaction.fingerprint(record),
+      fingerprint: change.current ? change.current.actual_fingerprint : null,
+      detected_at: new Date().toISOString()
+    };
+
+    try {
+      let updates;
+
+      if (change.type === 'updated') {
+        if (change.mappingError) {
+          throw new Error(change.mappingError);
+        }
+        if (change.missingMappings.length > 0) {
+          throw new Error(`Missing ${change.missingMappings.join(' and ')} mapping(s) for the edited transaction`);
+        }
+
+        // Edits get the same formatting and checks as new imports
+        const xeroTransaction = Transaction.buildXeroBankTransaction(
+          change.current,
+          `Xano-${record.id}`,
+          Transaction.taxDefaultsFromConfig(this.config)
+        );
+        await this.xeroClient.assertValidTaxTypes(xeroTransaction);
+        await this.xeroClient.updateTransaction(record.xero_transaction_id, xeroTransaction);
+
+        updates = this.buildRecordUpdate(change.current);
+        this.stats.transactionsUpdated++;
+      } else {
+        await this.xeroClient.voidTransaction(record.xero_transaction_id);
+
+        updates = { status: TransactionStatus.VOIDED, error_message: null };
+        this.stats.transactionsVoided++;
+      }
+
+      change.result = 'applied';
+      await this.recordChange(record, { updates, entry: { ...entry, result: 'applied' } });
+
+      this.logger.info(`Propagated ${change.type} transaction ${record.actual_transaction_id} to Xero ${record.xero_transaction_id}`);
+
+    } catch (error) {
+      if (XeroRateLimiter.isDeferredError(error)) {
+        this.deferChanges([change]);
+        return;
+      }
+
+      this.stats.transactionsFailed++;
+      change.result = 'failed';
+      change.error = error.message;
+
+      this.recordError('CHANGE_PROPAGATION_ERROR', error.message, record);
+
+      // Left as imported, so the next run tries again
+      await this.recordChange(record, {
+        updates: { error_message: `Change not propagated to Xero: ${error.message}` },
+        entry: { ...entry, result: 'failed', error: error.message }
+      });
+    }
+  }
+
+  /**
+   * Leave changes for the next run because of the Xero rate limit
+   * @param {Array} changes - Changes not applied
+   */
+  deferChanges(changes) {
+    changes.forEach(change => {
+      change.result = 'deferred';
+    });
+    this.stats.transactionsDeferred += changes.length;
+
+    if (changes.length > 0) {
+      this.logger.warn(`Xero daily API quota is nearly used up: ${changes.length} change(s) deferred to the next run`);
+    }
+  }
+
+  /**
+   * Record a change against the stored transaction without failing the run
+   * @param {Object} record - Stored transaction record
+   * @param {Object} change - { updates, entry } for recordTransactionChange
+   * @returns {Promise<void>}
+   */
+  async recordChange(record, change) {
+    try {
+      await this.xanoClient.recordTransactionChange(record.id, change);
+    } catch (error) {
+      this.logger.warn(`Failed to record change for transaction ${record.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the stored fields for an edited transaction
+   * @param {Object} current - Current Actual Budget state with resolved mappings
+   * @returns {Object} - Transaction fields
+   */
+  buildRecordUpdate(current) {
+    return {
+      transaction_date: current.transaction_date,
+      amount: current.amount,
+      description: current.description,
+      actual_category_id: current.actual_category_id,
+      actual_payee_id: current.actual_payee_id,
+      actual_account_id: current.actual_account_id,
+      is_split: current.is_split,
+      split_lines: current.split_lines,
+      xero_account_id: current.xero_account_id,
+      xero_contact_id: current.xero_contact_id,
+      xero_bank_account_id: current.xero_bank_account_id,
+      actual_fingerprint: current.actual_fingerprint,
+      error_message: null
+    };
+  }
+
+  /**
+   * Add an error to the run statistics
+   * @param {string} type - Error type
+   * @param {string} message - Error message
+   * @param {Object} record - Stored transaction record
+   */
+  recordError(type, message, record) {
+    this.stats.errors.push({
+      type,
+      message,
+      transaction_id: record.actual_transaction_id,
+      xano_id: record.id,
+      timestamp: new Date().toISOString()
+    });
+
+    this.logger.error(`Change detection for transaction ${record.id}: ${message}`);
+  }
+
+  /**
+   * Get change detection results
+   * @param {number} startTime - Run start time
+   * @param {Object} options - Run options
+   * @param {Array} changes - Detected changes
+   * @returns {Object} - Results summary
+   */
+  getResults(startTime, options, changes) {
+    return {
+      success: this.stats.errors.length === 0,
+      timestamp: new Date().toISOString(),
+      duration: Date.now() - startTime,
+      options,
+      statistics: { ...this.stats },
+      summary: `Checked ${this.stats.transactionsChecked} imported transactions, ${this.stats.transactionsChanged} changed, updated ${this.stats.transactionsUpdated}, voided ${this.stats.transactionsVoided}, failed ${this.stats.transactionsFailed}, deferred ${this.stats.transactionsDeferred}`,
+      changes: changes.map(change => ({
+        type: change.type,
+        xano_id: change.record.id,
+        actual_transaction_id: change.record.actual_transaction_id,
+        xero_transaction_id: change.record.xero_transaction_id,
+        changes: change.changes,
+        result: change.result || (options.dryRun ? 'dry_run' : null),
+        error: change.error || null
+      })),
+      errors: this.stats.errors
+    };
+  }
+
+  /**
+   * Reset statistics for a new run
+   */
+  resetStats() {
+    this.stats = {
+      transactionsChecked: 0,
+      transactionsUnchanged: 0,
+      transactionsChanged: 0,
+      transactionsUpdated: 0,
+      transactionsVoided: 0,
+      transactionsFailed: 0,
+      transactionsDeferred: 0,
+      errors: []
+    };
+  }
+
+  /**
+   * Get change detection service status
+   * @returns {Object} - Service status and statistics
+   */
+  getStatus() {
+    return {
+      service: 'ChangeDetectionService',
+      statistics: { ...this.stats },
+      dependencies: {
+        xanoClient: !!this.xanoClient,
+        xeroClient: !!this.xeroClient,
+        actualClient: !!this.actualClient
+      }
+    };
+  }
+}
+
+module.exports = ChangeDetectionService;
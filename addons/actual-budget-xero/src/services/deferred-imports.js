@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AtomicFileWriter = require('../utils/atomic-file-writer');
+
+/**
+ * DeferredImportStore - Transactions left for the next run by the Xero rate limit
+ *
+ * When Xero's daily quota is nearly used up, a sync stops importing and records
+ * the stored transactions it did not get to here. The next sync imports them
+ * first, before any new work.
+ */
+class DeferredImportStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || '/data', 'deferred-imports.json');
+    this.logger = options.logger || console;
+
+    this.entries = [];
+    this.loaded = false;
+
+    this.writer = new AtomicFileWriter(this.filePath);
+  }
+
+  /**
+   * Load deferred transactions from disk
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.entries = Array.isArray(data.entries) ? data.entries : [];
+
+      if (this.entries.length > 0) {
+        this.logger.info(`${this.entries.length} Xero import(s) were deferred by an earlier run`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load deferred imports from ${this.filePath}: ${error.message}`);
+      }
+      this.entries = [];
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Get the storage IDs of deferred transactions, oldest first
+   * @returns {Array} - Storage transaction IDs
+   */
+  getIds() {
+    return this.entries.map(entry => entry.xano_id);
+  }
+
+  /**
+   * Record transactions left for the next run
+   * @param {Array} ids - Storage transaction IDs
+   * @param {string} reason - Why they were deferred
+   * @returns {Promise<void>}
+   */
+  async add(ids, reason) {
+    const known = new Set(this.getIds().map(String));
+    const now = new Date().toISOString();
+
+    ids
+      .filter(id => !known.has(String(id)))
+      .forEach(id => {
+        this.entries.push({ xano_id: id, deferred_at: now, reason });
+      });
+
+    await this.persist();
+  }
+
+  /**
+   * Forget transactions that were imported, failed or no longer need importing
+   * @param {Array} ids - Storage transaction IDs
+   * @returns {Promise<void>}
+   */
+  async remove(ids) {
+    const removed = new Set(ids.map(String));
+    const remaining = this.entries.filter(entry => !removed.has(String(entry.xano_id)));
+
+    if (remaining.length === this.entries.length) {
+      return;
+    }
+
+    this.entries = remaining;
+    await this.persist();
+  }
+
+  /**
+   * Write deferred transactions to disk
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const content = JSON.stringify({ version: 1, entries: this.entries });
+
+    return this.writer.write(content).catch(error => {
+      this.logger.error(`Failed to write deferred imports to ${this.filePath}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Get store status
+   * @returns {Object} - Store status
+   */
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      loaded: this.loaded,
+      count: this.entries.length,
+      oldest: this.entries.length > 0 ? this.entries[0].deferred_at : null
+    };
+  }
+}
+
+module.exports = DeferredImportStore;
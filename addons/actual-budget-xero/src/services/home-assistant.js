@@ -3,14 +3,24 @@ const logger = require('../utils/logger');
 /**
  * Home Assistant integration service for Actual-Xero Sync
  * Provides service calls, entities, and automation triggers
+ *
+ * With named sync profiles there is one service per profile, and the profile
+ * name is part of its entity IDs (sensor.actual_xero_sync_<profile>_sync_status).
  */
 class HomeAssistantService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.profile - Sync profile name; omitted for the single default profile
+   */
+  constructor(options = {}) {
+    this.profile = options.profile || null;
     this.entities = new Map();
     this.lastSyncTime = null;
     this.syncStatus = 'idle';
     this.lastError = null;
     this.syncCount = 0;
+    this.nextSyncTime = null;
+    this.schedule = null;
   }
 
   /**
@@ -41,6 +51,12 @@ class HomeAssistantService {
       icon: 'mdi:alert-circle-outline'
     });
     
+    this.updateEntity('next_sync', null, {
+      friendly_name: 'Next Scheduled Sync',
+      icon: 'mdi:calendar-clock',
+      device_class: 'timestamp'
+    });
+    
     logger.info('Home Assistant entities initialized');
   }
 
@@ -48,11 +64,18 @@ class HomeAssistantService {
    * Update an entity state
    */
   updateEntity(entityId, state, attributes = {}) {
+    // Entity IDs only allow lowercase letters, digits and underscores
+    const prefix = this.profile ? `${this.profile.replace(/-/g, '_')}_` : '';
+    
     const entity = {
-      entity_id: `sensor.actual_xero_sync_${entityId}`,
+      entity_id: `sensor.actual_xero_sync_${prefix}${entityId}`,
       state: state,
       attributes: {
         ...attributes,
+        ...(this.profile && {
+          friendly_name: `${attributes.friendly_name} (${this.profile})`,
+          profile: this.profile
+        }),
         last_updated: new Date().toISOString()
       }
     };
@@ -72,9 +95,17 @@ class HomeAssistantService {
 
   /**
    * Handle manual sync trigger from Home Assistant
+   * @param {string} source - Source of the trigger
+   * @param {Object} syncOptions - Options passed through to SyncService.executeSync
    */
-  async handleSyncTrigger(source = 'home_assistant') {
-    logger.info(`Manual sync triggered from ${source}`);
+  async handleSyncTrigger(source = 'home_assistant', syncOptions = {}) {
+    logger.info(`Manual sync triggered from ${source}${this.profile ? ` for profile ${this.profile}` : ''}`);
+    
+    // Never run two syncs at once (e.g. a manual trigger during a scheduled run)
+    if (this.syncStatus === 'running') {
+      logger.warn(`Sync trigger from ${source} ignored: a sync is already in progress`);
+      return { success: false, error: 'A sync is already in progress' };
+    }
     
     try {
       this.updateSyncStatus('running');
@@ -88,17 +119,19 @@ class HomeAssistantService {
       
       // Execute the actual sync with progress reporting
       const startTime = Date.now();
-      const syncResult = await syncService.executeSync();
+      const syncResult = await syncService.executeSync(syncOptions);
       const duration = `${Math.round((Date.now() - startTime) / 1000)}s`;
       
       // Extract detailed statistics from sync result
       const stats = syncResult.statistics || {};
       const totalProcessed = stats.transactionsFetched || 0;
+      const filteredTransactions = stats.transactionsFiltered || 0;
       const storedInXano = stats.transactionsStored || 0;
       const duplicatesSkipped = stats.duplicatesSkipped || 0;
       const mappedTransactions = stats.transactionsMapped || 0;
       const importedToXero = stats.transactionsImported || 0;
       const failedTransactions = stats.transactionsFailed || 0;
+      const deferredTransactions = stats.transactionsDeferred || 0;
       
       this.updateSyncStatus('completed');
       this.updateLastSync(new Date());
@@ -110,11 +143,13 @@ class HomeAssistantService {
         source,
         duration,
         transactions_processed: totalProcessed,
+        transactions_filtered: filteredTransactions,
         transactions_stored_xano: storedInXano,
         duplicates_skipped: duplicatesSkipped,
         transactions_mapped: mappedTransactions,
         transactions_imported_xero: importedToXero,
         transactions_failed: failedTransactions,
+        transactions_deferred: deferredTransactions,
         success_rate: totalProcessed > 0 ? Math.round((storedInXano / totalProcessed) * 100) : 0
       });
       
@@ -123,6 +158,9 @@ class HomeAssistantService {
       if (totalProcessed > 0) {
         summaryParts.push(`${totalProcessed} transactions fetched`);
       }
+      if (filteredTransactions > 0) {
+        summaryParts.push(`${filteredTransactions} skipped by filters`);
+      }
       if (storedInXano > 0) {
         summaryParts.push(`${storedInXano} stored in Xano`);
       }
@@ -138,6 +176,9 @@ class HomeAssistantService {
       if (failedTransactions > 0) {
         summaryParts.push(`${failedTransactions} failed`);
       }
+      if (deferredTransactions > 0) {
+        summaryParts.push(`${deferredTransactions} deferred to the next run`);
+      }
       
       const summaryMessage = summaryParts.length > 0 
         ? `Sync completed: ${summaryParts.join(', ')}`
@@ -154,11 +195,13 @@ class HomeAssistantService {
         result: syncResult,
         statistics: {
           totalProcessed,
+          filteredTransactions,
           storedInXano,
           duplicatesSkipped,
           mappedTransactions,
           importedToXero,
           failedTransactions,
+          deferredTransactions,
           duration
         }
       };
@@ -241,6 +284,25 @@ class HomeAssistantService {
     });
   }
 
+  /**
+   * Update next scheduled sync entity from scheduler status
+   */
+  updateSchedule(scheduleStatus) {
+    this.nextSyncTime = scheduleStatus.nextRun;
+    this.schedule = scheduleStatus.schedule;
+    
+    this.updateEntity('next_sync', scheduleStatus.nextRun, {
+      friendly_name: 'Next Scheduled Sync',
+      icon: 'mdi:calendar-clock',
+      device_class: 'timestamp',
+      schedule: scheduleStatus.schedule,
+      enabled: scheduleStatus.enabled,
+      last_scheduled_run: scheduleStatus.lastRun,
+      last_scheduled_run_status: scheduleStatus.lastRunStatus,
+      skipped_runs: scheduleStatus.skippedCount
+    });
+  }
+
   /**
    * Get status icon based on current status
    */
@@ -263,6 +325,7 @@ class HomeAssistantService {
       event_type: `actual_xero_sync_${eventType}`,
       event_data: {
         ...data,
+        ...(this.profile && { profile: this.profile }),
         timestamp: new Date().toISOString()
       }
     };
@@ -276,10 +339,13 @@ class HomeAssistantService {
    */
   getStatus() {
     return {
+      profile: this.profile,
       status: this.syncStatus,
       last_sync: this.lastSyncTime,
       sync_count: this.syncCount,
       last_error: this.lastError,
+      next_sync: this.nextSyncTime,
+      schedule: this.schedule,
       entities: this.getEntities()
     };
   }
@@ -311,6 +377,10 @@ class HomeAssistantService {
           source: {
             description: 'Source of the sync trigger',
             example: 'automation'
+          },
+          profile: {
+            description: 'Sync profile to run (defaults to the first profile)',
+            example: 'cafe'
           }
         }
       },
@@ -0,0 +1,1127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Transaction } = require('../models/transaction');
+const AtomicFileWriter = require('../utils/atomic-file-writer');
+
+/**
+ * LocalStore - Embedded file-based storage backend
+ *
+ * Implements the same storage interface as XanoClient (see services/storage.js)
+ * against a JSON file in the add-on data directory, so the add-on can run fully
+ * self-hosted without a Xano account or its request-per-minute limit.
+ * Records keep the Xano field names, and the numeric `id` plays the part of the
+ * Xano ID everywhere else in the add-on.
+ */
+class LocalStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || '/data', 'local-store.json');
+    this.logger = options.logger || console;
+
+    this.data = null;
+    this.loadPromise = null;
+
+    this.writer = new AtomicFileWriter(this.filePath);
+
+    // Same counters XanoClient reports, so status output looks alike
+    this.storeStats = {
+      transactionsStored: 0,
+      duplicatesSkipped: 0,
+      mappingsRetrieved: 0,
+      batchOperations: 0
+    };
+  }
+
+  /**
+   * Load the store from disk once
+   * @returns {Promise<Object>} - Store data
+   */
+  async ensureLoaded() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          const data = JSON.parse(content);
+          this.data = {
+            nextId: data.nextId || 1,
+            transactions: Array.isArray(data.transactions) ? data.transactions : [],
+            categoryMappings: Array.isArray(data.categoryMappings) ? data.categoryMappings : [],
+            payeeMappings: Array.isArray(data.payeeMappings) ? data.payeeMappings : [],
+            accountMappings: Array.isArray(data.accountMappings) ? data.accountMappings : []
+          };
+          this.logger.info(`Loaded local store with ${this.data.transactions.length} transactions`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            // Never start over on top of a file we could not read
+            this.loadPromise = null;
+            throw this.createStoreError('STORE_LOAD_FAILED', error, { filePath: this.filePath });
+          }
+          this.data = { nextId: 1, transactions: [], categoryMappings: [], payeeMappings: [], accountMappings: [] };
+        }
+        return this.data;
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Store transaction with duplicate prevention
+   * @param {Object} transaction - Transaction data from Actual Budget
+   * @returns {Promise<Object>} - Stored (or existing) transaction with its ID
+   */
+  async storeTransaction(transaction) {
+    try {
+      const { stored, duplicates } = await this.insertTransactions([transaction]);
+
+      if (stored.length > 0) {
+        this.logger.info(`Transaction stored locally: ${transaction.id} -> ID ${stored[0].id}`);
+        return stored[0];
+      }
+
+      this.logger.debug(`Duplicate transaction skipped: ${transaction.id} (existing ID: ${duplicates[0].id})`);
+      return duplicates[0];
+    } catch (error) {
+      this.logger.error(`Failed to store transaction ${transaction.id}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_STORE_FAILED', error, { transaction });
+    }
+  }
+
+  /**
+   * Bulk store multiple transactions
+   * @param {Object[]} transactions - Array of transactions from Actual Budget
+   * @returns {Promise<Object>} - Results with stored transactions and duplicates
+   */
+  async bulkStoreTransactions(transactions) {
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+      return { stored: [], duplicates: [], errors: [] };
+    }
+
+    try {
+      const result = await this.insertTransactions(transactions);
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk stored ${result.stored.length} transactions, skipped ${result.duplicates.length} duplicates, ${result.errors.length} errors`);
+
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk store transactions: ${error.message}`);
+      throw this.createStoreError('BULK_STORE_FAILED', error, { transactionCount: transactions.length });
+    }
+  }
+
+  /**
+   * Insert transactions that are not stored yet, keyed on the Actual transaction ID
+   * @param {Object[]} transactions - Array of transactions from Actual Budget
+   * @returns {Promise<Object>} - { stored, duplicates, errors }
+   */
+  async insertTransactions(transactions) {
+    const data = await this.ensureLoaded();
+    const existingById = new Map(data.transactions.map(record => [record.actual_transaction_id, record]));
+
+    const stored = [];
+    const duplicates = [];
+    const errors = [];
+    const now = new Date().toISOString();
+
+    for (const transaction of transactions) {
+      if (!transaction || !transaction.id) {
+        errors.push({ transaction_id: transaction?.id || null, message: 'Transaction ID is required' });
+        continue;
+      }
+
+      const existing = existingById.get(transaction.id);
+      if (existing) {
+        duplicates.push(this.cloneTransaction(existing));
+        continue;
+      }
+
+      const record = {
+        id: data.nextId++,
+        ...this.formatTransactionForStorage(transaction),
+        xero_account_id: null,
+        xero_contact_id: null,
+        xero_transaction_id: null,
+        xero_imported_date: null,
+        status: 'pending',
+        created_date: now,
+        updated_date: now
+      };
+
+      data.transactions.push(record);
+      existingById.set(record.actual_transaction_id, record);
+      stored.push(this.cloneTransaction(record));
+    }
+
+    this.storeStats.transactionsStored += stored.length;
+    this.storeStats.duplicatesSkipped += duplicates.length;
+
+    if (stored.length > 0) {
+      await this.persist();
+    }
+
+    return { stored, duplicates, errors };
+  }
+
+  /**
+   * Update transaction with resolved mappings
+   * @param {number} xanoId - Stored transaction ID
+   * @param {Object} mappings - Resolved mappings
+   * @param {string} mappings.xero_account_id - Xero account ID
+   * @param {string} mappings.xero_contact_id - Xero contact ID
+   * @param {string} mappings.xero_bank_account_id - Xero bank account ID
+   * @param {string} mappings.xero_to_bank_account_id - Xero bank account a transfer goes to
+   * @param {string} mappings.xero_document_type - bank_transaction or bill (see XeroDocumentType)
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionMapping(xanoId, mappings) {
+    try {
+      const result = await this.updateTransactions([{ xano_id: xanoId, ...this.buildMappingUpdate(mappings) }]);
+      this.throwIfNotUpdated(result);
+
+      this.logger.debug(`Updated transaction mapping for ID ${xanoId}: status=${result.updated[0].status}`);
+      return result.updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to update transaction mapping for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_MAPPING_UPDATE_FAILED', error, { xanoId, mappings });
+    }
+  }
+
+  /**
+   * Bulk update transaction mappings
+   * @param {Object[]} updates - Array of mapping updates ({ xano_id, xero_account_id, xero_contact_id, xero_bank_account_id, xero_to_bank_account_id, xero_document_type })
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkUpdateTransactionMappings(updates) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      const result = await this.updateTransactions(updates.map(update => ({
+        xano_id: update.xano_id,
+        ...this.buildMappingUpdate(update)
+      })));
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk updated ${result.updated.length} transaction mappings, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk update transaction mappings: ${error.message}`);
+      throw this.createStoreError('BULK_MAPPING_UPDATE_FAILED', error, { updateCount: updates.length });
+    }
+  }
+
+  /**
+   * Update transaction with Xero import results
+   * @param {number} xanoId - Stored transaction ID
+   * @param {Object} xeroData - Xero import data
+   * @param {string} xeroData.xero_transaction_id - Xero transaction ID
+   * @param {string} xeroData.xero_payment_id - Xero PaymentID, for bills
+   * @param {Date} xeroData.xero_imported_date - Import timestamp
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionXeroImport(xanoId, xeroData) {
+    try {
+      const result = await this.updateTransactions([{ xano_id: xanoId, ...this.buildXeroImportUpdate(xeroData) }]);
+      this.throwIfNotUpdated(result);
+
+      this.logger.info(`Updated transaction with Xero import data for ID ${xanoId}: Xero ID ${xeroData.xero_transaction_id}`);
+      return result.updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to update transaction Xero import for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_XERO_UPDATE_FAILED', error, { xanoId, xeroData });
+    }
+  }
+
+  /**
+   * Bulk update transactions with Xero import results
+   * @param {Object[]} xeroUpdates - Array of import updates ({ xano_id, xero_transaction_id, xero_payment_id, xero_imported_date })
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkUpdateTransactionXeroImports(xeroUpdates) {
+    if (!Array.isArray(xeroUpdates) || xeroUpdates.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      const result = await this.updateTransactions(xeroUpdates.map(update => ({
+        xano_id: update.xano_id,
+        ...this.buildXeroImportUpdate(update)
+      })));
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk updated ${result.updated.length} transactions with Xero import data, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk update Xero imports: ${error.message}`);
+      throw this.createStoreError('BULK_XERO_UPDATE_FAILED', error, { updateCount: xeroUpdates.length });
+    }
+  }
+
+  /**
+   * Mark transaction as failed with error message
+   * @param {number} xanoId - Stored transaction ID
+   * @param {string} errorMessage - Error description
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async markTransactionFailed(xanoId, errorMessage) {
+    try {
+      const result = await this.updateTransactions([{ xano_id: xanoId, status: 'failed', error_message: errorMessage }]);
+      this.throwIfNotUpdated(result);
+
+      this.logger.warn(`Marked transaction as failed for ID ${xanoId}: ${errorMessage}`);
+      return result.updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to mark transaction as failed for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_STATUS_UPDATE_FAILED', error, { xanoId, errorMessage });
+    }
+  }
+
+  /**
+   * Bulk mark transactions as failed
+   * @param {Object[]} failures - Array of failures ({ xano_id, error_message })
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkMarkTransactionsFailed(failures) {
+    if (!Array.isArray(failures) || failures.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      const result = await this.updateTransactions(failures.map(failure => ({
+        xano_id: failure.xano_id,
+        status: 'failed',
+        error_message: failure.error_message
+      })));
+      this.storeStats.batchOperations++;
+
+      this.logger.warn(`Bulk marked ${result.updated.length} transactions as failed, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk mark transactions as failed: ${error.message}`);
+      throw this.createStoreError('BULK_FAILURE_UPDATE_FAILED', error, { updateCount: failures.length });
+    }
+  }
+
+  /**
+   * Bulk mark transactions as exported in a bank statement CSV
+   * @param {number[]} xanoIds - Stored transaction IDs
+   * @param {string} exportId - ID of the statement export
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkMarkTransactionsExported(xanoIds, exportId) {
+    if (!Array.isArray(xanoIds) || xanoIds.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      const exportUpdate = Transaction.buildStatementExportUpdate(exportId);
+      const result = await this.updateTransactions(xanoIds.map(xanoId => ({ xano_id: xanoId, ...exportUpdate })));
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Marked ${result.updated.length} transactions as exported in ${exportId}, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to mark transactions as exported: ${error.message}`);
+      throw this.createStoreError('BULK_EXPORT_UPDATE_FAILED', error, { exportId, updateCount: xanoIds.length });
+    }
+  }
+
+  /**
+   * Record a change propagated from Actual Budget to Xero
+   * @param {number} xanoId - Stored transaction ID
+   * @param {Object} change - Change details
+   * @param {Object} change.updates - Transaction fields to write
+   * @param {Object} change.entry - History entry ({ type, changes, xero_transaction_id, detected_at, ... })
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async recordTransactionChange(xanoId, change) {
+    try {
+      const data = await this.ensureLoaded();
+      const record = data.transactions.find(candidate => candidate.id === Number(xanoId));
+      const history = record && Array.isArray(record.change_history) ? record.change_history : [];
+
+      const result = await this.updateTransactions([{
+        xano_id: xanoId,
+        ...change.updates,
+        last_change_date: change.entry.detected_at || new Date().toISOString(),
+        change_history: [...history, change.entry]
+      }]);
+      this.throwIfNotUpdated(result);
+
+      this.logger.info(`Recorded ${change.entry.type} change for ID ${xanoId}`);
+      return result.updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to record change for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_CHANGE_RECORD_FAILED', error, { xanoId, change });
+    }
+  }
+
+  /**
+   * Record the outcome of attaching a receipt to a transaction's Xero entry
+   * @param {number} xanoId - Stored transaction ID
+   * @param {Object} receipt - Receipt outcome ({ status, file_name, attachment_id, error })
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionReceipt(xanoId, receipt) {
+    try {
+      const result = await this.updateTransactions([{ xano_id: xanoId, ...Transaction.buildReceiptUpdate(receipt) }]);
+      this.throwIfNotUpdated(result);
+
+      this.logger.debug(`Recorded receipt ${receipt.file_name} for ID ${xanoId}: ${receipt.status}`);
+      return result.updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to record receipt for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_RECEIPT_UPDATE_FAILED', error, { xanoId, receipt });
+    }
+  }
+
+  /**
+   * Record that a transaction's Xero entry has been reconciled
+   * @param {number} xanoId - Stored transaction ID
+   * @param {Object} reconciliation - Reconciliation found ({ reconciled_date })
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionReconciliation(xanoId, reconciliation) {
+    try {
+      const result = await this.updateTransactions([{ xano_id: xanoId, ...Transaction.buildReconciliationUpdate(reconciliation) }]);
+      this.throwIfNotUpdated(result);
+
+      this.logger.debug(`Recorded reconciliation for ID ${xanoId}`);
+      return result.updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to record reconciliation for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_RECONCILIATION_UPDATE_FAILED', error, { xanoId, reconciliation });
+    }
+  }
+
+  /**
+   * Apply field updates to stored transactions
+   * @param {Object[]} updates - Updates, each with the xano_id to change
+   * @returns {Promise<Object>} - { updated, errors }
+   */
+  async updateTransactions(updates) {
+    const data = await this.ensureLoaded();
+    const recordsById = new Map(data.transactions.map(record => [record.id, record]));
+
+    const updated = [];
+    const errors = [];
+    const now = new Date().toISOString();
+
+    for (const { xano_id, ...fields } of updates) {
+      const record = recordsById.get(Number(xano_id));
+
+      if (!record) {
+        errors.push({ xano_id, message: `Transaction ${xano_id} not found` });
+        continue;
+      }
+
+      Object.assign(record, fields, { updated_date: now });
+      updated.push(this.cloneTransaction(record));
+    }
+
+    if (updated.length > 0) {
+      await this.persist();
+    }
+
+    return { updated, errors };
+  }
+
+  /**
+   * Build the fields written when mappings are resolved
+   * @param {Object} mappings - Resolved mappings
+   * @returns {Object} - Transaction fields
+   */
+  buildMappingUpdate(mappings) {
+    return {
+      xero_account_id: mappings.xero_account_id || null,
+      xero_contact_id: mappings.xero_contact_id || null,
+      xero_bank_account_id: mappings.xero_bank_account_id || null,
+      xero_to_bank_account_id: mappings.xero_to_bank_account_id || null,
+      xero_document_type: mappings.xero_document_type || null,
+      status: Transaction.mappingStatus(mappings)
+    };
+  }
+
+  /**
+   * Build the fields written after a Xero import
+   * @param {Object} xeroData - Xero import data
+   * @returns {Object} - Transaction fields
+   */
+  buildXeroImportUpdate(xeroData) {
+    return {
+      xero_transaction_id: xeroData.xero_transaction_id,
+      xero_payment_id: xeroData.xero_payment_id || null,
+      xero_imported_date: xeroData.xero_imported_date || new Date().toISOString(),
+      status: 'imported'
+    };
+  }
+
+  /**
+   * Throw the first error of a single-record update
+   * @param {Object} result - Result from updateTransactions
+   * @throws {Error} If the record was not updated
+   */
+  throwIfNotUpdated(result) {
+    if (result.updated.length === 0) {
+      const error = new Error(result.errors[0]?.message || 'Transaction not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Get category mapping for Actual Budget category ID
+   * @param {string} actualCategoryId - Actual Budget category ID
+   * @returns {Promise<Object|null>} - Active category mapping or null if not found
+   */
+  async getCategoryMapping(actualCategoryId) {
+    if (!actualCategoryId) {
+      return null;
+    }
+
+    const data = await this.ensureLoaded();
+    this.storeStats.mappingsRetrieved++;
+
+    const mapping = data.categoryMappings.find(m => m.actual_category_id === actualCategoryId);
+    return mapping && mapping.is_active ? { ...mapping } : null;
+  }
+
+  /**
+   * Get payee mapping for Actual Budget payee ID
+   * @param {string} actualPayeeId - Actual Budget payee ID
+   * @returns {Promise<Object|null>} - Active payee mapping or null if not found
+   */
+  async getPayeeMapping(actualPayeeId) {
+    if (!actualPayeeId) {
+      return null;
+    }
+
+    const data = await this.ensureLoaded();
+    this.storeStats.mappingsRetrieved++;
+
+    const mapping = data.payeeMappings.find(m => m.actual_payee_id === actualPayeeId);
+    return mapping && mapping.is_active ? { ...mapping } : null;
+  }
+
+  /**
+   * Get account mapping for Actual Budget account ID
+   * @param {string} actualAccountId - Actual Budget account ID
+   * @returns {Promise<Object|null>} - Active account mapping or null if not found
+   */
+  async getAccountMapping(actualAccountId) {
+    if (!actualAccountId) {
+      return null;
+    }
+
+    const data = await this.ensureLoaded();
+    this.storeStats.mappingsRetrieved++;
+
+    const mapping = data.accountMappings.find(m => m.actual_account_id === actualAccountId);
+    return mapping && mapping.is_active ? { ...mapping } : null;
+  }
+
+  /**
+   * Create or update category mapping
+   * @param {Object} categoryData - Category mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertCategoryMapping(categoryData) {
+    try {
+      const { created, updated } = await this.upsertMappings('categoryMappings', 'actual_category_id', [
+        this.formatCategoryMapping(categoryData)
+      ]);
+
+      this.logger.debug(`Upserted category mapping: ${categoryData.actual_category_name} -> ${categoryData.xero_account_name || 'unmapped'}`);
+      return created[0] || updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to upsert category mapping for ${categoryData.actual_category_id}: ${error.message}`);
+      throw this.createStoreError('CATEGORY_MAPPING_UPSERT_FAILED', error, { categoryData });
+    }
+  }
+
+  /**
+   * Create or update payee mapping
+   * @param {Object} payeeData - Payee mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertPayeeMapping(payeeData) {
+    try {
+      const { created, updated } = await this.upsertMappings('payeeMappings', 'actual_payee_id', [
+        this.formatPayeeMapping(payeeData)
+      ]);
+
+      this.logger.debug(`Upserted payee mapping: ${payeeData.actual_payee_name} -> ${payeeData.xero_contact_name || 'unmapped'}`);
+      return created[0] || updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to upsert payee mapping for ${payeeData.actual_payee_id}: ${error.message}`);
+      throw this.createStoreError('PAYEE_MAPPING_UPSERT_FAILED', error, { payeeData });
+    }
+  }
+
+  /**
+   * Create or update account mapping
+   * @param {Object} accountData - Account mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertAccountMapping(accountData) {
+    try {
+      const { created, updated } = await this.upsertMappings('accountMappings', 'actual_account_id', [
+        this.formatAccountMapping(accountData)
+      ]);
+
+      this.logger.debug(`Upserted account mapping: ${accountData.actual_account_name} -> ${accountData.xero_bank_account_name || 'unmapped'}`);
+      return created[0] || updated[0];
+    } catch (error) {
+      this.logger.error(`Failed to upsert account mapping for ${accountData.actual_account_id}: ${error.message}`);
+      throw this.createStoreError('ACCOUNT_MAPPING_UPSERT_FAILED', error, { accountData });
+    }
+  }
+
+  /**
+   * Bulk create or update category mappings
+   * @param {Object[]} categoryMappings - Array of category mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertCategoryMappings(categoryMappings) {
+    if (!Array.isArray(categoryMappings) || categoryMappings.length === 0) {
+      return { created: [], updated: [], errors: [] };
+    }
+
+    try {
+      const result = await this.upsertMappings('categoryMappings', 'actual_category_id',
+        categoryMappings.map(category => this.formatCategoryMapping(category)));
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk upserted category mappings: ${result.created.length} created, ${result.updated.length} updated, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk upsert category mappings: ${error.message}`);
+      throw this.createStoreError('BULK_CATEGORY_UPSERT_FAILED', error, { mappingCount: categoryMappings.length });
+    }
+  }
+
+  /**
+   * Bulk create or update payee mappings
+   * @param {Object[]} payeeMappings - Array of payee mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertPayeeMappings(payeeMappings) {
+    if (!Array.isArray(payeeMappings) || payeeMappings.length === 0) {
+      return { created: [], updated: [], errors: [] };
+    }
+
+    try {
+      const result = await this.upsertMappings('payeeMappings', 'actual_payee_id',
+        payeeMappings.map(payee => this.formatPayeeMapping(payee)));
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk upserted payee mappings: ${result.created.length} created, ${result.updated.length} updated, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk upsert payee mappings: ${error.message}`);
+      throw this.createStoreError('BULK_PAYEE_UPSERT_FAILED', error, { mappingCount: payeeMappings.length });
+    }
+  }
+
+  /**
+   * Bulk create or update account mappings
+   * @param {Object[]} accountMappings - Array of account mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertAccountMappings(accountMappings) {
+    if (!Array.isArray(accountMappings) || accountMappings.length === 0) {
+      return { created: [], updated: [], errors: [] };
+    }
+
+    try {
+      const result = await this.upsertMappings('accountMappings', 'actual_account_id',
+        accountMappings.map(account => this.formatAccountMapping(account)));
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk upserted account mappings: ${result.created.length} created, ${result.updated.length} updated, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk upsert account mappings: ${error.message}`);
+      throw this.createStoreError('BULK_ACCOUNT_UPSERT_FAILED', error, { mappingCount: accountMappings.length });
+    }
+  }
+
+  /**
+   * Insert or replace mappings keyed on their Actual Budget ID
+   * @param {string} table - Mapping table name (categoryMappings, payeeMappings or accountMappings)
+   * @param {string} keyField - Field holding the Actual Budget ID
+   * @param {Object[]} mappings - Formatted mapping data
+   * @returns {Promise<Object>} - { created, updated, errors }
+   */
+  async upsertMappings(table, keyField, mappings) {
+    const data = await this.ensureLoaded();
+    const existingByKey = new Map(data[table].map(mapping => [mapping[keyField], mapping]));
+
+    const created = [];
+    const updated = [];
+    const errors = [];
+    const now = new Date().toISOString();
+
+    for (const mapping of mappings) {
+      if (!mapping[keyField]) {
+        errors.push({ [keyField]: null, message: `${keyField} is required` });
+        continue;
+      }
+
+      const existing = existingByKey.get(mapping[keyField]);
+      if (existing) {
+        Object.assign(existing, mapping, { updated_date: now });
+        updated.push({ ...existing });
+        continue;
+      }
+
+      const record = { id: data.nextId++, ...mapping, created_date: now, updated_date: now };
+      data[table].push(record);
+      existingByKey.set(record[keyField], record);
+      created.push({ ...record });
+    }
+
+    if (created.length > 0 || updated.length > 0) {
+      await this.persist();
+    }
+
+    return { created, updated, errors };
+  }
+
+  /**
+   * Batch retrieve mappings for multiple categories, payees and accounts
+   * @param {string[]} categoryIds - Array of Actual Budget category IDs
+   * @param {string[]} payeeIds - Array of Actual Budget payee IDs
+   * @param {string[]} accountIds - Array of Actual Budget account IDs
+   * @returns {Promise<Object>} - Object with categoryMappings, payeeMappings and accountMappings arrays
+   *   (all mappings when no IDs are given)
+   */
+  async batchGetMappings(categoryIds = [], payeeIds = [], accountIds = []) {
+    const uniqueCategoryIds = new Set(categoryIds.filter(id => id));
+    const uniquePayeeIds = new Set(payeeIds.filter(id => id));
+    const uniqueAccountIds = new Set(accountIds.filter(id => id));
+    const fetchAll = uniqueCategoryIds.size === 0 && uniquePayeeIds.size === 0 && uniqueAccountIds.size === 0;
+
+    try {
+      const data = await this.ensureLoaded();
+
+      const categoryMappings = data.categoryMappings
+        .filter(mapping => fetchAll || uniqueCategoryIds.has(mapping.actual_category_id))
+        .map(mapping => ({ ...mapping }));
+      const payeeMappings = data.payeeMappings
+        .filter(mapping => fetchAll || uniquePayeeIds.has(mapping.actual_payee_id))
+        .map(mapping => ({ ...mapping }));
+      const accountMappings = data.accountMappings
+        .filter(mapping => fetchAll || uniqueAccountIds.has(mapping.actual_account_id))
+        .map(mapping => ({ ...mapping }));
+
+      this.storeStats.batchOperations++;
+      this.storeStats.mappingsRetrieved += categoryMappings.length + payeeMappings.length + accountMappings.length;
+
+      this.logger.debug(`Batch retrieved ${categoryMappings.length} category mappings, ${payeeMappings.length} payee mappings and ${accountMappings.length} account mappings`);
+
+      return { categoryMappings, payeeMappings, accountMappings };
+    } catch (error) {
+      this.logger.error(`Failed to batch retrieve mappings: ${error.message}`);
+      throw this.createStoreError('BATCH_MAPPINGS_FAILED', error, {
+        categoryIds: [...uniqueCategoryIds],
+        payeeIds: [...uniquePayeeIds],
+        accountIds: [...uniqueAccountIds]
+      });
+    }
+  }
+
+  /**
+   * Get transactions ready for reprocessing (pending or failed with missing mappings)
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of transactions to return
+   * @param {string[]} options.statuses - Transaction statuses to include
+   * @param {string} options.since - Only transactions updated on or after this date
+   * @param {string} options.transactionSince - Only transactions dated on or after this date (YYYY-MM-DD)
+   * @param {string} options.transactionUntil - Only transactions dated on or before this date (YYYY-MM-DD)
+   * @param {Array} options.ids - Only transactions with these IDs
+   * @param {number} options.afterId - Only transactions with a higher ID, for paging
+   * @returns {Promise<Object[]>} - Array of transactions ready for reprocessing, in ID order
+   */
+  async getTransactionsForReprocessing(options = {}) {
+    const limit = options.limit || 100;
+    const statuses = options.statuses || ['pending', 'failed'];
+    const since = options.since ? new Date(options.since) : null;
+    const transactionSince = options.transactionSince ? new Date(options.transactionSince) : null;
+    const transactionUntil = options.transactionUntil ? new Date(options.transactionUntil) : null;
+    const ids = options.ids ? new Set(options.ids.map(String)) : null;
+    const afterId = options.afterId || 0;
+
+    try {
+      const data = await this.ensureLoaded();
+
+      // Records are kept in ID order, as they were stored
+      const transactions = data.transactions
+        .filter(record => record.id > afterId)
+        .filter(record => statuses.includes(record.status))
+        .filter(record => !since || new Date(record.updated_date) >= since)
+        .filter(record => !transactionSince || new Date(record.transaction_date) >= transactionSince)
+        .filter(record => !transactionUntil || new Date(record.transaction_date) <= transactionUntil)
+        .filter(record => !ids || ids.has(String(record.id)))
+        .slice(0, limit)
+        .map(record => this.withMappingNames(record));
+
+      this.logger.debug(`Found ${transactions.length} transactions ready for reprocessing`);
+      return transactions;
+    } catch (error) {
+      this.logger.error(`Failed to get transactions for reprocessing: ${error.message}`);
+      throw this.createStoreError('REPROCESS_QUERY_FAILED', error, { options });
+    }
+  }
+
+  /**
+   * Re-apply the current mapping tables to pending and failed transactions
+   * @param {Object} options - Reprocessing options
+   * @param {number} options.limit - Maximum number of transactions to reprocess
+   * @returns {Promise<Object>} - Reprocessing results ({ processed, resolved, stillPending })
+   */
+  async reprocessTransactions(options = {}) {
+    try {
+      const candidates = await this.getTransactionsForReprocessing({ limit: options.limit || 50 });
+      const updates = [];
+
+      for (const transaction of candidates) {
+        if (transaction.is_transfer) {
+          const accountMappings = new Map();
+          for (const accountId of [transaction.actual_account_id, transaction.transfer_account_id]) {
+            accountMappings.set(accountId, await this.getAccountMapping(accountId));
+          }
+
+          if (Transaction.applyTransferMapping(transaction, accountMappings).isValid) {
+            updates.push({
+              xano_id: transaction.id,
+              xero_bank_account_id: transaction.xero_bank_account_id,
+              xero_to_bank_account_id: transaction.xero_to_bank_account_id,
+              error_message: null
+            });
+          }
+          continue;
+        }
+
+        const categoryMappings = new Map();
+        for (const categoryId of Transaction.getCategoryIds(transaction)) {
+          categoryMappings.set(categoryId, await this.getCategoryMapping(categoryId));
+        }
+        const categoryResult = Transaction.applyCategoryMappings(transaction, categoryMappings);
+        const payeeMapping = await this.getPayeeMapping(transaction.actual_payee_id);
+        const accountMapping = await this.getAccountMapping(transaction.actual_account_id);
+
+        if (categoryResult.isValid && payeeMapping?.xero_contact_id && accountMapping?.xero_bank_account_id) {
+          updates.push({
+            xano_id: transaction.id,
+            xero_account_id: transaction.xero_account_id,
+            xero_contact_id: payeeMapping.xero_contact_id,
+            xero_bank_account_id: accountMapping.xero_bank_account_id,
+            xero_document_type: Transaction.resolveDocumentType(transaction, payeeMapping),
+            error_message: null
+          });
+        }
+      }
+
+      const { updated } = await this.updateTransactions(updates.map(update => ({
+        ...update,
+        ...this.buildMappingUpdate(update)
+      })));
+      this.storeStats.batchOperations++;
+
+      const summary = {
+        processed: candidates.length,
+        resolved: updated.length,
+        stillPending: candidates.length - updated.length
+      };
+
+      this.logger.info(`Reprocessing complete: ${summary.processed} processed, ${summary.resolved} resolved, ${summary.stillPending} still pending`);
+      return summary;
+    } catch (error) {
+      this.logger.error(`Failed to reprocess transactions: ${error.message}`);
+      throw this.createStoreError('REPROCESS_FAILED', error, { options });
+    }
+  }
+
+  /**
+   * Get transactions with missing mappings for manual review
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeCategoryMissing - Include transactions with missing category mappings
+   * @param {boolean} options.includePayeeMissing - Include transactions with missing payee mappings
+   * @param {number} options.limit - Maximum number of transactions per group
+   * @returns {Promise<Object>} - Transactions grouped by missing mapping type
+   */
+  async getTransactionsWithMissingMappings(options = {}) {
+    const limit = options.limit || 100;
+
+    try {
+      const data = await this.ensureLoaded();
+      const mappedCategories = new Set(data.categoryMappings
+        .filter(mapping => mapping.is_active && mapping.xero_account_id)
+        .map(mapping => mapping.actual_category_id));
+      const mappedPayees = new Set(data.payeeMappings
+        .filter(mapping => mapping.is_active && mapping.xero_contact_id)
+        .map(mapping => mapping.actual_payee_id));
+
+      const categoryMissing = [];
+      const payeeMissing = [];
+      const bothMissing = [];
+
+      for (const record of data.transactions) {
+        if (record.status === 'imported') {
+          continue;
+        }
+
+        const categoryIds = Transaction.getCategoryIds(record);
+        const missingCategory = categoryIds.length === 0 || categoryIds.some(id => !mappedCategories.has(id));
+        const missingPayee = !mappedPayees.has(record.actual_payee_id);
+
+        if (missingCategory && options.includeCategoryMissing !== false && categoryMissing.length < limit) {
+          categoryMissing.push(this.withMappingNames(record));
+        }
+        if (missingPayee && options.includePayeeMissing !== false && payeeMissing.length < limit) {
+          payeeMissing.push(this.withMappingNames(record));
+        }
+        if (missingCategory && missingPayee && bothMissing.length < limit) {
+          bothMissing.push(this.withMappingNames(record));
+        }
+      }
+
+      this.logger.debug(`Found ${categoryMissing.length} transactions with missing category mappings, ${payeeMissing.length} with missing payee mappings`);
+
+      return { categoryMissing, payeeMissing, bothMissing };
+    } catch (error) {
+      this.logger.error(`Failed to get transactions with missing mappings: ${error.message}`);
+      throw this.createStoreError('MISSING_MAPPINGS_QUERY_FAILED', error, { options });
+    }
+  }
+
+  /**
+   * Get sync statistics and summary
+   * @param {Object} options - Query options
+   * @param {string} options.since - ISO date string to get stats since
+   * @param {string} options.until - ISO date string to get stats until
+   * @returns {Promise<Object>} - Sync statistics
+   */
+  async getSyncStatistics(options = {}) {
+    const since = options.since ? new Date(options.since) : null;
+    const until = options.until ? new Date(options.until) : null;
+
+    try {
+      const data = await this.ensureLoaded();
+      const transactions = data.transactions.filter(record => {
+        const created = new Date(record.created_date);
+        return (!since || created >= since) && (!until || created <= until);
+      });
+
+      const countStatus = status => transactions.filter(record => record.status === status).length;
+
+      return {
+        totalTransactions: transactions.length,
+        pendingTransactions: countStatus('pending'),
+        mappedTransactions: countStatus('mapped'),
+        importedTransactions: countStatus('imported'),
+        failedTransactions: countStatus('failed'),
+        voidedTransactions: countStatus('voided'),
+        exportedTransactions: countStatus('exported')
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get sync statistics: ${error.message}`);
+      throw this.createStoreError('STATISTICS_FAILED', error, { options });
+    }
+  }
+
+  /**
+   * Copy a transaction record so callers can't modify the stored data
+   * @param {Object} record - Stored transaction
+   * @returns {Object} - Copy including its split lines
+   */
+  cloneTransaction(record) {
+    return {
+      ...record,
+      split_lines: Array.isArray(record.split_lines) ? record.split_lines.map(line => ({ ...line })) : record.split_lines
+    };
+  }
+
+  /**
+   * Copy a transaction record with the Actual names held in the mapping tables
+   * @param {Object} record - Stored transaction
+   * @returns {Object} - Transaction with actual_category_name, actual_payee_name and actual_account_name
+   */
+  withMappingNames(record) {
+    const category = this.data.categoryMappings.find(m => m.actual_category_id === record.actual_category_id);
+    const payee = this.data.payeeMappings.find(m => m.actual_payee_id === record.actual_payee_id);
+    const account = this.data.accountMappings.find(m => m.actual_account_id === record.actual_account_id);
+
+    return {
+      ...this.cloneTransaction(record),
+      actual_category_name: category?.actual_category_name || null,
+      actual_payee_name: payee?.actual_payee_name || null,
+      actual_account_name: account?.actual_account_name || null
+    };
+  }
+
+  /**
+   * Format transaction data for storage
+   * @param {Object} transaction - Raw transaction from Actual Budget
+   * @returns {Object} - Formatted transaction data
+   */
+  formatTransactionForStorage(transaction) {
+    const record = {
+      actual_transaction_id: transaction.id,
+      transaction_date: transaction.date,
+      amount: transaction.amount / 100, // Convert from cents to dollars
+      description: transaction.notes || transaction.imported_description || '',
+      actual_category_id: transaction.category,
+      actual_payee_id: transaction.payee,
+      actual_account_id: transaction.account,
+      is_split: !!transaction.is_split,
+      // Split children, one Xero line item each (JSON column in Xano)
+      split_lines: transaction.is_split ? Transaction.splitLinesFromActualBudget(transaction) : null,
+      // Transfers are stored once, from the outgoing leg; the other leg's account receives
+      is_transfer: !!transaction.is_transfer,
+      actual_transfer_id: transaction.is_transfer ? transaction.transfer_id : null,
+      transfer_account_id: transaction.is_transfer ? transaction.transfer_account : null,
+      error_message: null
+    };
+
+    // Lets change detection tell whether the transaction was edited in Actual later
+    record.actual_fingerprint = Transaction.fingerprint(record);
+    return record;
+  }
+
+  /**
+   * Format category mapping data for storage
+   * @param {Object} category - Category mapping data
+   * @returns {Object} - Formatted mapping
+   */
+  formatCategoryMapping(category) {
+    const mapping = {
+      actual_category_id: category.actual_category_id,
+      actual_category_name: category.actual_category_name,
+      xero_account_id: category.xero_account_id || null,
+      xero_account_name: category.xero_account_name || null,
+      xero_account_code: category.xero_account_code || null,
+      is_active: category.is_active !== undefined ? category.is_active : true
+    };
+
+    // Tax settings are only written when given, so account-only upserts keep them
+    if (category.xero_tax_type !== undefined) {
+      mapping.xero_tax_type = category.xero_tax_type || null;
+    }
+    if (category.xero_line_amount_types !== undefined) {
+      mapping.xero_line_amount_types = category.xero_line_amount_types || null;
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Format account mapping data for storage
+   * @param {Object} account - Account mapping data
+   * @returns {Object} - Formatted mapping
+   */
+  formatAccountMapping(account) {
+    return {
+      actual_account_id: account.actual_account_id,
+      actual_account_name: account.actual_account_name,
+      xero_bank_account_id: account.xero_bank_account_id || null,
+      xero_bank_account_name: account.xero_bank_account_name || null,
+      xero_bank_account_code: account.xero_bank_account_code || null,
+      currency_code: account.currency_code || null,
+      is_active: account.is_active !== undefined ? account.is_active : true
+    };
+  }
+
+  /**
+   * Format payee mapping data for storage
+   * @param {Object} payee - Payee mapping data
+   * @returns {Object} - Formatted mapping
+   */
+  formatPayeeMapping(payee) {
+    const mapping = {
+      actual_payee_id: payee.actual_payee_id,
+      actual_payee_name: payee.actual_payee_name,
+      xero_contact_id: payee.xero_contact_id || null,
+      xero_contact_name: payee.xero_contact_name || null,
+      is_active: payee.is_active !== undefined ? payee.is_active : true
+    };
+
+    // The document type is only written when given, so contact-only upserts keep it
+    if (payee.xero_document_type !== undefined) {
+      mapping.xero_document_type = payee.xero_document_type || null;
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Write the store to disk
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const content = JSON.stringify({ version: 1, ...this.data });
+
+    return this.writer.write(content);
+  }
+
+  /**
+   * Create store-specific error with context
+   * @param {string} code - Error code
+   * @param {Error} originalError - Original error
+   * @param {Object} context - Additional context
+   * @returns {Error} - Store error
+   */
+  createStoreError(code, originalError, context = {}) {
+    // Errors that were already wrapped keep their original code
+    if (originalError.name === 'LocalStoreError') {
+      return originalError;
+    }
+
+    const error = new Error(`Local store error [${code}]: ${originalError.message}`);
+    error.name = 'LocalStoreError';
+    error.code = code;
+    error.originalError = originalError;
+    error.context = context;
+
+    if (originalError.statusCode) error.statusCode = originalError.statusCode;
+
+    return error;
+  }
+
+  /**
+   * Get store status and statistics
+   * @returns {Object} - Store status
+   */
+  getStatus() {
+    return {
+      backend: 'local',
+      filePath: this.filePath,
+      loaded: !!this.data,
+      transactions: this.data ? this.data.transactions.length : 0,
+      categoryMappings: this.data ? this.data.categoryMappings.length : 0,
+      payeeMappings: this.data ? this.data.payeeMappings.length : 0,
+      accountMappings: this.data ? this.data.accountMappings.length : 0,
+      store: { ...this.storeStats }
+    };
+  }
+
+  /**
+   * Reset all statistics
+   */
+  resetStats() {
+    this.storeStats = {
+      transactionsStored: 0,
+      duplicatesSkipped: 0,
+      mappingsRetrieved: 0,
+      batchOperations: 0
+    };
+  }
+}
+
+module.exports = LocalStore;
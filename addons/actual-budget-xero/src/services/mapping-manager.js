@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { LineAmountTypes, XeroDocumentType } = require('../models/transaction');
 
 /**
  * MappingManager - Utility service for bulk mapping operations, validation, and backup/restore
@@ -91,6 +92,14 @@ class MappingManager {
         if (xeroValidationResults.invalid.length > 0) {
           this.logger.warn(`${xeroValidationResults.invalid.length} mappings have invalid Xero account IDs`);
         }
+
+        xeroValidationResults.invalidTaxTypes = await this.validateXeroTaxTypes(
+          mappings.filter(m => m.xero_tax_type)
+        );
+
+        if (xeroValidationResults.invalidTaxTypes.length > 0) {
+          this.logger.warn(`${xeroValidationResults.invalidTaxTypes.length} mappings have invalid Xero tax types`);
+        }
       }
 
       // Process mappings in batches
@@ -605,7 +614,8 @@ class MappingManager {
         details: {
           duplicateXeroIds: { categories: [], payees: [] },
           orphanedMappings: { categories: [], payees: [] },
-          invalidXeroIds: { categories: [], payees: [] }
+          invalidXeroIds: { categories: [], payees: [] },
+          invalidTaxTypes: { categories: [] }
         }
       };
 
@@ -622,6 +632,7 @@ class MappingManager {
       validation.details.duplicateXeroIds.categories = categoryValidation.duplicateXeroIds;
       validation.details.orphanedMappings.categories = categoryValidation.orphanedMappings;
       validation.details.invalidXeroIds.categories = categoryValidation.invalidXeroIds;
+      validation.details.invalidTaxTypes.categories = categoryValidation.invalidTaxTypes;
       
       validation.errors.push(...categoryValidation.errors);
       validation.warnings.push(...categoryValidation.warnings);
@@ -679,6 +690,7 @@ class MappingManager {
       duplicateXeroIds: [],
       orphanedMappings: [],
       invalidXeroIds: [],
+      invalidTaxTypes: [],
       errors: [],
       warnings: []
     };
@@ -732,6 +744,13 @@ class MappingManager {
       } catch (error) {
         validation.warnings.push(`Could not validate Xero account IDs: ${error.message}`);
       }
+
+      const invalidTaxTypes = await this.validateXeroTaxTypes(mappedCategories.filter(m => m.xero_tax_type));
+      validation.invalidTaxTypes = invalidTaxTypes;
+
+      if (invalidTaxTypes.length > 0) {
+        validation.errors.push(`Found ${invalidTaxTypes.length} invalid Xero tax types in category mappings`);
+      }
     }
 
     return validation;
@@ -844,6 +863,34 @@ class MappingManager {
     return validation;
   }
 
+  /**
+   * Validate category mapping tax types against the Xero tax rates
+   * @param {Array} mappings - Mappings with xero_tax_type to validate
+   * @returns {Promise<Array>} - Mappings with invalid tax types (with error)
+   */
+  async validateXeroTaxTypes(mappings) {
+    if (mappings.length === 0) {
+      return [];
+    }
+
+    try {
+      const taxValidation = await this.xeroClient.validateTaxTypes(mappings.map(m => m.xero_tax_type));
+      const errorsByType = new Map(taxValidation.invalid.map(invalid => [invalid.tax_type, invalid.error]));
+
+      return mappings
+        .filter(mapping => errorsByType.has(mapping.xero_tax_type))
+        .map(mapping => ({
+          actual_category_id: mapping.actual_category_id,
+          actual_category_name: mapping.actual_category_name,
+          xero_tax_type: mapping.xero_tax_type,
+          error: errorsByType.get(mapping.xero_tax_type)
+        }));
+    } catch (error) {
+      this.logger.warn(`Could not validate Xero tax types: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Validate that Xero contact IDs exist in Xero
    * @param {Array} mappings - Mappings with xero_contact_id to validate
@@ -930,6 +977,10 @@ class MappingManager {
         validation.errors.push(`${prefix} actual_category_name is required`);
       }
 
+      if (mapping.xero_line_amount_types && !Object.values(LineAmountTypes).includes(mapping.xero_line_amount_types)) {
+        validation.errors.push(`${prefix} xero_line_amount_types must be one of: ${Object.values(LineAmountTypes).join(', ')}`);
+      }
+
       if (mapping.is_active !== undefined && typeof mapping.is_active !== 'boolean') {
         validation.errors.push(`${prefix} is_active must be a boolean`);
       }
@@ -959,6 +1010,10 @@ class MappingManager {
         validation.errors.push(`${prefix} actual_payee_name is required`);
       }
 
+      if (mapping.xero_document_type && !Object.values(XeroDocumentType).includes(mapping.xero_document_type)) {
+        validation.errors.push(`${prefix} xero_document_type must be one of: ${Object.values(XeroDocumentType).join(', ')}`);
+      }
+
       if (mapping.is_active !== undefined && typeof mapping.is_active !== 'boolean') {
         validation.errors.push(`${prefix} is_active must be a boolean`);
       }
@@ -0,0 +1,325 @@
+const { Transaction } = require('../models/transaction');
+
+/**
+ * Placeholders a rule's description template can use
+ */
+const TEMPLATE_FIELDS = ['payee', 'notes', 'category', 'account', 'date', 'amount'];
+
+/**
+ * MappingRuleEngine - Ordered pattern rules applied before the 1:1 mappings
+ *
+ * A rule matches on the payee name, notes, Actual account or category (by
+ * "contains" text or a regular expression) and on the amount. The first
+ * matching rule sets any of the Xero account, contact, tax type and line
+ * description; the category and payee mappings fill in whatever it leaves
+ * unset. Rules name Xero accounts and contacts by code or name, which are
+ * looked up once and cached for the life of the engine.
+ *
+ * Call prepare() with a batch of stored transactions before
+ * applyWithMappings(), so the Actual names and Xero IDs the rules need are
+ * loaded up front.
+ */
+class MappingRuleEngine {
+  constructor(options = {}) {
+    this.rules = (options.rules || []).filter(rule => rule.enabled !== false);
+    this.actualClient = options.actualClient;
+    this.xeroClient = options.xeroClient;
+    this.logger = options.logger || console;
+
+    // Xero IDs for rule actions, keyed by "account:<code>" or "contact:<name>"
+    this.xeroLookups = new Map();
+
+    // Decisions from the last prepare(), keyed by transaction record
+    this.decisions = new Map();
+  }
+
+  /**
+   * Whether any rules are configured
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * Find the rule for each transaction and look up the Xero IDs its actions name
+   * @param {Array} transactions - Stored transaction records
+   * @returns {Promise<void>}
+   */
+  async prepare(transactions) {
+    this.decisions = new Map();
+    if (!this.isActive() || transactions.length === 0) {
+      return;
+    }
+
+    const names = await this.loadActualNames();
+
+    for (const transaction of transactions) {
+      const context = this.buildContext(transaction, names);
+      const index = this.rules.findIndex(rule => this.matches(rule, context));
+      if (index === -1) {
+        continue;
+      }
+
+      const rule = this.rules[index];
+      const decision = { rule: MappingRuleEngine.describeRule(rule, index), actions: {}, error: null };
+
+      try {
+        decision.actions = await this.resolveActions(rule, context);
+      } catch (error) {
+        decision.error = `Mapping rule ${decision.rule} could not be applied: ${error.message}`;
+      }
+
+      this.decisions.set(transaction, decision);
+    }
+
+    if (this.decisions.size > 0) {
+      this.logger.info(`Mapping rules matched ${this.decisions.size} of ${transactions.length} transactions`);
+    }
+  }
+
+  /**
+   * Apply the prepared rule on top of a transaction's 1:1 mappings
+   *
+   * Call after Transaction.applyCategoryMappings, so the rule's account and tax
+   * type replace the category mapping's on the record and every split line.
+   * The rule's contact wins over the payee mapping's, and its description is
+   * kept as xero_description. mapping_rule is set to the label of the rule.
+   * @param {Object} transaction - Stored transaction record, updated in place
+   * @param {Object} categoryResult - Result of Transaction.applyCategoryMappings
+   * @param {Object} payeeMapping - The transaction's payee mapping, if any
+   * @returns {Object} - { hasAccount, contactId, rule, error } where rule is null when no rule matched
+   */
+  applyWithMappings(transaction, categoryResult, payeeMapping) {
+    const result = {
+      hasAccount: categoryResult.isValid,
+      contactId: (payeeMapping && payeeMapping.xero_contact_id) || null,
+      rule: null,
+      error: null
+    };
+
+    const decision = this.decisions.get(transaction);
+    if (!decision) {
+      return result;
+    }
+
+    transaction.mapping_rule = decision.rule;
+    result.rule = decision.rule;
+    if (decision.error) {
+      result.error = decision.error;
+      return result;
+    }
+
+    const actions = decision.actions;
+    const lines = transaction.is_split && Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0
+      ? [transaction, ...transaction.split_lines]
+      : [transaction];
+
+    for (const line of lines) {
+      if (actions.xero_account_id) {
+        line.xero_account_id = actions.xero_account_id;
+        line.xero_account_code = actions.xero_account_code || null;
+      }
+      if (actions.xero_tax_type) {
+        line.xero_tax_type = actions.xero_tax_type;
+      }
+    }
+
+    if (actions.xero_account_id) {
+      result.hasAccount = true;
+    }
+    if (actions.xero_contact_id) {
+      result.contactId = actions.xero_contact_id;
+    }
+    if (actions.description) {
+      transaction.xero_description = actions.description;
+    }
+
+    return result;
+  }
+
+  /**
+   * Load Actual payee, account and category names, which stored records only hold as IDs
+   * @returns {Promise<Object>} - { payees, accounts, categories } maps of ID to name
+   */
+  async loadActualNames() {
+    const [payees, accounts, categories] = await Promise.all([
+      this.actualClient.getPayees(),
+      this.actualClient.getAccounts(),
+      this.actualClient.getCategories()
+    ]);
+
+    const byId = items => new Map(items.map(item => [item.id, item.name]));
+    return { payees: byId(payees), accounts: byId(accounts), categories: byId(categories) };
+  }
+
+  /**
+   * Gather the values rules match on for one transaction
+   * @param {Object} transaction - Stored transaction record
+   * @param {Object} names - Actual names from loadActualNames
+   * @returns {Object} - { transaction, payee, notes, account, categories, amount, date }
+   */
+  buildContext(transaction, names) {
+    const categoryIds = Transaction.getCategoryIds(transaction);
+    const date = new Date(transaction.transaction_date);
+
+    return {
+      transaction,
+      payee: names.payees.get(transaction.actual_payee_id) || transaction.actual_payee_name || '',
+      notes: Transaction.stripSyncTags(transaction.description),
+      account: names.accounts.get(transaction.actual_account_id) || transaction.actual_account_name || '',
+      categories: categoryIds.map(id => names.categories.get(id) || '').filter(name => name),
+      amount: Number(transaction.amount) || 0,
+      date: isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Check whether every condition of a rule holds
+   * @param {Object} rule - Mapping rule
+   * @param {Object} context - Values from buildContext
+   * @returns {boolean}
+   */
+  matches(rule, context) {
+    const test = MappingRuleEngine.textMatcher(rule);
+
+    if (rule.payee && !test(rule.payee, context.payee)) {
+      return false;
+    }
+    if (rule.notes && !test(rule.notes, context.notes)) {
+      return false;
+    }
+    if (rule.account && !test(rule.account, context.account)) {
+      return false;
+    }
+    if (rule.category && !context.categories.some(name => test(rule.category, name))) {
+      return false;
+    }
+
+    // Stored amounts are in currency units, negative for money out
+    const size = Math.abs(context.amount);
+    if (rule.min_amount !== undefined && rule.min_amount !== null && size < rule.min_amount) {
+      return false;
+    }
+    if (rule.max_amount !== undefined && rule.max_amount !== null && size > rule.max_amount) {
+      return false;
+    }
+    if (rule.direction === 'spend' && context.amount >= 0) {
+      return false;
+    }
+    if (rule.direction === 'receive' && context.amount <= 0) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Turn a rule's actions into Xero IDs and a rendered description
+   * @param {Object} rule - Mapping rule
+   * @param {Object} context - Values from buildContext
+   * @returns {Promise<Object>} - { xero_account_id, xero_account_code, xero_contact_id, xero_tax_type, description }
+   * @throws {Error} If a named Xero account or contact does not exist
+   */
+  async resolveActions(rule, context) {
+    const actions = {};
+
+    if (rule.xero_account_id) {
+      actions.xero_account_id = rule.xero_account_id;
+      actions.xero_account_code = rule.xero_account_code || null;
+    } else if (rule.xero_account_code) {
+      const account = await this.lookup(`account:${rule.xero_account_code}`, () => this.xeroClient.findAccountByCode(rule.xero_account_code));
+      if (!account) {
+        throw new Error(`Xero account code ${rule.xero_account_code} not found`);
+      }
+      actions.xero_account_id = account.xero_account_id;
+      actions.xero_account_code = account.code;
+    }
+
+    if (rule.xero_contact_id) {
+      actions.xero_contact_id = rule.xero_contact_id;
+    } else if (rule.xero_contact_name) {
+      const contact = await this.lookup(`contact:${rule.xero_contact_name.toLowerCase()}`, async () => {
+        const [match] = await this.xeroClient.searchContacts(rule.xero_contact_name, { exactMatch: true, limit: 1 });
+        return match || null;
+      });
+      if (!contact) {
+        throw new Error(`Xero contact "${rule.xero_contact_name}" not found`);
+      }
+      actions.xero_contact_id = contact.xero_contact_id;
+    }
+
+    if (rule.xero_tax_type) {
+      actions.xero_tax_type = rule.xero_tax_type;
+    }
+
+    if (rule.description) {
+      actions.description = MappingRuleEngine.renderDescription(rule.description, context);
+    }
+
+    return actions;
+  }
+
+  /**
+   * Look up a Xero record once; later calls reuse the result
+   * @param {string} key - Cache key
+   * @param {Function} fetch - Returns a promise for the record (or null)
+   * @returns {Promise<Object|null>}
+   */
+  async lookup(key, fetch) {
+    if (!this.xeroLookups.has(key)) {
+      const record = await fetch();
+      // Misses are not cached, so a contact added in Xero is picked up on the next run
+      if (!record) {
+        return null;
+      }
+      this.xeroLookups.set(key, record);
+    }
+    return this.xeroLookups.get(key);
+  }
+
+  /**
+   * Fill a description template such as "{payee}: {notes}"
+   * @param {string} template - Template with {payee}, {notes}, {category}, {account}, {date} or {amount}
+   * @param {Object} context - Values from buildContext
+   * @returns {string} - Rendered description; unknown placeholders are left as written
+   */
+  static renderDescription(template, context) {
+    const values = {
+      payee: context.payee,
+      notes: context.notes,
+      category: context.categories.join(', '),
+      account: context.account,
+      date: context.date,
+      amount: Math.abs(context.amount).toFixed(2)
+    };
+
+    return template
+      .replace(/\{(\w+)\}/g, (placeholder, field) => (TEMPLATE_FIELDS.includes(field) ? values[field] : placeholder))
+      .trim();
+  }
+
+  /**
+   * Build the text test for a rule's match mode
+   * @param {Object} rule - Mapping rule
+   * @returns {Function} - (pattern, value) => boolean, case-insensitive
+   */
+  static textMatcher(rule) {
+    if (rule.match === 'regex') {
+      return (pattern, value) => new RegExp(pattern, 'i').test(value || '');
+    }
+    return (pattern, value) => (value || '').toLowerCase().includes(pattern.toLowerCase());
+  }
+
+  /**
+   * Human readable label for a rule, reported as the rule that fired
+   * @param {Object} rule - Mapping rule
+   * @param {number} index - Position of the rule in the list
+   * @returns {string} - The rule's name, or its position
+   */
+  static describeRule(rule, index) {
+    return rule.name ? `"${rule.name}"` : `rule ${index + 1}`;
+  }
+}
+
+module.exports = MappingRuleEngine;
@@ -0,0 +1,465 @@
+const fs = require('fs');
+const path = require('path');
+const { TransactionStatus, ReceiptStatus, XeroDocumentType } = require('../models/transaction');
+const XeroRateLimiter = require('../utils/xero-rate-limiter');
+const { getAllTransactionsForReprocessing } = require('./storage');
+
+/**
+ * ReceiptService - Attaches receipt files from an inbox folder to imported Xero transactions
+ *
+ * Files dropped in the receipts folder are matched to stored transactions by
+ * name (Xano-{id}... or the Actual Budget transaction ID) or by a
+ * #receipt:{file name} tag in the transaction's notes, then uploaded through
+ * the Xero Attachments API (to the bill, for payees paid on terms). Attached
+ * files move to the attached/ subfolder; anything that cannot be matched or
+ * attached yet stays in the inbox, is reported, and is tried again on the
+ * next scan.
+ */
+class ReceiptService {
+  /**
+   * File types Xero accepts as attachments, by extension
+   */
+  static CONTENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff'
+  };
+
+  /**
+   * Subfolder attached files are moved to
+   */
+  static ATTACHED_DIR = 'attached';
+
+  constructor(options = {}) {
+    this.folder = options.folder;
+    this.xanoClient = options.xanoClient;
+    this.xeroClient = options.xeroClient;
+    this.config = options.config || {};
+    this.logger = options.logger || console;
+
+    // New files usually arrive in bursts (a phone sync, a scanner batch)
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 5000;
+    // Imported transactions searched for Actual ID and #receipt matches, loaded lookupLimit per storage request
+    this.lookbackDays = options.lookbackDays || 365;
+    this.lookupLimit = options.lookupLimit || 1000;
+
+    this.watcher = null;
+    this.scanTimer = null;
+    this.currentScan = null;
+    this.rescanRequested = false;
+    this.lastRun = null;
+
+    // Validate required dependencies
+    this.validateDependencies();
+  }
+
+  /**
+   * Validate that all required dependencies are provided
+   * @throws {Error} If required dependencies are missing
+   */
+  validateDependencies() {
+    if (!this.folder) {
+      throw new Error('Receipts folder is required');
+    }
+    if (!this.xanoClient) {
+      throw new Error('Xano client is required');
+    }
+    if (!this.xeroClient) {
+      throw new Error('Xero client is required');
+    }
+  }
+
+  /**
+   * Create the inbox, start watching it and scan what is already there
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.watcher) {
+      return;
+    }
+
+    await fs.promises.mkdir(path.join(this.folder, ReceiptService.ATTACHED_DIR), { recursive: true });
+
+    try {
+      this.watcher = fs.watch(this.folder, () => this.scheduleScan());
+      this.watcher.on('error', (error) => {
+        this.logger.warn(`Receipts folder watcher stopped: ${error.message}; scans still run after each sync`);
+        this.watcher = null;
+      });
+    } catch (error) {
+      // Some network shares do not support watching; scans after each sync still pick files up
+      this.logger.warn(`Cannot watch receipts folder ${this.folder}: ${error.message}`);
+    }
+
+    this.logger.info(`Watching ${this.folder} for receipts`);
+    this.scheduleScan();
+  }
+
+  /**
+   * Stop watching the inbox (a scan in progress is left to finish)
+   */
+  stop() {
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer);
+      this.scanTimer = null;
+    }
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Scan the inbox once the folder has been quiet for debounceMs
+   */
+  scheduleScan() {
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer);
+    }
+
+    this.scanTimer = setTimeout(() => {
+      this.scanTimer = null;
+      this.processInbox().catch(error => {
+        this.logger.error(`Receipt scan failed: ${error.message}`);
+      });
+    }, this.debounceMs);
+  }
+
+  /**
+   * Check whether a scan is running
+   * @returns {boolean} - True while the inbox is being processed
+   */
+  isRunning() {
+    return !!this.currentScan;
+  }
+
+  /**
+   * Match and upload everything in the inbox
+   *
+   * A request during a scan queues one more scan afterwards, so files that
+   * arrive mid-scan are not missed.
+   * @returns {Promise<Object>} - Scan report (see scanInbox)
+   */
+  async processInbox() {
+    if (this.currentScan) {
+      this.rescanRequested = true;
+      return this.currentScan;
+    }
+
+    this.currentScan = (async () => {
+      let report;
+      do {
+        this.rescanRequested = false;
+        report = await this.scanInbox();
+      } while (this.rescanRequested);
+      return report;
+    })();
+
+    try {
+      return await this.currentScan;
+    } finally {
+      this.currentScan = null;
+    }
+  }
+
+  /**
+   * Scan the inbox once
+   * @returns {Promise<Object>} - { started_at, completed_at, scanned, attached, skipped, failed, unmatched, deferred, error }
+   */
+  async scanInbox() {
+    const report = {
+      started_at: new Date().toISOString(),
+      completed_at: null,
+      scanned: 0,
+      attached: [],
+      skipped: 0,
+      failed: [],
+      unmatched: [],
+      deferred: 0,
+      error: null
+    };
+
+    try {
+      const entries = await fs.promises.readdir(this.folder, { withFileTypes: true });
+      const files = entries
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .map(entry => entry.name)
+        .sort();
+
+      report.scanned = files.length;
+
+      if (files.length > 0) {
+        const index = await this.buildIndex(files);
+        const uploadsEnabled = this.uploadsEnabled();
+
+        for (const [position, fileName] of files.entries()) {
+          const match = await this.matchFile(fileName, index);
+
+          if (!match.record) {
+            report.unmatched.push({ file: fileName, reason: match.reason });
+            continue;
+          }
+
+          if (!uploadsEnabled) {
+            report.skipped++;
+            continue;
+          }
+
+          // Leave the rest of the daily quota for imports; remaining files wait for the next scan
+          if (this.xeroClient.isDailyQuotaLow()) {
+            report.deferred = files.length - position;
+            break;
+          }
+
+          try {
+            report.attached.push(await this.attachReceipt(fileName, match.record));
+          } catch (error) {
+            if (XeroRateLimiter.isDeferredError(error)) {
+              report.deferred = files.length - position;
+              break;
+            }
+            report.failed.push({ file: fileName, xano_id: match.record.id, reason: error.message });
+          }
+        }
+
+        if (!uploadsEnabled && report.skipped > 0) {
+          this.logger.info(`${report.skipped} matched receipts left in the inbox: dry run mode is on or Xero sync is disabled`);
+        }
+      }
+    } catch (error) {
+      report.error = error.message;
+      this.logger.error(`Failed to scan receipts folder ${this.folder}: ${error.message}`);
+    }
+
+    report.completed_at = new Date().toISOString();
+    this.lastRun = report;
+
+    if (report.scanned > 0) {
+      this.logger.info(`Receipt scan: ${report.attached.length} attached, ${report.unmatched.length} unmatched, ${report.failed.length} failed, ${report.deferred} deferred of ${report.scanned} files`);
+      report.unmatched.forEach(({ file, reason }) => this.logger.warn(`Unmatched receipt ${file}: ${reason}`));
+    }
+
+    return report;
+  }
+
+  /**
+   * Load the stored transactions the inbox files could belong to
+   * @param {string[]} files - File names in the inbox
+   * @returns {Promise<Object>} - { byId, recent } where byId holds records named by Xano-{id} files
+   */
+  async buildIndex(files) {
+    const ids = [...new Set(files.map(file => this.parseFileName(file).xanoId).filter(id => id))];
+
+    const named = ids.length > 0
+      ? await this.xanoClient.getTransactionsForReprocessing({
+        ids,
+        statuses: Object.values(TransactionStatus),
+        limit: ids.length
+      })
+      : [];
+
+    // Files without a Xano-{id} name are matched against every recent import; storage
+    // returns the oldest first, so a single page would miss the newest
+    const needsRecent = files.some(file => !this.parseFileName(file).xanoId);
+    const transactionSince = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const recent = needsRecent
+      ? await getAllTransactionsForReprocessing(this.xanoClient, {
+        statuses: [TransactionStatus.IMPORTED],
+        transactionSince,
+        limit: this.lookupLimit
+      })
+      : [];
+
+    return {
+      byId: new Map(named.map(record => [String(record.id), record])),
+      recent
+    };
+  }
+
+  /**
+   * Read the naming conventions out of a receipt file name
+   * @param {string} fileName - File name
+   * @returns {Object} - { xanoId, actualId } (null where the name does not follow that convention)
+   */
+  parseFileName(fileName) {
+    const reference = fileName.match(/^xano-(\d+)(?!\d)/i);
+    const actualId = fileName.match(/^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i);
+
+    return {
+      xanoId: reference ? reference[1] : null,
+      actualId: actualId ? actualId[1].toLowerCase() : null
+    };
+  }
+
+  /**
+   * Find the imported transaction a receipt file belongs to
+   * @param {string} fileName - File name
+   * @param {Object} index - Candidate records (see buildIndex)
+   * @returns {Promise<Object>} - { record } on a match, otherwise { reason }
+   */
+  async matchFile(fileName, index) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (!ReceiptService.CONTENT_TYPES[extension]) {
+      return { reason: `Unsupported file type "${extension || 'none'}"; use ${Object.keys(ReceiptService.CONTENT_TYPES).join(', ')}` };
+    }
+
+    const { xanoId, actualId } = this.parseFileName(fileName);
+    let record = null;
+
+    if (xanoId) {
+      record = index.byId.get(xanoId);
+      if (!record) {
+        return { reason: `No stored transaction Xano-${xanoId}` };
+      }
+    } else if (actualId) {
+      record = index.recent.find(candidate => String(candidate.actual_transaction_id).toLowerCase() === actualId);
+    } else {
+      const tagged = index.recent.filter(candidate => this.getReceiptTags(candidate.description).includes(this.normalizeName(fileName)));
+      if (tagged.length > 1) {
+        return { reason: `#receipt:${fileName} appears in the notes of ${tagged.length} transactions (${tagged.map(candidate => `Xano-${candidate.id}`).join(', ')})` };
+      }
+      record = tagged[0] || null;
+    }
+
+    if (!record) {
+      return { reason: 'No imported transaction matches this file; name it Xano-{id} or add #receipt:' + fileName + ' to the transaction notes' };
+    }
+
+    if (record.status !== TransactionStatus.IMPORTED || !record.xero_transaction_id) {
+      return { reason: `Xano-${record.id} is not imported to Xero yet (status ${record.status})` };
+    }
+
+    const stats = await fs.promises.stat(path.join(this.folder, fileName));
+    if (stats.size > this.xeroClient.constructor.MAX_ATTACHMENT_BYTES) {
+      return { reason: `File is larger than Xero's ${this.xeroClient.constructor.MAX_ATTACHMENT_BYTES / 1024 / 1024} MB attachment limit` };
+    }
+
+    return { record };
+  }
+
+  /**
+   * List the receipt names tagged in transaction notes (#receipt:{file name})
+   * @param {string} notes - Transaction notes
+   * @returns {string[]} - Normalized receipt names
+   */
+  getReceiptTags(notes) {
+    return [...(notes || '').matchAll(/(?:^|\s)#receipt:(\S+)/gi)].map(match => this.normalizeName(match[1]));
+  }
+
+  /**
+   * Normalize a receipt name so tags match with or without the extension
+   * @param {string} name - File name or tag value
+   * @returns {string} - Lower-case name without extension
+   */
+  normalizeName(name) {
+    return name.replace(/\.[^.]+$/, '').toLowerCase();
+  }
+
+  /**
+   * Upload a receipt to the transaction's Xero entry, record it and move the file out of the inbox
+   * @param {string} fileName - File name in the inbox
+   * @param {Object} record - Imported transaction record
+   * @returns {Promise<Object>} - { file, xano_id, xero_transaction_id, attachment_id }
+   */
+  async attachReceipt(fileName, record) {
+    const filePath = path.join(this.folder, fileName);
+    const endpoint = record.is_transfer
+      ? 'BankTransfers'
+      : (record.xero_document_type === XeroDocumentType.BILL ? 'Invoices' : 'BankTransactions');
+
+    let attachment;
+    try {
+      const content = await fs.promises.readFile(filePath);
+      attachment = await this.xeroClient.uploadAttachment(
+        endpoint,
+        record.xero_transaction_id,
+        fileName,
+        content,
+        ReceiptService.CONTENT_TYPES[path.extname(fileName).toLowerCase()]
+      );
+    } catch (error) {
+      if (!XeroRateLimiter.isDeferredError(error)) {
+        await this.recordReceipt(record, { status: ReceiptStatus.FAILED, file_name: fileName, error: error.message });
+      }
+      throw error;
+    }
+
+    await this.recordReceipt(record, {
+      status: ReceiptStatus.ATTACHED,
+      file_name: fileName,
+      attachment_id: attachment.attachment_id
+    });
+    await this.moveToAttached(fileName);
+
+    return {
+      file: fileName,
+      xano_id: record.id,
+      xero_transaction_id: record.xero_transaction_id,
+      attachment_id: attachment.attachment_id
+    };
+  }
+
+  /**
+   * Record a receipt outcome on the stored transaction
+   * @param {Object} record - Transaction record
+   * @param {Object} receipt - Receipt outcome ({ status, file_name, attachment_id, error })
+   * @returns {Promise<void>}
+   */
+  async recordReceipt(record, receipt) {
+    try {
+      await this.xanoClient.updateTransactionReceipt(record.id, receipt);
+    } catch (error) {
+      // The attachment is in Xero either way; the status catches up on the next attach
+      this.logger.warn(`Failed to record receipt ${receipt.file_name} on Xano-${record.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move an attached receipt into the attached/ subfolder
+   * @param {string} fileName - File name in the inbox
+   * @returns {Promise<void>}
+   */
+  async moveToAttached(fileName) {
+    const attachedDir = path.join(this.folder, ReceiptService.ATTACHED_DIR);
+    let target = path.join(attachedDir, fileName);
+
+    // Never overwrite an earlier receipt with the same name
+    try {
+      await fs.promises.access(target);
+      target = path.join(attachedDir, `${Date.now()}-${fileName}`);
+    } catch (error) {
+      // No file with this name yet
+    }
+
+    await fs.promises.mkdir(attachedDir, { recursive: true });
+    await fs.promises.rename(path.join(this.folder, fileName), target);
+  }
+
+  /**
+   * Check whether receipts may be sent to Xero under the current safety settings
+   * @returns {boolean} - False in dry run mode or when Xero sync is disabled
+   */
+  uploadsEnabled() {
+    return !this.config.dry_run_mode && this.config.sync_to_xero !== false;
+  }
+
+  /**
+   * Get receipts status and the last scan report
+   * @returns {Object} - Receipts status
+   */
+  getStatus() {
+    return {
+      folder: this.folder,
+      watching: !!this.watcher,
+      running: this.isRunning(),
+      uploadsEnabled: this.uploadsEnabled(),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = ReceiptService;
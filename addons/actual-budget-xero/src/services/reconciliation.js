@@ -0,0 +1,252 @@
+const { TransactionStatus, XeroDocumentType } = require('../models/transaction');
+const XeroRateLimiter = require('../utils/xero-rate-limiter');
+const { getAllTransactionsForReprocessing } = require('./storage');
+
+/**
+ * ReconciliationService - Pulls Xero reconciliation status back into Actual Budget
+ *
+ * Imported bank transactions are looked up in Xero by their Xano-{id}
+ * reference. Each one Xero reports as reconciled against a bank statement
+ * line is tagged #paid with the date in Actual Budget and recorded in storage
+ * (is_reconciled, reconciled_date), so the budget shows which business
+ * expenses the accountant has confirmed. Recorded transactions are not
+ * checked again.
+ */
+class ReconciliationService {
+  constructor(options = {}) {
+    this.xanoClient = options.xanoClient;
+    this.xeroClient = options.xeroClient;
+    this.actualClient = options.actualClient;
+    this.config = options.config || {};
+    this.logger = options.logger || console;
+
+    this.currentRun = null;
+    this.lastRun = null;
+
+    // Validate required dependencies
+    this.validateDependencies();
+  }
+
+  /**
+   * Validate that all required service dependencies are provided
+   * @throws {Error} If required dependencies are missing
+   */
+  validateDependencies() {
+    if (!this.xanoClient) {
+      throw new Error('XanoClient is required');
+    }
+    if (!this.xeroClient) {
+      throw new Error('XeroClient is required');
+    }
+    if (!this.actualClient) {
+      throw new Error('ActualBudgetClient is required');
+    }
+  }
+
+  /**
+   * Check imported transactions for reconciliation in Xero
+   *
+   * A request while a check is running gets that check's report.
+   * @param {Object} options - Check options
+   * @param {number} options.limit - Imported transactions loaded per storage request; every one in the window is checked (default: 200)
+   * @param {number} options.daysBack - Only check transactions dated within this many days (default: 90)
+   * @param {boolean} options.dryRun - Report reconciled transactions without tagging or recording them
+   *   (default: dry_run_mode)
+   * @returns {Promise<Object>} - Check report (see runCheck)
+   */
+  async checkReconciliations(options = {}) {
+    if (this.currentRun) {
+      return this.currentRun;
+    }
+
+    this.currentRun = this.runCheck({
+      limit: options.limit || 200,
+      daysBack: options.daysBack || 90,
+      dryRun: options.dryRun !== undefined ? !!options.dryRun : !!this.config.dry_run_mode
+    });
+
+    try {
+      return await this.currentRun;
+    } finally {
+      this.currentRun = null;
+    }
+  }
+
+  /**
+   * Run one reconciliation check
+   * @param {Object} options - Resolved check options
+   * @returns {Promise<Object>} - { started_at, completed_at, options, checked, reconciled, tagged, failed, deferred, error, summary }
+   *   where reconciled and failed list the transactions
+   */
+  async runCheck(options) {
+    const report = {
+      started_at: new Date().toISOString(),
+      completed_at: null,
+      options,
+      checked: 0,
+      reconciled: [],
+      tagged: 0,
+      failed: [],
+      deferred: 0,
+      error: null,
+      summary: null
+    };
+
+    try {
+      const records = await this.findUnreconciledTransactions(options);
+      report.checked = records.length;
+
+      // Leave the daily quota for imports; these are checked again next time
+      if (records.length > 0 && this.xeroClient.isDailyQuotaLow()) {
+        report.deferred = records.length;
+        records.length = 0;
+      }
+
+      const matches = records.length > 0
+        ? await this.xeroClient.findTransactionsByReferences(records.map(record => ReconciliationService.referenceFor(record)))
+        : new Map();
+
+      for (const record of records) {
+        const match = (matches.get(ReconciliationService.referenceFor(record)) || [])
+          .find(candidate => candidate.xero_transaction_id === record.xero_transaction_id);
+
+        if (!match || !match.is_reconciled) {
+          continue;
+        }
+
+        // Xero has no reconciliation date, so the last change to the transaction stands in for it
+        const entry = {
+          xano_id: record.id,
+          actual_transaction_id: record.actual_transaction_id,
+          xero_transaction_id: record.xero_transaction_id,
+          reconciled_date: match.xero_updated_date || new Date().toISOString()
+        };
+        report.reconciled.push(entry);
+
+        if (options.dryRun) {
+          continue;
+        }
+
+        try {
+          await this.recordReconciliation(entry);
+          report.tagged++;
+        } catch (error) {
+          report.failed.push({ ...entry, error: error.message });
+          this.logger.warn(`Failed to record reconciliation of Xano-${record.id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      if (XeroRateLimiter.isDeferredError(error)) {
+        report.deferred = report.checked;
+      } else {
+        report.error = error.message;
+        this.logger.error(`Reconciliation check failed: ${error.message}`);
+      }
+    }
+
+    report.completed_at = new Date().toISOString();
+    report.summary = this.summarize(report);
+    this.lastRun = report;
+
+    this.logger.info(`Reconciliation check: ${report.summary}`);
+    return report;
+  }
+
+  /**
+   * Load imported bank transactions not yet known to be reconciled
+   *
+   * Storage cannot filter on reconciliation, so the whole window is paged
+   * through; otherwise reconciled records filling the first page would hide
+   * the ones still to check.
+   * @param {Object} options - Check options
+   * @returns {Promise<Array>} - Stored transaction records
+   */
+  async findUnreconciledTransactions(options) {
+    const transactionSince = new Date(Date.now() - options.daysBack * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .split('T')[0];
+
+    const records = await getAllTransactionsForReprocessing(this.xanoClient, {
+      limit: options.limit,
+      statuses: [TransactionStatus.IMPORTED],
+      transactionSince
+    });
+
+    // Only bank transactions carry IsReconciled; transfers and bills are reconciled through other records
+    return records.filter(record =>
+      record.xero_transaction_id &&
+      !record.is_reconciled &&
+      !record.is_transfer &&
+      record.xero_document_type !== XeroDocumentType.BILL
+    );
+  }
+
+  /**
+   * Tag the Actual Budget transaction #paid and record the reconciliation in storage
+   *
+   * The tag goes first, so a transaction that could not be tagged is not
+   * recorded and is tried again on the next check.
+   * @param {Object} entry - Reconciled transaction ({ xano_id, actual_transaction_id, reconciled_date })
+   * @returns {Promise<void>}
+   */
+  async recordReconciliation(entry) {
+    await this.actualClient.addPaidTag(entry.actual_transaction_id, new Date(entry.reconciled_date));
+    await this.xanoClient.updateTransactionReconciliation(entry.xano_id, { reconciled_date: entry.reconciled_date });
+  }
+
+  /**
+   * Human readable summary of a check
+   * @param {Object} report - Check report
+   * @returns {string}
+   */
+  summarize(report) {
+    if (report.error) {
+      return `Failed: ${report.error}`;
+    }
+
+    const parts = [`${report.reconciled.length} of ${report.checked} reconciled in Xero`];
+    if (report.options.dryRun) {
+      parts.push('dry run, nothing tagged');
+    } else {
+      parts.push(`${report.tagged} tagged #paid`);
+    }
+    if (report.failed.length > 0) {
+      parts.push(`${report.failed.length} failed`);
+    }
+    if (report.deferred > 0) {
+      parts.push(`${report.deferred} deferred by the Xero rate limit`);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Xero reference of a stored transaction
+   * @param {Object} record - Stored transaction record
+   * @returns {string} - Xano-{id}
+   */
+  static referenceFor(record) {
+    return `Xano-${record.id}`;
+  }
+
+  /**
+   * Check whether a reconciliation check is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return !!this.currentRun;
+  }
+
+  /**
+   * Get the service status and the last check's report
+   * @returns {Object} - { enabled, running, lastRun }
+   */
+  getStatus() {
+    return {
+      enabled: !!this.config.reconciliation_sync,
+      running: this.isRunning(),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = ReconciliationService;
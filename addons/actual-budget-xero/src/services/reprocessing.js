@@ -1,4 +1,7 @@
 const { Transaction, TransactionStatus } = require('../models/transaction');
+const MappingRuleEngine = require('./mapping-rules');
+const TrackingMapper = require('./tracking');
+const XeroClient = require('./xero');
 
 /**
  * ReprocessingService - Service for reprocessing failed transactions with updated mappings
@@ -14,6 +17,25 @@ class ReprocessingService {
     this.logger = options.logger || console;
     this.config = options.config || {};
 
+    // SyncService whose batched Xero import reprocessed transactions go through
+    this.importer = options.importer;
+
+    // Mapping rules checked before the category and payee mappings
+    this.mappingRules = new MappingRuleEngine({
+      rules: this.config.mapping_rules,
+      actualClient: this.actualClient,
+      xeroClient: this.xeroClient,
+      logger: this.logger
+    });
+
+    // Xero tracking options picked from notes tags or Actual categories
+    this.trackingMapper = new TrackingMapper({
+      mappings: this.config.tracking_mappings,
+      actualClient: this.actualClient,
+      xeroClient: this.xeroClient,
+      logger: this.logger
+    });
+
     // Reprocessing statistics
     this.stats = {
       transactionsFound: 0,
@@ -21,10 +43,14 @@ class ReprocessingService {
       transactionsResolved: 0,
       transactionsImported: 0,
       transactionsFailed: 0,
+      transactionsDeferred: 0,
       mappingsResolved: 0,
       errors: []
     };
 
+    // Progress callback for the current run
+    this.onProgress = null;
+
     // Validate required dependencies
     this.validateDependencies();
   }
@@ -43,6 +69,9 @@ class ReprocessingService {
     if (!this.actualClient) {
       throw new Error('ActualBudgetClient is required');
     }
+    if (!this.importer) {
+      throw new Error('SyncService importer is required');
+    }
   }
 
   /**
@@ -53,11 +82,13 @@ class ReprocessingService {
    * @param {boolean} options.autoResolve - Attempt automatic mapping resolution (default: true)
    * @param {boolean} options.importToXero - Import successfully mapped transactions to Xero (default: true)
    * @param {boolean} options.dryRun - Preview reprocessing without making changes (default: false)
+   * @param {Function} options.onProgress - Called with progress updates during the run
    * @returns {Promise<Object>} - Comprehensive reprocessing results
    */
   async reprocessFailedTransactions(options = {}) {
     const startTime = Date.now();
     this.resetStats();
+    this.onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
 
     try {
       this.logger.info('Starting transaction reprocessing');
@@ -73,18 +104,22 @@ class ReprocessingService {
       this.logger.info(`Reprocessing options: limit=${reprocessOptions.limit}, statuses=[${reprocessOptions.statuses.join(', ')}], autoResolve=${reprocessOptions.autoResolve}, importToXero=${reprocessOptions.importToXero}, dryRun=${reprocessOptions.dryRun}`);
 
       // Step 1: Find transactions ready for reprocessing
+      this.reportProgress('finding', 5, 'Finding transactions to reprocess...');
       const transactionsToReprocess = await this.findTransactionsForReprocessing(reprocessOptions);
 
       if (transactionsToReprocess.length === 0) {
         this.logger.info('No transactions found for reprocessing');
+        this.reportProgress('completed', 100, 'No transactions found for reprocessing');
         return this.getReprocessingResults(startTime, reprocessOptions);
       }
 
       // Step 2: Analyze missing mappings and attempt resolution
+      this.reportProgress('analyzing', 15, `Analyzing mappings for ${transactionsToReprocess.length} transactions...`);
       const mappingAnalysis = await this.analyzeMissingMappings(transactionsToReprocess);
 
       // Step 3: Attempt automatic mapping resolution if enabled
       if (reprocessOptions.autoResolve && (mappingAnalysis.missingCategories.length > 0 || mappingAnalysis.missingPayees.length > 0)) {
+        this.reportProgress('resolving', 25, 'Resolving missing mappings in Xero...');
         await this.attemptAutomaticMappingResolution(mappingAnalysis);
       }
 
@@ -101,6 +136,7 @@ class ReprocessingService {
 
       const results = this.getReprocessingResults(startTime, reprocessOptions);
       this.logger.info(`Reprocessing completed: ${results.summary} in ${results.duration}ms`);
+      this.reportProgress('completed', 100, 'Reprocessing completed');
       
       return results;
 
@@ -113,6 +149,39 @@ class ReprocessingService {
 
       this.logger.error(`Transaction reprocessing failed: ${error.message}`);
       throw error;
+    } finally {
+      this.onProgress = null;
+    }
+  }
+
+  /**
+   * Report progress for the current run
+   * @param {string} stage - Current stage name
+   * @param {number} percentage - Overall completion percentage (0-100)
+   * @param {string} message - Human readable progress message
+   */
+  reportProgress(stage, percentage, message) {
+    if (!this.onProgress) {
+      return;
+    }
+
+    try {
+      this.onProgress({
+        stage,
+        percentage: Math.min(100, Math.round(percentage)),
+        message,
+        statistics: {
+          transactionsFound: this.stats.transactionsFound,
+          transactionsProcessed: this.stats.transactionsProcessed,
+          transactionsResolved: this.stats.transactionsResolved,
+          transactionsImported: this.stats.transactionsImported,
+          transactionsFailed: this.stats.transactionsFailed,
+          transactionsDeferred: this.stats.transactionsDeferred,
+          mappingsResolved: this.stats.mappingsResolved
+        }
+      });
+    } catch (error) {
+      this.logger.warn(`Reprocessing progress callback failed: ${error.message}`);
     }
   }
 
@@ -181,7 +250,14 @@ class ReprocessingService {
 
       // Analyze each transaction for missing mappings
       for (const transaction of transactions) {
-        const missingCategory = !transaction.xero_account_id && transaction.actual_category_id;
+        // Transfers only need their two bank accounts, which are never created automatically
+        if (transaction.is_transfer) {
+          analysis.transactionsByMissingType.neither.push(transaction);
+          continue;
+        }
+
+        const categoryIds = Transaction.getCategoryIds(transaction);
+        const missingCategory = !transaction.xero_account_id && categoryIds.length > 0;
         const missingPayee = !transaction.xero_contact_id && transaction.actual_payee_id;
 
         // Categorize transaction by missing mapping type
@@ -196,12 +272,20 @@ class ReprocessingService {
         }
 
         // Track unique missing categories
-        if (missingCategory && transaction.actual_category_name) {
-          analysis.missingCategories.set(transaction.actual_category_id, {
-            actual_category_id: transaction.actual_category_id,
-            actual_category_name: transaction.actual_category_name,
-            transaction_count: (analysis.missingCategories.get(transaction.actual_category_id)?.transaction_count || 0) + 1
-          });
+        if (missingCategory) {
+          // Split transactions carry their categories on the split lines
+          const categories = transaction.is_split
+            ? (transaction.split_lines || []).map(line => ({ id: line.actual_category_id, name: line.actual_category_name }))
+            : [{ id: transaction.actual_category_id, name: transaction.actual_category_name }];
+
+          for (const category of categories) {
+            if (!category.id || !category.name) continue;
+            analysis.missingCategories.set(category.id, {
+              actual_category_id: category.id,
+              actual_category_name: category.name,
+              transaction_count: (analysis.missingCategories.get(category.id)?.transaction_count || 0) + 1
+            });
+          }
         }
 
         // Track unique missing payees
@@ -386,11 +470,15 @@ class ReprocessingService {
         processingErrors: []
       };
 
+      // Rows stored before account mappings existed have no source account
+      await this.backfillAccountIds(transactions);
+
       // Get updated mappings for all transactions
-      const categoryIds = [...new Set(transactions.map(t => t.actual_category_id).filter(id => id))];
+      const categoryIds = [...new Set(transactions.flatMap(t => Transaction.getCategoryIds(t)))];
       const payeeIds = [...new Set(transactions.map(t => t.actual_payee_id).filter(id => id))];
+      const accountIds = [...new Set(transactions.flatMap(t => [t.actual_account_id, t.transfer_account_id]).filter(id => id))];
 
-      const mappings = await this.xanoClient.batchGetMappings(categoryIds, payeeIds);
+      const mappings = await this.xanoClient.batchGetMappings(categoryIds, payeeIds, accountIds);
       
       // Create lookup maps for efficient access
       const categoryMappingMap = new Map();
@@ -403,31 +491,56 @@ class ReprocessingService {
         payeeMappingMap.set(mapping.actual_payee_id, mapping);
       });
 
+      const accountMappingMap = new Map();
+      (mappings.accountMappings || []).filter(mapping => mapping.is_active !== false).forEach(mapping => {
+        accountMappingMap.set(mapping.actual_account_id, mapping);
+      });
+
+      // Find the first matching mapping rule for each transaction (transfers never use rules)
+      await this.mappingRules.prepare(transactions.filter(transaction => !transaction.is_transfer));
+      await this.trackingMapper.prepare();
+
       // Process each transaction
       const mappingUpdates = [];
 
       for (const transaction of transactions) {
         try {
-          const categoryMapping = categoryMappingMap.get(transaction.actual_category_id);
+          if (transaction.is_transfer) {
+            await this.processTransferWithMappings(transaction, accountMappingMap, results, mappingUpdates, options);
+            this.stats.transactionsProcessed++;
+            continue;
+          }
+
+          // Sets xero_account_id/code on the transaction and on every split line
+          const categoryResult = Transaction.applyCategoryMappings(transaction, categoryMappingMap);
           const payeeMapping = payeeMappingMap.get(transaction.actual_payee_id);
+          const hasValidAccountMapping = Transaction.applyAccountMapping(transaction, accountMappingMap);
 
-          const hasValidCategoryMapping = categoryMapping && categoryMapping.xero_account_id;
-          const hasValidPayeeMapping = payeeMapping && payeeMapping.xero_contact_id;
+          // A matching rule overrides the account, tax type and contact from the 1:1 mappings
+          const ruleResult = this.mappingRules.applyWithMappings(transaction, categoryResult, payeeMapping);
+          const mappingError = ruleResult.error || this.trackingMapper.apply(transaction);
+          if (mappingError) {
+            throw new Error(mappingError);
+          }
+
+          const hasValidCategoryMapping = ruleResult.hasAccount;
+          const hasValidPayeeMapping = !!ruleResult.contactId;
 
-          if (hasValidCategoryMapping && hasValidPayeeMapping) {
+          if (hasValidCategoryMapping && hasValidPayeeMapping && hasValidAccountMapping) {
             // Transaction now has all required mappings
             const mappingUpdate = {
               xano_id: transaction.id,
-              xero_account_id: categoryMapping.xero_account_id,
-              xero_contact_id: payeeMapping.xero_contact_id
+              xero_account_id: transaction.xero_account_id,
+              xero_contact_id: ruleResult.contactId,
+              xero_bank_account_id: transaction.xero_bank_account_id,
+              xero_document_type: Transaction.resolveDocumentType(transaction, payeeMapping)
             };
 
             mappingUpdates.push(mappingUpdate);
 
             // Add mapping info to transaction for Xero import
-            transaction.xero_account_id = categoryMapping.xero_account_id;
-            transaction.xero_contact_id = payeeMapping.xero_contact_id;
-            transaction.xero_account_code = categoryMapping.xero_account_code;
+            transaction.xero_contact_id = ruleResult.contactId;
+            transaction.xero_document_type = mappingUpdate.xero_document_type;
 
             results.readyForXero.push(transaction);
             this.stats.transactionsResolved++;
@@ -437,6 +550,7 @@ class ReprocessingService {
             const missingMappings = [];
             if (!hasValidCategoryMapping) missingMappings.push('category');
             if (!hasValidPayeeMapping) missingMappings.push('payee');
+            if (!hasValidAccountMapping) missingMappings.push('bank account');
 
             const errorMessage = `Still missing ${missingMappings.join(' and ')} mapping(s) after reprocessing`;
             
@@ -458,6 +572,11 @@ class ReprocessingService {
           }
 
           this.stats.transactionsProcessed++;
+          this.reportProgress(
+            'processing',
+            30 + (this.stats.transactionsProcessed / transactions.length) * 35,
+            `Processed ${this.stats.transactionsProcessed} of ${transactions.length} transactions`
+          );
 
         } catch (error) {
           results.processingErrors.push({
@@ -490,7 +609,10 @@ class ReprocessingService {
             try {
               await this.xanoClient.updateTransactionMapping(update.xano_id, {
                 xero_account_id: update.xero_account_id,
-                xero_contact_id: update.xero_contact_id
+                xero_contact_id: update.xero_contact_id,
+                xero_bank_account_id: update.xero_bank_account_id,
+                xero_to_bank_account_id: update.xero_to_bank_account_id,
+                xero_document_type: update.xero_document_type
               });
             } catch (individualError) {
               this.logger.warn(`Failed to update mapping for transaction ${update.xano_id}: ${individualError.message}`);
@@ -515,8 +637,52 @@ class ReprocessingService {
     }
   }
 
+  /**
+   * Re-apply account mappings to a stored transfer
+   * @param {Object} transaction - Transfer record, updated in place
+   * @param {Map} accountMappingMap - Account mappings keyed by Actual account ID
+   * @param {Object} results - Processing results, updated in place
+   * @param {Array} mappingUpdates - Mapping updates to write, appended to
+   * @param {Object} options - Reprocessing options
+   * @returns {Promise<void>}
+   */
+  async processTransferWithMappings(transaction, accountMappingMap, results, mappingUpdates, options) {
+    const result = Transaction.applyTransferMapping(transaction, accountMappingMap);
+
+    if (result.isValid) {
+      mappingUpdates.push({
+        xano_id: transaction.id,
+        xero_bank_account_id: transaction.xero_bank_account_id,
+        xero_to_bank_account_id: transaction.xero_to_bank_account_id
+      });
+      results.readyForXero.push(transaction);
+      this.stats.transactionsResolved++;
+      return;
+    }
+
+    const errorMessage = result.error || 'Still missing bank account mapping(s) after reprocessing';
+    results.stillMissingMappings.push({
+      transaction,
+      missingMappings: result.missingAccounts.length > 0 ? ['bank account'] : [],
+      errorMessage
+    });
+
+    if (!options.dryRun) {
+      try {
+        await this.xanoClient.markTransactionFailed(transaction.id, errorMessage);
+        this.stats.transactionsFailed++;
+      } catch (error) {
+        this.logger.warn(`Failed to mark transaction ${transaction.id} as failed: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Import reprocessed transactions to Xero
+   *
+   * Goes through the sync's batch import, so reprocessed transactions get the
+   * same single reference check before creating, bank transactions created 50
+   * per request, and per-transaction errors, at the same cost in Xero quota.
    * @param {Array} transactions - Transactions ready for Xero import
    * @returns {Promise<Object>} - Import results
    */
@@ -527,95 +693,50 @@ class ReprocessingService {
       const importResults = {
         imported: 0,
         failed: 0,
+        deferred: 0,
         errors: [],
         xeroUpdates: []
       };
 
-      // Process transactions individually for better error handling
-      for (const transaction of transactions) {
-        try {
-          // Generate Xero reference using Xano ID
-          const xeroReference = `Xano-${transaction.id}`;
-          
-          // Format transaction for Xero
-          const xeroTransactionData = await this.formatTransactionForXero(transaction, xeroReference);
-
-          // Create transaction in Xero
-          const xeroResult = await this.xeroClient.createTransaction({
-            ...xeroTransactionData,
-            xano_id: transaction.id
-          });
-
-          // Prepare update for Xano
-          importResults.xeroUpdates.push({
-            xano_id: transaction.id,
-            xero_transaction_id: xeroResult.xero_transaction_id,
-            xero_imported_date: new Date().toISOString(),
-            xero_reference: xeroReference,
-            xero_status: xeroResult.xero_status || 'AUTHORISED'
-          });
-
-          importResults.imported++;
-          this.stats.transactionsImported++;
+      const batches = this.importer.createBatches(transactions, XeroClient.MAX_BANK_TRANSACTIONS_PER_REQUEST);
 
-          // Tag transaction in Actual Budget
-          try {
-            await this.actualClient.addXeroTag(transaction.actual_transaction_id);
-          } catch (tagError) {
-            this.logger.warn(`Failed to tag transaction ${transaction.actual_transaction_id}: ${tagError.message}`);
-          }
+      for (const [index, batch] of batches.entries()) {
+        // Leave the rest of the daily quota alone; the remaining transactions wait for the next reprocessing run
+        if (this.xeroClient.isDailyQuotaLow()) {
+          await this.deferReprocessedImports(batches.slice(index).flat(), importResults);
+          break;
+        }
 
-          this.logger.debug(`Successfully imported reprocessed transaction ${transaction.id} to Xero: ${xeroResult.xero_transaction_id}`);
+        this.reportProgress(
+          'importing',
+          65 + (index / batches.length) * 35,
+          `Importing batch ${index + 1} of ${batches.length} to Xero...`
+        );
 
-        } catch (error) {
-          importResults.failed++;
-          this.stats.transactionsFailed++;
-          
-          const errorDetails = {
-            type: 'XERO_IMPORT_ERROR',
-            message: error.message,
-            transaction_id: transaction.actual_transaction_id,
-            xano_id: transaction.id,
-            timestamp: new Date().toISOString()
-          };
+        // Failed transactions are already marked failed in Xano, and imported ones tagged in Actual Budget
+        const batchResults = await this.importer.processBatchXeroImport(batch);
 
-          importResults.errors.push(errorDetails);
-          this.stats.errors.push(errorDetails);
+        importResults.imported += batchResults.imported;
+        importResults.failed += batchResults.failed;
+        importResults.errors.push(...batchResults.errors);
+        importResults.xeroUpdates.push(...batchResults.xeroUpdates);
 
-          // Mark transaction as failed in Xano
-          try {
-            await this.xanoClient.markTransactionFailed(transaction.id, `Xero import failed: ${error.message}`);
-          } catch (markError) {
-            this.logger.warn(`Failed to mark transaction ${transaction.id} as failed: ${markError.message}`);
-          }
-
-          this.logger.error(`Failed to import reprocessed transaction ${transaction.id} to Xero: ${error.message}`);
+        if (batchResults.deferred.length > 0) {
+          await this.deferReprocessedImports([...batchResults.deferred, ...batches.slice(index + 1).flat()], importResults);
+          break;
         }
       }
 
+      this.stats.transactionsImported += importResults.imported;
+      this.stats.transactionsFailed += importResults.failed;
+      this.stats.errors.push(...importResults.errors);
+
       // Bulk update Xano with Xero import results
       if (importResults.xeroUpdates.length > 0) {
-        try {
-          await this.xanoClient.bulkUpdateTransactionXeroImports(importResults.xeroUpdates);
-          this.logger.info(`Updated ${importResults.xeroUpdates.length} transactions with Xero import data`);
-        } catch (error) {
-          this.logger.error(`Failed to bulk update Xero import data: ${error.message}`);
-          
-          // Try individual updates as fallback
-          for (const update of importResults.xeroUpdates) {
-            try {
-              await this.xanoClient.updateTransactionXeroImport(update.xano_id, {
-                xero_transaction_id: update.xero_transaction_id,
-                xero_imported_date: update.xero_imported_date
-              });
-            } catch (individualError) {
-              this.logger.warn(`Failed to update Xero import data for transaction ${update.xano_id}: ${individualError.message}`);
-            }
-          }
-        }
+        await this.importer.updateXanoWithXeroResults(importResults.xeroUpdates);
       }
 
-      this.logger.info(`Reprocessed transaction import complete: ${importResults.imported} imported, ${importResults.failed} failed`);
+      this.logger.info(`Reprocessed transaction import complete: ${importResults.imported} imported, ${importResults.failed} failed, ${importResults.deferred} deferred`);
 
       return importResults;
 
@@ -632,67 +753,22 @@ class ReprocessingService {
   }
 
   /**
-   * Format transaction for Xero API
-   * @param {Object} transaction - Transaction from Xano
-   * @param {string} xeroReference - Xero reference
-   * @returns {Promise<Object>} - Xero-formatted transaction
+   * Look up the Actual Budget account of stored transactions that lack one
+   * @param {Array} transactions - Transactions to reprocess (updated in place)
+   * @returns {Promise<void>}
    */
-  async formatTransactionForXero(transaction, xeroReference) {
-    try {
-      // Validate required fields
-      if (!transaction.xero_account_id) {
-        throw new Error('Xero account ID is required');
-      }
-      if (!transaction.xero_contact_id) {
-        throw new Error('Xero contact ID is required');
-      }
-      if (!transaction.amount || transaction.amount === 0) {
-        throw new Error('Transaction amount must be non-zero');
-      }
-
-      // Format date for Xero (YYYY-MM-DD)
-      const transactionDate = new Date(transaction.transaction_date);
-      if (isNaN(transactionDate.getTime())) {
-        throw new Error('Invalid transaction date');
-      }
-      const formattedDate = transactionDate.toISOString().split('T')[0];
-
-      // Determine transaction type and amount
-      const isSpend = transaction.amount < 0;
-      const absoluteAmount = Math.abs(transaction.amount);
-
-      // Format description with fallback
-      const description = transaction.description || 
-                         `Reprocessed transaction from Actual Budget (${transaction.actual_transaction_id})`;
-
-      // Build Xero transaction object
-      const xeroTransaction = {
-        Type: isSpend ? 'SPEND' : 'RECEIVE',
-        Contact: {
-          ContactID: transaction.xero_contact_id
-        },
-        Date: formattedDate,
-        Reference: xeroReference,
-        Status: 'AUTHORISED',
-        LineItems: [{
-          Description: description.substring(0, 4000), // Xero has a 4000 character limit
-          Quantity: 1,
-          UnitAmount: absoluteAmount,
-          AccountID: transaction.xero_account_id,
-          TaxType: 'NONE'
-        }]
-      };
-
-      // Add account code if available
-      if (transaction.xero_account_code) {
-        xeroTransaction.LineItems[0].AccountCode = transaction.xero_account_code;
+  async backfillAccountIds(transactions) {
+    const legacyTransactions = transactions.filter(t => !t.actual_account_id && t.actual_transaction_id);
+
+    for (const transaction of legacyTransactions) {
+      try {
+        const actualTransaction = await this.actualClient.getTransaction(transaction.actual_transaction_id);
+        if (actualTransaction?.account) {
+          transaction.actual_account_id = actualTransaction.account;
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to look up account for transaction ${transaction.id}: ${error.message}`);
       }
-
-      return xeroTransaction;
-
-    } catch (error) {
-      this.logger.error(`Failed to format transaction ${transaction.id} for Xero: ${error.message}`);
-      throw error;
     }
   }
 
@@ -711,11 +787,35 @@ class ReprocessingService {
       duration,
       options,
       statistics: { ...this.stats },
-      summary: `Found ${this.stats.transactionsFound} transactions, processed ${this.stats.transactionsProcessed}, resolved ${this.stats.transactionsResolved}, imported ${this.stats.transactionsImported}, failed ${this.stats.transactionsFailed}`,
+      summary: `Found ${this.stats.transactionsFound} transactions, processed ${this.stats.transactionsProcessed}, resolved ${this.stats.transactionsResolved}, imported ${this.stats.transactionsImported}, failed ${this.stats.transactionsFailed}, deferred ${this.stats.transactionsDeferred}`,
       errors: this.stats.errors
     };
   }
 
+  /**
+   * Leave transactions for the next reprocessing run because of the Xero rate limit
+   *
+   * They are marked failed with a deferral note, since reprocessing picks up
+   * failed transactions, but counted as deferred rather than failed.
+   * @param {Array} transactions - Transactions not imported
+   * @param {Object} importResults - Import results, updated in place
+   * @returns {Promise<void>}
+   */
+  async deferReprocessedImports(transactions, importResults) {
+    importResults.deferred += transactions.length;
+    this.stats.transactionsDeferred += transactions.length;
+
+    for (const transaction of transactions) {
+      try {
+        await this.xanoClient.markTransactionFailed(transaction.id, 'Deferred: Xero daily API quota nearly used up');
+      } catch (markError) {
+        this.logger.warn(`Failed to mark transaction ${transaction.id} as deferred: ${markError.message}`);
+      }
+    }
+
+    this.logger.warn(`Xero daily API quota is nearly used up: ${transactions.length} reprocessed transactions deferred to the next run`);
+  }
+
   /**
    * Reset statistics for new reprocessing run
    */
@@ -726,6 +826,7 @@ class ReprocessingService {
       transactionsResolved: 0,
       transactionsImported: 0,
       transactionsFailed: 0,
+      transactionsDeferred: 0,
       mappingsResolved: 0,
       errors: []
     };
@@ -0,0 +1,286 @@
+const cron = require('node-cron');
+
+/**
+ * SyncScheduler - Runs the sync on the configured cron schedule
+ *
+ * Registers the sync_schedule cron expression at startup, skips a tick when a
+ * sync is already running, and records next/last run times for status reporting
+ */
+class SyncScheduler {
+  /**
+   * Month and day-of-week names node-cron accepts, from January and Sunday
+   */
+  static MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  static WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  constructor(options = {}) {
+    this.schedule = options.schedule;
+    this.task = options.task;
+    this.isBusy = options.isBusy || (() => false);
+    this.logger = options.logger || console;
+    this.onStatusChange = options.onStatusChange || (() => {});
+
+    this.cronTask = null;
+    this.enabled = false;
+    this.running = false;
+    this.currentRun = null;
+
+    // Scheduler run history
+    this.state = {
+      nextRun: null,
+      lastRun: null,
+      lastRunStatus: null,
+      lastRunDuration: null,
+      lastError: null,
+      runCount: 0,
+      skippedCount: 0
+    };
+
+    // Validate required dependencies
+    this.validateDependencies();
+  }
+
+  /**
+   * Validate that the schedule and task are provided
+   * @throws {Error} If required options are missing or invalid
+   */
+  validateDependencies() {
+    if (!this.schedule) {
+      throw new Error('Sync schedule is required');
+    }
+    if (typeof this.task !== 'function') {
+      throw new Error('Scheduled task function is required');
+    }
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid cron expression: ${this.schedule}`);
+    }
+  }
+
+  /**
+   * Register the cron expression and start scheduling runs
+   */
+  start() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.cronTask = cron.schedule(this.schedule, () => {
+      this.runScheduledSync().catch(error => {
+        this.logger.error(`Scheduled sync failed: ${error.message}`);
+      });
+    }, { scheduled: true });
+
+    this.enabled = true;
+    this.state.nextRun = this.getNextRunTime();
+
+    this.logger.info(`Sync scheduler started with schedule "${this.schedule}", next run at ${this.state.nextRun ? this.state.nextRun.toISOString() : 'unknown'}`);
+    this.onStatusChange(this.getStatus());
+  }
+
+  /**
+   * Stop scheduling further runs (an in-progress run is left to finish)
+   */
+  stop() {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (this.cronTask) {
+      this.cronTask.stop();
+      this.cronTask = null;
+    }
+
+    this.enabled = false;
+    this.state.nextRun = null;
+
+    this.logger.info('Sync scheduler stopped');
+    this.onStatusChange(this.getStatus());
+  }
+
+  /**
+   * Execute one scheduled sync, skipping it if another sync is in progress
+   * @returns {Promise<Object|null>} - Task result, or null if the run was skipped
+   */
+  async runScheduledSync() {
+    this.state.nextRun = this.enabled ? this.getNextRunTime(new Date(Date.now() + 60000)) : null;
+
+    if (this.running || this.isBusy()) {
+      this.state.skippedCount++;
+      this.logger.warn('Skipping scheduled sync: a sync is already in progress');
+      this.onStatusChange(this.getStatus());
+      return null;
+    }
+
+    const startTime = Date.now();
+    this.running = true;
+    this.state.lastRun = new Date(startTime);
+    this.state.lastRunStatus = 'running';
+    this.onStatusChange(this.getStatus());
+
+    this.logger.info('Starting scheduled sync');
+
+    this.currentRun = (async () => {
+      try {
+        const result = await this.task();
+
+        // Tasks report failure either by throwing or by returning { success: false }
+        if (result && result.success === false) {
+          throw new Error(result.error || 'Scheduled sync reported failure');
+        }
+
+        this.state.lastRunStatus = 'completed';
+        this.state.lastError = null;
+        this.logger.info(`Scheduled sync completed in ${Date.now() - startTime}ms`);
+
+        return result;
+      } catch (error) {
+        this.state.lastRunStatus = 'failed';
+        this.state.lastError = error.message;
+        this.logger.error(`Scheduled sync failed: ${error.message}`);
+
+        return null;
+      } finally {
+        this.state.runCount++;
+        this.state.lastRunDuration = Date.now() - startTime;
+        this.running = false;
+        this.currentRun = null;
+        this.onStatusChange(this.getStatus());
+      }
+    })();
+
+    return this.currentRun;
+  }
+
+  /**
+   * Calculate the next time the cron expression matches
+   * @param {Date} from - Date to search from (default: now)
+   * @returns {Date|null} - Next run time, or null if none found within a year
+   */
+  getNextRunTime(from = new Date()) {
+    const fields = this.schedule.trim().split(/\s+/);
+
+    // node-cron allows an optional leading seconds field; runs are minute-granular here
+    const [minuteField, hourField, dayField, monthField, weekdayField] = fields.length === 6 ? fields.slice(1) : fields;
+
+    const minutes = this.parseCronField(minuteField, 0, 59);
+    const hours = this.parseCronField(hourField, 0, 23);
+    const days = this.parseCronField(dayField, 1, 31);
+    const months = this.parseCronField(monthField, 1, 12, SyncScheduler.MONTH_NAMES);
+
+    // Sunday is both 0 and 7; fold 7 only after ranges such as 1-7 are expanded
+    const weekdays = new Set([...this.parseCronField(weekdayField, 0, 7, SyncScheduler.WEEKDAY_NAMES)].map(day => day % 7));
+
+    const dayRestricted = dayField !== '*';
+    const weekdayRestricted = weekdayField !== '*';
+
+    const candidate = new Date(from.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= limit) {
+      if (!months.has(candidate.getMonth() + 1)) {
+        candidate.setMonth(candidate.getMonth() + 1, 1);
+        candidate.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      // Standard cron semantics: if both day fields are restricted, either may match
+      const dayMatches = days.has(candidate.getDate());
+      const weekdayMatches = weekdays.has(candidate.getDay());
+      const dateMatches = dayRestricted && weekdayRestricted
+        ? (dayMatches || weekdayMatches)
+        : (dayMatches && weekdayMatches);
+
+      if (!dateMatches) {
+        candidate.setDate(candidate.getDate() + 1);
+        candidate.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!hours.has(candidate.getHours())) {
+        candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!minutes.has(candidate.getMinutes())) {
+        candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return candidate;
+    }
+
+    return null;
+  }
+
+  /**
+   * Expand a single cron field into the set of values it matches
+   * @param {string} field - Cron field (supports *, lists, ranges, steps and names)
+   * @param {number} min - Minimum allowed value
+   * @param {number} max - Maximum allowed value
+   * @param {string[]} names - Three-letter names for the values from min up (e.g. jan, mon)
+   * @returns {Set<number>} - Matching values
+   */
+  parseCronField(field, min, max, names = []) {
+    const values = new Set();
+
+    // node-cron accepts short and full names in any case (MON, january)
+    const toNumber = (value) => {
+      const index = /^[a-z]+$/i.test(value) ? names.indexOf(value.slice(0, 3).toLowerCase()) : -1;
+      return index >= 0 ? min + index : parseInt(value, 10);
+    };
+
+    for (const part of field.split(',')) {
+      const [rangePart, stepPart] = part.split('/');
+      const step = stepPart ? parseInt(stepPart, 10) : 1;
+
+      let start = min;
+      let end = max;
+
+      if (rangePart !== '*') {
+        const [rangeStart, rangeEnd] = rangePart.split('-').map(toNumber);
+        start = rangeStart;
+        end = rangeEnd !== undefined ? rangeEnd : (stepPart ? max : rangeStart);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        if (value >= min && value <= max) {
+          values.add(value);
+        }
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Check whether a scheduled sync is currently executing
+   * @returns {boolean} - True if a scheduled run is in progress
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Get scheduler status for API and Home Assistant reporting
+   * @returns {Object} - Scheduler status
+   */
+  getStatus() {
+    return {
+      schedule: this.schedule,
+      enabled: this.enabled,
+      running: this.running,
+      nextRun: this.state.nextRun ? this.state.nextRun.toISOString() : null,
+      lastRun: this.state.lastRun ? this.state.lastRun.toISOString() : null,
+      lastRunStatus: this.state.lastRunStatus,
+      lastRunDuration: this.state.lastRunDuration,
+      lastError: this.state.lastError,
+      runCount: this.state.runCount,
+      skippedCount: this.state.skippedCount
+    };
+  }
+}
+
+module.exports = SyncScheduler;
@@ -0,0 +1,432 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Transaction, TransactionStatus, LineAmountTypes } = require('../models/transaction');
+
+/**
+ * StatementExportService - Writes stored transactions as Xero precoded bank statement CSVs
+ *
+ * For when Xero can't be reached through the API (no credentials yet, or
+ * sync_to_xero off): the business transactions of one mapped account over a
+ * date range are written as a statement that Xero's statement import accepts,
+ * precoded with the account code and tax rate of each category mapping and
+ * referenced Xano-{id}. Exported transactions are marked `exported`, so they
+ * are neither exported again nor imported through the API later. Each export
+ * is kept on disk so it can be downloaded again.
+ */
+class StatementExportService {
+  /**
+   * Date formats Xero's statement import can be told to read
+   */
+  static DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+  /**
+   * Statement columns, in the order of Xero's precoded statement template
+   */
+  static COLUMNS = ['Date', 'Amount', 'Payee', 'Description', 'Reference', 'Cheque Number', 'Account Code', 'Tax Rate'];
+
+  /**
+   * Statuses of stored transactions that haven't reached Xero yet
+   */
+  static EXPORTABLE_STATUSES = [TransactionStatus.PENDING, TransactionStatus.MAPPED, TransactionStatus.FAILED];
+
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.xanoClient = options.xanoClient;
+    this.xeroClient = options.xeroClient || null;
+    this.config = options.config || {};
+    this.logger = options.logger || console;
+
+    // Upper bound on transactions read for one export; a range that reaches it must be narrowed
+    this.lookupLimit = options.lookupLimit || 5000;
+
+    this.running = false;
+    this.lastExport = null;
+
+    // Validate required dependencies
+    this.validateDependencies();
+  }
+
+  /**
+   * Validate that all required dependencies are provided
+   * @throws {Error} If required dependencies are missing
+   */
+  validateDependencies() {
+    if (!this.directory) {
+      throw new Error('Statement export directory is required');
+    }
+    if (!this.xanoClient) {
+      throw new Error('Xano client is required');
+    }
+  }
+
+  /**
+   * Export one account's unexported transactions in a date range as a statement CSV
+   * @param {Object} options - Export options
+   * @param {string} options.accountId - Actual Budget account the statement is for
+   * @param {string} options.startDate - First transaction date (YYYY-MM-DD)
+   * @param {string} options.endDate - Last transaction date (YYYY-MM-DD)
+   * @param {string} options.dateFormat - One of DATE_FORMATS (default DD/MM/YYYY)
+   * @returns {Promise<Object>} - Export summary; export_id is null when nothing was exported
+   */
+  async exportStatement(options = {}) {
+    const request = this.validateRequest(options);
+
+    this.running = true;
+    try {
+      const account = await this.xanoClient.getAccountMapping(request.accountId);
+      if (!account) {
+        const error = new Error(`Account ${request.accountId} has no account mapping`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const candidates = await this.xanoClient.getTransactionsForReprocessing({
+        statuses: StatementExportService.EXPORTABLE_STATUSES,
+        transactionSince: request.startDate,
+        transactionUntil: request.endDate,
+        limit: this.lookupLimit
+      });
+      if (candidates.length >= this.lookupLimit) {
+        throw new Error(`More than ${this.lookupLimit} transactions in range; export a shorter date range`);
+      }
+
+      const inAccount = candidates.filter(transaction =>
+        transaction.actual_account_id === request.accountId && !transaction.xero_transaction_id
+      );
+      // Xero can't precode transfers; they stay queued and go to Xero as bank transfers once connected
+      const transfers = inAccount.filter(transaction => transaction.is_transfer);
+      const transactions = inAccount
+        .filter(transaction => !transaction.is_transfer)
+        .sort((a, b) => new Date(a.transaction_date) - new Date(b.transaction_date) || a.id - b.id);
+
+      const summary = {
+        export_id: null,
+        file_name: null,
+        account_id: request.accountId,
+        account_name: account.actual_account_name || request.accountId,
+        start_date: request.startDate,
+        end_date: request.endDate,
+        date_format: request.dateFormat,
+        rows: 0,
+        coded: 0,
+        uncoded: 0,
+        skipped_transfers: transfers.length,
+        marked: 0,
+        errors: [],
+        created_at: new Date().toISOString()
+      };
+
+      if (transactions.length === 0) {
+        this.logger.info(`No transactions to export for ${summary.account_name} between ${request.startDate} and ${request.endDate}`);
+        return summary;
+      }
+
+      const rows = await this.buildRows(transactions, request.dateFormat);
+
+      summary.export_id = Date.now().toString();
+      summary.file_name = this.buildFileName(summary);
+      summary.rows = rows.length;
+      summary.coded = rows.filter(row => row['Account Code']).length;
+      summary.uncoded = summary.rows - summary.coded;
+
+      const csvPath = this.getFilePath(summary.export_id, '.csv');
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(csvPath, this.toCsv(rows));
+
+      let result;
+      try {
+        result = await this.xanoClient.bulkMarkTransactionsExported(transactions.map(transaction => transaction.id), summary.export_id);
+      } catch (error) {
+        // Unmarked rows would be exported again, so the file is withdrawn and the export can simply be retried
+        await fs.unlink(csvPath).catch(() => {});
+        throw error;
+      }
+
+      summary.marked = result.updated.length;
+      summary.errors = result.errors.map(error => ({ xano_id: error.xano_id, message: error.message }));
+
+      await fs.writeFile(this.getFilePath(summary.export_id, '.json'), JSON.stringify(summary, null, 2));
+      this.lastExport = summary;
+
+      this.logger.info(`Exported ${summary.rows} transactions for ${summary.account_name} (${summary.coded} precoded) to statement ${summary.export_id}`);
+      if (summary.errors.length > 0) {
+        this.logger.warn(`${summary.errors.length} exported transactions could not be marked as exported`);
+      }
+
+      return summary;
+    } catch (error) {
+      this.logger.error(`Statement export failed: ${error.message}`);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Whether an export is being written (two at once could export the same transactions)
+   * @returns {boolean} - True while exporting
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Check and normalise export options
+   * @param {Object} options - Export options
+   * @returns {Object} - { accountId, startDate, endDate, dateFormat }
+   * @throws {Error} If an option is missing or invalid (statusCode 400)
+   */
+  validateRequest(options) {
+    const fail = message => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+    const dateFormat = options.dateFormat || StatementExportService.DATE_FORMATS[0];
+
+    if (!options.accountId) {
+      fail('accountId is required');
+    }
+    if (!isDate(options.startDate) || !isDate(options.endDate)) {
+      fail('startDate and endDate must be dates (YYYY-MM-DD)');
+    }
+    if (options.startDate > options.endDate) {
+      fail('startDate must not be after endDate');
+    }
+    if (!StatementExportService.DATE_FORMATS.includes(dateFormat)) {
+      fail(`dateFormat must be one of: ${StatementExportService.DATE_FORMATS.join(', ')}`);
+    }
+
+    return {
+      accountId: options.accountId,
+      startDate: options.startDate,
+      endDate: options.endDate,
+      dateFormat
+    };
+  }
+
+  /**
+   * Build statement rows, precoded from the current category mappings
+   * @param {Object[]} transactions - Stored transactions, in statement order
+   * @param {string} dateFormat - One of DATE_FORMATS
+   * @returns {Promise<Object[]>} - Rows keyed by COLUMNS
+   */
+  async buildRows(transactions, dateFormat) {
+    const categoryIds = [...new Set(transactions.flatMap(transaction => Transaction.getCategoryIds(transaction)))];
+    const payeeIds = [...new Set(transactions.map(transaction => transaction.actual_payee_id).filter(id => id))];
+    const { categoryMappings, payeeMappings } = await this.xanoClient.batchGetMappings(categoryIds, payeeIds);
+
+    const categoriesById = new Map(categoryMappings.filter(mapping => mapping.is_active !== false).map(mapping => [mapping.actual_category_id, mapping]));
+    const payeesById = new Map(payeeMappings.map(mapping => [mapping.actual_payee_id, mapping]));
+    const taxRateNames = await this.getTaxRateNames();
+
+    return transactions.map(transaction => {
+      const payee = payeesById.get(transaction.actual_payee_id);
+      const coding = this.resolveCoding(transaction, categoriesById);
+
+      return {
+        'Date': this.formatDate(transaction.transaction_date, dateFormat),
+        'Amount': (Math.round(Number(transaction.amount) * 100) / 100).toFixed(2),
+        'Payee': payee?.xero_contact_name || payee?.actual_payee_name || transaction.actual_payee_name || '',
+        'Description': transaction.description || '',
+        'Reference': `Xano-${transaction.id}`,
+        'Cheque Number': '',
+        'Account Code': coding.accountCode,
+        'Tax Rate': coding.accountCode ? (taxRateNames.get(coding.taxType) || coding.taxType) : ''
+      };
+    });
+  }
+
+  /**
+   * Work out the account code and tax type a statement line is precoded with
+   *
+   * A statement line takes a single account code, so split transactions are
+   * only precoded when every line maps to the same account and tax type;
+   * anything else is left for coding in Xero.
+   * @param {Object} transaction - Stored transaction
+   * @param {Map} categoriesById - Active category mappings keyed by Actual category ID
+   * @returns {Object} - { accountCode, taxType } (empty strings when uncoded)
+   */
+  resolveCoding(transaction, categoriesById) {
+    const uncoded = { accountCode: '', taxType: '' };
+    const lines = transaction.is_split && Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0
+      ? transaction.split_lines
+      : [transaction];
+
+    const codings = lines.map(line => {
+      const mapping = categoriesById.get(line.actual_category_id);
+      if (!mapping || !mapping.xero_account_code) {
+        return null;
+      }
+
+      const noTax = mapping.xero_line_amount_types === LineAmountTypes.NO_TAX;
+      return {
+        accountCode: mapping.xero_account_code,
+        taxType: noTax ? 'NONE' : (mapping.xero_tax_type || this.config.xero_default_tax_type || 'NONE')
+      };
+    });
+
+    if (codings.some(coding => !coding)) {
+      return uncoded;
+    }
+
+    const [first] = codings;
+    const consistent = codings.every(coding => coding.accountCode === first.accountCode && coding.taxType === first.taxType);
+    return consistent ? first : uncoded;
+  }
+
+  /**
+   * Get Xero tax rate names by tax type, when Xero is connected
+   *
+   * Xero's statement import matches tax rates by name; without a connection
+   * the mapped tax types are written as they are.
+   * @returns {Promise<Map>} - Tax rate names keyed by tax type (empty when unavailable)
+   */
+  async getTaxRateNames() {
+    if (!this.xeroClient || !this.xeroClient.accessToken) {
+      return new Map();
+    }
+
+    try {
+      const rates = await this.xeroClient.getTaxRates();
+      return new Map(rates.map(rate => [rate.tax_type, rate.name]));
+    } catch (error) {
+      this.logger.warn(`Could not load Xero tax rate names, writing tax types instead: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Format a transaction date for the statement
+   * @param {string|Date} value - Transaction date
+   * @param {string} dateFormat - One of DATE_FORMATS
+   * @returns {string} - Formatted date
+   */
+  formatDate(value, dateFormat) {
+    const [year, month, day] = new Date(value).toISOString().split('T')[0].split('-');
+
+    if (dateFormat === 'MM/DD/YYYY') {
+      return `${month}/${day}/${year}`;
+    }
+    if (dateFormat === 'YYYY-MM-DD') {
+      return `${year}-${month}-${day}`;
+    }
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Convert statement rows to CSV
+   * @param {Object[]} rows - Rows keyed by COLUMNS
+   * @returns {string} - CSV text with a header row
+   */
+  toCsv(rows) {
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [StatementExportService.COLUMNS.join(',')];
+    for (const row of rows) {
+      lines.push(StatementExportService.COLUMNS.map(column => escape(row[column])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the download name of an export
+   * @param {Object} summary - Export summary
+   * @returns {string} - File name
+   */
+  buildFileName(summary) {
+    const account = summary.account_name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'account';
+    return `xero-statement-${account}-${summary.start_date}-to-${summary.end_date}.csv`;
+  }
+
+  /**
+   * Get the path of an export's file
+   * @param {string} exportId - Export ID
+   * @param {string} extension - '.csv' or '.json'
+   * @returns {string} - File path
+   * @throws {Error} If the export ID is malformed
+   */
+  getFilePath(exportId, extension) {
+    if (!/^\d+$/.test(String(exportId))) {
+      throw new Error(`Invalid export ID: ${exportId}`);
+    }
+    return path.join(this.directory, `${exportId}${extension}`);
+  }
+
+  /**
+   * List earlier exports, newest first
+   * @param {number} limit - Maximum number of exports to return
+   * @returns {Promise<Object[]>} - Export summaries
+   */
+  async listExports(limit = 20) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const ids = files
+      .filter(file => /^\d+\.json$/.test(file))
+      .map(file => file.replace('.json', ''))
+      .sort((a, b) => Number(b) - Number(a))
+      .slice(0, limit);
+
+    const exports = [];
+    for (const id of ids) {
+      try {
+        exports.push(JSON.parse(await fs.readFile(this.getFilePath(id, '.json'), 'utf8')));
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable statement export ${id}: ${error.message}`);
+      }
+    }
+
+    return exports;
+  }
+
+  /**
+   * Get an earlier export's summary and CSV file path
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object|null>} - { summary, filePath }, or null if there is no such export
+   */
+  async getExport(exportId) {
+    if (!/^\d+$/.test(String(exportId))) {
+      return null;
+    }
+
+    try {
+      const summary = JSON.parse(await fs.readFile(this.getFilePath(exportId, '.json'), 'utf8'));
+      const filePath = this.getFilePath(exportId, '.csv');
+      await fs.access(filePath);
+      return { summary, filePath };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get export status
+   * @returns {Object} - Date formats on offer and the latest export this run
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      dateFormats: StatementExportService.DATE_FORMATS,
+      lastExport: this.lastExport
+    };
+  }
+}
+
+module.exports = StatementExportService;
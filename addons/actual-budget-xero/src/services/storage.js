@@ -0,0 +1,137 @@
+const path = require('path');
+const XanoClient = require('./xano');
+const LocalStore = require('./local-store');
+
+/**
+ * Storage backend interface
+ *
+ * Every stage of the sync (dedupe storage, mapping tables, status tracking and
+ * reprocessing queries) goes through one storage object, passed to the services
+ * as `xanoClient`. Any backend must implement the methods below with the same
+ * arguments and result shapes as XanoClient:
+ *
+ * - Transactions: storeTransaction, bulkStoreTransactions, updateTransactionMapping,
+ *   bulkUpdateTransactionMappings, updateTransactionXeroImport,
+ *   bulkUpdateTransactionXeroImports, markTransactionFailed, bulkMarkTransactionsFailed,
+ *   bulkMarkTransactionsExported, recordTransactionChange, updateTransactionReceipt,
+ *   updateTransactionReconciliation
+ * - Mappings: getCategoryMapping, getPayeeMapping, getAccountMapping,
+ *   upsertCategoryMapping, upsertPayeeMapping, upsertAccountMapping,
+ *   bulkUpsertCategoryMappings, bulkUpsertPayeeMappings, bulkUpsertAccountMappings,
+ *   batchGetMappings
+ * - Queries: getTransactionsForReprocessing, reprocessTransactions,
+ *   getTransactionsWithMissingMappings, getSyncStatistics
+ * - Housekeeping: formatTransactionForStorage, getStatus, resetStats
+ */
+const STORAGE_METHODS = [
+  'storeTransaction',
+  'bulkStoreTransactions',
+  'updateTransactionMapping',
+  'bulkUpdateTransactionMappings',
+  'updateTransactionXeroImport',
+  'bulkUpdateTransactionXeroImports',
+  'markTransactionFailed',
+  'bulkMarkTransactionsFailed',
+  'bulkMarkTransactionsExported',
+  'recordTransactionChange',
+  'updateTransactionReceipt',
+  'updateTransactionReconciliation',
+  'getCategoryMapping',
+  'getPayeeMapping',
+  'getAccountMapping',
+  'upsertCategoryMapping',
+  'upsertPayeeMapping',
+  'upsertAccountMapping',
+  'bulkUpsertCategoryMappings',
+  'bulkUpsertPayeeMappings',
+  'bulkUpsertAccountMappings',
+  'batchGetMappings',
+  'getTransactionsForReprocessing',
+  'reprocessTransactions',
+  'getTransactionsWithMissingMappings',
+  'getSyncStatistics',
+  'formatTransactionForStorage',
+  'getStatus',
+  'resetStats'
+];
+
+const STORAGE_BACKENDS = ['xano', 'local'];
+
+/**
+ * Check that an object implements the storage interface
+ * @param {Object} backend - Storage backend instance
+ * @returns {Object} - The same backend
+ * @throws {Error} If any interface method is missing
+ */
+function assertStorageBackend(backend) {
+  const missing = STORAGE_METHODS.filter(method => typeof backend?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Storage backend is missing required methods: ${missing.join(', ')}`);
+  }
+
+  return backend;
+}
+
+/**
+ * Load every transaction matching a reprocessing query, a page at a time
+ *
+ * Each page continues after the last ID of the one before, so a query
+ * matching more records than fit in one page still returns all of them.
+ * @param {Object} storage - Storage backend
+ * @param {Object} options - Options for getTransactionsForReprocessing; limit is the page size
+ * @returns {Promise<Object[]>} - Matching transactions in ID order
+ */
+async function getAllTransactionsForReprocessing(storage, options = {}) {
+  const pageSize = options.limit || 100;
+  const transactions = [];
+  let afterId = 0;
+
+  for (;;) {
+    const page = await storage.getTransactionsForReprocessing({ ...options, limit: pageSize, afterId });
+    transactions.push(...page);
+
+    if (page.length < pageSize) {
+      return transactions;
+    }
+    afterId = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Create the storage backend selected by the storage_backend option
+ * @param {Object} config - Validated add-on configuration
+ * @param {Object} options - Backend options
+ * @param {Object} options.logger - Logger instance
+ * @param {string} options.dataDir - Folder for the local store (default: DATA_DIR)
+ * @returns {Object} - XanoClient or LocalStore
+ */
+function createStorageBackend(config, options = {}) {
+  const backend = config.storage_backend || 'xano';
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  if (backend === 'local') {
+    return assertStorageBackend(new LocalStore({
+      filePath: path.join(options.dataDir || process.env.DATA_DIR || '/data', 'local-store.json'),
+      logger: options.logger
+    }));
+  }
+
+  return assertStorageBackend(new XanoClient({
+    apiUrl: config.xano_api_url,
+    apiKey: config.xano_api_key,
+    rateLimitPerMinute: config.xano_rate_limit,
+    logger: options.logger
+  }));
+}
+
+module.exports = {
+  STORAGE_METHODS,
+  STORAGE_BACKENDS,
+  assertStorageBackend,
+  createStorageBackend,
+  getAllTransactionsForReprocessing
+};
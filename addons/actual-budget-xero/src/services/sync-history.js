@@ -0,0 +1,183 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AtomicFileWriter = require('../utils/atomic-file-writer');
+
+/**
+ * SyncHistoryStore - Persistent history of sync runs
+ *
+ * Keeps one record per executeSync run (options, timings, per-stage statistics,
+ * errors and the transaction IDs touched) in a JSON file under the add-on data
+ * directory, so runs can be audited after a restart.
+ */
+class SyncHistoryStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || '/data', 'sync-history.json');
+    this.maxRecords = options.maxRecords || 500;
+    this.logger = options.logger || console;
+
+    this.records = [];
+    this.loaded = false;
+
+    this.writer = new AtomicFileWriter(this.filePath);
+  }
+
+  /**
+   * Load history from disk
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.records = Array.isArray(data.records) ? data.records : [];
+      this.logger.info(`Loaded ${this.records.length} sync history records`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load sync history from ${this.filePath}: ${error.message}`);
+      }
+      this.records = [];
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Insert or replace a history record
+   * @param {Object} record - Sync run record (must have an id)
+   * @returns {Promise<Object>} - Saved record
+   */
+  async saveRecord(record) {
+    if (!record || !record.id) {
+      throw new Error('Sync history record must have an id');
+    }
+
+    const index = this.records.findIndex(existing => existing.id === record.id);
+    if (index >= 0) {
+      this.records[index] = record;
+    } else {
+      this.records.push(record);
+    }
+
+    // Drop the oldest records beyond the retention limit
+    if (this.records.length > this.maxRecords) {
+      this.records.splice(0, this.records.length - this.maxRecords);
+    }
+
+    await this.persist();
+    return record;
+  }
+
+  /**
+   * Get a single history record
+   * @param {string} id - Sync run ID
+   * @returns {Object|null} - Full record, or null if not found
+   */
+  getRecord(id) {
+    return this.records.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Query history records, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - Only runs with this status (completed, failed)
+   * @param {string} filters.source - Only runs from this trigger source
+   * @param {string} filters.from - Only runs started on or after this date
+   * @param {string} filters.until - Only runs started on or before this date
+   * @param {string} filters.transactionId - Only runs that touched this Actual, Xano or Xero transaction ID
+   * @param {number} filters.limit - Page size (default: 20, max: 100)
+   * @param {number} filters.offset - Records to skip (default: 0)
+   * @returns {Object} - { records, total, limit, offset }
+   */
+  query(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const from = filters.from ? new Date(filters.from) : null;
+    const until = filters.until ? new Date(filters.until) : null;
+
+    const matches = this.records.filter(record => {
+      if (filters.status && record.status !== filters.status) return false;
+      if (filters.source && record.source !== filters.source) return false;
+      if (from && new Date(record.started_at) < from) return false;
+      if (until && new Date(record.started_at) > until) return false;
+      if (filters.transactionId && !this.recordTouchesTransaction(record, String(filters.transactionId))) return false;
+      return true;
+    });
+
+    const records = matches
+      .slice()
+      .reverse()
+      .slice(offset, offset + limit)
+      .map(record => this.summarizeRecord(record));
+
+    return {
+      records,
+      total: matches.length,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Check whether a record touched a transaction
+   * @param {Object} record - History record
+   * @param {string} transactionId - Actual, Xano or Xero transaction ID
+   * @returns {boolean} - True if the transaction appears in the record
+   */
+  recordTouchesTransaction(record, transactionId) {
+    const transactions = record.transactions || {};
+
+    return Object.values(transactions).some(entries =>
+      (entries || []).some(entry => {
+        if (typeof entry !== 'object' || entry === null) {
+          return String(entry) === transactionId;
+        }
+        return [entry.actual_transaction_id, entry.xano_id, entry.xero_transaction_id]
+          .some(id => id !== undefined && id !== null && String(id) === transactionId);
+      })
+    );
+  }
+
+  /**
+   * Build the list view of a record (without the transaction ID lists)
+   * @param {Object} record - History record
+   * @returns {Object} - Record summary
+   */
+  summarizeRecord(record) {
+    const { transactions, errors, ...summary } = record;
+
+    return {
+      ...summary,
+      error_count: (errors || []).length,
+      transaction_counts: Object.fromEntries(
+        Object.entries(transactions || {}).map(([key, entries]) => [key, (entries || []).length])
+      )
+    };
+  }
+
+  /**
+   * Write history to disk
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const content = JSON.stringify({ version: 1, records: this.records });
+
+    return this.writer.write(content).catch(error => {
+      this.logger.error(`Failed to write sync history to ${this.filePath}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Get store status
+   * @returns {Object} - Store status
+   */
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      loaded: this.loaded,
+      records: this.records.length,
+      maxRecords: this.maxRecords
+    };
+  }
+}
+
+module.exports = SyncHistoryStore;
@@ -0,0 +1,769 @@
+const EventEmitter = require('events');
+const path = require('path');
+const ConfigValidator = require('../models/config');
+const ActualBudgetClient = require('./actual');
+const { createStorageBackend } = require('./storage');
+const SyncService = require('./sync');
+const MappingManager = require('./mapping-manager');
+const ChangeDetectionService = require('./change-detection');
+const SyncReporter = require('./sync-reporter');
+const SyncScheduler = require('./scheduler');
+const SyncHistoryStore = require('./sync-history');
+const SyncWatermarkStore = require('./sync-watermark');
+const DeferredImportStore = require('./deferred-imports');
+const BackfillService = require('./backfill');
+const ReceiptService = require('./receipts');
+const StatementExportService = require('./statement-export');
+const ReconciliationService = require('./reconciliation');
+const HomeAssistantService = require('./home-assistant');
+
+/**
+ * SyncProfile - One Actual Budget budget synced to one Xero organisation
+ *
+ * Owns everything a sync needs: its own Actual client, storage backend,
+ * sync state files, scheduler, receipts inbox, statement exports and Home
+ * Assistant entities, plus the runs in progress. Profiles never share
+ * mutable state, so a sync in one cannot block or change another; only the
+ * Actual server connection and the Xero OAuth token are shared.
+ *
+ * Emits 'progress' with (syncId) whenever a sync's progress changes.
+ */
+class SyncProfile extends EventEmitter {
+  /**
+   * @param {Object} options - Profile options
+   * @param {Object} options.config - Resolved profile configuration (see ConfigValidator.resolveProfiles)
+   * @param {Object} options.xeroClient - Xero client for the profile's organisation
+   * @param {boolean} options.named - Whether profiles are configured, so entities carry the profile name
+   * @param {Set} options.activeOperations - Operations the app waits for on shutdown
+   * @param {Object} options.logger - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+
+    this.config = options.config;
+    this.xeroClient = options.xeroClient;
+    this.named = !!options.named;
+    this.activeOperations = options.activeOperations || new Set();
+    this.logger = options.logger || console;
+
+    this.validateDependencies();
+
+    this.name = this.config.profile_name;
+    this.namespace = this.config.mapping_namespace;
+    this.dataDir = SyncProfile.dataDirFor(this.namespace);
+
+    this.services = {
+      actualClient: null,
+      xanoClient: null,
+      xeroClient: this.xeroClient,
+      syncService: null,
+      mappingManager: null,
+      reprocessingService: null,
+      changeDetectionService: null,
+      syncReporter: null,
+      haService: new HomeAssistantService({ profile: this.named ? this.name : null })
+    };
+
+    this.scheduler = null;
+    this.receipts = null;
+    this.statementExport = null;
+    this.syncHistory = null;
+    this.syncWatermark = null;
+    this.deferredImports = null;
+    this.backfill = null;
+
+    this.isShuttingDown = false;
+
+    // Sync results storage
+    this.syncResults = new Map();
+    this.lastSyncResult = null;
+    this.currentSyncId = null;
+
+    // Reprocessing runs (reprocessId -> progress)
+    this.reprocessRuns = new Map();
+    this.activeReprocessId = null;
+
+    // Change detection runs (changeRunId -> progress)
+    this.changeRuns = new Map();
+    this.activeChangeRunId = null;
+  }
+
+  /**
+   * Validate that required dependencies are provided
+   * @throws {Error} If required dependencies are missing
+   */
+  validateDependencies() {
+    if (!this.config) {
+      throw new Error('Profile configuration is required');
+    }
+    if (!this.xeroClient) {
+      throw new Error('XeroClient is required');
+    }
+  }
+
+  /**
+   * Folder holding a profile's sync state
+   *
+   * The default namespace keeps the files where a single-budget install has
+   * always had them, so adding profiles later keeps its mappings and history.
+   * @param {string} namespace - Mapping namespace
+   * @returns {string} - Absolute folder path
+   */
+  static dataDirFor(namespace) {
+    const root = process.env.DATA_DIR || '/data';
+    return namespace === ConfigValidator.DEFAULT_PROFILE ? root : path.join(root, 'profiles', namespace);
+  }
+
+  /**
+   * Build the profile's services and load its stored state
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const config = this.config;
+    const logger = this.logger;
+    const isDefaultNamespace = this.namespace === ConfigValidator.DEFAULT_PROFILE;
+
+    logger.info(`Initializing sync profile ${this.name}`, {
+      namespace: this.namespace,
+      budgetId: config.actual_budget_id || 'first available',
+      tenantId: config.xero_tenant_id
+    });
+
+    // Every profile's client shares the one @actual-app/api connection and takes turns with it
+    this.services.actualClient = new ActualBudgetClient({
+      baseUrl: config.actual_budget_url,
+      password: config.actual_budget_password,
+      budgetId: config.actual_budget_id || null,
+      encryptionPassword: config.actual_budget_encryption_password || null,
+      dataDir: path.join(process.env.DATA_DIR || '/data', 'actual-data'),
+      logger
+    });
+
+    // Storage backend (Xano or the local file store); services still call it xanoClient
+    this.services.xanoClient = createStorageBackend(config, { logger, dataDir: this.dataDir });
+    logger.info(`Profile ${this.name} uses the ${config.storage_backend || 'xano'} storage backend`);
+
+    this.services.mappingManager = new MappingManager({
+      actualClient: this.services.actualClient,
+      xanoClient: this.services.xanoClient,
+      xeroClient: this.xeroClient,
+      backupDirectory: isDefaultNamespace ? undefined : path.join('./backups/mappings', this.namespace),
+      logger
+    });
+
+    this.services.changeDetectionService = new ChangeDetectionService({
+      xanoClient: this.services.xanoClient,
+      xeroClient: this.xeroClient,
+      actualClient: this.services.actualClient,
+      logger,
+      config
+    });
+
+    this.services.syncReporter = new SyncReporter({
+      logger
+    });
+
+    // Load persistent sync history
+    this.syncHistory = new SyncHistoryStore({
+      filePath: path.join(this.dataDir, 'sync-history.json'),
+      logger
+    });
+    await this.syncHistory.init();
+
+    // Load the incremental sync watermark
+    this.syncWatermark = new SyncWatermarkStore({
+      filePath: path.join(this.dataDir, 'sync-watermark.json'),
+      logger
+    });
+    await this.syncWatermark.init();
+
+    // Load imports deferred by the Xero rate limit
+    this.deferredImports = new DeferredImportStore({
+      filePath: path.join(this.dataDir, 'deferred-imports.json'),
+      logger
+    });
+    await this.deferredImports.init();
+
+    this.services.syncService = new SyncService({
+      historyStore: this.syncHistory,
+      watermarkStore: this.syncWatermark,
+      deferredStore: this.deferredImports,
+      actualClient: this.services.actualClient,
+      xanoClient: this.services.xanoClient,
+      xeroClient: this.xeroClient,
+      mappingManager: this.services.mappingManager,
+      syncReporter: this.services.syncReporter,
+      logger,
+      config
+    });
+
+    // Reprocessing imports through the sync service's batched Xero import
+    this.services.reprocessingService = this.services.syncService.reprocessingService;
+
+    // Initialize Home Assistant service and connect it to sync service
+    this.services.haService.init();
+    this.services.haService.setSyncService(this.services.syncService);
+
+    // Historical backfill runs one sync per monthly chunk, checkpointed to disk;
+    // chunks cover arbitrary months, so they never move the live sync watermark
+    this.backfill = new BackfillService({
+      filePath: path.join(this.dataDir, 'backfill-state.json'),
+      runChunk: (chunk, job) => this.runSync(chunk.sync_id, 'backfill', {
+        since: new Date(`${chunk.from}T00:00:00.000Z`),
+        until: new Date(`${chunk.until}T00:00:00.000Z`),
+        dryRun: job.options.dryRun,
+        skipWatermark: true
+      }),
+      logger
+    });
+    await this.backfill.init();
+
+    // Scheduler for the profile's sync_schedule
+    this.scheduler = new SyncScheduler({
+      schedule: config.sync_schedule,
+      task: () => this.runScheduledSync(),
+      // Scheduled syncs wait for a backfill or reprocessing to finish rather than slipping in between
+      isBusy: () => !!this.getBusyOperation(),
+      onStatusChange: (status) => this.services.haService.updateSchedule(status),
+      logger
+    });
+
+    // Receipts dropped in the inbox folder are attached to their imported Xero transactions;
+    // each named profile has its own subfolder so a receipt only matches its own organisation
+    if (config.receipts_enabled) {
+      this.receipts = new ReceiptService({
+        folder: isDefaultNamespace ? config.receipts_folder : path.join(config.receipts_folder, this.namespace),
+        xanoClient: this.services.xanoClient,
+        xeroClient: this.xeroClient,
+        config,
+        logger
+      });
+    }
+
+    // Bank statement CSVs for importing into Xero without API access
+    this.statementExport = new StatementExportService({
+      directory: path.join(this.dataDir, 'statement-exports'),
+      xanoClient: this.services.xanoClient,
+      xeroClient: this.xeroClient,
+      config,
+      logger
+    });
+
+    // Reconciliation status pulled back from Xero as #paid tags in Actual Budget
+    this.reconciliation = new ReconciliationService({
+      xanoClient: this.services.xanoClient,
+      xeroClient: this.xeroClient,
+      actualClient: this.services.actualClient,
+      config,
+      logger
+    });
+
+    // Track live sync progress for the progress endpoints
+    this.services.syncService.on('progress', (progress) => this.handleSyncProgress(progress));
+  }
+
+  /**
+   * Start the profile's scheduler and receipts inbox
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.startScheduler();
+    await this.startReceipts();
+  }
+
+  /**
+   * Stop scheduling new work; runs in progress are tracked as active operations
+   */
+  stop() {
+    this.isShuttingDown = true;
+    this.stopScheduler();
+
+    if (this.receipts) {
+      this.receipts.stop();
+    }
+  }
+
+  /**
+   * Check whether a sync is running in this profile
+   * @returns {boolean}
+   */
+  isSyncing() {
+    return this.services.haService.syncStatus === 'running';
+  }
+
+  /**
+   * Describe the sync, backfill or reprocessing run that keeps another from starting
+   *
+   * All three import the same pending and failed records, and each checks Xero
+   * for existing references before creating, so two at once could both create.
+   * @returns {Object|null} - { error } with the running run's syncId, backfillId or reprocessId, or null when idle
+   */
+  getBusyOperation() {
+    if (this.isSyncing()) {
+      return { error: 'A sync is already in progress', syncId: this.currentSyncId };
+    }
+    if (this.backfill && this.backfill.isRunning()) {
+      return { error: 'A backfill is in progress', backfillId: this.backfill.activeJobId };
+    }
+    if (this.activeReprocessId) {
+      return { error: 'Reprocessing is in progress', reprocessId: this.activeReprocessId };
+    }
+    return null;
+  }
+
+  /**
+   * Start the sync scheduler
+   */
+  startScheduler() {
+    if (this.scheduler && !this.isShuttingDown) {
+      try {
+        this.scheduler.start();
+      } catch (error) {
+        this.logger.error('Failed to start sync scheduler', { profile: this.name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Stop the sync scheduler
+   */
+  stopScheduler() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+    }
+  }
+
+  /**
+   * Start watching the receipts inbox
+   */
+  async startReceipts() {
+    if (this.receipts && !this.isShuttingDown) {
+      try {
+        await this.receipts.start();
+      } catch (error) {
+        this.logger.error('Failed to start receipts inbox', { profile: this.name, error: error.message, folder: this.receipts.folder });
+      }
+    }
+  }
+
+  /**
+   * Scan the receipts inbox in the background
+   */
+  scanReceipts() {
+    if (this.receipts && !this.isShuttingDown) {
+      this.receipts.processInbox().catch((error) => {
+        this.logger.error('Receipt scan failed', { profile: this.name, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Check imported transactions for reconciliation in Xero in the background
+   */
+  checkReconciliations() {
+    if (this.config.reconciliation_sync && !this.isShuttingDown) {
+      this.reconciliation.checkReconciliations().catch((error) => {
+        this.logger.error('Reconciliation check failed', { profile: this.name, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Run a sync triggered by the scheduler
+   */
+  async runScheduledSync() {
+    return this.runSync(Date.now().toString(), 'scheduler');
+  }
+
+  /**
+   * Run a sync, tracking its live progress and recording the result
+   * @param {string} syncId - ID used for progress tracking
+   * @param {string} source - Source of the trigger
+   * @param {Object} syncOptions - Extra options for SyncService.executeSync (since, until, dryRun)
+   * @returns {Promise<Object>} - Result from HomeAssistantService.handleSyncTrigger
+   */
+  async runSync(syncId, source, syncOptions = {}) {
+    if (this.isSyncing()) {
+      this.logger.warn(`Sync trigger from ${source} ignored: a sync is already in progress for profile ${this.name}`);
+      return { success: false, error: 'A sync is already in progress' };
+    }
+
+    // Backfill chunks come through here too, so only reprocessing is checked on top of a running sync
+    if (this.activeReprocessId) {
+      this.logger.warn(`Sync trigger from ${source} ignored: reprocessing is in progress for profile ${this.name}`);
+      return { success: false, error: 'Reprocessing is in progress' };
+    }
+
+    const operation = `sync-${this.name}-${syncId}`;
+
+    this.syncResults.set(syncId, {
+      syncId,
+      source,
+      status: 'running',
+      stage: 'starting',
+      percentage: 0,
+      message: 'Starting sync...',
+      liveStatistics: {},
+      startedAt: new Date().toISOString(),
+      timestamp: new Date().toISOString()
+    });
+
+    // Keep only the most recent sync results
+    while (this.syncResults.size > 50) {
+      this.syncResults.delete(this.syncResults.keys().next().value);
+    }
+
+    this.currentSyncId = syncId;
+    this.activeOperations.add(operation);
+    this.emit('progress', syncId);
+
+    try {
+      const result = await this.services.haService.handleSyncTrigger(source, { ...syncOptions, syncId, source });
+      const syncResult = this.syncResults.get(syncId) || { syncId, source };
+
+      if (result.success) {
+        Object.assign(syncResult, {
+          status: 'completed',
+          stage: 'complete',
+          stageLabel: 'Sync completed',
+          percentage: 100,
+          result: result.result,
+          statistics: result.statistics,
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+
+        // Update last sync result
+        this.lastSyncResult = syncResult;
+
+        // Receipts waiting for this run's imports can be attached now
+        this.scanReceipts();
+
+        // Transactions the accountant reconciled since the last run are tagged #paid
+        this.checkReconciliations();
+      } else {
+        Object.assign(syncResult, {
+          status: 'failed',
+          stageLabel: 'Sync failed',
+          error: result.error,
+          message: `Sync failed: ${result.error}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      this.syncResults.set(syncId, syncResult);
+      return result;
+    } finally {
+      if (this.currentSyncId === syncId) {
+        this.currentSyncId = null;
+      }
+      this.activeOperations.delete(operation);
+      this.emit('progress', syncId);
+    }
+  }
+
+  /**
+   * Record a progress event from the sync service
+   * @param {Object} progress - Progress event from SyncService
+   */
+  handleSyncProgress(progress) {
+    const syncResult = this.syncResults.get(progress.syncId);
+    if (!syncResult || syncResult.status !== 'running') {
+      return;
+    }
+
+    Object.assign(syncResult, {
+      stage: progress.stage,
+      stageLabel: progress.stageLabel,
+      percentage: progress.percentage,
+      message: progress.message,
+      batch: progress.batch,
+      totalBatches: progress.totalBatches,
+      liveStatistics: progress.statistics,
+      timestamp: progress.timestamp
+    });
+
+    this.emit('progress', progress.syncId);
+  }
+
+  /**
+   * Build the progress payload for a sync
+   * @param {string} syncId - Sync ID
+   * @returns {Object|null} - Progress payload, or null if the sync is unknown
+   */
+  getSyncProgress(syncId) {
+    const syncResult = this.syncResults.get(syncId);
+    if (!syncResult) {
+      // Fall back to the persisted record for runs from before a restart
+      const record = this.syncHistory ? this.syncHistory.getRecord(syncId) : null;
+      return record ? this.getHistoryProgress(record) : null;
+    }
+
+    // Running syncs report SyncService counters, finished syncs the summarised statistics
+    const live = syncResult.liveStatistics || {};
+    const stats = syncResult.statistics || {};
+    const finished = syncResult.status !== 'running';
+
+    return {
+      syncId,
+      profile: this.name,
+      source: syncResult.source,
+      status: syncResult.status,
+      stage: syncResult.stage,
+      stageLabel: syncResult.stageLabel,
+      progress: syncResult.percentage,
+      percentage: syncResult.percentage,
+      message: syncResult.message || (syncResult.status === 'completed' ? 'Sync completed' : 'Sync failed'),
+      batch: syncResult.batch,
+      totalBatches: syncResult.totalBatches,
+      processed: (finished ? stats.totalProcessed : live.transactionsFetched) || 0,
+      filtered: (finished ? stats.filteredTransactions : live.transactionsFiltered) || 0,
+      stored_xano: (finished ? stats.storedInXano : live.transactionsStored) || 0,
+      duplicates_skipped: (finished ? stats.duplicatesSkipped : live.duplicatesSkipped) || 0,
+      mapped: (finished ? stats.mappedTransactions : live.transactionsMapped) || 0,
+      imported_xero: (finished ? stats.importedToXero : live.transactionsImported) || 0,
+      failed: (finished ? stats.failedTransactions : live.transactionsFailed) || 0,
+      deferred: (finished ? stats.deferredTransactions : live.transactionsDeferred) || 0,
+      started_at: syncResult.startedAt,
+      timestamp: syncResult.timestamp,
+      error: syncResult.error
+    };
+  }
+
+  /**
+   * Build a progress payload from a persisted sync history record
+   * @param {Object} record - Sync history record
+   * @returns {Object} - Progress payload
+   */
+  getHistoryProgress(record) {
+    const stats = record.statistics || {};
+
+    return {
+      syncId: record.id,
+      profile: this.name,
+      source: record.source,
+      status: record.status,
+      stage: record.status === 'completed' ? 'complete' : 'failed',
+      progress: 100,
+      percentage: 100,
+      message: record.error ? `Sync failed: ${record.error}` : 'Sync completed',
+      processed: stats.transactionsFetched || 0,
+      filtered: stats.transactionsFiltered || 0,
+      stored_xano: stats.transactionsStored || 0,
+      duplicates_skipped: stats.duplicatesSkipped || 0,
+      mapped: stats.transactionsMapped || 0,
+      imported_xero: stats.transactionsImported || 0,
+      failed: stats.transactionsFailed || 0,
+      deferred: stats.transactionsDeferred || 0,
+      started_at: record.started_at,
+      timestamp: record.completed_at,
+      error: record.error
+    };
+  }
+
+  /**
+   * Build the progress payload for a backfill, including the live progress of its current chunk
+   * @param {string} backfillId - Backfill job ID
+   * @returns {Object|null} - Progress payload, or null if the backfill is unknown
+   */
+  getBackfillProgress(backfillId) {
+    const job = this.backfill.getJob(backfillId);
+    if (!job) {
+      return null;
+    }
+
+    const chunk = job.current_chunk;
+    const chunkProgress = chunk ? this.getSyncProgress(chunk.sync_id) : null;
+    const chunkFraction = chunkProgress ? (chunkProgress.percentage || 0) / 100 : 0;
+
+    let message;
+    if (job.status === 'running' && chunk) {
+      message = `Chunk ${chunk.index + 1} of ${job.total_chunks} (${chunk.from} to ${chunk.until}): ${chunkProgress ? chunkProgress.message : 'Starting...'}`;
+    } else if (job.status === 'completed') {
+      message = `Backfill completed: ${job.from} to ${job.until}`;
+    } else if (job.status === 'running') {
+      message = 'Starting backfill...';
+    } else {
+      message = `Backfill ${job.status}${job.error ? `: ${job.error}` : ''}`;
+    }
+
+    return {
+      ...job,
+      backfillId: job.id,
+      percentage: job.status === 'completed' ? 100 : Math.round(((job.completed_chunks + chunkFraction) / job.total_chunks) * 100),
+      message,
+      chunk_progress: chunkProgress
+    };
+  }
+
+  /**
+   * Start a reprocessing run in the background and track its progress
+   * @param {Object} options - Reprocessing options
+   * @returns {string} - Reprocess ID
+   */
+  startReprocessing(options) {
+    const reprocessId = Date.now().toString();
+    const operation = `reprocess-${this.name}-${reprocessId}`;
+
+    const run = {
+      reprocessId,
+      status: 'running',
+      stage: 'starting',
+      percentage: 0,
+      message: 'Starting reprocessing...',
+      options,
+      statistics: {},
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.reprocessRuns.set(reprocessId, run);
+    this.activeReprocessId = reprocessId;
+    this.activeOperations.add(operation);
+
+    // Keep only the most recent runs
+    while (this.reprocessRuns.size > 20) {
+      this.reprocessRuns.delete(this.reprocessRuns.keys().next().value);
+    }
+
+    this.logger.info('Reprocessing triggered via API', { profile: this.name, reprocessId, options });
+
+    this.services.reprocessingService.reprocessFailedTransactions({
+      ...options,
+      onProgress: (progress) => {
+        run.stage = progress.stage;
+        run.percentage = progress.percentage;
+        run.message = progress.message;
+        run.statistics = progress.statistics;
+      }
+    })
+      .then((result) => {
+        run.status = 'completed';
+        run.stage = 'completed';
+        run.percentage = 100;
+        run.message = result.summary;
+        run.statistics = result.statistics;
+        run.result = result;
+      })
+      .catch((error) => {
+        this.logger.error('Reprocessing failed', { profile: this.name, reprocessId, error: error.message });
+        run.status = 'failed';
+        run.stage = 'failed';
+        run.message = 'Reprocessing failed';
+        run.error = error.message;
+      })
+      .finally(() => {
+        run.completedAt = new Date().toISOString();
+        this.activeReprocessId = null;
+        this.activeOperations.delete(operation);
+      });
+
+    return reprocessId;
+  }
+
+  /**
+   * Start a change detection run in the background and track its progress
+   * @param {Object} options - Change detection options
+   * @returns {string} - Change run ID
+   */
+  startChangeDetection(options) {
+    const changeRunId = Date.now().toString();
+    const operation = `changes-${this.name}-${changeRunId}`;
+
+    const run = {
+      changeRunId,
+      status: 'running',
+      stage: 'starting',
+      percentage: 0,
+      message: 'Starting change detection...',
+      options,
+      statistics: {},
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.changeRuns.set(changeRunId, run);
+    this.activeChangeRunId = changeRunId;
+    this.activeOperations.add(operation);
+
+    // Keep only the most recent runs
+    while (this.changeRuns.size > 20) {
+      this.changeRuns.delete(this.changeRuns.keys().next().value);
+    }
+
+    this.logger.info('Change detection triggered via API', { profile: this.name, changeRunId, options });
+
+    this.services.changeDetectionService.propagateChanges({
+      ...options,
+      onProgress: (progress) => {
+        run.stage = progress.stage;
+        run.percentage = progress.percentage;
+        run.message = progress.message;
+        run.statistics = progress.statistics;
+      }
+    })
+      .then((result) => {
+        run.status = 'completed';
+        run.stage = 'completed';
+        run.percentage = 100;
+        run.message = result.summary;
+        run.statistics = result.statistics;
+        run.result = result;
+      })
+      .catch((error) => {
+        this.logger.error('Change detection failed', { profile: this.name, changeRunId, error: error.message });
+        run.status = 'failed';
+        run.stage = 'failed';
+        run.message = 'Change detection failed';
+        run.error = error.message;
+      })
+      .finally(() => {
+        run.completedAt = new Date().toISOString();
+        this.activeChangeRunId = null;
+        this.activeOperations.delete(operation);
+      });
+
+    return changeRunId;
+  }
+
+  /**
+   * Get the profile's settings and current state
+   * @returns {Object} - Profile status (without sensitive configuration)
+   */
+  getStatus() {
+    const haService = this.services.haService;
+
+    return {
+      name: this.name,
+      mapping_namespace: this.namespace,
+      actual_budget_id: this.config.actual_budget_id || null,
+      budget: this.services.actualClient ? this.services.actualClient.getStatus().budgetId : null,
+      business_category_group_id: this.config.business_category_group_id || null,
+      business_category_group_name: this.config.business_category_group_name || null,
+      xero_tenant_id: this.config.xero_tenant_id,
+      storage_backend: this.config.storage_backend,
+      dry_run_mode: this.config.dry_run_mode,
+      test_mode: this.config.test_mode,
+      sync_to_xero: this.config.sync_to_xero,
+      status: haService.syncStatus,
+      syncing: this.isSyncing(),
+      currentSyncId: this.currentSyncId,
+      reprocessing: !!this.activeReprocessId,
+      propagatingChanges: !!this.activeChangeRunId,
+      backfilling: this.backfill ? this.backfill.isRunning() : false,
+      checkingReconciliations: this.reconciliation ? this.reconciliation.isRunning() : false,
+      lastSync: haService.lastSyncTime ? haService.lastSyncTime.toISOString() : null,
+      lastError: haService.lastError,
+      syncCount: haService.syncCount,
+      deferredImports: this.deferredImports ? this.deferredImports.getStatus().count : 0,
+      schedule: this.scheduler ? this.scheduler.getStatus() : null,
+      entities: haService.getEntities().map(entity => entity.entity_id)
+    };
+  }
+}
+
+module.exports = SyncProfile;
@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AtomicFileWriter = require('../utils/atomic-file-writer');
+
+/**
+ * SyncWatermarkStore - Persistent high-water mark for incremental syncs
+ *
+ * Records the date of the last Actual Budget transaction that was safely stored,
+ * so each run resumes from there instead of a fixed days-back window. The mark
+ * only moves forward during syncs; reset() is the one way to move it back.
+ */
+class SyncWatermarkStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || '/data', 'sync-watermark.json');
+    this.logger = options.logger || console;
+
+    this.watermark = null;
+    this.loaded = false;
+
+    this.writer = new AtomicFileWriter(this.filePath);
+  }
+
+  /**
+   * Load the watermark from disk
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.watermark = data.watermark || null;
+
+      if (this.watermark) {
+        this.logger.info(`Loaded sync watermark: ${this.watermark.date}`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load sync watermark from ${this.filePath}: ${error.message}`);
+      }
+      this.watermark = null;
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Get the current watermark
+   * @returns {Object|null} - { date, transaction_id, sync_id, updated_at, updated_by }, or null before the first run
+   */
+  getWatermark() {
+    return this.watermark ? { ...this.watermark } : null;
+  }
+
+  /**
+   * Move the watermark forward after a run
+   * @param {Object} mark - New watermark
+   * @param {string} mark.date - Date (YYYY-MM-DD) of the last safely stored transaction
+   * @param {string} mark.transactionId - Actual Budget ID of that transaction
+   * @param {string} mark.syncId - Sync run that stored it
+   * @returns {Promise<boolean>} - True if the watermark moved
+   */
+  async advance(mark) {
+    if (!mark || !mark.date) {
+      return false;
+    }
+
+    // Dates are YYYY-MM-DD, so string comparison orders them
+    if (this.watermark && this.watermark.date >= mark.date) {
+      return false;
+    }
+
+    this.watermark = {
+      date: mark.date,
+      transaction_id: mark.transactionId || null,
+      sync_id: mark.syncId || null,
+      updated_at: new Date().toISOString(),
+      updated_by: 'sync'
+    };
+
+    await this.persist();
+    this.logger.info(`Sync watermark advanced to ${mark.date}`);
+    return true;
+  }
+
+  /**
+   * Move the watermark to a given date, or clear it
+   * @param {string|null} date - New watermark date (YYYY-MM-DD); null clears it so the next run uses sync_days_back
+   * @returns {Promise<Object|null>} - New watermark
+   */
+  async reset(date = null) {
+    const previous = this.watermark ? this.watermark.date : null;
+
+    this.watermark = date
+      ? {
+        date,
+        transaction_id: null,
+        sync_id: null,
+        updated_at: new Date().toISOString(),
+        updated_by: 'reset'
+      }
+      : null;
+
+    await this.persist();
+    this.logger.info(`Sync watermark reset from ${previous || 'none'} to ${date || 'none'}`);
+    return this.getWatermark();
+  }
+
+  /**
+   * Write the watermark to disk
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const content = JSON.stringify({ version: 1, watermark: this.watermark });
+
+    return this.writer.write(content).catch(error => {
+      this.logger.error(`Failed to write sync watermark to ${this.filePath}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Get store status
+   * @returns {Object} - Store status
+   */
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      loaded: this.loaded,
+      watermark: this.getWatermark()
+    };
+  }
+}
+
+module.exports = SyncWatermarkStore;
@@ -1,6 +1,24 @@
-const { Transaction, TransactionStatus } = require('../models/transaction');
-const { CategoryMapping, PayeeMapping } = require('../models/mapping');
+const EventEmitter = require('events');
+const { Transaction, TransactionStatus, XeroDocumentType } = require('../models/transaction');
+const { CategoryMapping, PayeeMapping, AccountMapping } = require('../models/mapping');
 const ReprocessingService = require('./reprocessing');
+const TransactionFilter = require('./transaction-filter');
+const MappingRuleEngine = require('./mapping-rules');
+const TrackingMapper = require('./tracking');
+const XeroClient = require('./xero');
+const XeroRateLimiter = require('../utils/xero-rate-limiter');
+
+/**
+ * Overall progress range (percent) covered by each sync stage
+ */
+const SYNC_STAGES = {
+  fetch: { start: 0, end: 10, label: 'Fetching transactions from Actual Budget' },
+  store: { start: 10, end: 40, label: 'Storing transactions in Xano' },
+  tag: { start: 40, end: 50, label: 'Tagging transactions in Actual Budget' },
+  map: { start: 50, end: 60, label: 'Resolving mappings' },
+  import: { start: 60, end: 100, label: 'Importing transactions to Xero' },
+  complete: { start: 100, end: 100, label: 'Sync completed' }
+};
 
 /**
  * SyncService - Main orchestrator for the Actual Budget to Xero sync process
@@ -11,36 +29,87 @@ const ReprocessingService = require('./reprocessing');
  * 3. Resolve category and payee mappings
  * 4. Import transactions to Xero
  * 5. Update status tracking throughout the pipeline
+ *
+ * Emits 'progress' events as each stage and batch completes.
  */
-class SyncService {
+class SyncService extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.actualClient = options.actualClient;
     this.xanoClient = options.xanoClient;
     this.xeroClient = options.xeroClient;
     this.logger = options.logger || console;
     this.config = options.config || {};
+    this.historyStore = options.historyStore || null;
+    this.watermarkStore = options.watermarkStore || null;
+    this.deferredStore = options.deferredStore || null;
 
     // Initialize reprocessing service
     this.reprocessingService = new ReprocessingService({
       xanoClient: this.xanoClient,
       xeroClient: this.xeroClient,
       actualClient: this.actualClient,
+      importer: this,
       logger: this.logger,
       config: this.config
     });
 
+    // Include/exclude rules applied to every fetch
+    this.transactionFilter = new TransactionFilter({
+      rules: this.config.sync_filters,
+      defaultAction: this.config.sync_filter_default,
+      logger: this.logger
+    });
+
+    // Ordered pattern rules checked before the 1:1 category and payee mappings
+    this.mappingRules = new MappingRuleEngine({
+      rules: this.config.mapping_rules,
+      actualClient: this.actualClient,
+      xeroClient: this.xeroClient,
+      logger: this.logger
+    });
+
+    // Xero tracking options picked from notes tags or Actual categories
+    this.trackingMapper = new TrackingMapper({
+      mappings: this.config.tracking_mappings,
+      actualClient: this.actualClient,
+      xeroClient: this.xeroClient,
+      logger: this.logger
+    });
+
     // Sync statistics
     this.stats = {
       transactionsFetched: 0,
+      transactionsFiltered: 0,
       transactionsStored: 0,
       duplicatesSkipped: 0,
       transactionsMapped: 0,
       transactionsImported: 0,
       transactionsFailed: 0,
+      transactionsDeferred: 0,
+      transactionsAdopted: 0,
+      transfersImported: 0,
+      billsImported: 0,
       mappingsResolved: 0,
+      transactionsRuleMapped: 0,
+      filterSkips: {},
+      ruleMatches: {},
       errors: []
     };
 
+    // ID of the sync currently running, used to tag progress events
+    this.currentSyncId = null;
+
+    // Audit details (stage timings, transaction IDs) for the current run
+    this.runDetails = null;
+
+    // Transactions the sync filters left out of the current run
+    this.filteredTransactions = [];
+
+    // Split transactions the current run skipped because their children don't add up
+    this.splitErrorTransactions = [];
+
     // Validate required dependencies
     this.validateDependencies();
   }
@@ -67,42 +136,90 @@ class SyncService {
   /**
    * Execute the complete sync process
    * @param {Object} options - Sync options
-   * @param {Date} options.since - Date to sync transactions since (default: 7 days ago)
+   * @param {Date} options.since - Date to sync transactions since (default: the sync watermark less
+   *   sync_overlap_days, or sync_days_back before the first run)
+   * @param {Date} options.until - Last transaction date to sync (default: no upper bound)
    * @param {number} options.batchSize - Number of transactions to process in each batch
    * @param {boolean} options.dryRun - If true, don't actually import to Xero
+   * @param {string} options.syncId - ID attached to progress events for this run
+   * @param {string} options.source - What triggered the run (recorded in sync history)
+   * @param {boolean} options.skipWatermark - Leave the sync watermark where it is (backfill chunks)
    * @returns {Promise<Object>} - Sync results and statistics
    */
   async executeSync(options = {}) {
     const startTime = Date.now();
     this.resetStats();
+    this.currentSyncId = options.syncId || startTime.toString();
+    this.runDetails = {
+      source: options.source || 'api',
+      options: null,
+      stages: {},
+      currentStage: null,
+      transactions: {
+        fetched: [],
+        filtered: [],
+        stored: [],
+        duplicates: [],
+        imported: []
+      }
+    };
+    let runError = null;
 
     try {
       this.logger.info('Starting Actual Budget to Xero sync process');
 
       // Set default options with safety controls
+      const { since, sinceSource } = this.resolveSince(options.since);
+      const moveWatermark = !options.skipWatermark && this.coversWatermarkGap(since, sinceSource);
       const syncOptions = {
-        since: options.since || new Date(Date.now() - (this.config.sync_days_back || 7) * 24 * 60 * 60 * 1000),
+        since,
+        until: options.until ? new Date(options.until) : null,
         batchSize: options.batchSize || this.config.batch_size || 10,
         dryRun: options.dryRun || this.config.dry_run_mode || false,
         testMode: this.config.test_mode || false,
         syncToXero: this.config.sync_to_xero !== false // Default to true unless explicitly disabled
       };
 
-      this.logger.info(`Sync options: since=${syncOptions.since.toISOString()}, batchSize=${syncOptions.batchSize}, dryRun=${syncOptions.dryRun}, testMode=${syncOptions.testMode}, syncToXero=${syncOptions.syncToXero}`);
+      this.runDetails.options = {
+        ...syncOptions,
+        since: syncOptions.since.toISOString(),
+        until: syncOptions.until ? syncOptions.until.toISOString() : null,
+        since_source: sinceSource
+      };
+
+      this.logger.info(`Sync options: since=${syncOptions.since.toISOString()} (${sinceSource}), until=${syncOptions.until ? syncOptions.until.toISOString() : 'none'}, batchSize=${syncOptions.batchSize}, dryRun=${syncOptions.dryRun}, testMode=${syncOptions.testMode}, syncToXero=${syncOptions.syncToXero}`);
+
+      // Imports an earlier run deferred for the Xero rate limit go before any new work
+      if (!syncOptions.dryRun && syncOptions.syncToXero) {
+        await this.resumeDeferredImports(syncOptions.batchSize);
+      }
 
       // Step 1: Fetch reconciled transactions from Actual Budget
-      const transactions = await this.fetchReconciledTransactions(syncOptions.since);
+      const transactions = await this.fetchReconciledTransactions(syncOptions.since, syncOptions.until);
       
+      // Split errors are in neither list but must hold the mark, so fixing the split in Actual gets it fetched again
+      const skippedTransactions = [...this.filteredTransactions, ...this.splitErrorTransactions];
+
       if (transactions.length === 0) {
+        if (moveWatermark) {
+          await this.advanceWatermark(skippedTransactions, []);
+        }
         this.logger.info('No new reconciled transactions found');
+        this.emitProgress('complete', 'No new reconciled transactions found');
         return this.getSyncResults(startTime);
       }
 
       // Step 2: Store transactions in Xano (with duplicate prevention)
       const storedTransactions = await this.storeTransactionsInXano(transactions, syncOptions.batchSize);
 
+      // Stored transactions are deduplicated and retried from Xano, so later stages never hold the mark back
+      if (moveWatermark) {
+        await this.advanceWatermark([...transactions, ...skippedTransactions], storedTransactions);
+      }
+
       if (storedTransactions.length === 0) {
         this.logger.info('No new transactions to process (all were duplicates)');
+        this.emitProgress('complete', 'No new transactions to process (all were duplicates)');
         return this.getSyncResults(startTime);
       }
 
@@ -120,6 +237,7 @@ class SyncService {
 
       const results = this.getSyncResults(startTime);
       this.logger.info(`Sync completed successfully in ${results.duration}ms`);
+      this.emitProgress('complete', 'Sync completed');
       
       return results;
 
@@ -131,40 +249,303 @@ class SyncService {
       });
 
       this.logger.error(`Sync process failed: ${error.message}`);
+      runError = error;
       throw error;
+    } finally {
+      await this.recordSyncHistory(startTime, runError);
+      this.currentSyncId = null;
+      this.runDetails = null;
+      this.filteredTransactions = [];
+      this.splitErrorTransactions = [];
+    }
+  }
+
+  /**
+   * Work out where this run starts fetching from
+   * @param {Date} explicitSince - Start date passed by the caller, if any
+   * @returns {Object} - { since, sinceSource } where sinceSource is manual, watermark or days_back
+   */
+  resolveSince(explicitSince) {
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    if (explicitSince) {
+      return { since: new Date(explicitSince), sinceSource: 'manual' };
+    }
+
+    const watermark = this.watermarkStore ? this.watermarkStore.getWatermark() : null;
+    if (watermark) {
+      const overlapDays = this.config.sync_overlap_days !== undefined ? this.config.sync_overlap_days : 3;
+      return {
+        since: new Date(new Date(`${watermark.date}T00:00:00.000Z`).getTime() - overlapDays * dayMs),
+        sinceSource: 'watermark'
+      };
+    }
+
+    return { since: new Date(Date.now() - (this.config.sync_days_back || 7) * dayMs), sinceSource: 'days_back' };
+  }
+
+  /**
+   * Check whether a run starting at since may move the sync watermark
+   *
+   * A run with its own start date (an API call with since) moves the mark
+   * only if it starts no later than a run from the mark would; otherwise the
+   * days between the mark and its start were never fetched and later runs
+   * would skip them.
+   * @param {Date} since - Start date of the run
+   * @param {string} sinceSource - Where the start date came from (see resolveSince)
+   * @returns {boolean}
+   */
+  coversWatermarkGap(since, sinceSource) {
+    if (sinceSource !== 'manual') {
+      return true;
+    }
+
+    return since.getTime() <= this.resolveSince(null).since.getTime();
+  }
+
+  /**
+   * Move the sync watermark up to the last fetched transaction that is safely stored
+   *
+   * A transaction that failed to store holds the watermark just below its date,
+   * so the next run fetches it again, as does a split transaction skipped for
+   * a split error. Transactions the sync filters left out count as safe.
+   * @param {Array} transactions - Transactions fetched this run, including filtered and split error ones
+   * @param {Array} storedTransactions - Transactions newly stored this run
+   */
+  async advanceWatermark(transactions, storedTransactions) {
+    if (!this.watermarkStore || transactions.length === 0) {
+      return;
+    }
+
+    try {
+      const safeIds = new Set([
+        ...storedTransactions.map(transaction => transaction.actual_transaction_id),
+        ...(this.runDetails ? this.runDetails.transactions.duplicates : []),
+        ...this.filteredTransactions.map(transaction => transaction.id)
+      ]);
+
+      // Dates are YYYY-MM-DD, so string comparison orders them
+      const ordered = [...transactions].sort((a, b) => a.date.localeCompare(b.date));
+      const firstUnsafe = ordered.find(transaction => !safeIds.has(transaction.id));
+      const candidates = firstUnsafe
+        ? ordered.filter(transaction => transaction.date < firstUnsafe.date)
+        : ordered;
+      const last = candidates[candidates.length - 1];
+
+      if (!last) {
+        this.logger.warn(`Sync watermark held: transaction ${firstUnsafe.id} (${firstUnsafe.date}) was not stored`);
+        return;
+      }
+
+      await this.watermarkStore.advance({
+        date: last.date,
+        transactionId: last.id,
+        syncId: this.currentSyncId
+      });
+    } catch (error) {
+      // Worst case the next run re-fetches from the old mark and deduplicates
+      this.logger.error(`Failed to advance sync watermark: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist an audit record of the finished run to the sync history store
+   * @param {number} startTime - Run start time in milliseconds
+   * @param {Error|null} runError - Error that ended the run, if any
+   */
+  async recordSyncHistory(startTime, runError) {
+    if (!this.historyStore || !this.runDetails) {
+      return;
+    }
+
+    try {
+      const completedAt = new Date();
+      this.closeCurrentStage(completedAt);
+
+      const results = this.getSyncResults(startTime);
+
+      // Every error carrying a transaction ID marks that transaction as failed in this run
+      const failed = this.stats.errors
+        .filter(error => error.transaction_id || error.xano_id)
+        .map(error => ({
+          actual_transaction_id: error.transaction_id,
+          xano_id: error.xano_id,
+          type: error.type,
+          error: error.message
+        }));
+
+      await this.historyStore.saveRecord({
+        id: this.currentSyncId,
+        source: this.runDetails.source,
+        status: runError ? 'failed' : 'completed',
+        started_at: new Date(startTime).toISOString(),
+        completed_at: completedAt.toISOString(),
+        duration: completedAt.getTime() - startTime,
+        options: this.runDetails.options,
+        stages: this.runDetails.stages,
+        statistics: results.statistics,
+        summary: results.summary,
+        error: runError ? runError.message : null,
+        errors: this.stats.errors,
+        transactions: {
+          ...this.runDetails.transactions,
+          failed
+        }
+      });
+    } catch (error) {
+      // History is an audit aid; never fail the sync because it could not be written
+      this.logger.error(`Failed to record sync history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Track stage timings for the sync history
+   * @param {string} stage - Stage that is now running
+   */
+  trackStage(stage) {
+    if (!this.runDetails || this.runDetails.currentStage === stage) {
+      return;
+    }
+
+    const now = new Date();
+    this.closeCurrentStage(now);
+
+    if (stage !== 'complete') {
+      this.runDetails.stages[stage] = {
+        started_at: now.toISOString(),
+        completed_at: null,
+        duration: null,
+        statistics: null
+      };
+      this.runDetails.currentStage = stage;
+    }
+  }
+
+  /**
+   * Mark the current stage as finished and snapshot the statistics at that point
+   * @param {Date} completedAt - Stage completion time
+   */
+  closeCurrentStage(completedAt) {
+    const stageName = this.runDetails.currentStage;
+    if (!stageName) {
+      return;
+    }
+
+    const stage = this.runDetails.stages[stageName];
+    stage.completed_at = completedAt.toISOString();
+    stage.duration = completedAt.getTime() - new Date(stage.started_at).getTime();
+    stage.statistics = {
+      transactionsFetched: this.stats.transactionsFetched,
+      transactionsStored: this.stats.transactionsStored,
+      duplicatesSkipped: this.stats.duplicatesSkipped,
+      transactionsMapped: this.stats.transactionsMapped,
+      transactionsImported: this.stats.transactionsImported,
+      transactionsFailed: this.stats.transactionsFailed,
+      errors: this.stats.errors.length
+    };
+
+    this.runDetails.currentStage = null;
+  }
+
+  /**
+   * Emit a progress event for the running sync
+   * @param {string} stage - Stage name (fetch, store, tag, map, import, complete)
+   * @param {string} message - Human readable progress message
+   * @param {Object} counts - Optional progress counts within the stage
+   * @param {number} counts.current - Items (or batches) completed in this stage
+   * @param {number} counts.total - Total items (or batches) in this stage
+   * @param {number} counts.batch - Current batch number
+   * @param {number} counts.totalBatches - Total number of batches
+   */
+  emitProgress(stage, message, counts = {}) {
+    this.trackStage(stage);
+
+    const range = SYNC_STAGES[stage];
+    const fraction = counts.total > 0 ? Math.min(1, (counts.current || 0) / counts.total) : 0;
+
+    const progress = {
+      syncId: this.currentSyncId,
+      stage,
+      stageLabel: range.label,
+      message,
+      percentage: Math.round(range.start + (range.end - range.start) * fraction),
+      current: counts.current,
+      total: counts.total,
+      batch: counts.batch,
+      totalBatches: counts.totalBatches,
+      statistics: {
+        transactionsFetched: this.stats.transactionsFetched,
+        transactionsFiltered: this.stats.transactionsFiltered,
+        transactionsStored: this.stats.transactionsStored,
+        duplicatesSkipped: this.stats.duplicatesSkipped,
+        transactionsMapped: this.stats.transactionsMapped,
+        transactionsImported: this.stats.transactionsImported,
+        transactionsFailed: this.stats.transactionsFailed
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      this.emit('progress', progress);
+    } catch (error) {
+      // A faulty listener must never break the sync itself
+      this.logger.warn(`Sync progress listener failed: ${error.message}`);
     }
   }
 
   /**
    * Fetch reconciled transactions from Actual Budget for the business category group
+   *
+   * Transactions the sync filters leave out are counted with their reason and dropped here.
    * @param {Date} since - Date to fetch transactions since
+   * @param {Date} until - Last transaction date to fetch (inclusive)
    * @returns {Promise<Array>} - Array of reconciled transactions
    */
-  async fetchReconciledTransactions(since) {
+  async fetchReconciledTransactions(since, until = null) {
     try {
-      this.logger.info(`Fetching reconciled transactions since ${since.toISOString()}`);
+      this.logger.info(`Fetching reconciled transactions since ${since.toISOString()}${until ? ` until ${until.toISOString()}` : ''}`);
+      this.emitProgress('fetch', 'Fetching reconciled transactions from Actual Budget...');
 
-      // Determine category group ID
-      let categoryGroupId = this.config.business_category_group_id;
+      const candidates = await this.fetchCandidateTransactions(since, until);
       
-      if (!categoryGroupId && this.config.business_category_group_name) {
-        this.logger.info(`Looking up category group by name: ${this.config.business_category_group_name}`);
-        const categoryGroup = await this.actualClient.findCategoryGroupByName(this.config.business_category_group_name);
-        
-        if (!categoryGroup) {
-          throw new Error(`Category group not found: ${this.config.business_category_group_name}`);
+      // Split transactions whose children don't add up to the parent would post the wrong total
+      this.splitErrorTransactions = candidates.filter(transaction => transaction.split_error);
+      const unfiltered = candidates.filter(transaction => {
+        if (!transaction.split_error) {
+          return true;
         }
         
-        categoryGroupId = categoryGroup.id;
-        this.logger.info(`Found category group ID: ${categoryGroupId}`);
-      }
+        this.stats.errors.push({
+          type: 'SPLIT_AMOUNT_MISMATCH',
+          message: transaction.split_error,
+          transaction_id: transaction.id,
+          timestamp: new Date().toISOString()
+        });
+        this.logger.warn(`Skipping split transaction ${transaction.id}: ${transaction.split_error}`);
+        return false;
+      });
 
-      // Fetch reconciled transactions
-      const transactions = await this.actualClient.getReconciledTransactions(categoryGroupId, since);
+      const { included: transactions, skipped, reasons } = this.transactionFilter.apply(unfiltered);
+      this.filteredTransactions = skipped.map(entry => entry.transaction);
+      this.stats.transactionsFiltered = skipped.length;
+      this.stats.filterSkips = reasons;
+      if (skipped.length > 0) {
+        const breakdown = Object.entries(reasons).map(([reason, count]) => `${count} ${reason}`).join(', ');
+        this.logger.info(`Sync filters skipped ${skipped.length} transactions: ${breakdown}`);
+      }
       
       this.stats.transactionsFetched = transactions.length;
       this.logger.info(`Fetched ${transactions.length} reconciled transactions`);
 
+      if (this.runDetails) {
+        this.runDetails.transactions.fetched = transactions.map(transaction => transaction.id);
+        this.runDetails.transactions.filtered = skipped.map(entry => ({
+          actual_transaction_id: entry.transaction.id,
+          reason: entry.reason
+        }));
+      }
+      this.emitProgress('fetch', `Fetched ${transactions.length} reconciled transactions`, { current: 1, total: 1 });
+
       return transactions;
 
     } catch (error) {
@@ -179,6 +560,116 @@ class SyncService {
     }
   }
 
+  /**
+   * Fetch everything a sync could pick up, before split checks and sync filters
+   * @param {Date} since - Date to fetch transactions since
+   * @param {Date} until - Last transaction date to fetch (inclusive)
+   * @returns {Promise<Array>} - Reconciled business transactions followed by transfers between mapped accounts
+   */
+  async fetchCandidateTransactions(since, until = null) {
+    const categoryGroupId = await this.actualClient.resolveCategoryGroupId(
+      this.config.business_category_group_id,
+      this.config.business_category_group_name
+    );
+
+    // Fetch reconciled transactions
+    const fetchedTransactions = await this.actualClient.getReconciledTransactions(categoryGroupId, since, until);
+    const transfers = await this.fetchReconciledTransfers(since, until);
+
+    // A categorised leg of a transfer between mapped accounts goes to Xero as the transfer only
+    const transferLegIds = new Set(transfers.flatMap(transfer => [transfer.id, transfer.transfer_id]));
+
+    return [
+      ...fetchedTransactions.filter(transaction => !transferLegIds.has(transaction.id)),
+      ...transfers
+    ];
+  }
+
+  /**
+   * Try sync filter rules against recent transactions without syncing anything
+   * @param {Object} options - Preview options
+   * @param {Date} options.since - Date to fetch transactions since
+   * @param {Date} options.until - Last transaction date to fetch (inclusive)
+   * @param {Array} options.rules - Rules to try (default: the configured sync_filters)
+   * @param {string} options.defaultAction - Action for unmatched transactions (default: sync_filter_default)
+   * @returns {Promise<Object>} - { since, until, total, included, skipped, reasons, transactions }
+   */
+  async previewFilters(options = {}) {
+    const since = options.since;
+    const until = options.until || null;
+    const filter = options.rules || options.defaultAction
+      ? new TransactionFilter({
+        rules: options.rules || this.config.sync_filters,
+        defaultAction: options.defaultAction || this.config.sync_filter_default,
+        logger: this.logger
+      })
+      : this.transactionFilter;
+
+    const candidates = await this.fetchCandidateTransactions(since, until);
+    const transactions = candidates.map(transaction => {
+      const decision = filter.evaluate(transaction);
+      return {
+        id: transaction.id,
+        date: transaction.date,
+        account: transaction.account_name || transaction.account,
+        payee: transaction.payee_name || transaction.imported_description || null,
+        amount: (Number(transaction.amount) || 0) / 100,
+        notes: transaction.notes || '',
+        is_transfer: !!transaction.is_transfer,
+        action: decision.action,
+        rule: decision.rule,
+        reason: decision.reason
+      };
+    });
+
+    const reasons = {};
+    for (const transaction of transactions.filter(entry => entry.action === 'exclude')) {
+      reasons[transaction.reason] = (reasons[transaction.reason] || 0) + 1;
+    }
+
+    const included = transactions.filter(transaction => transaction.action === 'include').length;
+
+    return {
+      since: since.toISOString(),
+      until: until ? until.toISOString() : null,
+      total: transactions.length,
+      included,
+      skipped: transactions.length - included,
+      reasons,
+      transactions
+    };
+  }
+
+  /**
+   * Fetch reconciled transfers between Actual accounts mapped to Xero bank accounts
+   *
+   * Transfers have no category, so the category group query never returns them.
+   * Only accounts with an active bank account mapping count as business accounts;
+   * transfers to or from any other account are left alone.
+   * @param {Date} since - Date to fetch transfers since
+   * @param {Date} until - Last transfer date to fetch (inclusive)
+   * @returns {Promise<Array>} - Outgoing transfer legs (see ActualBudgetClient.getReconciledTransfers)
+   */
+  async fetchReconciledTransfers(since, until = null) {
+    const accounts = await this.actualClient.getAccounts();
+    const accountIds = accounts.filter(account => !account.closed).map(account => account.id);
+    if (accountIds.length < 2) {
+      return [];
+    }
+
+    const { accountMappings } = await this.xanoClient.batchGetMappings([], [], accountIds);
+    const mappedAccountIds = (accountMappings || [])
+      .filter(mapping => mapping.is_active !== false && mapping.xero_bank_account_id)
+      .map(mapping => mapping.actual_account_id);
+
+    const transfers = await this.actualClient.getReconciledTransfers(mappedAccountIds, since, until);
+    if (transfers.length > 0) {
+      this.logger.info(`Found ${transfers.length} reconciled transfers between mapped accounts`);
+    }
+
+    return transfers;
+  }
+
   /**
    * Store transactions in Xano with duplicate prevention
    * @param {Array} transactions - Transactions from Actual Budget
@@ -192,6 +683,10 @@ class SyncService {
       const storedTransactions = [];
       const batches = this.createBatches(transactions, batchSize);
 
+      this.emitProgress('store', `Storing ${transactions.length} transactions in Xano...`, {
+        current: 0, total: batches.length, batch: 0, totalBatches: batches.length
+      });
+
       for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
         this.logger.debug(`Processing batch ${i + 1}/${batches.length} (${batch.length} transactions)`);
@@ -207,6 +702,12 @@ class SyncService {
           // Add stored transactions to result array
           storedTransactions.push(...result.stored);
 
+          if (this.runDetails) {
+            this.runDetails.transactions.duplicates.push(
+              ...result.duplicates.map(duplicate => duplicate.actual_transaction_id || duplicate.id || duplicate)
+            );
+          }
+
           // Log any errors from this batch
           if (result.errors.length > 0) {
             result.errors.forEach(error => {
@@ -238,9 +739,20 @@ class SyncService {
             }
           }
         }
+
+        this.emitProgress('store', `Stored batch ${i + 1} of ${batches.length} (${this.stats.transactionsStored} stored, ${this.stats.duplicatesSkipped} duplicates)`, {
+          current: i + 1, total: batches.length, batch: i + 1, totalBatches: batches.length
+        });
       }
 
       this.logger.info(`Stored ${this.stats.transactionsStored} new transactions, skipped ${this.stats.duplicatesSkipped} duplicates`);
+
+      if (this.runDetails) {
+        this.runDetails.transactions.stored.push(...storedTransactions.map(transaction => ({
+          actual_transaction_id: transaction.actual_transaction_id,
+          xano_id: transaction.id
+        })));
+      }
       
       // Tag stored transactions in Actual Budget
       await this.tagStoredTransactions(storedTransactions);
@@ -267,13 +779,17 @@ class SyncService {
     try {
       this.logger.debug(`Tagging ${storedTransactions.length} transactions with #xano tag`);
 
-      for (const transaction of storedTransactions) {
+      for (const [index, transaction] of storedTransactions.entries()) {
         try {
           await this.actualClient.addXanoTag(transaction.actual_transaction_id);
         } catch (error) {
           this.logger.warn(`Failed to tag transaction ${transaction.actual_transaction_id}: ${error.message}`);
           // Don't fail the entire sync for tagging errors
         }
+
+        this.emitProgress('tag', `Tagged ${index + 1} of ${storedTransactions.length} transactions in Actual Budget`, {
+          current: index + 1, total: storedTransactions.length
+        });
       }
 
     } catch (error) {
@@ -288,17 +804,27 @@ class SyncService {
    * @returns {Promise<Array>} - Transactions with resolved mappings
    */
   async resolveMappings(transactions) {
+    // Transfers need both bank accounts mapped rather than a category and a payee
+    if (transactions.some(transaction => transaction.is_transfer)) {
+      const others = transactions.filter(transaction => !transaction.is_transfer);
+      const mappedTransfers = await this.resolveTransferMappings(transactions.filter(transaction => transaction.is_transfer));
+      const mappedOthers = others.length > 0 ? await this.resolveMappings(others) : [];
+      return [...mappedOthers, ...mappedTransfers];
+    }
+
     try {
       this.logger.info(`Resolving mappings for ${transactions.length} transactions`);
+      this.emitProgress('map', `Resolving mappings for ${transactions.length} transactions...`);
 
-      // Extract unique category and payee IDs
-      const categoryIds = [...new Set(transactions.map(t => t.actual_category_id).filter(id => id))];
+      // Extract unique category and payee IDs (split transactions need one category per line)
+      const categoryIds = [...new Set(transactions.flatMap(t => Transaction.getCategoryIds(t)))];
       const payeeIds = [...new Set(transactions.map(t => t.actual_payee_id).filter(id => id))];
+      const accountIds = [...new Set(transactions.map(t => t.actual_account_id).filter(id => id))];
 
-      this.logger.debug(`Found ${categoryIds.length} unique categories and ${payeeIds.length} unique payees`);
+      this.logger.debug(`Found ${categoryIds.length} unique categories, ${payeeIds.length} unique payees and ${accountIds.length} unique accounts`);
 
       // Batch retrieve existing mappings
-      const mappings = await this.xanoClient.batchGetMappings(categoryIds, payeeIds);
+      const mappings = await this.xanoClient.batchGetMappings(categoryIds, payeeIds, accountIds);
       
       // Create lookup maps for efficient access
       const categoryMappingMap = new Map();
@@ -311,27 +837,51 @@ class SyncService {
         payeeMappingMap.set(mapping.actual_payee_id, mapping);
       });
 
+      const accountMappingMap = new Map();
+      (mappings.accountMappings || []).filter(mapping => mapping.is_active !== false).forEach(mapping => {
+        accountMappingMap.set(mapping.actual_account_id, mapping);
+      });
+
+      // Bank accounts are matched by exact name only, never created
+      const missingAccountIds = accountIds.filter(id => !accountMappingMap.get(id)?.xero_bank_account_id);
+      if (missingAccountIds.length > 0) {
+        const resolvedAccounts = await this.resolveAccountMappings(missingAccountIds);
+        resolvedAccounts.forEach(mapping => {
+          accountMappingMap.set(mapping.actual_account_id, mapping);
+        });
+        this.stats.mappingsResolved += resolvedAccounts.length;
+      }
+
+      // Find the first matching mapping rule for each transaction
+      await this.mappingRules.prepare(transactions);
+      await this.trackingMapper.prepare();
+
       // Identify transactions with missing mappings for automatic resolution
       const transactionsNeedingResolution = [];
       const missingCategoryMappings = new Map();
       const missingPayeeMappings = new Map();
 
       for (const transaction of transactions) {
-        const categoryMapping = categoryMappingMap.get(transaction.actual_category_id);
+        const categoryResult = Transaction.applyCategoryMappings(transaction, categoryMappingMap);
         const payeeMapping = payeeMappingMap.get(transaction.actual_payee_id);
 
-        const hasValidCategoryMapping = categoryMapping && categoryMapping.xero_account_id;
-        const hasValidPayeeMapping = payeeMapping && payeeMapping.xero_contact_id;
+        // A rule's account or contact stands in for the category or payee mapping
+        const ruleResult = this.mappingRules.applyWithMappings(transaction, categoryResult, payeeMapping);
+        if (ruleResult.error) {
+          continue;
+        }
+
+        const hasValidCategoryMapping = ruleResult.hasAccount;
+        const hasValidPayeeMapping = !!ruleResult.contactId;
 
         if (!hasValidCategoryMapping || !hasValidPayeeMapping) {
           transactionsNeedingResolution.push(transaction);
 
           // Track missing category mappings
-          if (!hasValidCategoryMapping && transaction.actual_category_id && transaction.actual_category_name) {
-            missingCategoryMappings.set(transaction.actual_category_id, {
-              actual_category_id: transaction.actual_category_id,
-              actual_category_name: transaction.actual_category_name
-            });
+          if (!hasValidCategoryMapping) {
+            categoryResult.missingCategories
+              .filter(category => category.actual_category_id && category.actual_category_name)
+              .forEach(category => missingCategoryMappings.set(category.actual_category_id, category));
           }
 
           // Track missing payee mappings
@@ -372,38 +922,56 @@ class SyncService {
       const mappingUpdates = [];
 
       for (const transaction of transactions) {
-        const categoryMapping = categoryMappingMap.get(transaction.actual_category_id);
+        // Sets xero_account_id/code on the transaction and on every split line
+        const categoryResult = Transaction.applyCategoryMappings(transaction, categoryMappingMap);
         const payeeMapping = payeeMappingMap.get(transaction.actual_payee_id);
 
+        // A matching rule overrides the account, tax type and contact from the 1:1 mappings
+        const ruleResult = this.mappingRules.applyWithMappings(transaction, categoryResult, payeeMapping);
+
+        // Sets the Xero bank account and currency for the transaction's Actual account
+        const hasValidAccountMapping = Transaction.applyAccountMapping(transaction, accountMappingMap);
+
         // Check if transaction has all required mappings
-        const hasValidCategoryMapping = categoryMapping && categoryMapping.xero_account_id;
-        const hasValidPayeeMapping = payeeMapping && payeeMapping.xero_contact_id;
+        const hasValidCategoryMapping = ruleResult.hasAccount;
+        const hasValidPayeeMapping = !!ruleResult.contactId;
+
+        // Sets xero_tracking on the transaction and on every split line
+        const mappingError = ruleResult.error || this.trackingMapper.apply(transaction);
 
-        if (hasValidCategoryMapping && hasValidPayeeMapping) {
+        if (!mappingError && hasValidCategoryMapping && hasValidPayeeMapping && hasValidAccountMapping) {
           // Transaction has all mappings, prepare for Xero import
           const mappingUpdate = {
             xano_id: transaction.id,
-            xero_account_id: categoryMapping.xero_account_id,
-            xero_contact_id: payeeMapping.xero_contact_id
+            xero_account_id: transaction.xero_account_id,
+            xero_contact_id: ruleResult.contactId,
+            xero_bank_account_id: transaction.xero_bank_account_id,
+            xero_document_type: Transaction.resolveDocumentType(transaction, payeeMapping)
           };
 
           mappingUpdates.push(mappingUpdate);
           
           // Add mapping info to transaction for Xero import
-          transaction.xero_account_id = categoryMapping.xero_account_id;
-          transaction.xero_contact_id = payeeMapping.xero_contact_id;
-          transaction.xero_account_code = categoryMapping.xero_account_code;
+          transaction.xero_contact_id = ruleResult.contactId;
+          transaction.xero_document_type = mappingUpdate.xero_document_type;
           
           mappedTransactions.push(transaction);
           this.stats.transactionsMapped++;
 
+          if (ruleResult.rule) {
+            this.stats.transactionsRuleMapped++;
+            this.stats.ruleMatches[ruleResult.rule] = (this.stats.ruleMatches[ruleResult.rule] || 0) + 1;
+          }
+
         } else {
           // Transaction is still missing mappings after automatic resolution
           const missingMappings = [];
           if (!hasValidCategoryMapping) missingMappings.push('category');
           if (!hasValidPayeeMapping) missingMappings.push('payee');
+          if (!hasValidAccountMapping) missingMappings.push('bank account');
 
-          const errorMessage = `Missing ${missingMappings.join(' and ')} mapping(s) - automatic resolution failed`;
+          const errorMessage = mappingError ||
+            `Missing ${missingMappings.join(' and ')} mapping(s) - automatic resolution failed`;
           
           try {
             await this.xanoClient.markTransactionFailed(transaction.id, errorMessage);
@@ -419,6 +987,8 @@ class SyncService {
             xano_id: transaction.id,
             category_name: transaction.actual_category_name,
             payee_name: transaction.actual_payee_name,
+            account_id: transaction.actual_account_id,
+            mapping_rule: ruleResult.rule,
             timestamp: new Date().toISOString()
           });
         }
@@ -436,7 +1006,9 @@ class SyncService {
             try {
               await this.xanoClient.updateTransactionMapping(update.xano_id, {
                 xero_account_id: update.xero_account_id,
-                xero_contact_id: update.xero_contact_id
+                xero_contact_id: update.xero_contact_id,
+                xero_bank_account_id: update.xero_bank_account_id,
+                xero_document_type: update.xero_document_type
               });
             } catch (individualError) {
               this.logger.warn(`Failed to update mapping for transaction ${update.xano_id}: ${individualError.message}`);
@@ -446,6 +1018,9 @@ class SyncService {
       }
 
       this.logger.info(`Resolved mappings for ${mappedTransactions.length} transactions, ${this.stats.transactionsFailed} failed due to missing mappings`);
+      this.emitProgress('map', `Resolved mappings for ${mappedTransactions.length} of ${transactions.length} transactions`, {
+        current: 1, total: 1
+      });
       
       return mappedTransactions;
 
@@ -461,6 +1036,128 @@ class SyncService {
     }
   }
 
+  /**
+   * Resolve the Xero bank accounts on both sides of stored transfers
+   * @param {Array} transfers - Transfer records from Xano
+   * @returns {Promise<Array>} - Transfers with both bank accounts resolved
+   */
+  async resolveTransferMappings(transfers) {
+    try {
+      this.logger.info(`Resolving bank accounts for ${transfers.length} transfers`);
+
+      const accountIds = [...new Set(transfers.flatMap(transfer => [transfer.actual_account_id, transfer.transfer_account_id]).filter(id => id))];
+      const mappings = await this.xanoClient.batchGetMappings([], [], accountIds);
+      const accountMappingMap = new Map((mappings.accountMappings || [])
+        .filter(mapping => mapping.is_active !== false)
+        .map(mapping => [mapping.actual_account_id, mapping]));
+
+      const mappedTransfers = [];
+      const mappingUpdates = [];
+      const failures = [];
+
+      for (const transfer of transfers) {
+        const result = Transaction.applyTransferMapping(transfer, accountMappingMap);
+
+        if (result.isValid) {
+          mappedTransfers.push(transfer);
+          mappingUpdates.push({
+            xano_id: transfer.id,
+            xero_bank_account_id: transfer.xero_bank_account_id,
+            xero_to_bank_account_id: transfer.xero_to_bank_account_id
+          });
+          continue;
+        }
+
+        const errorMessage = result.error || `Missing bank account mapping(s) for account(s) ${result.missingAccounts.join(', ')}`;
+        failures.push({ xano_id: transfer.id, error_message: errorMessage });
+        this.stats.errors.push({
+          type: 'MISSING_MAPPINGS',
+          message: errorMessage,
+          transaction_id: transfer.actual_transaction_id,
+          xano_id: transfer.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      this.stats.transactionsMapped += mappedTransfers.length;
+      this.stats.transactionsFailed += failures.length;
+
+      if (failures.length > 0) {
+        await this.xanoClient.bulkMarkTransactionsFailed(failures);
+      }
+      if (mappingUpdates.length > 0) {
+        await this.xanoClient.bulkUpdateTransactionMappings(mappingUpdates);
+      }
+
+      this.logger.info(`Resolved bank accounts for ${mappedTransfers.length} of ${transfers.length} transfers`);
+      return mappedTransfers;
+
+    } catch (error) {
+      this.stats.errors.push({
+        type: 'RESOLVE_MAPPINGS_ERROR',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      this.logger.error(`Failed to resolve transfer mappings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Map Actual Budget accounts to Xero bank accounts with the same name
+   *
+   * Only an exact name match (ignoring case) is saved: similar names such as
+   * "Business AUD" and "Business USD" are often accounts in different
+   * currencies. Bank accounts are never created automatically; accounts
+   * without exactly one match stay unmapped and their transactions are blocked.
+   * @param {string[]} accountIds - Actual Budget account IDs without a bank account mapping
+   * @returns {Promise<Array>} - Account mappings created
+   */
+  async resolveAccountMappings(accountIds) {
+    const resolved = [];
+
+    try {
+      const [actualAccounts, bankAccounts] = await Promise.all([
+        this.actualClient.getAccounts(),
+        this.xeroClient.getBankAccounts()
+      ]);
+      const actualAccountMap = new Map(actualAccounts.map(account => [account.id, account]));
+
+      for (const accountId of accountIds) {
+        const account = actualAccountMap.get(accountId);
+        const name = account ? account.name.trim().toLowerCase() : null;
+        const matches = name ? bankAccounts.filter(bankAccount => (bankAccount.name || '').trim().toLowerCase() === name) : [];
+
+        if (matches.length !== 1) {
+          this.logger.warn(`${matches.length} Xero bank accounts have the same name as Actual account "${account?.name || accountId}" - map it manually`);
+          continue;
+        }
+
+        const [match] = matches;
+        const mappingData = {
+          actual_account_id: account.id,
+          actual_account_name: account.name,
+          xero_bank_account_id: match.xero_bank_account_id,
+          xero_bank_account_name: match.name,
+          xero_bank_account_code: match.code,
+          currency_code: match.currency_code,
+          is_active: true
+        };
+
+        const createdMapping = await this.xanoClient.upsertAccountMapping(mappingData);
+        resolved.push(createdMapping || mappingData);
+
+        this.logger.info(`Auto-resolved account mapping: "${account.name}" -> "${match.name}" (${match.currency_code || 'base currency'})`);
+      }
+    } catch (error) {
+      // Unresolved accounts are reported per transaction as missing mappings
+      this.logger.warn(`Automatic account mapping resolution failed: ${error.message}`);
+    }
+
+    return resolved;
+  }
+
   /**
    * Import transactions to Xero with comprehensive error handling
    * @param {Array} transactions - Transactions with resolved mappings
@@ -499,21 +1196,48 @@ class SyncService {
       const batches = this.createBatches(validation.ready, batchSize);
       const importResults = {
         imported: 0,
+        adopted: 0,
+        transfers: 0,
+        bills: 0,
         failed: 0,
+        deferred: [],
         errors: [],
         xeroUpdates: []
       };
 
+      this.emitProgress('import', `Importing ${validation.ready.length} transactions to Xero...`, {
+        current: 0, total: batches.length, batch: 0, totalBatches: batches.length
+      });
+
       for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
+
+        // Leave the rest of the daily quota alone and pick the remaining batches up next run
+        if (this.xeroClient.isDailyQuotaLow()) {
+          importResults.deferred.push(...batches.slice(i).flat());
+          break;
+        }
+
         this.logger.debug(`Processing Xero import batch ${i + 1}/${batches.length} (${batch.length} transactions)`);
 
         const batchResults = await this.processBatchXeroImport(batch);
         
         importResults.imported += batchResults.imported;
+        importResults.adopted += batchResults.adopted;
+        importResults.transfers += batchResults.transfers;
+        importResults.bills += batchResults.bills;
         importResults.failed += batchResults.failed;
         importResults.errors.push(...batchResults.errors);
         importResults.xeroUpdates.push(...batchResults.xeroUpdates);
+
+        if (batchResults.deferred.length > 0) {
+          importResults.deferred.push(...batchResults.deferred, ...batches.slice(i + 1).flat());
+          break;
+        }
+
+        this.emitProgress('import', `Imported batch ${i + 1} of ${batches.length} (${importResults.imported} imported, ${importResults.failed} failed)`, {
+          current: i + 1, total: batches.length, batch: i + 1, totalBatches: batches.length
+        });
       }
 
       // Bulk update Xano with Xero import results
@@ -521,16 +1245,37 @@ class SyncService {
         await this.updateXanoWithXeroResults(importResults.xeroUpdates);
       }
 
+      await this.recordDeferredImports(transactions, importResults.deferred);
+
+      if (this.runDetails) {
+        const readyById = new Map(validation.ready.map(transaction => [transaction.id, transaction]));
+        this.runDetails.transactions.imported.push(...importResults.xeroUpdates.map(update => ({
+          actual_transaction_id: readyById.get(update.xano_id)?.actual_transaction_id,
+          xano_id: update.xano_id,
+          xero_transaction_id: update.xero_transaction_id,
+          xero_reference: update.xero_reference,
+          mapping_rule: readyById.get(update.xano_id)?.mapping_rule || null,
+          imported_at: update.xero_imported_date
+        })));
+      }
+
       // Update statistics
       this.stats.transactionsImported += importResults.imported;
+      this.stats.transactionsAdopted += importResults.adopted;
+      this.stats.transfersImported += importResults.transfers;
+      this.stats.billsImported += importResults.bills;
       this.stats.transactionsFailed += importResults.failed + validation.blocked.length;
       this.stats.errors.push(...importResults.errors);
 
-      this.logger.info(`Xero import complete: ${importResults.imported} imported, ${importResults.failed + validation.blocked.length} failed`);
+      this.logger.info(`Xero import complete: ${importResults.imported} imported, ${importResults.failed + validation.blocked.length} failed, ${importResults.deferred.length} deferred`);
 
       return {
         imported: importResults.imported,
+        adopted: importResults.adopted,
+        transfers: importResults.transfers,
+        bills: importResults.bills,
         failed: importResults.failed + validation.blocked.length,
+        deferred: importResults.deferred.length,
         errors: importResults.errors
       };
 
@@ -548,41 +1293,106 @@ class SyncService {
 
   /**
    * Process a batch of transactions for Xero import
+   *
+   * Each transaction is formatted and validated on its own, then Xero is checked
+   * for entries an interrupted run already created under the same reference.
+   * Those are adopted; the rest are created with one Xero request per 50. Rows
+   * Xero rejects are matched back to their transaction and fail individually;
+   * the rest of the batch is kept. Transfers go to Xero as bank transfers,
+   * and spend with payees paid on terms as paid bills.
    * @param {Array} batch - Batch of transactions to import
    * @returns {Promise<Object>} - Batch import results
    */
   async processBatchXeroImport(batch) {
     const results = {
       imported: 0,
+      adopted: 0,
+      transfers: 0,
+      bills: 0,
       failed: 0,
+      deferred: [],
       errors: [],
       xeroUpdates: []
     };
 
-    for (const transaction of batch) {
+    const transfers = batch.filter(transaction => transaction.is_transfer);
+    const bills = batch.filter(transaction => !transaction.is_transfer && transaction.xero_document_type === XeroDocumentType.BILL);
+    const bankTransactions = batch.filter(transaction => !transfers.includes(transaction) && !bills.includes(transaction));
+
+    await this.importBankTransfers(transfers, results);
+    if (results.deferred.length > 0) {
+      results.deferred.push(...bills, ...bankTransactions);
+      return results;
+    }
+
+    await this.importBills(bills, results);
+    if (results.deferred.length > 0) {
+      results.deferred.push(...bankTransactions);
+      return results;
+    }
+
+    const prepared = [];
+
+    for (const transaction of bankTransactions) {
       try {
         // Generate Xero reference using Xano ID
         const xeroReference = this.generateXeroReference(transaction.id);
         
-        // Format transaction for Xero with comprehensive validation
-        const xeroTransactionData = await this.formatTransactionForXero(transaction, xeroReference);
+        // Format and validate the transaction for Xero
+        const xeroTransactionData = Transaction.buildXeroBankTransaction(
+          transaction,
+          xeroReference,
+          Transaction.taxDefaultsFromConfig(this.config)
+        );
 
-        // Validate Xero transaction data before sending
-        const validationResult = this.validateXeroTransactionData(xeroTransactionData);
-        if (!validationResult.isValid) {
-          throw new Error(`Transaction validation failed: ${validationResult.errors.join(', ')}`);
+        // Reject tax types the organisation does not have before Xero does
+        await this.xeroClient.assertValidTaxTypes(xeroTransactionData);
+
+        prepared.push({ transaction, xeroReference, xeroTransactionData });
+
+      } catch (error) {
+        if (XeroRateLimiter.isDeferredError(error)) {
+          results.deferred.push(transaction);
+          continue;
         }
+        await this.recordXeroImportFailure(results, transaction, error.message);
+      }
+    }
+
+    // Never create a second Xero entry for a transaction an earlier run already sent
+    const toCreate = await this.adoptExistingXeroTransactions(prepared, results);
+
+    const requests = this.createBatches(toCreate, XeroClient.MAX_BANK_TRANSACTIONS_PER_REQUEST);
 
-        // Create transaction in Xero with retry logic
-        const xeroResult = await this.createXeroTransactionWithRetry(xeroTransactionData, transaction);
+    for (const [requestIndex, request] of requests.entries()) {
+      // Create the whole request in Xero with retry logic
+      const { created, unsent, error } = await this.createXeroTransactionsWithRetry(request, results);
+
+      if (error) {
+        if (XeroRateLimiter.isDeferredError(error)) {
+          // Xero asked for a longer pause than a run waits; nothing unsent in this or later requests was sent
+          results.deferred.push(...[...unsent, ...requests.slice(requestIndex + 1).flat()].map(item => item.transaction));
+          break;
+        }
+        for (const { transaction } of unsent) {
+          await this.recordXeroImportFailure(results, transaction, error.message);
+        }
+        continue;
+      }
+
+      for (const { transaction, xeroReference, outcome } of created) {
+        if (!outcome.success) {
+          await this.recordXeroImportFailure(results, transaction, outcome.errors.join('; '));
+          continue;
+        }
 
         // Prepare update for Xano
         results.xeroUpdates.push({
           xano_id: transaction.id,
-          xero_transaction_id: xeroResult.xero_transaction_id,
+          xero_transaction_id: outcome.xero_transaction_id,
           xero_imported_date: new Date().toISOString(),
           xero_reference: xeroReference,
-          xero_status: xeroResult.xero_status || 'AUTHORISED'
+          xero_status: outcome.xero_status || 'AUTHORISED'
         });
 
         results.imported++;
@@ -590,189 +1400,433 @@ class SyncService {
         // Tag transaction in Actual Budget
         await this.tagTransactionAsImported(transaction.actual_transaction_id);
 
-        this.logger.debug(`Successfully imported transaction ${transaction.id} to Xero: ${xeroResult.xero_transaction_id}`);
+        this.logger.debug(`Successfully imported transaction ${transaction.id} to Xero: ${outcome.xero_transaction_id}`);
+      }
+    }
 
-      } catch (error) {
-        results.failed++;
-        
-        const errorDetails = {
-          type: 'XERO_IMPORT_ERROR',
-          message: error.message,
-          transaction_id: transaction.actual_transaction_id,
-          xano_id: transaction.id,
-          timestamp: new Date().toISOString(),
-          xero_reference: this.generateXeroReference(transaction.id)
-        };
+    return results;
+  }
 
-        results.errors.push(errorDetails);
+  /**
+   * Adopt Xero transactions that already carry a prepared transaction's reference
+   *
+   * A run that stopped after Xero created a transaction but before Xano was
+   * updated leaves that transaction in Xero under its Xano-{id} reference.
+   * A single match is recorded as the import; several matches are ambiguous,
+   * so the transaction fails with the matching IDs for someone to resolve.
+   * @param {Object[]} prepared - Prepared transactions ({ transaction, xeroReference, xeroTransactionData })
+   * @param {Object} results - Batch import results, updated in place
+   * @param {Function} findByReferences - Xero lookup to use (bank transactions unless given)
+   * @returns {Promise<Object[]>} - Prepared transactions that still need creating
+   */
+  async adoptExistingXeroTransactions(prepared, results, findByReferences = references => this.xeroClient.findTransactionsByReferences(references)) {
+    if (prepared.length === 0) {
+      return [];
+    }
 
-        // Mark transaction as failed in Xano
-        await this.markTransactionAsFailed(transaction.id, `Xero import failed: ${error.message}`);
+    let existing;
+    try {
+      existing = await findByReferences(prepared.map(item => item.xeroReference));
+    } catch (error) {
+      if (XeroRateLimiter.isDeferredError(error)) {
+        results.deferred.push(...prepared.map(item => item.transaction));
+        return [];
+      }
 
-        this.logger.error(`Failed to import transaction ${transaction.id} to Xero: ${error.message}`);
+      // Creating without the check could duplicate, so these wait for a later retry
+      for (const { transaction } of prepared) {
+        await this.recordXeroImportFailure(results, transaction, `Could not check Xero for an existing transaction: ${error.message}`);
       }
+      return [];
     }
 
-    return results;
+    const toCreate = [];
+
+    for (const item of prepared) {
+      const matches = existing.get(item.xeroReference) || [];
+
+      if (matches.length === 0) {
+        toCreate.push(item);
+        continue;
+      }
+
+      if (matches.length > 1) {
+        const ids = matches.map(match => match.xero_transaction_id).join(', ');
+        await this.recordXeroImportFailure(
+          results,
+          item.transaction,
+          `${matches.length} Xero transactions already use reference ${item.xeroReference} (${ids}); remove the duplicates in Xero, then reprocess`,
+          'AMBIGUOUS_XERO_MATCH'
+        );
+        continue;
+      }
+
+      const [match] = matches;
+      results.xeroUpdates.push({
+        xano_id: item.transaction.id,
+        xero_transaction_id: match.xero_transaction_id,
+        xero_imported_date: new Date().toISOString(),
+        xero_reference: item.xeroReference,
+        xero_status: match.xero_status || 'AUTHORISED'
+      });
+
+      results.imported++;
+      results.adopted++;
+
+      // The earlier run may have stopped before tagging as well
+      await this.tagTransactionAsImported(item.transaction.actual_transaction_id);
+
+      this.logger.info(`Adopted existing Xero transaction ${match.xero_transaction_id} for ${item.xeroReference} instead of creating a duplicate`);
+    }
+
+    return toCreate;
   }
 
   /**
-   * Generate Xero reference using Xano table ID
-   * @param {number} xanoId - Xano transaction ID
-   * @returns {string} - Xero reference in format "Xano-{ID}"
+   * Import transfers as Xero bank transfers
+   *
+   * Xero creates bank transfers one at a time. Transfers an interrupted run
+   * already created are adopted by reference, as for bank transactions.
+   * @param {Array} transfers - Transfer records with both bank accounts resolved
+   * @param {Object} results - Batch import results, updated in place
+   * @returns {Promise<void>}
    */
-  generateXeroReference(xanoId) {
-    if (!xanoId || typeof xanoId !== 'number') {
-      throw new Error('Valid Xano ID is required to generate Xero reference');
+  async importBankTransfers(transfers, results) {
+    if (transfers.length === 0) {
+      return;
     }
-    return `Xano-${xanoId}`;
+
+    const importedBefore = results.imported;
+    const prepared = [];
+
+    for (const transaction of transfers) {
+      try {
+        const xeroReference = this.generateXeroReference(transaction.id);
+        prepared.push({
+          transaction,
+          xeroReference,
+          xeroTransactionData: Transaction.buildXeroBankTransfer(transaction, xeroReference)
+        });
+      } catch (error) {
+        await this.recordXeroImportFailure(results, transaction, error.message);
+      }
+    }
+
+    const toCreate = await this.adoptExistingXeroTransactions(
+      prepared,
+      results,
+      references => this.xeroClient.findBankTransfersByReferences(references)
+    );
+
+    for (const [index, { transaction, xeroReference, xeroTransactionData }] of toCreate.entries()) {
+      let created;
+      try {
+        created = await this.xeroClient.createBankTransfer(xeroTransactionData);
+      } catch (error) {
+        if (XeroRateLimiter.isDeferredError(error)) {
+          results.deferred.push(...toCreate.slice(index).map(item => item.transaction));
+          break;
+        }
+        await this.recordXeroImportFailure(results, transaction, error.message);
+        continue;
+      }
+
+      results.xeroUpdates.push({
+        xano_id: transaction.id,
+        xero_transaction_id: created.xero_transaction_id,
+        xero_imported_date: new Date().toISOString(),
+        xero_reference: xeroReference,
+        xero_status: created.xero_status
+      });
+
+      results.imported++;
+
+      await this.tagTransactionAsImported(transaction.actual_transaction_id);
+
+      this.logger.debug(`Imported transfer ${transaction.id} to Xero as bank transfer ${created.xero_transaction_id}`);
+    }
+
+    results.transfers += results.imported - importedBefore;
   }
 
   /**
-   * Format transaction for Xero API with comprehensive validation
-   * @param {Object} transaction - Transaction from Xano
-   * @param {string} xeroReference - Xero reference
-   * @returns {Promise<Object>} - Xero-formatted transaction
+   * Import spend with payees paid on terms as Xero bills paid from the bank account
+   *
+   * Each bill is created, then paid in full from the mapped bank account.
+   * Bills an earlier run already created (found by InvoiceNumber) are adopted
+   * and only paid if something is still due, so a run that stopped between
+   * the bill and its payment finishes the job instead of duplicating the bill.
+   * @param {Array} bills - Spend transactions whose payee mapping asks for bills
+   * @param {Object} results - Batch import results, updated in place
+   * @returns {Promise<void>}
    */
-  async formatTransactionForXero(transaction, xeroReference) {
-    try {
-      // Validate required fields
-      if (!transaction.xero_account_id) {
-        throw new Error('Xero account ID is required');
-      }
-      if (!transaction.xero_contact_id) {
-        throw new Error('Xero contact ID is required');
+  async importBills(bills, results) {
+    if (bills.length === 0) {
+      return;
+    }
+
+    const prepared = [];
+
+    for (const transaction of bills) {
+      try {
+        const xeroReference = this.generateXeroReference(transaction.id);
+        const xeroBillData = this.formatBillForXero(transaction, xeroReference);
+
+        const validationErrors = Transaction.validateXeroBill(xeroBillData);
+        if (validationErrors.length > 0) {
+          throw new Error(`Bill validation failed: ${validationErrors.join(', ')}`);
+        }
+
+        await this.xeroClient.assertValidTaxTypes(xeroBillData);
+
+        prepared.push({ transaction, xeroReference, xeroBillData });
+      } catch (error) {
+        if (XeroRateLimiter.isDeferredError(error)) {
+          results.deferred.push(transaction);
+          continue;
+        }
+        await this.recordXeroImportFailure(results, transaction, error.message);
       }
-      if (!transaction.amount || transaction.amount === 0) {
-        throw new Error('Transaction amount must be non-zero');
+    }
+
+    if (prepared.length === 0) {
+      return;
+    }
+
+    let existing;
+    try {
+      existing = await this.xeroClient.findBillsByReferences(prepared.map(item => item.xeroReference));
+    } catch (error) {
+      if (XeroRateLimiter.isDeferredError(error)) {
+        results.deferred.push(...prepared.map(item => item.transaction));
+        return;
       }
 
-      // Format date for Xero (YYYY-MM-DD)
-      const transactionDate = new Date(transaction.transaction_date);
-      if (isNaN(transactionDate.getTime())) {
-        throw new Error('Invalid transaction date');
+      // Creating without the check could duplicate, so these wait for a later retry
+      for (const { transaction } of prepared) {
+        await this.recordXeroImportFailure(results, transaction, `Could not check Xero for an existing bill: ${error.message}`);
       }
-      const formattedDate = transactionDate.toISOString().split('T')[0];
+      return;
+    }
 
-      // Determine transaction type and amount
-      const isSpend = transaction.amount < 0;
-      const absoluteAmount = Math.abs(transaction.amount);
+    for (const [index, { transaction, xeroReference, xeroBillData }] of prepared.entries()) {
+      const matches = existing.get(xeroReference) || [];
 
-      // Validate amount is reasonable
-      if (absoluteAmount > 1000000) {
-        this.logger.warn(`Large transaction amount detected: ${absoluteAmount} for transaction ${transaction.id}`);
+      if (matches.length > 1) {
+        const ids = matches.map(match => match.xero_transaction_id).join(', ');
+        await this.recordXeroImportFailure(
+          results,
+          transaction,
+          `${matches.length} Xero bills already use invoice number ${xeroReference} (${ids}); remove the duplicates in Xero, then reprocess`,
+          'AMBIGUOUS_XERO_MATCH'
+        );
+        continue;
       }
 
-      // Format description with fallback
-      const description = transaction.description || 
-                         `Transaction from Actual Budget (${transaction.actual_transaction_id})`;
-
-      // Build Xero transaction object
-      const xeroTransaction = {
-        Type: isSpend ? 'SPEND' : 'RECEIVE',
-        Contact: {
-          ContactID: transaction.xero_contact_id
-        },
-        Date: formattedDate,
-        Reference: xeroReference,
-        Status: 'AUTHORISED', // Automatically authorize the transaction
-        LineItems: [{
-          Description: description.substring(0, 4000), // Xero has a 4000 character limit
-          Quantity: 1,
-          UnitAmount: absoluteAmount,
-          AccountID: transaction.xero_account_id,
-          TaxType: 'NONE' // Default tax type, can be configured
-        }]
-      };
+      let bill = matches[0];
+      let payment = null;
+      try {
+        if (!bill) {
+          bill = await this.xeroClient.createBill(xeroBillData);
+        } else {
+          results.adopted++;
+          this.logger.info(`Adopted existing Xero bill ${bill.xero_transaction_id} for ${xeroReference} instead of creating a duplicate`);
+        }
 
-      // Add account code if available
-      if (transaction.xero_account_code) {
-        xeroTransaction.LineItems[0].AccountCode = transaction.xero_account_code;
+        if (bill.amount_due > 0) {
+          payment = await this.xeroClient.createBillPayment(
+            Transaction.buildXeroBillPayment(transaction, bill.xero_transaction_id, bill.amount_due, xeroReference)
+          );
+        }
+      } catch (error) {
+        if (XeroRateLimiter.isDeferredError(error)) {
+          // A bill created without its payment is adopted and paid by the next run
+          results.deferred.push(...prepared.slice(index).map(item => item.transaction));
+          break;
+        }
+        const message = bill ? `Bill ${bill.xero_transaction_id} created but not paid: ${error.message}` : error.message;
+        await this.recordXeroImportFailure(results, transaction, message);
+        continue;
       }
 
-      return xeroTransaction;
+      results.xeroUpdates.push({
+        xano_id: transaction.id,
+        xero_transaction_id: bill.xero_transaction_id,
+        xero_payment_id: payment ? payment.xero_payment_id : (bill.xero_payment_ids || [])[0] || null,
+        xero_imported_date: new Date().toISOString(),
+        xero_reference: xeroReference,
+        xero_status: payment ? 'PAID' : bill.xero_status
+      });
 
-    } catch (error) {
-      this.logger.error(`Failed to format transaction ${transaction.id} for Xero: ${error.message}`);
-      throw error;
+      results.imported++;
+      results.bills++;
+
+      await this.tagTransactionAsImported(transaction.actual_transaction_id);
+
+      this.logger.debug(`Imported transaction ${transaction.id} to Xero as paid bill ${bill.xero_transaction_id}`);
     }
   }
 
   /**
-   * Validate Xero transaction data before sending to API
-   * @param {Object} xeroTransaction - Formatted Xero transaction
-   * @returns {Object} - Validation result
+   * Count a transaction as failed to import and mark it failed in Xano
+   * @param {Object} results - Batch import results, updated in place
+   * @param {Object} transaction - Transaction that failed
+   * @param {string} message - Failure reason
+   * @param {string} type - Error type for the run's error list
+   * @returns {Promise<void>}
+   */
+  async recordXeroImportFailure(results, transaction, message, type = 'XERO_IMPORT_ERROR') {
+    results.failed++;
+
+    results.errors.push({
+      type,
+      message,
+      transaction_id: transaction.actual_transaction_id,
+      xano_id: transaction.id,
+      timestamp: new Date().toISOString(),
+      xero_reference: `Xano-${transaction.id}`
+    });
+
+    // Mark transaction as failed in Xano
+    await this.markTransactionAsFailed(transaction.id, `Xero import failed: ${message}`);
+
+    this.logger.error(`Failed to import transaction ${transaction.id} to Xero: ${message}`);
+  }
+
+  /**
+   * Remember transactions the Xero rate limit deferred, and forget the rest of an import
+   *
+   * Deferred transactions keep their mapped status in Xano and are imported
+   * first by the next sync.
+   * @param {Array} transactions - Every transaction the import was given
+   * @param {Array} deferred - Transactions left for the next run
+   * @returns {Promise<void>}
    */
-  validateXeroTransactionData(xeroTransaction) {
-    const errors = [];
+  async recordDeferredImports(transactions, deferred) {
+    const deferredIds = new Set(deferred.map(transaction => String(transaction.id)));
 
-    // Required fields validation
-    if (!xeroTransaction.Type || !['SPEND', 'RECEIVE'].includes(xeroTransaction.Type)) {
-      errors.push('Transaction type must be SPEND or RECEIVE');
+    if (deferred.length > 0) {
+      this.stats.transactionsDeferred += deferred.length;
+      this.logger.warn(`Xero daily API quota is nearly used up: ${deferred.length} transactions deferred to the next run`, {
+        quota: this.xeroClient.getStatus().rateLimiter.quota
+      });
     }
 
-    if (!xeroTransaction.Contact?.ContactID) {
-      errors.push('Contact ID is required');
+    if (!this.deferredStore) {
+      return;
     }
 
-    if (!xeroTransaction.Date || !/^\d{4}-\d{2}-\d{2}$/.test(xeroTransaction.Date)) {
-      errors.push('Date must be in YYYY-MM-DD format');
+    await this.deferredStore.remove(transactions.map(transaction => transaction.id).filter(id => !deferredIds.has(String(id))));
+    if (deferred.length > 0) {
+      await this.deferredStore.add(deferred.map(transaction => transaction.id), 'Xero daily API quota nearly used up');
     }
+  }
 
-    if (!xeroTransaction.Reference || xeroTransaction.Reference.length > 255) {
-      errors.push('Reference is required and must be 255 characters or less');
+  /**
+   * Import transactions an earlier run deferred for the Xero rate limit
+   * @param {number} batchSize - Batch size for processing
+   * @returns {Promise<void>}
+   */
+  async resumeDeferredImports(batchSize) {
+    const ids = this.deferredStore ? this.deferredStore.getIds() : [];
+    if (ids.length === 0) {
+      return;
     }
 
-    // Line items validation
-    if (!xeroTransaction.LineItems || xeroTransaction.LineItems.length === 0) {
-      errors.push('At least one line item is required');
-    } else {
-      const lineItem = xeroTransaction.LineItems[0];
-      
-      if (!lineItem.AccountID) {
-        errors.push('Account ID is required for line item');
-      }
+    if (this.xeroClient.isDailyQuotaLow()) {
+      this.stats.transactionsDeferred += ids.length;
+      this.logger.warn(`Xero daily API quota is still nearly used up: ${ids.length} deferred transactions stay deferred`);
+      return;
+    }
 
-      if (!lineItem.UnitAmount || lineItem.UnitAmount <= 0) {
-        errors.push('Unit amount must be greater than zero');
-      }
+    this.logger.info(`Resuming ${ids.length} Xero imports deferred by an earlier run`);
+    const records = await this.xanoClient.getTransactionsForReprocessing({
+      statuses: [TransactionStatus.MAPPED],
+      ids,
+      limit: ids.length
+    });
 
-      if (lineItem.UnitAmount > 999999999.99) {
-        errors.push('Unit amount exceeds maximum allowed value');
-      }
+    // Transactions no longer mapped were imported or failed some other way
+    const waiting = new Set(records.map(record => String(record.id)));
+    await this.deferredStore.remove(ids.filter(id => !waiting.has(String(id))));
 
-      if (!lineItem.Description || lineItem.Description.trim().length === 0) {
-        errors.push('Description is required for line item');
-      }
+    if (records.length === 0) {
+      return;
     }
 
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
+    const mappedTransactions = await this.resolveMappings(records);
+    await this.importTransactionsToXero(mappedTransactions, batchSize);
   }
 
   /**
-   * Create transaction in Xero with retry logic for transient failures
-   * @param {Object} xeroTransactionData - Formatted Xero transaction
-   * @param {Object} originalTransaction - Original transaction for context
-   * @returns {Promise<Object>} - Xero creation result
+   * Generate Xero reference using Xano table ID
+   * @param {number} xanoId - Xano transaction ID
+   * @returns {string} - Xero reference in format "Xano-{ID}"
    */
-  async createXeroTransactionWithRetry(xeroTransactionData, originalTransaction) {
+  generateXeroReference(xanoId) {
+    if (!xanoId || typeof xanoId !== 'number') {
+      throw new Error('Valid Xano ID is required to generate Xero reference');
+    }
+    return `Xano-${xanoId}`;
+  }
+
+  /**
+   * Format a spend transaction as a Xero bill (ACCPAY invoice)
+   * @param {Object} transaction - Transaction from Xano
+   * @param {string} xeroReference - Xero reference, used as the bill's invoice number
+   * @returns {Object} - Xero-formatted bill
+   */
+  formatBillForXero(transaction, xeroReference) {
+    if (!transaction.xero_account_id) {
+      throw new Error('Xero account ID is required');
+    }
+    if (!transaction.xero_contact_id) {
+      throw new Error('Xero contact ID is required');
+    }
+    if (!transaction.xero_bank_account_id) {
+      throw new Error('Xero bank account ID is required to pay the bill');
+    }
+    if (!(transaction.amount < 0)) {
+      throw new Error('Only money paid out can be exported as a bill');
+    }
+    if (isNaN(new Date(transaction.transaction_date).getTime())) {
+      throw new Error('Invalid transaction date');
+    }
+
+    const description = transaction.xero_description || transaction.description ||
+                       `Transaction from Actual Budget (${transaction.actual_transaction_id})`;
+
+    return Transaction.buildXeroBill(transaction, xeroReference, description, Transaction.taxDefaultsFromConfig(this.config));
+  }
+
+  /**
+   * Create a batch of transactions in Xero with retry logic for transient failures
+   *
+   * Only failures of the request as a whole (network, rate limit, server
+   * errors) are retried; transactions Xero rejects come back as failed outcomes.
+   * A failed request may still have created some or all of its transactions,
+   * so before each retry the references are looked up again: transactions
+   * found in Xero are adopted and only the rest are sent.
+   * @param {Object[]} request - Prepared transactions ({ transaction, xeroReference, xeroTransactionData })
+   * @param {Object} results - Batch import results, updated in place for adopted transactions
+   * @returns {Promise<Object>} - { created, unsent, error }: the prepared transactions sent by the
+   *   last attempt, each with its outcome, or the error that stopped the request and the transactions it left unsent
+   */
+  async createXeroTransactionsWithRetry(request, results) {
     const maxRetries = 3;
     const baseDelay = 1000; // 1 second
+    let pending = request;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      const references = pending.map(item => item.xeroReference);
+
       try {
-        this.logger.debug(`Creating Xero transaction (attempt ${attempt}/${maxRetries}): ${xeroTransactionData.Reference}`);
+        this.logger.debug(`Creating ${pending.length} Xero transactions (attempt ${attempt}/${maxRetries}): ${references.join(', ')}`);
 
-        const result = await this.xeroClient.createTransaction({
-          ...xeroTransactionData,
-          xano_id: originalTransaction.id // Include for reference generation
-        });
+        const outcomes = await this.xeroClient.createTransactions(pending.map(item => item.xeroTransactionData));
 
-        this.logger.debug(`Successfully created Xero transaction: ${result.xero_transaction_id}`);
-        return result;
+        this.logger.debug(`Xero created ${outcomes.filter(outcome => outcome.success).length} of ${pending.length} transactions`);
+        return { created: pending.map((item, index) => ({ ...item, outcome: outcomes[index] })), unsent: [], error: null };
 
       } catch (error) {
         const isLastAttempt = attempt === maxRetries;
@@ -780,22 +1834,26 @@ class SyncService {
 
         if (isLastAttempt || !isRetryableError) {
           // Log detailed error information
-          this.logger.error(`Failed to create Xero transaction after ${attempt} attempts: ${error.message}`, {
-            transaction_id: originalTransaction.actual_transaction_id,
-            xano_id: originalTransaction.id,
-            xero_reference: xeroTransactionData.Reference,
+          this.logger.error(`Failed to create Xero transactions after ${attempt} attempts: ${error.message}`, {
+            xano_ids: pending.map(item => item.transaction.id),
+            xero_references: references,
             error_code: error.code,
             error_status: error.statusCode
           });
 
-          throw error;
+          return { created: [], unsent: pending, error };
         }
 
         // Wait before retry with exponential backoff
         const delay = baseDelay * Math.pow(2, attempt - 1);
-        this.logger.warn(`Xero transaction creation failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+        this.logger.warn(`Xero batch creation failed (attempt ${attempt}), checking Xero and retrying in ${delay}ms: ${error.message}`);
         
         await new Promise(resolve => setTimeout(resolve, delay));
+
+        pending = await this.adoptExistingXeroTransactions(pending, results);
+        if (pending.length === 0) {
+          return { created: [], unsent: [], error: null };
+        }
       }
     }
   }
@@ -880,7 +1938,7 @@ class SyncService {
 
       // Filter transactions that have valid mappings now
       const transactionsWithMappings = failedTransactions.filter(t => 
-        t.xero_account_id && t.xero_contact_id
+        Transaction.mappingStatus(t) === TransactionStatus.MAPPED
       );
 
       if (transactionsWithMappings.length === 0) {
@@ -913,9 +1971,13 @@ class SyncService {
 
       // Update status to mapped
       for (const update of resetUpdates) {
+        const transaction = transactionsWithMappings.find(t => t.id === update.xano_id);
         await this.xanoClient.updateTransactionMapping(update.xano_id, {
-          xero_account_id: transactionsWithMappings.find(t => t.id === update.xano_id).xero_account_id,
-          xero_contact_id: transactionsWithMappings.find(t => t.id === update.xano_id).xero_contact_id
+          xero_account_id: transaction.xero_account_id,
+          xero_contact_id: transaction.xero_contact_id,
+          xero_bank_account_id: transaction.xero_bank_account_id,
+          xero_to_bank_account_id: transaction.xero_to_bank_account_id,
+          xero_document_type: transaction.xero_document_type
         });
       }
 
@@ -932,6 +1994,7 @@ class SyncService {
         processed: failedTransactions.length,
         retried: transactionsWithMappings.length,
         imported: importResults.imported,
+        deferred: importResults.deferred || 0,
         stillFailed: failedTransactions.length - transactionsWithMappings.length + importResults.failed,
         errors: importResults.errors,
         duration: Date.now() - startTime,
@@ -1189,6 +2252,11 @@ class SyncService {
    * @returns {boolean} - True if error is retryable
    */
   isRetryableXeroError(error) {
+    // The rate limiter already waited as long as Xero allows within a run
+    if (XeroRateLimiter.isDeferredError(error)) {
+      return false;
+    }
+
     // Retry on network errors, timeouts, and certain HTTP status codes
     const retryableStatusCodes = [429, 500, 502, 503, 504]; // Rate limit, server errors
     const retryableErrorCodes = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND'];
@@ -1224,6 +2292,7 @@ class SyncService {
       const missingMappings = [];
       if (blocked.missingCategory) missingMappings.push('category');
       if (blocked.missingPayee) missingMappings.push('payee');
+      if (blocked.missingAccount) missingMappings.push('bank account');
 
       const errorMessage = `Missing ${missingMappings.join(' and ')} mapping(s)`;
       
@@ -1333,12 +2402,20 @@ class SyncService {
   resetStats() {
     this.stats = {
       transactionsFetched: 0,
+      transactionsFiltered: 0,
       transactionsStored: 0,
       duplicatesSkipped: 0,
       transactionsMapped: 0,
       transactionsImported: 0,
       transactionsFailed: 0,
+      transactionsDeferred: 0,
+      transactionsAdopted: 0,
+      transfersImported: 0,
+      billsImported: 0,
       mappingsResolved: 0,
+      transactionsRuleMapped: 0,
+      filterSkips: {},
+      ruleMatches: {},
       errors: []
     };
   }
@@ -1357,14 +2434,22 @@ class SyncService {
       duration,
       statistics: {
         transactionsFetched: this.stats.transactionsFetched,
+        transactionsFiltered: this.stats.transactionsFiltered,
         transactionsStored: this.stats.transactionsStored,
         duplicatesSkipped: this.stats.duplicatesSkipped,
         transactionsMapped: this.stats.transactionsMapped,
         transactionsImported: this.stats.transactionsImported,
         transactionsFailed: this.stats.transactionsFailed,
+        transactionsDeferred: this.stats.transactionsDeferred,
+        transactionsAdopted: this.stats.transactionsAdopted,
+        transfersImported: this.stats.transfersImported,
+        billsImported: this.stats.billsImported,
+        transactionsRuleMapped: this.stats.transactionsRuleMapped,
         totalErrors: this.stats.errors.length,
         mappingErrors: this.stats.errors.filter(e => e.type === 'MISSING_MAPPINGS').length
       },
+      filterSkips: { ...this.stats.filterSkips },
+      ruleMatches: { ...this.stats.ruleMatches },
       errors: this.stats.errors,
       summary: this.generateSyncSummary()
     };
@@ -1386,6 +2471,21 @@ class SyncService {
     if (this.stats.transactionsFailed > 0) {
       lines.push(`- Failed ${this.stats.transactionsFailed} transactions (see errors for details)`);
     }
+
+    if (this.stats.transfersImported > 0) {
+      lines.push(`- Imported ${this.stats.transfersImported} account transfers as Xero bank transfers`);
+    }
+    if (this.stats.billsImported > 0) {
+      lines.push(`- Imported ${this.stats.billsImported} supplier payments as paid Xero bills`);
+    }
+
+    if (this.stats.transactionsAdopted > 0) {
+      lines.push(`- Adopted ${this.stats.transactionsAdopted} transactions already in Xero instead of creating duplicates`);
+    }
+
+    if (this.stats.transactionsDeferred > 0) {
+      lines.push(`- Deferred ${this.stats.transactionsDeferred} transactions to the next run (Xero daily API quota nearly used up)`);
+    }
     
     if (this.stats.errors.length > 0) {
       const mappingErrors = this.stats.errors.filter(e => e.type === 'MISSING_MAPPINGS').length;
@@ -2016,21 +3116,35 @@ class SyncService {
         blocked: [],
         missingMappings: {
           categories: new Set(),
-          payees: new Set()
+          payees: new Set(),
+          accounts: new Set()
         }
       };
 
       for (const transaction of transactions) {
         const hasValidCategoryMapping = !!(transaction.xero_account_id && transaction.xero_account_id.trim());
         const hasValidPayeeMapping = !!(transaction.xero_contact_id && transaction.xero_contact_id.trim());
+        const hasValidAccountMapping = !!(transaction.xero_bank_account_id && transaction.xero_bank_account_id.trim());
+
+        if (transaction.is_transfer) {
+          // Transfers carry no category or payee, only the two bank accounts
+          if (hasValidAccountMapping && transaction.xero_to_bank_account_id) {
+            validation.ready.push(transaction);
+          } else {
+            validation.blocked.push({ transaction, missingCategory: false, missingPayee: false, missingAccount: true });
+            validation.missingMappings.accounts.add(hasValidAccountMapping ? transaction.transfer_account_id : transaction.actual_account_id);
+          }
+          continue;
+        }
 
-        if (hasValidCategoryMapping && hasValidPayeeMapping) {
+        if (hasValidCategoryMapping && hasValidPayeeMapping && hasValidAccountMapping) {
           validation.ready.push(transaction);
         } else {
           validation.blocked.push({
             transaction,
             missingCategory: !hasValidCategoryMapping,
-            missingPayee: !hasValidPayeeMapping
+            missingPayee: !hasValidPayeeMapping,
+            missingAccount: !hasValidAccountMapping
           });
 
           // Track missing mappings for reporting
@@ -2040,6 +3154,9 @@ class SyncService {
           if (!hasValidPayeeMapping && transaction.actual_payee_id) {
             validation.missingMappings.payees.add(transaction.actual_payee_id);
           }
+          if (!hasValidAccountMapping && transaction.actual_account_id) {
+            validation.missingMappings.accounts.add(transaction.actual_account_id);
+          }
         }
       }
 
@@ -2050,7 +3167,8 @@ class SyncService {
         blocked: validation.blocked,
         missingMappings: {
           categories: Array.from(validation.missingMappings.categories),
-          payees: Array.from(validation.missingMappings.payees)
+          payees: Array.from(validation.missingMappings.payees),
+          accounts: Array.from(validation.missingMappings.accounts)
         }
       };
 
@@ -2133,18 +3251,76 @@ class SyncService {
     }
   }
 
+  /**
+   * Sync account mappings from Actual Budget, keeping existing Xero bank accounts
+   * @returns {Promise<Object>} - Sync results
+   */
+  async syncAccountMappings() {
+    try {
+      this.logger.info('Syncing account mappings from Actual Budget');
+
+      const actualAccounts = await this.actualClient.getAccounts();
+
+      if (actualAccounts.length === 0) {
+        this.logger.warn('No accounts found in Actual Budget');
+        return { created: [], updated: [], errors: [] };
+      }
+
+      const existing = await this.xanoClient.batchGetMappings([], [], actualAccounts.map(account => account.id));
+      const existingMap = new Map((existing.accountMappings || []).map(mapping => [mapping.actual_account_id, mapping]));
+
+      // Closed accounts stay mapped for history but are marked inactive
+      const accountMappings = actualAccounts.map(account => ({
+        ...AccountMapping.fromActualBudgetAccount(account).toObject(),
+        ...this.pickXeroBankFields(existingMap.get(account.id))
+      }));
+
+      const result = await this.xanoClient.bulkUpsertAccountMappings(accountMappings);
+
+      this.logger.info(`Account mapping sync complete: ${result.created.length} created, ${result.updated.length} updated`);
+
+      return result;
+
+    } catch (error) {
+      this.logger.error(`Failed to sync account mappings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the Xero side of an existing account mapping
+   * @param {Object} mapping - Stored account mapping
+   * @returns {Object} - Xero bank account fields that are set
+   */
+  pickXeroBankFields(mapping) {
+    if (!mapping) {
+      return {};
+    }
+
+    const fields = ['xero_bank_account_id', 'xero_bank_account_name', 'xero_bank_account_code', 'currency_code'];
+    return Object.fromEntries(fields.filter(field => mapping[field]).map(field => [field, mapping[field]]));
+  }
+
   /**
    * Reset sync statistics for a new sync run
    */
   resetStats() {
     this.stats = {
       transactionsFetched: 0,
+      transactionsFiltered: 0,
       transactionsStored: 0,
       duplicatesSkipped: 0,
       transactionsMapped: 0,
       transactionsImported: 0,
       transactionsFailed: 0,
+      transactionsDeferred: 0,
+      transactionsAdopted: 0,
+      transfersImported: 0,
+      billsImported: 0,
       mappingsResolved: 0,
+      transactionsRuleMapped: 0,
+      filterSkips: {},
+      ruleMatches: {},
       errors: []
     };
   }
@@ -2164,20 +3340,29 @@ class SyncService {
       duration,
       statistics: {
         transactionsFetched: this.stats.transactionsFetched,
+        transactionsFiltered: this.stats.transactionsFiltered,
         transactionsStored: this.stats.transactionsStored,
         duplicatesSkipped: this.stats.duplicatesSkipped,
         transactionsMapped: this.stats.transactionsMapped,
         transactionsImported: this.stats.transactionsImported,
         transactionsFailed: this.stats.transactionsFailed,
+        transactionsDeferred: this.stats.transactionsDeferred,
+        transactionsAdopted: this.stats.transactionsAdopted,
+        transfersImported: this.stats.transfersImported,
+        billsImported: this.stats.billsImported,
         mappingsResolved: this.stats.mappingsResolved,
+        transactionsRuleMapped: this.stats.transactionsRuleMapped,
         mappingErrors: this.stats.errors.filter(e => e.type === 'MISSING_MAPPINGS').length,
         totalErrors: this.stats.errors.length
       },
+      filterSkips: { ...this.stats.filterSkips },
+      ruleMatches: { ...this.stats.ruleMatches },
       errors: this.stats.errors,
       summary: {
         processed: this.stats.transactionsFetched,
         successful: this.stats.transactionsImported,
         failed: this.stats.transactionsFailed,
+        deferred: this.stats.transactionsDeferred,
         skipped: this.stats.duplicatesSkipped,
         successRate: this.stats.transactionsFetched > 0 
           ? Math.round((this.stats.transactionsImported / this.stats.transactionsFetched) * 100) 
@@ -2217,6 +3402,7 @@ class SyncService {
     return {
       isConfigured: !!(this.actualClient && this.xanoClient && this.xeroClient),
       lastSyncStats: { ...this.stats },
+      watermark: this.watermarkStore ? this.watermarkStore.getWatermark() : null,
       clients: {
         actual: this.actualClient?.getStatus(),
         xano: this.xanoClient?.getStatus(),
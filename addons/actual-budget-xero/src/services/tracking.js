@@ -0,0 +1,255 @@
+const TransactionFilter = require('./transaction-filter');
+
+/**
+ * TrackingMapper - Sets Xero tracking options on line items from notes tags or Actual categories
+ *
+ * Each tracking mapping picks a Xero tracking category and option for
+ * transactions whose notes carry a tag (#proj-acme), a tag starting with a
+ * prefix (#proj-), or for lines in an Actual category. Tag mappings apply to
+ * every line of a transaction; category mappings only to the lines in that
+ * category. Mappings are checked in order and the first one for each tracking
+ * category wins, so a line gets at most one option per tracking category.
+ *
+ * Names are checked against the organisation's active tracking categories
+ * and options; a mapping naming one Xero doesn't have fails the transactions
+ * it matches.
+ */
+class TrackingMapper {
+  constructor(options = {}) {
+    this.mappings = (options.mappings || []).filter(mapping => mapping.enabled !== false);
+    this.actualClient = options.actualClient;
+    this.xeroClient = options.xeroClient;
+    this.logger = options.logger || console;
+
+    // Xero tracking categories and Actual category names from the last prepare()
+    this.trackingCategories = null;
+    this.categoryNames = new Map();
+  }
+
+  /**
+   * Whether any tracking mappings are configured
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.mappings.length > 0;
+  }
+
+  /**
+   * Load the Xero tracking categories and Actual category names the mappings need
+   * @returns {Promise<void>}
+   */
+  async prepare() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    if (this.mappings.some(mapping => mapping.category)) {
+      const categories = await this.actualClient.getCategories();
+      this.categoryNames = new Map(categories.map(category => [category.id, category.name]));
+    }
+
+    try {
+      this.trackingCategories = await this.xeroClient.getTrackingCategories();
+    } catch (error) {
+      // Xero still rejects unknown options on import, so the names are sent unchecked
+      this.trackingCategories = null;
+      this.logger.warn(`Could not load Xero tracking categories, tracking is sent unchecked: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set xero_tracking on a transaction record and each of its split lines
+   * @param {Object} transaction - Stored transaction record, updated in place
+   * @returns {string|null} - Why tracking could not be set, or null
+   */
+  apply(transaction) {
+    if (!this.isActive()) {
+      return null;
+    }
+
+    const tags = TransactionFilter.tagsIn(transaction.description);
+    const isSplit = transaction.is_split && Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0;
+    const lines = isSplit ? transaction.split_lines : [transaction];
+
+    try {
+      for (const line of lines) {
+        line.xero_tracking = this.selectTracking(tags, line.actual_category_id);
+      }
+    } catch (error) {
+      return error.message;
+    }
+
+    // The record-level tracking is the first line's, as with the account
+    if (isSplit) {
+      transaction.xero_tracking = lines[0].xero_tracking;
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the tracking options for one line
+   * @param {string[]} tags - Lowercase tags in the transaction notes
+   * @param {string} categoryId - Actual category ID of the line
+   * @returns {Object[]} - Array of { tracking_category_id, name, option, tracking_option_id }
+   * @throws {Error} If a matching mapping names a tracking category or option Xero doesn't have
+   */
+  selectTracking(tags, categoryId) {
+    const selected = new Map();
+
+    this.mappings.forEach((mapping, index) => {
+      const key = mapping.tracking_category.toLowerCase();
+      if (selected.has(key)) {
+        return;
+      }
+
+      const option = this.matchOption(mapping, tags, categoryId);
+      if (option) {
+        selected.set(key, this.resolveOption(mapping, index, option));
+      }
+    });
+
+    return [...selected.values()];
+  }
+
+  /**
+   * Check a mapping against a line and name the option it picks
+   * @param {Object} mapping - Tracking mapping
+   * @param {string[]} tags - Lowercase tags in the transaction notes
+   * @param {string} categoryId - Actual category ID of the line
+   * @returns {string|null} - Option name, or null when the mapping doesn't match
+   */
+  matchOption(mapping, tags, categoryId) {
+    if (mapping.tag) {
+      return tags.includes(TransactionFilter.normaliseTag(mapping.tag)) ? mapping.option : null;
+    }
+
+    if (mapping.tag_prefix) {
+      const prefix = TransactionFilter.normaliseTag(mapping.tag_prefix);
+      const tag = tags.find(candidate => candidate.startsWith(prefix) && candidate.length > prefix.length);
+      return tag ? (mapping.option || tag.slice(prefix.length)) : null;
+    }
+
+    if (mapping.category && categoryId) {
+      const category = mapping.category.toLowerCase();
+      const name = String(this.categoryNames.get(categoryId) || '').toLowerCase();
+      return category === categoryId.toLowerCase() || category === name ? mapping.option : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the Xero tracking category and option a mapping names
+   * @param {Object} mapping - Tracking mapping
+   * @param {number} index - Position of the mapping in the list
+   * @param {string} optionName - Option picked by the mapping
+   * @returns {Object} - { tracking_category_id, name, option, tracking_option_id } using Xero's spelling
+   * @throws {Error} If the tracking category or option is missing or archived in Xero
+   */
+  resolveOption(mapping, index, optionName) {
+    if (!this.trackingCategories) {
+      return { tracking_category_id: null, name: mapping.tracking_category, option: optionName, tracking_option_id: null };
+    }
+
+    const label = TrackingMapper.describeMapping(mapping, index);
+    const category = this.findCategory(mapping, index);
+
+    const option = category.options.find(candidate =>
+      TrackingMapper.normaliseOption(candidate.name) === TrackingMapper.normaliseOption(optionName) && candidate.status === 'ACTIVE'
+    );
+    if (!option) {
+      throw new Error(`Tracking mapping ${label}: tracking category "${category.name}" has no active option "${optionName}"`);
+    }
+
+    return {
+      tracking_category_id: category.tracking_category_id,
+      name: category.name,
+      option: option.name,
+      tracking_option_id: option.tracking_option_id
+    };
+  }
+
+  /**
+   * Find the active Xero tracking category a mapping names
+   * @param {Object} mapping - Tracking mapping
+   * @param {number} index - Position of the mapping in the list
+   * @returns {Object} - Tracking category from getTrackingCategories
+   * @throws {Error} If Xero has no active tracking category by that name
+   */
+  findCategory(mapping, index) {
+    const category = this.trackingCategories.find(candidate =>
+      candidate.name.toLowerCase() === mapping.tracking_category.toLowerCase() && candidate.status === 'ACTIVE'
+    );
+    if (!category) {
+      const label = TrackingMapper.describeMapping(mapping, index);
+      throw new Error(`Tracking mapping ${label}: Xero has no active tracking category "${mapping.tracking_category}"`);
+    }
+    return category;
+  }
+
+  /**
+   * Check every mapping against the organisation's tracking categories, fetched afresh
+   *
+   * Mappings taking their option from a tag prefix only have their tracking
+   * category checked, since the option depends on the transaction.
+   * @returns {Promise<Object>} - { tracking_categories, mappings: [{ mapping, tracking_category, option, valid, error }] }
+   */
+  async validateMappings() {
+    this.trackingCategories = await this.xeroClient.getTrackingCategories({ refresh: true });
+
+    const mappings = this.mappings.map((mapping, index) => {
+      const result = {
+        mapping: TrackingMapper.describeMapping(mapping, index),
+        tracking_category: mapping.tracking_category,
+        option: mapping.option || null,
+        valid: true,
+        error: null
+      };
+
+      try {
+        if (mapping.option) {
+          this.resolveOption(mapping, index, mapping.option);
+        } else {
+          this.findCategory(mapping, index);
+        }
+      } catch (error) {
+        result.valid = false;
+        result.error = error.message;
+      }
+
+      return result;
+    });
+
+    return {
+      tracking_categories: this.trackingCategories
+        .filter(category => category.status === 'ACTIVE')
+        .map(category => ({
+          name: category.name,
+          options: category.options.filter(option => option.status === 'ACTIVE').map(option => option.name)
+        })),
+      mappings
+    };
+  }
+
+  /**
+   * Normalise an option name so "Big Build" matches a #proj-big-build tag
+   * @param {string} name - Option name or tag remainder
+   * @returns {string} - Lowercase, without spaces, hyphens or underscores
+   */
+  static normaliseOption(name) {
+    return String(name || '').toLowerCase().replace(/[\s_-]+/g, '');
+  }
+
+  /**
+   * Human readable label for a mapping, used in error messages
+   * @param {Object} mapping - Tracking mapping
+   * @param {number} index - Position of the mapping in the list
+   * @returns {string} - The mapping's name, or its position
+   */
+  static describeMapping(mapping, index) {
+    return mapping.name ? `"${mapping.name}"` : `${index + 1}`;
+  }
+}
+
+module.exports = TrackingMapper;
@@ -0,0 +1,190 @@
+/**
+ * TransactionFilter - Include/exclude rules deciding which fetched transactions are synced
+ *
+ * Rules are checked in order and the first rule whose conditions all match
+ * decides whether a transaction is included or excluded. Transactions no rule
+ * matches get the default action. Each rule may set any of:
+ * - account: Actual account name or ID the transaction is in
+ * - payee: text the payee name contains, or the payee ID
+ * - min_amount / max_amount: size of the amount in currency units, ignoring its sign
+ * - direction: spend (money out) or receive (money in)
+ * - notes_tag: tag in the notes, such as #business
+ * - date_from / date_to: transaction date range (YYYY-MM-DD, inclusive)
+ */
+class TransactionFilter {
+  /**
+   * Actions a rule can take
+   */
+  static ACTIONS = ['include', 'exclude'];
+
+  /**
+   * Rule keys that are conditions; a rule needs at least one of them
+   */
+  static CONDITIONS = ['account', 'payee', 'min_amount', 'max_amount', 'direction', 'notes_tag', 'date_from', 'date_to'];
+
+  /**
+   * Reason recorded for transactions left out because no include rule matched them
+   */
+  static DEFAULT_EXCLUDE_REASON = 'no include rule matched';
+
+  constructor(options = {}) {
+    this.rules = (options.rules || []).filter(rule => rule.enabled !== false);
+    this.defaultAction = options.defaultAction || 'include';
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Whether the filter can leave anything out
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.rules.length > 0 || this.defaultAction === 'exclude';
+  }
+
+  /**
+   * Split transactions into those to sync and those the rules leave out
+   * @param {Array} transactions - Transactions from Actual Budget
+   * @returns {Object} - { included, skipped: [{ transaction, rule, reason }], reasons: { reason: count } }
+   */
+  apply(transactions) {
+    const included = [];
+    const skipped = [];
+    const reasons = {};
+
+    for (const transaction of transactions) {
+      const decision = this.evaluate(transaction);
+
+      if (decision.action === 'include') {
+        included.push(transaction);
+        continue;
+      }
+
+      skipped.push({ transaction, rule: decision.rule, reason: decision.reason });
+      reasons[decision.reason] = (reasons[decision.reason] || 0) + 1;
+    }
+
+    return { included, skipped, reasons };
+  }
+
+  /**
+   * Decide what happens to one transaction
+   * @param {Object} transaction - Transaction from Actual Budget
+   * @returns {Object} - { action, rule, reason } where rule is the label of the deciding rule, or null for the default
+   */
+  evaluate(transaction) {
+    const index = this.rules.findIndex(rule => this.matches(rule, transaction));
+
+    if (index === -1) {
+      return {
+        action: this.defaultAction,
+        rule: null,
+        reason: this.defaultAction === 'exclude' ? TransactionFilter.DEFAULT_EXCLUDE_REASON : null
+      };
+    }
+
+    const rule = this.rules[index];
+    const label = TransactionFilter.describeRule(rule, index);
+
+    return {
+      action: rule.action,
+      rule: label,
+      reason: rule.action === 'exclude' ? `excluded by ${label}` : null
+    };
+  }
+
+  /**
+   * Check whether every condition of a rule holds for a transaction
+   * @param {Object} rule - Filter rule
+   * @param {Object} transaction - Transaction from Actual Budget
+   * @returns {boolean}
+   */
+  matches(rule, transaction) {
+    const lower = value => String(value || '').toLowerCase();
+
+    if (rule.account) {
+      const account = lower(rule.account);
+      if (account !== lower(transaction.account) && account !== lower(transaction.account_name)) {
+        return false;
+      }
+    }
+
+    if (rule.payee) {
+      const payee = lower(rule.payee);
+      const names = [transaction.payee_name, transaction.imported_description].map(lower);
+      if (payee !== lower(transaction.payee) && !names.some(name => name.includes(payee))) {
+        return false;
+      }
+    }
+
+    // Actual Budget amounts are integer cents, negative for money out
+    const amount = Number(transaction.amount) || 0;
+    const size = Math.abs(amount) / 100;
+
+    if (rule.min_amount !== undefined && rule.min_amount !== null && size < rule.min_amount) {
+      return false;
+    }
+    if (rule.max_amount !== undefined && rule.max_amount !== null && size > rule.max_amount) {
+      return false;
+    }
+
+    if (rule.direction === 'spend' && amount >= 0) {
+      return false;
+    }
+    if (rule.direction === 'receive' && amount <= 0) {
+      return false;
+    }
+
+    if (rule.notes_tag && !TransactionFilter.tagsIn(transaction.notes).includes(TransactionFilter.normaliseTag(rule.notes_tag))) {
+      return false;
+    }
+
+    // Dates are YYYY-MM-DD, so string comparison orders them
+    if (rule.date_from && String(transaction.date) < rule.date_from) {
+      return false;
+    }
+    if (rule.date_to && String(transaction.date) > rule.date_to) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Human readable label for a rule, used as the skip reason
+   * @param {Object} rule - Filter rule
+   * @param {number} index - Position of the rule in the list
+   * @returns {string} - The rule's name, or its position and conditions
+   */
+  static describeRule(rule, index) {
+    if (rule.name) {
+      return `"${rule.name}"`;
+    }
+
+    const conditions = TransactionFilter.CONDITIONS
+      .filter(key => rule[key] !== undefined && rule[key] !== null && rule[key] !== '')
+      .map(key => `${key}=${rule[key]}`);
+
+    return `rule ${index + 1} (${conditions.join(', ')})`;
+  }
+
+  /**
+   * Tags written in transaction notes
+   * @param {string} notes - Transaction notes
+   * @returns {string[]} - Lowercase tags including the leading #
+   */
+  static tagsIn(notes) {
+    return (String(notes || '').match(/#[^\s#]+/g) || []).map(tag => tag.toLowerCase());
+  }
+
+  /**
+   * Normalise a configured tag so "business" and "#Business" both match #business
+   * @param {string} tag - Configured tag
+   * @returns {string}
+   */
+  static normaliseTag(tag) {
+    const trimmed = String(tag).trim().toLowerCase();
+    return trimmed.startsWith('#') ? trimmed : `#${trimmed}`;
+  }
+}
+
+module.exports = TransactionFilter;
@@ -1,5 +1,6 @@
 const BaseApiClient = require('../utils/base-api-client');
 const XanoRateLimiter = require('../utils/rate-limiter');
+const { Transaction } = require('../models/transaction');
 
 /**
  * XanoClient - API client for Xano backend with integrated rate limiting
@@ -140,19 +141,59 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Get account mapping for Actual Budget account ID
+   * @param {string} actualAccountId - Actual Budget account ID
+   * @returns {Promise<Object|null>} - Account mapping or null if not found
+   */
+  async getAccountMapping(actualAccountId) {
+    if (!actualAccountId) {
+      return null;
+    }
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.get(`/account-mappings/${encodeURIComponent(actualAccountId)}`);
+      });
+
+      this.xanoStats.mappingsRetrieved++;
+      
+      // Return null if mapping not found (404) or inactive
+      if (result.statusCode === 404 || !result.data || !result.data.is_active) {
+        return null;
+      }
+
+      return result.data;
+    } catch (error) {
+      // 404 is expected for missing mappings
+      if (error.statusCode === 404) {
+        return null;
+      }
+      
+      this.logger.error(`Failed to get account mapping for ${actualAccountId}: ${error.message}`);
+      throw this.createXanoError('ACCOUNT_MAPPING_FAILED', error, { actualAccountId });
+    }
+  }
+
   /**
    * Update transaction with resolved mappings
    * @param {number} xanoId - Xano transaction ID
    * @param {Object} mappings - Resolved mappings
    * @param {string} mappings.xero_account_id - Xero account ID
    * @param {string} mappings.xero_contact_id - Xero contact ID
+   * @param {string} mappings.xero_bank_account_id - Xero bank account ID
+   * @param {string} mappings.xero_to_bank_account_id - Xero bank account a transfer goes to
+   * @param {string} mappings.xero_document_type - bank_transaction or bill (see XeroDocumentType)
    * @returns {Promise<Object>} - Updated transaction
    */
   async updateTransactionMapping(xanoId, mappings) {
     const updateData = {
       xero_account_id: mappings.xero_account_id || null,
       xero_contact_id: mappings.xero_contact_id || null,
-      status: (mappings.xero_account_id && mappings.xero_contact_id) ? 'mapped' : 'pending'
+      xero_bank_account_id: mappings.xero_bank_account_id || null,
+      xero_to_bank_account_id: mappings.xero_to_bank_account_id || null,
+      xero_document_type: mappings.xero_document_type || null,
+      status: Transaction.mappingStatus(mappings)
     };
 
     try {
@@ -173,12 +214,14 @@ class XanoClient extends BaseApiClient {
    * @param {number} xanoId - Xano transaction ID
    * @param {Object} xeroData - Xero import data
    * @param {string} xeroData.xero_transaction_id - Xero transaction ID
+   * @param {string} xeroData.xero_payment_id - Xero PaymentID, for bills
    * @param {Date} xeroData.xero_imported_date - Import timestamp
    * @returns {Promise<Object>} - Updated transaction
    */
   async updateTransactionXeroImport(xanoId, xeroData) {
     const updateData = {
       xero_transaction_id: xeroData.xero_transaction_id,
+      xero_payment_id: xeroData.xero_payment_id || null,
       xero_imported_date: xeroData.xero_imported_date || new Date().toISOString(),
       status: 'imported'
     };
@@ -221,20 +264,93 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Record a change propagated from Actual Budget to Xero
+   *
+   * The change is appended to the record's change_history, and the updated
+   * fields (new Actual values, fingerprint, status) are written with it.
+   * @param {number} xanoId - Xano transaction ID
+   * @param {Object} change - Change details
+   * @param {Object} change.updates - Transaction fields to write
+   * @param {Object} change.entry - History entry ({ type, changes, xero_transaction_id, detected_at, ... })
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async recordTransactionChange(xanoId, change) {
+    const updateData = {
+      ...change.updates,
+      last_change_date: change.entry.detected_at || new Date().toISOString(),
+      change: change.entry
+    };
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.put(`/transactions/${xanoId}/change`, updateData);
+      });
+
+      this.logger.info(`Recorded ${change.entry.type} change for Xano ID ${xanoId}`);
+      return result.data;
+    } catch (error) {
+      this.logger.error(`Failed to record change for Xano ID ${xanoId}: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_CHANGE_RECORD_FAILED', error, { xanoId, change });
+    }
+  }
+
+  /**
+   * Record the outcome of attaching a receipt to a transaction's Xero entry
+   * @param {number} xanoId - Xano transaction ID
+   * @param {Object} receipt - Receipt outcome
+   * @param {string} receipt.status - attached or failed (see ReceiptStatus)
+   * @param {string} receipt.file_name - Receipt file name
+   * @param {string} receipt.attachment_id - Xero AttachmentID, once attached
+   * @param {string} receipt.error - Failure reason, if any
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionReceipt(xanoId, receipt) {
+    const updateData = Transaction.buildReceiptUpdate(receipt);
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.put(`/transactions/${xanoId}/receipt`, updateData);
+      });
+
+      this.logger.debug(`Recorded receipt ${receipt.file_name} for Xano ID ${xanoId}: ${receipt.status}`);
+      return result.data;
+    } catch (error) {
+      this.logger.error(`Failed to record receipt for Xano ID ${xanoId}: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_RECEIPT_UPDATE_FAILED', error, { xanoId, receipt });
+    }
+  }
+
+  /**
+   * Record that a transaction's Xero entry has been reconciled
+   * @param {number} xanoId - Xano transaction ID
+   * @param {Object} reconciliation - Reconciliation found
+   * @param {string} reconciliation.reconciled_date - When Xero last changed the reconciled transaction
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionReconciliation(xanoId, reconciliation) {
+    const updateData = Transaction.buildReconciliationUpdate(reconciliation);
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.put(`/transactions/${xanoId}/reconciliation`, updateData);
+      });
+
+      this.logger.debug(`Recorded reconciliation for Xano ID ${xanoId}`);
+      return result.data;
+    } catch (error) {
+      this.logger.error(`Failed to record reconciliation for Xano ID ${xanoId}: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_RECONCILIATION_UPDATE_FAILED', error, { xanoId, reconciliation });
+    }
+  }
+
   /**
    * Create or update category mapping
    * @param {Object} categoryData - Category mapping data
    * @returns {Promise<Object>} - Created/updated mapping
    */
   async upsertCategoryMapping(categoryData) {
-    const mappingData = {
-      actual_category_id: categoryData.actual_category_id,
-      actual_category_name: categoryData.actual_category_name,
-      xero_account_id: categoryData.xero_account_id || null,
-      xero_account_name: categoryData.xero_account_name || null,
-      xero_account_code: categoryData.xero_account_code || null,
-      is_active: categoryData.is_active !== undefined ? categoryData.is_active : true
-    };
+    const mappingData = this.formatCategoryMapping(categoryData);
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
@@ -249,6 +365,32 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Format category mapping data for storage
+   * @param {Object} category - Category mapping data
+   * @returns {Object} - Formatted mapping
+   */
+  formatCategoryMapping(category) {
+    const mapping = {
+      actual_category_id: category.actual_category_id,
+      actual_category_name: category.actual_category_name,
+      xero_account_id: category.xero_account_id || null,
+      xero_account_name: category.xero_account_name || null,
+      xero_account_code: category.xero_account_code || null,
+      is_active: category.is_active !== undefined ? category.is_active : true
+    };
+
+    // Tax settings are only sent when given, so account-only upserts keep them
+    if (category.xero_tax_type !== undefined) {
+      mapping.xero_tax_type = category.xero_tax_type || null;
+    }
+    if (category.xero_line_amount_types !== undefined) {
+      mapping.xero_line_amount_types = category.xero_line_amount_types || null;
+    }
+
+    return mapping;
+  }
+
   /**
    * Create or update payee mapping
    * @param {Object} payeeData - Payee mapping data
@@ -263,6 +405,11 @@ class XanoClient extends BaseApiClient {
       is_active: payeeData.is_active !== undefined ? payeeData.is_active : true
     };
 
+    // The document type is only sent when given, so contact-only upserts keep it
+    if (payeeData.xero_document_type !== undefined) {
+      mappingData.xero_document_type = payeeData.xero_document_type || null;
+    }
+
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
         return await this.post('/payee-mappings', mappingData);
@@ -276,6 +423,44 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Create or update account mapping
+   * @param {Object} accountData - Account mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertAccountMapping(accountData) {
+    const mappingData = this.formatAccountMapping(accountData);
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.post('/account-mappings', mappingData);
+      });
+
+      this.logger.debug(`Upserted account mapping: ${accountData.actual_account_name} -> ${accountData.xero_bank_account_name || 'unmapped'}`);
+      return result.data;
+    } catch (error) {
+      this.logger.error(`Failed to upsert account mapping for ${accountData.actual_account_id}: ${error.message}`);
+      throw this.createXanoError('ACCOUNT_MAPPING_UPSERT_FAILED', error, { accountData });
+    }
+  }
+
+  /**
+   * Format account mapping data for storage
+   * @param {Object} account - Account mapping data
+   * @returns {Object} - Formatted mapping
+   */
+  formatAccountMapping(account) {
+    return {
+      actual_account_id: account.actual_account_id,
+      actual_account_name: account.actual_account_name,
+      xero_bank_account_id: account.xero_bank_account_id || null,
+      xero_bank_account_name: account.xero_bank_account_name || null,
+      xero_bank_account_code: account.xero_bank_account_code || null,
+      currency_code: account.currency_code || null,
+      is_active: account.is_active !== undefined ? account.is_active : true
+    };
+  }
+
   /**
    * Bulk create or update category mappings
    * @param {Object[]} categoryMappings - Array of category mapping data
@@ -286,14 +471,7 @@ class XanoClient extends BaseApiClient {
       return { created: [], updated: [], errors: [] };
     }
 
-    const mappingData = categoryMappings.map(category => ({
-      actual_category_id: category.actual_category_id,
-      actual_category_name: category.actual_category_name,
-      xero_account_id: category.xero_account_id || null,
-      xero_account_name: category.xero_account_name || null,
-      xero_account_code: category.xero_account_code || null,
-      is_active: category.is_active !== undefined ? category.is_active : true
-    }));
+    const mappingData = categoryMappings.map(category => this.formatCategoryMapping(category));
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
@@ -330,7 +508,8 @@ class XanoClient extends BaseApiClient {
       actual_payee_name: payee.actual_payee_name,
       xero_contact_id: payee.xero_contact_id || null,
       xero_contact_name: payee.xero_contact_name || null,
-      is_active: payee.is_active !== undefined ? payee.is_active : true
+      is_active: payee.is_active !== undefined ? payee.is_active : true,
+      ...(payee.xero_document_type !== undefined ? { xero_document_type: payee.xero_document_type || null } : {})
     }));
 
     try {
@@ -354,14 +533,48 @@ class XanoClient extends BaseApiClient {
   }
 
   /**
-   * Batch retrieve mappings for multiple categories and payees
+   * Bulk create or update account mappings
+   * @param {Object[]} accountMappings - Array of account mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertAccountMappings(accountMappings) {
+    if (!Array.isArray(accountMappings) || accountMappings.length === 0) {
+      return { created: [], updated: [], errors: [] };
+    }
+
+    const mappingData = accountMappings.map(account => this.formatAccountMapping(account));
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.post('/account-mappings/bulk', { mappings: mappingData });
+      });
+
+      this.xanoStats.batchOperations++;
+
+      const created = result.data.created || [];
+      const updated = result.data.updated || [];
+      const errors = result.data.errors || [];
+
+      this.logger.info(`Bulk upserted account mappings: ${created.length} created, ${updated.length} updated, ${errors.length} errors`);
+
+      return { created, updated, errors };
+    } catch (error) {
+      this.logger.error(`Failed to bulk upsert account mappings: ${error.message}`);
+      throw this.createXanoError('BULK_ACCOUNT_UPSERT_FAILED', error, { mappingCount: accountMappings.length });
+    }
+  }
+
+  /**
+   * Batch retrieve mappings for multiple categories, payees and accounts
    * @param {string[]} categoryIds - Array of Actual Budget category IDs
    * @param {string[]} payeeIds - Array of Actual Budget payee IDs
-   * @returns {Promise<Object>} - Object with categoryMappings and payeeMappings arrays
+   * @param {string[]} accountIds - Array of Actual Budget account IDs
+   * @returns {Promise<Object>} - Object with categoryMappings, payeeMappings and accountMappings arrays
    */
-  async batchGetMappings(categoryIds = [], payeeIds = []) {
+  async batchGetMappings(categoryIds = [], payeeIds = [], accountIds = []) {
     const uniqueCategoryIds = [...new Set(categoryIds.filter(id => id))];
     const uniquePayeeIds = [...new Set(payeeIds.filter(id => id))];
+    const uniqueAccountIds = [...new Set(accountIds.filter(id => id))];
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
@@ -375,21 +588,32 @@ class XanoClient extends BaseApiClient {
           queryParams.payee_ids = uniquePayeeIds.join(',');
         }
 
+        if (uniqueAccountIds.length > 0) {
+          queryParams.account_ids = uniqueAccountIds.join(',');
+        }
+
         return await this.get('/mappings/batch', { queryParams });
       });
 
       this.xanoStats.batchOperations++;
-      this.xanoStats.mappingsRetrieved += (result.data.categoryMappings?.length || 0) + (result.data.payeeMappings?.length || 0);
+      this.xanoStats.mappingsRetrieved += (result.data.categoryMappings?.length || 0) +
+        (result.data.payeeMappings?.length || 0) +
+        (result.data.accountMappings?.length || 0);
 
-      this.logger.debug(`Batch retrieved ${result.data.categoryMappings?.length || 0} category mappings and ${result.data.payeeMappings?.length || 0} payee mappings`);
+      this.logger.debug(`Batch retrieved ${result.data.categoryMappings?.length || 0} category mappings, ${result.data.payeeMappings?.length || 0} payee mappings and ${result.data.accountMappings?.length || 0} account mappings`);
 
       return {
         categoryMappings: result.data.categoryMappings || [],
-        payeeMappings: result.data.payeeMappings || []
+        payeeMappings: result.data.payeeMappings || [],
+        accountMappings: result.data.accountMappings || []
       };
     } catch (error) {
       this.logger.error(`Failed to batch retrieve mappings: ${error.message}`);
-      throw this.createXanoError('BATCH_MAPPINGS_FAILED', error, { categoryIds: uniqueCategoryIds, payeeIds: uniquePayeeIds });
+      throw this.createXanoError('BATCH_MAPPINGS_FAILED', error, {
+        categoryIds: uniqueCategoryIds,
+        payeeIds: uniquePayeeIds,
+        accountIds: uniqueAccountIds
+      });
     }
   }
 
@@ -434,6 +658,8 @@ class XanoClient extends BaseApiClient {
    * @param {number} updates[].xano_id - Xano transaction ID
    * @param {string} updates[].xero_account_id - Xero account ID
    * @param {string} updates[].xero_contact_id - Xero contact ID
+   * @param {string} updates[].xero_bank_account_id - Xero bank account ID
+   * @param {string} updates[].xero_to_bank_account_id - Xero bank account a transfer goes to
    * @returns {Promise<Object>} - Update results
    */
   async bulkUpdateTransactionMappings(updates) {
@@ -445,7 +671,10 @@ class XanoClient extends BaseApiClient {
       xano_id: update.xano_id,
       xero_account_id: update.xero_account_id || null,
       xero_contact_id: update.xero_contact_id || null,
-      status: (update.xero_account_id && update.xero_contact_id) ? 'mapped' : 'pending'
+      xero_bank_account_id: update.xero_bank_account_id || null,
+      xero_to_bank_account_id: update.xero_to_bank_account_id || null,
+      xero_document_type: update.xero_document_type || null,
+      status: Transaction.mappingStatus(update)
     }));
 
     try {
@@ -485,6 +714,7 @@ class XanoClient extends BaseApiClient {
     const updateData = xeroUpdates.map(update => ({
       xano_id: update.xano_id,
       xero_transaction_id: update.xero_transaction_id,
+      xero_payment_id: update.xero_payment_id || null,
       xero_imported_date: update.xero_imported_date || new Date().toISOString(),
       status: 'imported'
     }));
@@ -508,6 +738,39 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Bulk mark transactions as exported in a bank statement CSV
+   * @param {number[]} xanoIds - Xano transaction IDs
+   * @param {string} exportId - ID of the statement export
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkMarkTransactionsExported(xanoIds, exportId) {
+    if (!Array.isArray(xanoIds) || xanoIds.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    const exportUpdate = Transaction.buildStatementExportUpdate(exportId);
+    const updateData = xanoIds.map(xanoId => ({ xano_id: xanoId, ...exportUpdate }));
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.put('/transactions/bulk-statement-export', { updates: updateData });
+      });
+
+      this.xanoStats.batchOperations++;
+
+      const updated = result.data.updated || [];
+      const errors = result.data.errors || [];
+
+      this.logger.info(`Marked ${updated.length} transactions as exported in ${exportId}, ${errors.length} errors`);
+
+      return { updated, errors };
+    } catch (error) {
+      this.logger.error(`Failed to mark transactions as exported: ${error.message}`);
+      throw this.createXanoError('BULK_EXPORT_UPDATE_FAILED', error, { exportId, updateCount: xanoIds.length });
+    }
+  }
+
   /**
    * Bulk mark transactions as failed
    * @param {Object[]} failures - Array of transaction failures
@@ -550,7 +813,11 @@ class XanoClient extends BaseApiClient {
    * @param {Object} options - Query options
    * @param {number} options.limit - Maximum number of transactions to return
    * @param {string[]} options.statuses - Transaction statuses to include
-   * @returns {Promise<Object[]>} - Array of transactions ready for reprocessing
+   * @param {string} options.transactionSince - Only transactions dated on or after this date (YYYY-MM-DD)
+   * @param {string} options.transactionUntil - Only transactions dated on or before this date (YYYY-MM-DD)
+   * @param {Array} options.ids - Only transactions with these Xano IDs
+   * @param {number} options.afterId - Only transactions with a higher Xano ID, for paging
+   * @returns {Promise<Object[]>} - Array of transactions ready for reprocessing, in ID order
    */
   async getTransactionsForReprocessing(options = {}) {
     const queryParams = {
@@ -558,6 +825,22 @@ class XanoClient extends BaseApiClient {
       statuses: (options.statuses || ['pending', 'failed']).join(',')
     };
 
+    if (options.transactionSince) {
+      queryParams.transaction_since = options.transactionSince;
+    }
+
+    if (options.transactionUntil) {
+      queryParams.transaction_until = options.transactionUntil;
+    }
+
+    if (options.ids) {
+      queryParams.ids = options.ids.join(',');
+    }
+
+    if (options.afterId) {
+      queryParams.after_id = options.afterId;
+    }
+
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
         return await this.get('/transactions/reprocess', { queryParams });
@@ -669,15 +952,27 @@ class XanoClient extends BaseApiClient {
    * @returns {Object} - Formatted transaction data
    */
   formatTransactionForStorage(transaction) {
-    return {
+    const record = {
       actual_transaction_id: transaction.id,
       transaction_date: transaction.date,
       amount: transaction.amount / 100, // Convert from cents to dollars
       description: transaction.notes || transaction.imported_description || '',
       actual_category_id: transaction.category,
       actual_payee_id: transaction.payee,
+      actual_account_id: transaction.account,
+      is_split: !!transaction.is_split,
+      // Split children, one Xero line item each (JSON column in Xano)
+      split_lines: transaction.is_split ? Transaction.splitLinesFromActualBudget(transaction) : null,
+      // Transfers are stored once, from the outgoing leg; the other leg's account receives
+      is_transfer: !!transaction.is_transfer,
+      actual_transfer_id: transaction.is_transfer ? transaction.transfer_id : null,
+      transfer_account_id: transaction.is_transfer ? transaction.transfer_account : null,
       error_message: null // Optional field for error tracking
     };
+
+    // Lets change detection tell whether the transaction was edited in Actual later
+    record.actual_fingerprint = Transaction.fingerprint(record);
+    return record;
   }
 
   /**
@@ -707,6 +1002,7 @@ class XanoClient extends BaseApiClient {
    */
   getStatus() {
     return {
+      backend: 'xano',
       client: this.getStats(),
       rateLimiter: this.rateLimiter.getStatus(),
       xano: { ...this.xanoStats }
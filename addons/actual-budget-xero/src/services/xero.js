@@ -1,4 +1,5 @@
 const BaseApiClient = require('../utils/base-api-client');
+const XeroRateLimiter = require('../utils/xero-rate-limiter');
 const { AuthorizationCode } = require('simple-oauth2');
 const crypto = require('crypto');
 
@@ -9,8 +10,29 @@ const crypto = require('crypto');
  * with comprehensive error handling and Xero-specific formatting
  */
 class XeroClient extends BaseApiClient {
+  /**
+   * Most bank transactions Xero accepts in one create request
+   */
+  static MAX_BANK_TRANSACTIONS_PER_REQUEST = 50;
+
+  /**
+   * Most references combined into one lookup, keeping the where filter to a sensible URL length
+   */
+  static MAX_REFERENCES_PER_LOOKUP = 25;
+
+  /**
+   * Largest file Xero accepts as an attachment
+   */
+  static MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+  /**
+   * OAuth scopes requested on connect; offline_access is what makes Xero issue a refresh token,
+   * and accounting.attachments is needed to upload receipts
+   */
+  static SCOPES = 'offline_access accounting.transactions accounting.contacts accounting.settings accounting.attachments';
+
   constructor(options = {}) {
-    const { clientId, clientSecret, tenantId, redirectUri, ...baseOptions } = options;
+    const { clientId, clientSecret, tenantId, redirectUri, tokenStore, connection, rateLimiter, dailyQuotaReserve, ...baseOptions } = options;
     
     // Initialize base client with Xero API defaults
     super({
@@ -26,6 +48,9 @@ class XeroClient extends BaseApiClient {
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.tenantId = tenantId;
+    
+    // Client holding the OAuth token when this one works for another organisation (see forTenant)
+    this.connection = connection || null;
     this.redirectUri = redirectUri || 'http://localhost:8080/callback';
     
     // OAuth 2.0 configuration
@@ -44,10 +69,34 @@ class XeroClient extends BaseApiClient {
     this.oauth2Client = new AuthorizationCode(this.oauthConfig);
     this.accessToken = null;
     this.tokenExpiresAt = null;
+    this.tokenStore = tokenStore || null;
+    this.refreshPromise = null;
+
+    // Follows Xero's rate limit headers; 429s are retried here rather than by the base client
+    this.rateLimiter = rateLimiter || new XeroRateLimiter({
+      dailyQuotaReserve,
+      logger: this.logger
+    });
+
+    // Tax rates rarely change, so one lookup serves many imports
+    this.taxRatesCache = null;
+    this.taxRatesCacheTtl = 60 * 60 * 1000;
+
+    // Tracking categories are cached the same way
+    this.trackingCategoriesCache = null;
 
     // Xero-specific statistics
     this.xeroStats = {
       transactionsCreated: 0,
+      transactionsRejected: 0,
+      batchRequests: 0,
+      referenceLookups: 0,
+      transfersCreated: 0,
+      billsCreated: 0,
+      paymentsCreated: 0,
+      attachmentsUploaded: 0,
+      transactionsUpdated: 0,
+      transactionsVoided: 0,
       accountsSearched: 0,
       contactsSearched: 0,
       accountsCreated: 0,
@@ -56,6 +105,55 @@ class XeroClient extends BaseApiClient {
     };
   }
 
+  /**
+   * OAuth token in use; tenant clients read and write their connection's token
+   */
+  get accessToken() {
+    return this.connection ? this.connection.accessToken : this.ownAccessToken;
+  }
+
+  set accessToken(token) {
+    if (this.connection) {
+      this.connection.accessToken = token;
+    } else {
+      this.ownAccessToken = token;
+    }
+  }
+
+  get tokenExpiresAt() {
+    return this.connection ? this.connection.tokenExpiresAt : this.ownTokenExpiresAt;
+  }
+
+  set tokenExpiresAt(expiresAt) {
+    if (this.connection) {
+      this.connection.tokenExpiresAt = expiresAt;
+    } else {
+      this.ownTokenExpiresAt = expiresAt;
+    }
+  }
+
+  /**
+   * Create a client for another organisation authorised on this connection
+   *
+   * The new client shares this client's OAuth token and its single-use
+   * refresh, but has its own rate limiter since Xero counts calls per
+   * organisation.
+   * @param {string} tenantId - Xero tenant ID of the organisation
+   * @param {Object} options - Extra client options (e.g. dailyQuotaReserve)
+   * @returns {XeroClient} - Client for the organisation
+   */
+  forTenant(tenantId, options = {}) {
+    return new XeroClient({
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      tenantId,
+      redirectUri: this.redirectUri,
+      connection: this,
+      logger: this.logger,
+      ...options
+    });
+  }
+
   /**
    * Generate OAuth 2.0 authorization URL
    * @param {string} state - State parameter for security
@@ -66,7 +164,7 @@ class XeroClient extends BaseApiClient {
     
     const authorizationUri = this.oauth2Client.authorizeURL({
       redirect_uri: this.redirectUri,
-      scope: 'accounting.transactions accounting.contacts accounting.settings',
+      scope: XeroClient.SCOPES,
       state: authState
     });
 
@@ -85,7 +183,7 @@ class XeroClient extends BaseApiClient {
       const tokenParams = {
         code,
         redirect_uri: this.redirectUri,
-        scope: 'accounting.transactions accounting.contacts accounting.settings'
+        scope: XeroClient.SCOPES
       };
 
       const accessToken = await this.oauth2Client.getToken(tokenParams);
@@ -95,6 +193,8 @@ class XeroClient extends BaseApiClient {
       
       this.logger.info(`Successfully obtained Xero access token, expires at: ${this.tokenExpiresAt.toISOString()}`);
       
+      await this.persistToken();
+      
       return {
         access_token: this.accessToken.access_token,
         refresh_token: this.accessToken.refresh_token,
@@ -118,28 +218,136 @@ class XeroClient extends BaseApiClient {
     this.accessToken = {
       access_token: tokenData.access_token,
       refresh_token: tokenData.refresh_token,
-      expires_in: Math.floor((new Date(tokenData.expires_at) - Date.now()) / 1000)
+      expires_in: Math.floor((new Date(tokenData.expires_at) - Date.now()) / 1000),
+      scope: tokenData.scope
     };
     
     this.tokenExpiresAt = new Date(tokenData.expires_at);
     this.logger.info(`Set Xero access token, expires at: ${this.tokenExpiresAt.toISOString()}`);
   }
 
+  /**
+   * Load previously stored tokens from the token store
+   * @returns {Promise<boolean>} - True if tokens were restored
+   */
+  async loadStoredToken() {
+    if (this.connection) {
+      return this.connection.loadStoredToken();
+    }
+
+    if (!this.tokenStore) {
+      return false;
+    }
+
+    try {
+      const tokenData = await this.tokenStore.load();
+      if (!tokenData || !tokenData.refresh_token) {
+        this.logger.info('No stored Xero tokens found, connect to Xero from the web interface');
+        return false;
+      }
+
+      this.setAccessToken(tokenData);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to load stored Xero tokens: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Save the current tokens to the token store
+   * @returns {Promise<void>}
+   */
+  async persistToken() {
+    if (this.connection) {
+      return this.connection.persistToken();
+    }
+
+    if (!this.tokenStore || !this.accessToken) {
+      return;
+    }
+
+    try {
+      await this.tokenStore.save({
+        access_token: this.accessToken.access_token,
+        refresh_token: this.accessToken.refresh_token,
+        expires_at: this.tokenExpiresAt,
+        scope: this.accessToken.scope
+      });
+    } catch (error) {
+      // Xero refresh tokens rotate, so a failed save means the next restart needs a reconnect
+      this.logger.error(`Failed to persist Xero tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget the current tokens and remove them from the token store
+   * @returns {Promise<void>}
+   */
+  async clearToken() {
+    if (this.connection) {
+      return this.connection.clearToken();
+    }
+
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+
+    if (this.tokenStore) {
+      await this.tokenStore.clear();
+    }
+
+    this.logger.info('Cleared Xero access token');
+  }
+
+  /**
+   * Get the Xero organisations (tenants) authorised for the current token
+   * @returns {Promise<Array>} - Authorised connections
+   */
+  async getConnections() {
+    try {
+      const result = await this.get('https://api.xero.com/connections');
+      return (result.data || []).map(connection => ({
+        tenant_id: connection.tenantId,
+        tenant_name: connection.tenantName,
+        tenant_type: connection.tenantType
+      }));
+    } catch (error) {
+      this.logger.error(`Failed to get Xero connections: ${error.message}`);
+      throw this.createXeroError('CONNECTIONS_FAILED', error);
+    }
+  }
+
   /**
    * Refresh access token using refresh token
    * @returns {Promise<Object>} - New token information
    */
   async refreshAccessToken() {
+    if (this.connection) {
+      return this.connection.refreshAccessToken();
+    }
+
     if (!this.accessToken?.refresh_token) {
       throw this.createXeroError('NO_REFRESH_TOKEN', new Error('No refresh token available'));
     }
 
-    try {
-      const refreshParams = {
-        refresh_token: this.accessToken.refresh_token
-      };
+    // Refresh tokens are single-use, so concurrent callers must share one refresh
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return this.refreshPromise;
+  }
 
-      const newAccessToken = await this.oauth2Client.getToken(refreshParams);
+  /**
+   * Exchange the refresh token for a new token pair
+   * @returns {Promise<Object>} - New token information
+   */
+  async performTokenRefresh() {
+    try {
+      // Xero rotates the refresh token on every use; the new one is persisted below
+      const newAccessToken = await this.oauth2Client.createToken(this.accessToken).refresh();
       
       this.accessToken = newAccessToken.token;
       this.tokenExpiresAt = new Date(Date.now() + (this.accessToken.expires_in * 1000));
@@ -147,6 +355,8 @@ class XeroClient extends BaseApiClient {
       
       this.logger.info(`Successfully refreshed Xero access token, expires at: ${this.tokenExpiresAt.toISOString()}`);
       
+      await this.persistToken();
+      
       return {
         access_token: this.accessToken.access_token,
         refresh_token: this.accessToken.refresh_token,
@@ -187,52 +397,512 @@ class XeroClient extends BaseApiClient {
    * @returns {Promise<Object>} - Response data
    */
   async makeRequest(method, path, data = null, options = {}) {
-    await this.ensureValidToken();
-    
-    // Add OAuth token and tenant ID to headers
-    const authHeaders = {
-      'Authorization': `Bearer ${this.accessToken.access_token}`,
-      'Xero-tenant-id': this.tenantId,
-      ...options.headers
-    };
+    return this.rateLimiter.execute(async () => {
+      // Checked on every attempt, since a Retry-After pause can outlast the token
+      await this.ensureValidToken();
+      
+      // Add OAuth token and tenant ID to headers
+      const authHeaders = {
+        'Authorization': `Bearer ${this.accessToken.access_token}`,
+        'Xero-tenant-id': this.tenantId,
+        ...options.headers
+      };
 
-    return super.makeRequest(method, path, data, { ...options, headers: authHeaders });
+      return super.makeRequest(method, path, data, { ...options, headers: authHeaders });
+    });
   }
 
   /**
-   * Create transaction in Xero
-   * @param {Object} transactionData - Transaction data from Xano
-   * @param {string} transactionData.xano_id - Xano transaction ID for reference
-   * @param {number} transactionData.amount - Transaction amount
-   * @param {string} transactionData.description - Transaction description
-   * @param {string} transactionData.transaction_date - Transaction date (YYYY-MM-DD)
-   * @param {string} transactionData.xero_account_id - Xero account ID
-   * @param {string} transactionData.xero_contact_id - Xero contact ID
+   * Check if error is retryable by the base client
+   *
+   * Rate limit responses are left to the rate limiter, which waits as long as
+   * Xero's Retry-After header says instead of using exponential backoff.
+   * @param {Error} error - Error object
+   * @returns {boolean} - True if retryable
+   */
+  isRetryableError(error) {
+    if (error.statusCode === 429) {
+      return false;
+    }
+
+    return super.isRetryableError(error);
+  }
+
+  /**
+   * Check whether Xero's daily API quota is nearly used up
+   * @returns {boolean} - True if remaining work should be deferred to the next run
+   */
+  isDailyQuotaLow() {
+    return this.rateLimiter.isDailyQuotaLow();
+  }
+
+  /**
+   * Create one transaction in Xero
+   * @param {Object} xeroTransaction - Xero-formatted bank transaction (Type, Contact, Date, Reference, LineItems, ...)
    * @returns {Promise<Object>} - Created transaction with Xero ID
+   * @throws {Error} If Xero rejects the transaction
    */
-  async createTransaction(transactionData) {
-    const xeroTransaction = this.formatTransactionForXero(transactionData);
-    
+  async createTransaction(xeroTransaction) {
+    const [outcome] = await this.createTransactions([xeroTransaction]);
+
+    if (!outcome.success) {
+      throw this.createXeroError('TRANSACTION_CREATE_FAILED', new Error(outcome.errors.join('; ')), { xeroTransaction });
+    }
+
+    return {
+      xero_transaction_id: outcome.xero_transaction_id,
+      xero_reference: outcome.xero_reference,
+      xero_status: outcome.xero_status,
+      xero_total: outcome.xero_total,
+      xero_date: outcome.xero_date
+    };
+  }
+
+  /**
+   * Create up to 50 transactions in Xero with a single request
+   *
+   * Sent with summarizeErrors=false, so Xero validates each transaction on its
+   * own: valid ones are created and rejected ones come back with their
+   * validation errors instead of failing the whole request.
+   * @param {Object[]} xeroTransactions - Xero-formatted bank transactions
+   * @returns {Promise<Object[]>} - One outcome per transaction, in request order:
+   *   { index, reference, success, xero_transaction_id, xero_reference, xero_status, xero_total, xero_date, errors }
+   * @throws {Error} If the request itself fails (authentication, rate limit, server error)
+   */
+  async createTransactions(xeroTransactions) {
+    if (!Array.isArray(xeroTransactions) || xeroTransactions.length === 0) {
+      return [];
+    }
+
+    if (xeroTransactions.length > XeroClient.MAX_BANK_TRANSACTIONS_PER_REQUEST) {
+      throw this.createXeroError('TRANSACTION_BATCH_TOO_LARGE', new Error(
+        `At most ${XeroClient.MAX_BANK_TRANSACTIONS_PER_REQUEST} bank transactions can be created per request, got ${xeroTransactions.length}`
+      ));
+    }
+
+    let created;
     try {
+      // A resent create could duplicate whatever the failed attempt created, so
+      // the caller checks Xero by reference before retrying instead
       const result = await this.put('/BankTransactions', {
-        BankTransactions: [xeroTransaction]
+        BankTransactions: xeroTransactions
+      }, {
+        queryParams: { summarizeErrors: false },
+        maxRetries: 0
       });
 
-      this.xeroStats.transactionsCreated++;
-      
-      const createdTransaction = result.data.BankTransactions[0];
-      this.logger.info(`Created Xero transaction: ${createdTransaction.BankTransactionID} (Reference: ${xeroTransaction.Reference})`);
-      
+      created = (result.data && result.data.BankTransactions) || [];
+    } catch (error) {
+      this.logger.error(`Failed to create ${xeroTransactions.length} Xero transactions: ${error.message}`);
+      throw this.createXeroError('TRANSACTION_BATCH_CREATE_FAILED', error, {
+        references: xeroTransactions.map(xeroTransaction => xeroTransaction.Reference)
+      });
+    }
+
+    this.xeroStats.batchRequests++;
+
+    const outcomes = xeroTransactions.map((xeroTransaction, index) => {
+      // Xero answers in request order; the reference is a cross-check
+      const element = created[index] && created[index].Reference === xeroTransaction.Reference
+        ? created[index]
+        : created.find(candidate => candidate.Reference === xeroTransaction.Reference);
+
+      const errors = !element
+        ? ['Xero returned no result for this transaction']
+        : (element.ValidationErrors || []).map(validationError => validationError.Message);
+
+      if (element && element.StatusAttributeString === 'ERROR' && errors.length === 0) {
+        errors.push('Rejected by Xero');
+      }
+
+      const success = errors.length === 0 && !!element.BankTransactionID;
+
       return {
-        xero_transaction_id: createdTransaction.BankTransactionID,
-        xero_reference: createdTransaction.Reference,
-        xero_status: createdTransaction.Status,
-        xero_total: createdTransaction.Total,
-        xero_date: createdTransaction.Date
+        index,
+        reference: xeroTransaction.Reference,
+        success,
+        xero_transaction_id: success ? element.BankTransactionID : null,
+        xero_reference: element ? element.Reference : xeroTransaction.Reference,
+        xero_status: element ? element.Status : null,
+        xero_total: element ? element.Total : null,
+        xero_date: element ? element.Date : null,
+        errors: success ? [] : (errors.length > 0 ? errors : ['Xero did not return a transaction ID'])
       };
+    });
+
+    const createdCount = outcomes.filter(outcome => outcome.success).length;
+    this.xeroStats.transactionsCreated += createdCount;
+    this.xeroStats.transactionsRejected += outcomes.length - createdCount;
+
+    this.logger.info(`Created ${createdCount} of ${outcomes.length} Xero transactions in one request`);
+    outcomes.filter(outcome => !outcome.success).forEach(outcome => {
+      this.logger.warn(`Xero rejected transaction ${outcome.reference}: ${outcome.errors.join('; ')}`);
+    });
+
+    return outcomes;
+  }
+
+  /**
+   * Find existing bank transactions by Reference
+   *
+   * Deleted (voided) transactions are ignored. A reference with more than one
+   * match is ambiguous and left for the caller to report.
+   * @param {string[]} references - References to look up (e.g. Xano-123)
+   * @returns {Promise<Map<string, Object[]>>} - Matches per reference; references with no match are absent
+   */
+  async findTransactionsByReferences(references) {
+    const unique = [...new Set(references.filter(reference => reference))];
+    const matches = new Map();
+
+    for (let i = 0; i < unique.length; i += XeroClient.MAX_REFERENCES_PER_LOOKUP) {
+      const chunk = unique.slice(i, i + XeroClient.MAX_REFERENCES_PER_LOOKUP);
+      const whereClause = chunk.map(reference => `Reference=="${reference.replace(/"/g, '')}"`).join(' OR ');
+
+      try {
+        // Pages hold 100 transactions; a short page is the last one
+        for (let page = 1; ; page++) {
+          const result = await this.get('/BankTransactions', {
+            queryParams: { where: whereClause, page }
+          });
+          this.xeroStats.referenceLookups++;
+
+          const found = (result.data && result.data.BankTransactions) || [];
+          found
+            .filter(transaction => transaction.Status !== 'DELETED' && chunk.includes(transaction.Reference))
+            .forEach(transaction => {
+              const existing = matches.get(transaction.Reference) || [];
+              existing.push({
+                xero_transaction_id: transaction.BankTransactionID,
+                xero_reference: transaction.Reference,
+                xero_status: transaction.Status,
+                xero_total: transaction.Total,
+                xero_date: transaction.Date,
+                is_reconciled: !!transaction.IsReconciled,
+                xero_updated_date: XeroClient.parseXeroDate(transaction.UpdatedDateUTC)
+              });
+              matches.set(transaction.Reference, existing);
+            });
+
+          if (found.length < 100) {
+            break;
+          }
+        }
+      } catch (error) {
+        this.logger.error(`Failed to look up Xero transactions by reference: ${error.message}`);
+        throw this.createXeroError('TRANSACTION_LOOKUP_FAILED', error, { references: chunk });
+      }
+    }
+
+    this.logger.debug(`Found existing Xero transactions for ${matches.size} of ${unique.length} references`);
+    return matches;
+  }
+
+  /**
+   * Create a bank transfer between two Xero bank accounts
+   * @param {Object} bankTransfer - Xero-formatted bank transfer (FromBankAccount, ToBankAccount, Amount, Date, Reference)
+   * @returns {Promise<Object>} - Created transfer, with its BankTransferID as xero_transaction_id
+   * @throws {Error} If Xero rejects the transfer
+   */
+  async createBankTransfer(bankTransfer) {
+    let created;
+    try {
+      // Not resent on failure, which could duplicate it; the next run checks Xero first
+      const result = await this.put('/BankTransfers', {
+        BankTransfers: [bankTransfer]
+      }, { maxRetries: 0 });
+
+      created = ((result.data && result.data.BankTransfers) || [])[0];
     } catch (error) {
-      this.logger.error(`Failed to create Xero transaction for Xano ID ${transactionData.xano_id}: ${error.message}`);
-      throw this.createXeroError('TRANSACTION_CREATE_FAILED', error, { transactionData });
+      this.logger.error(`Failed to create Xero bank transfer ${bankTransfer.Reference}: ${error.message}`);
+      throw this.createXeroError('TRANSFER_CREATE_FAILED', error, { bankTransfer });
+    }
+
+    const errors = created ? (created.ValidationErrors || []).map(validationError => validationError.Message) : [];
+    if (!created || !created.BankTransferID || errors.length > 0) {
+      const message = errors.length > 0 ? errors.join('; ') : 'Xero did not return a bank transfer ID';
+      throw this.createXeroError('TRANSFER_CREATE_FAILED', new Error(message), { bankTransfer });
+    }
+
+    this.xeroStats.transfersCreated++;
+    this.logger.info(`Created Xero bank transfer ${created.BankTransferID} for ${bankTransfer.Reference}`);
+
+    return {
+      xero_transaction_id: created.BankTransferID,
+      xero_reference: created.Reference || bankTransfer.Reference,
+      xero_status: 'AUTHORISED',
+      xero_total: created.Amount,
+      xero_date: created.Date
+    };
+  }
+
+  /**
+   * Find existing bank transfers by Reference
+   *
+   * Same result shape as findTransactionsByReferences, with the BankTransferID
+   * as xero_transaction_id. Xero removes deleted transfers outright and does
+   * not page this endpoint.
+   * @param {string[]} references - References to look up (e.g. Xano-123)
+   * @returns {Promise<Map<string, Object[]>>} - Matches per reference; references with no match are absent
+   */
+  async findBankTransfersByReferences(references) {
+    const unique = [...new Set(references.filter(reference => reference))];
+    const matches = new Map();
+
+    for (let i = 0; i < unique.length; i += XeroClient.MAX_REFERENCES_PER_LOOKUP) {
+      const chunk = unique.slice(i, i + XeroClient.MAX_REFERENCES_PER_LOOKUP);
+      const whereClause = chunk.map(reference => `Reference=="${reference.replace(/"/g, '')}"`).join(' OR ');
+
+      try {
+        const result = await this.get('/BankTransfers', {
+          queryParams: { where: whereClause }
+        });
+        this.xeroStats.referenceLookups++;
+
+        ((result.data && result.data.BankTransfers) || [])
+          .filter(transfer => chunk.includes(transfer.Reference))
+          .forEach(transfer => {
+            const existing = matches.get(transfer.Reference) || [];
+            existing.push({
+              xero_transaction_id: transfer.BankTransferID,
+              xero_reference: transfer.Reference,
+              xero_status: 'AUTHORISED',
+              xero_total: transfer.Amount,
+              xero_date: transfer.Date
+            });
+            matches.set(transfer.Reference, existing);
+          });
+      } catch (error) {
+        this.logger.error(`Failed to look up Xero bank transfers by reference: ${error.message}`);
+        throw this.createXeroError('TRANSFER_LOOKUP_FAILED', error, { references: chunk });
+      }
+    }
+
+    this.logger.debug(`Found existing Xero bank transfers for ${matches.size} of ${unique.length} references`);
+    return matches;
+  }
+
+  /**
+   * Create an authorised bill (ACCPAY invoice)
+   * @param {Object} bill - Xero-formatted bill (Type, Contact, Date, DueDate, InvoiceNumber, LineItems, ...)
+   * @returns {Promise<Object>} - Created bill, with its InvoiceID as xero_transaction_id and what is left to pay as amount_due
+   * @throws {Error} If Xero rejects the bill
+   */
+  async createBill(bill) {
+    let created;
+    try {
+      // Not resent on failure, which could duplicate it; the next run checks Xero first
+      const result = await this.put('/Invoices', {
+        Invoices: [bill]
+      }, { maxRetries: 0 });
+
+      created = ((result.data && result.data.Invoices) || [])[0];
+    } catch (error) {
+      this.logger.error(`Failed to create Xero bill ${bill.InvoiceNumber}: ${error.message}`);
+      throw this.createXeroError('BILL_CREATE_FAILED', error, { bill });
+    }
+
+    const errors = created ? (created.ValidationErrors || []).map(validationError => validationError.Message) : [];
+    if (!created || !created.InvoiceID || errors.length > 0) {
+      const message = errors.length > 0 ? errors.join('; ') : 'Xero did not return an invoice ID';
+      throw this.createXeroError('BILL_CREATE_FAILED', new Error(message), { bill });
+    }
+
+    this.xeroStats.billsCreated++;
+    this.logger.info(`Created Xero bill ${created.InvoiceID} for ${bill.InvoiceNumber}`);
+
+    return this.formatBill(created);
+  }
+
+  /**
+   * Find existing bills by InvoiceNumber
+   *
+   * Same result shape as findTransactionsByReferences, with the InvoiceID as
+   * xero_transaction_id and the amount still due. Deleted and voided bills are
+   * left out so a bill removed in Xero is created again.
+   * @param {string[]} references - Invoice numbers to look up (e.g. Xano-123)
+   * @returns {Promise<Map<string, Object[]>>} - Matches per reference; references with no match are absent
+   */
+  async findBillsByReferences(references) {
+    const unique = [...new Set(references.filter(reference => reference))];
+    const matches = new Map();
+
+    for (let i = 0; i < unique.length; i += XeroClient.MAX_REFERENCES_PER_LOOKUP) {
+      const chunk = unique.slice(i, i + XeroClient.MAX_REFERENCES_PER_LOOKUP);
+
+      try {
+        const result = await this.get('/Invoices', {
+          queryParams: {
+            InvoiceNumbers: chunk.join(','),
+            where: 'Type=="ACCPAY"',
+            Statuses: 'DRAFT,SUBMITTED,AUTHORISED,PAID'
+          }
+        });
+        this.xeroStats.referenceLookups++;
+
+        ((result.data && result.data.Invoices) || [])
+          .filter(invoice => chunk.includes(invoice.InvoiceNumber))
+          .forEach(invoice => {
+            const existing = matches.get(invoice.InvoiceNumber) || [];
+            existing.push(this.formatBill(invoice));
+            matches.set(invoice.InvoiceNumber, existing);
+          });
+      } catch (error) {
+        this.logger.error(`Failed to look up Xero bills by invoice number: ${error.message}`);
+        throw this.createXeroError('BILL_LOOKUP_FAILED', error, { references: chunk });
+      }
+    }
+
+    this.logger.debug(`Found existing Xero bills for ${matches.size} of ${unique.length} references`);
+    return matches;
+  }
+
+  /**
+   * Pay a bill from a bank account
+   * @param {Object} payment - Xero-formatted payment (Invoice, Account, Date, Amount, Reference)
+   * @returns {Promise<Object>} - { xero_payment_id, xero_status, amount }
+   * @throws {Error} If Xero rejects the payment
+   */
+  async createBillPayment(payment) {
+    let created;
+    try {
+      // Not resent on failure, which could duplicate it; the next run checks Xero first
+      const result = await this.put('/Payments', {
+        Payments: [payment]
+      }, { maxRetries: 0 });
+
+      created = ((result.data && result.data.Payments) || [])[0];
+    } catch (error) {
+      this.logger.error(`Failed to pay Xero bill ${payment.Invoice.InvoiceID}: ${error.message}`);
+      throw this.createXeroError('PAYMENT_CREATE_FAILED', error, { payment });
+    }
+
+    const errors = created ? (created.ValidationErrors || []).map(validationError => validationError.Message) : [];
+    if (!created || !created.PaymentID || errors.length > 0) {
+      const message = errors.length > 0 ? errors.join('; ') : 'Xero did not return a payment ID';
+      throw this.createXeroError('PAYMENT_CREATE_FAILED', new Error(message), { payment });
+    }
+
+    this.xeroStats.paymentsCreated++;
+    this.logger.info(`Paid Xero bill ${payment.Invoice.InvoiceID} with payment ${created.PaymentID}`);
+
+    return {
+      xero_payment_id: created.PaymentID,
+      xero_status: created.Status,
+      amount: created.Amount
+    };
+  }
+
+  /**
+   * Summarise a Xero bill
+   * @param {Object} invoice - Xero Invoice
+   * @returns {Object} - { xero_transaction_id, xero_reference, xero_status, xero_total, amount_due, xero_payment_ids, xero_date }
+   */
+  formatBill(invoice) {
+    return {
+      xero_transaction_id: invoice.InvoiceID,
+      xero_reference: invoice.InvoiceNumber,
+      xero_status: invoice.Status,
+      xero_total: invoice.Total,
+      amount_due: invoice.AmountDue !== undefined ? invoice.AmountDue : invoice.Total,
+      xero_payment_ids: (invoice.Payments || []).map(payment => payment.PaymentID),
+      xero_date: invoice.Date
+    };
+  }
+
+  /**
+   * Attach a file to a Xero bank transaction, bank transfer or bill
+   * @param {string} endpoint - BankTransactions, BankTransfers or Invoices
+   * @param {string} xeroId - BankTransactionID, BankTransferID or InvoiceID
+   * @param {string} fileName - File name shown in Xero
+   * @param {Buffer} content - File content
+   * @param {string} mimeType - Content type (e.g. application/pdf)
+   * @returns {Promise<Object>} - { attachment_id, file_name }
+   */
+  async uploadAttachment(endpoint, xeroId, fileName, content, mimeType) {
+    if (content.length > XeroClient.MAX_ATTACHMENT_BYTES) {
+      throw this.createXeroError('ATTACHMENT_TOO_LARGE', new Error(
+        `${fileName} is ${Math.ceil(content.length / 1024 / 1024)} MB; Xero accepts attachments up to ${XeroClient.MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`
+      ));
+    }
+
+    try {
+      const result = await this.put(
+        `/${endpoint}/${encodeURIComponent(xeroId)}/Attachments/${encodeURIComponent(fileName)}`,
+        content,
+        { headers: { 'Content-Type': mimeType } }
+      );
+
+      const attachment = ((result.data && result.data.Attachments) || [])[0] || {};
+      this.xeroStats.attachmentsUploaded++;
+      this.logger.info(`Attached ${fileName} to Xero ${endpoint} ${xeroId}`);
+
+      return {
+        attachment_id: attachment.AttachmentID || null,
+        file_name: attachment.FileName || fileName
+      };
+    } catch (error) {
+      this.logger.error(`Failed to attach ${fileName} to Xero ${endpoint} ${xeroId}: ${error.message}`);
+      throw this.createXeroError('ATTACHMENT_UPLOAD_FAILED', error, { endpoint, xeroId, fileName });
+    }
+  }
+
+  /**
+   * Replace an existing Xero bank transaction with new details
+   * @param {string} xeroTransactionId - Xero BankTransactionID
+   * @param {Object} xeroTransaction - Xero-formatted transaction (Type, Contact, Date, LineItems, ...)
+   * @returns {Promise<Object>} - Updated transaction summary
+   */
+  async updateTransaction(xeroTransactionId, xeroTransaction) {
+    try {
+      const result = await this.post(`/BankTransactions/${encodeURIComponent(xeroTransactionId)}`, {
+        BankTransactions: [{ ...xeroTransaction, BankTransactionID: xeroTransactionId }]
+      });
+
+      this.xeroStats.transactionsUpdated++;
+
+      const updatedTransaction = result.data.BankTransactions[0];
+      this.logger.info(`Updated Xero transaction: ${xeroTransactionId} (Reference: ${updatedTransaction.Reference})`);
+
+      return {
+        xero_transaction_id: updatedTransaction.BankTransactionID,
+        xero_reference: updatedTransaction.Reference,
+        xero_status: updatedTransaction.Status,
+        xero_total: updatedTransaction.Total,
+        xero_date: updatedTransaction.Date
+      };
+    } catch (error) {
+      this.logger.error(`Failed to update Xero transaction ${xeroTransactionId}: ${error.message}`);
+      throw this.createXeroError('TRANSACTION_UPDATE_FAILED', error, { xeroTransactionId });
+    }
+  }
+
+  /**
+   * Void an existing Xero bank transaction
+   *
+   * Bank transactions have no VOIDED status; Xero voids them by setting the
+   * status to DELETED, which it refuses once the transaction is reconciled.
+   * @param {string} xeroTransactionId - Xero BankTransactionID
+   * @returns {Promise<Object>} - Voided transaction summary
+   */
+  async voidTransaction(xeroTransactionId) {
+    try {
+      const result = await this.post(`/BankTransactions/${encodeURIComponent(xeroTransactionId)}`, {
+        BankTransactions: [{ BankTransactionID: xeroTransactionId, Status: 'DELETED' }]
+      });
+
+      this.xeroStats.transactionsVoided++;
+
+      const voidedTransaction = result.data.BankTransactions[0];
+      this.logger.info(`Voided Xero transaction: ${xeroTransactionId} (Reference: ${voidedTransaction.Reference})`);
+
+      return {
+        xero_transaction_id: voidedTransaction.BankTransactionID,
+        xero_reference: voidedTransaction.Reference,
+        xero_status: voidedTransaction.Status
+      };
+    } catch (error) {
+      this.logger.error(`Failed to void Xero transaction ${xeroTransactionId}: ${error.message}`);
+      throw this.createXeroError('TRANSACTION_VOID_FAILED', error, { xeroTransactionId });
     }
   }
 
@@ -287,6 +957,69 @@ class XeroClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Find an account in Xero by its account code
+   * @param {string} code - Account code (e.g. "400")
+   * @returns {Promise<Object|null>} - Matching account, or null if there is none
+   */
+  async findAccountByCode(code) {
+    const searchCode = typeof code === 'string' ? code.trim() : '';
+    if (searchCode.length === 0) {
+      return null;
+    }
+
+    try {
+      const result = await this.get('/Accounts', {
+        queryParams: { where: `Code=="${searchCode.replace(/"/g, '\\"')}"` }
+      });
+
+      this.xeroStats.accountsSearched++;
+
+      const account = (result.data.Accounts || [])[0];
+      if (!account) {
+        return null;
+      }
+
+      return {
+        xero_account_id: account.AccountID,
+        name: account.Name,
+        code: account.Code,
+        type: account.Type,
+        status: account.Status
+      };
+    } catch (error) {
+      this.logger.error(`Failed to find account with code "${code}": ${error.message}`);
+      throw this.createXeroError('ACCOUNT_SEARCH_FAILED', error, { code });
+    }
+  }
+
+  /**
+   * Get the organisation's bank accounts
+   * @returns {Promise<Object[]>} - Array of active bank accounts with their currency
+   */
+  async getBankAccounts() {
+    try {
+      const result = await this.get('/Accounts', {
+        queryParams: { where: 'Type=="BANK"&&Status=="ACTIVE"' }
+      });
+
+      const accounts = result.data.Accounts || [];
+      this.logger.debug(`Found ${accounts.length} Xero bank accounts`);
+
+      return accounts.map(account => ({
+        xero_bank_account_id: account.AccountID,
+        name: account.Name,
+        code: account.Code,
+        currency_code: account.CurrencyCode,
+        bank_account_number: account.BankAccountNumber,
+        status: account.Status
+      }));
+    } catch (error) {
+      this.logger.error(`Failed to get bank accounts: ${error.message}`);
+      throw this.createXeroError('BANK_ACCOUNTS_FETCH_FAILED', error);
+    }
+  }
+
   /**
    * Search for contacts in Xero by name
    * @param {string} contactName - Contact name to search for
@@ -420,40 +1153,6 @@ class XeroClient extends BaseApiClient {
     }
   }
 
-  /**
-   * Format transaction data for Xero API
-   * @param {Object} transactionData - Transaction data from Xano
-   * @returns {Object} - Xero-formatted transaction
-   */
-  formatTransactionForXero(transactionData) {
-    // Generate reference using Xano ID
-    const reference = `Xano-${transactionData.xano_id}`;
-    
-    // Format date for Xero (YYYY-MM-DD)
-    const transactionDate = new Date(transactionData.transaction_date).toISOString().split('T')[0];
-    
-    // Determine transaction type based on amount
-    const isSpend = transactionData.amount < 0;
-    const absoluteAmount = Math.abs(transactionData.amount);
-    
-    return {
-      Type: isSpend ? 'SPEND' : 'RECEIVE',
-      Contact: {
-        ContactID: transactionData.xero_contact_id
-      },
-      LineItems: [{
-        Description: transactionData.description || 'Imported from Actual Budget',
-        Quantity: 1,
-        UnitAmount: absoluteAmount,
-        AccountCode: transactionData.xero_account_code || undefined,
-        AccountID: transactionData.xero_account_id
-      }],
-      Date: transactionDate,
-      Reference: reference,
-      Status: 'AUTHORISED' // Automatically authorize the transaction
-    };
-  }
-
   /**
    * Get organization information (useful for validation)
    * @returns {Promise<Object>} - Organization details
@@ -477,6 +1176,124 @@ class XeroClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Get the organisation's tax rates (cached for an hour)
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<Object[]>} - Array of tax rates
+   */
+  async getTaxRates(options = {}) {
+    if (!options.refresh && this.taxRatesCache && Date.now() - this.taxRatesCache.fetchedAt < this.taxRatesCacheTtl) {
+      return this.taxRatesCache.rates;
+    }
+
+    try {
+      const result = await this.get('/TaxRates');
+
+      const rates = (result.data.TaxRates || []).map(rate => ({
+        tax_type: rate.TaxType,
+        name: rate.Name,
+        status: rate.Status,
+        effective_rate: rate.EffectiveRate,
+        can_apply_to_expenses: rate.CanApplyToExpenses,
+        can_apply_to_revenue: rate.CanApplyToRevenue
+      }));
+
+      this.taxRatesCache = { rates, fetchedAt: Date.now() };
+      this.logger.debug(`Loaded ${rates.length} Xero tax rates`);
+
+      return rates;
+    } catch (error) {
+      this.logger.error(`Failed to get tax rates: ${error.message}`);
+      throw this.createXeroError('TAX_RATES_FETCH_FAILED', error);
+    }
+  }
+
+  /**
+   * Get the organisation's active tracking categories and their options (cached for an hour)
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<Object[]>} - Array of { tracking_category_id, name, status, options: [{ tracking_option_id, name, status }] }
+   */
+  async getTrackingCategories(options = {}) {
+    if (!options.refresh && this.trackingCategoriesCache && Date.now() - this.trackingCategoriesCache.fetchedAt < this.taxRatesCacheTtl) {
+      return this.trackingCategoriesCache.categories;
+    }
+
+    try {
+      const result = await this.get('/TrackingCategories');
+
+      const categories = (result.data.TrackingCategories || []).map(category => ({
+        tracking_category_id: category.TrackingCategoryID,
+        name: category.Name,
+        status: category.Status,
+        options: (category.Options || []).map(option => ({
+          tracking_option_id: option.TrackingOptionID,
+          name: option.Name,
+          status: option.Status
+        }))
+      }));
+
+      this.trackingCategoriesCache = { categories, fetchedAt: Date.now() };
+      this.logger.debug(`Loaded ${categories.length} Xero tracking categories`);
+
+      return categories;
+    } catch (error) {
+      this.logger.error(`Failed to get tracking categories: ${error.message}`);
+      throw this.createXeroError('TRACKING_CATEGORIES_FETCH_FAILED', error);
+    }
+  }
+
+  /**
+   * Check tax types against the organisation's active tax rates
+   * @param {string[]} taxTypes - Xero tax types (e.g. INPUT, OUTPUT)
+   * @returns {Promise<Object>} - { valid, invalid } where invalid lists { tax_type, error }
+   */
+  async validateTaxTypes(taxTypes) {
+    const rates = await this.getTaxRates();
+    const ratesByType = new Map(rates.map(rate => [rate.tax_type, rate]));
+    const validation = { valid: [], invalid: [] };
+
+    for (const taxType of new Set(taxTypes.filter(taxType => taxType))) {
+      const rate = ratesByType.get(taxType);
+
+      if (!rate && taxType === 'NONE') {
+        // Xero accepts NONE even where the organisation does not list it
+        validation.valid.push(taxType);
+      } else if (!rate) {
+        validation.invalid.push({ tax_type: taxType, error: 'Tax type not found in Xero' });
+      } else if (rate.status !== 'ACTIVE') {
+        validation.invalid.push({ tax_type: taxType, error: `Tax rate "${rate.name}" is ${String(rate.status).toLowerCase()}` });
+      } else {
+        validation.valid.push(taxType);
+      }
+    }
+
+    return validation;
+  }
+
+  /**
+   * Reject a bank transaction or bill whose line items use tax types the organisation does not have
+   *
+   * Xero still rejects bad tax types itself, so a failed lookup only logs.
+   * @param {Object} xeroDocument - Xero BankTransaction or Invoice
+   * @returns {Promise<void>}
+   * @throws {Error} If any line item uses an unknown or inactive tax type
+   */
+  async assertValidTaxTypes(xeroDocument) {
+    let taxValidation;
+    try {
+      taxValidation = await this.validateTaxTypes(xeroDocument.LineItems.map(lineItem => lineItem.TaxType));
+    } catch (error) {
+      this.logger.warn(`Could not validate tax types for ${xeroDocument.Reference || xeroDocument.InvoiceNumber}: ${error.message}`);
+      return;
+    }
+
+    if (taxValidation.invalid.length > 0) {
+      throw new Error(`Invalid tax type: ${taxValidation.invalid.map(invalid => `${invalid.tax_type} (${invalid.error})`).join(', ')}`);
+    }
+  }
+
   /**
    * Validate connection and permissions
    * @returns {Promise<Object>} - Connection status and permissions
@@ -509,6 +1326,24 @@ class XeroClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Parse a date from a Xero JSON response
+   *
+   * Timestamps such as UpdatedDateUTC come in the Microsoft JSON form
+   * "/Date(1573755038314+0000)/"; ISO strings are accepted too.
+   * @param {string} value - Date from Xero
+   * @returns {string|null} - ISO timestamp, or null when missing or unreadable
+   */
+  static parseXeroDate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const match = /^\/Date\((-?\d+)([+-]\d{4})?\)\/$/.exec(value);
+    const date = match ? new Date(Number(match[1])) : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
   /**
    * Create Xero-specific error with context
    * @param {string} code - Error code
@@ -540,9 +1375,11 @@ class XeroClient extends BaseApiClient {
       oauth: {
         hasToken: !!this.accessToken,
         tokenExpiresAt: this.tokenExpiresAt,
+        tokenPersisted: !!(this.connection || this).tokenStore,
         tenantId: this.tenantId
       },
-      xero: { ...this.xeroStats }
+      xero: { ...this.xeroStats },
+      rateLimiter: this.rateLimiter.getStatus()
     };
   }
 
@@ -990,6 +1827,15 @@ class XeroClient extends BaseApiClient {
     super.resetStats();
     this.xeroStats = {
       transactionsCreated: 0,
+      transactionsRejected: 0,
+      batchRequests: 0,
+      referenceLookups: 0,
+      transfersCreated: 0,
+      billsCreated: 0,
+      paymentsCreated: 0,
+      attachmentsUploaded: 0,
+      transactionsUpdated: 0,
+      transactionsVoided: 0,
       accountsSearched: 0,
       contactsSearched: 0,
       accountsCreated: 0,
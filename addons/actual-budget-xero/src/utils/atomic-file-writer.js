@@ -0,0 +1,39 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * AtomicFileWriter - Replaces a state file without ever leaving it half-written
+ *
+ * Each write goes to a temp file that is then renamed over the target, so a
+ * crash mid-write keeps the previous contents. Writes are queued and run one
+ * at a time, so concurrent updates never interleave on disk and the last
+ * write queued is the one that stays.
+ */
+class AtomicFileWriter {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.mode = options.mode;
+
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Queue a write of the whole file
+   * @param {string} content - New file contents
+   * @returns {Promise<void>} - Resolves once written; rejects if this write failed
+   */
+  write(content) {
+    const write = this.queue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, content, this.mode !== undefined ? { mode: this.mode } : undefined);
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    // Keep the queue usable after a failed write; the caller still sees the error
+    this.queue = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = AtomicFileWriter;
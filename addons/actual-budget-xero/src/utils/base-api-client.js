@@ -166,9 +166,9 @@ class BaseApiClient {
         reject(this.createTimeoutError(requestOptions));
       });
 
-      // Write request body if present
+      // Write request body if present (Buffers, e.g. file uploads, are sent as-is)
       if (data) {
-        const body = typeof data === 'string' ? data : JSON.stringify(data);
+        const body = typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data);
         req.write(body);
       }
 
@@ -187,7 +187,7 @@ class BaseApiClient {
 
     // Check for HTTP error status codes
     if (statusCode >= 400) {
-      throw this.createHttpError(statusCode, statusMessage, data, requestOptions);
+      throw this.createHttpError(statusCode, statusMessage, data, requestOptions, headers);
     }
 
     // Parse response data
@@ -257,7 +257,7 @@ class BaseApiClient {
 
     // Set content length for requests with body
     if (data) {
-      const body = typeof data === 'string' ? data : JSON.stringify(data);
+      const body = typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data);
       headers['Content-Length'] = Buffer.byteLength(body);
     }
 
@@ -340,6 +340,7 @@ class BaseApiClient {
     if (originalError.statusCode) error.statusCode = originalError.statusCode;
     if (originalError.code) error.code = originalError.code;
     if (originalError.response) error.response = originalError.response;
+    if (originalError.headers) error.headers = originalError.headers;
     
     return error;
   }
@@ -350,9 +351,10 @@ class BaseApiClient {
    * @param {string} statusMessage - HTTP status message
    * @param {string} responseData - Response body
    * @param {Object} requestOptions - Request options
+   * @param {Object} headers - Response headers
    * @returns {Error} - HTTP error
    */
-  createHttpError(statusCode, statusMessage, responseData, requestOptions) {
+  createHttpError(statusCode, statusMessage, responseData, requestOptions, headers = {}) {
     let errorMessage = `HTTP ${statusCode}: ${statusMessage}`;
     
     // Try to extract error message from response
@@ -375,6 +377,7 @@ class BaseApiClient {
     error.statusCode = statusCode;
     error.statusMessage = statusMessage;
     error.response = responseData;
+    error.headers = headers;
     error.request = {
       method: requestOptions.method,
       url: `${requestOptions.protocol}//${requestOptions.hostname}${requestOptions.path}`
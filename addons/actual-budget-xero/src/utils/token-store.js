@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const AtomicFileWriter = require('./atomic-file-writer');
+
+/**
+ * TokenStore - Encrypted on-disk storage for OAuth tokens
+ *
+ * Persists token data as AES-256-GCM ciphertext so rotating refresh tokens
+ * survive add-on restarts. The key is derived from a secret (the Xero client
+ * secret by default) with scrypt and a random per-file salt.
+ */
+class TokenStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.env.DATA_DIR || '/data', 'xero-tokens.json');
+    this.secret = options.secret;
+    this.logger = options.logger || console;
+
+    // Token files are readable by the add-on only
+    this.writer = new AtomicFileWriter(this.filePath, { mode: 0o600 });
+
+    if (!this.secret) {
+      throw new Error('Token encryption secret is required');
+    }
+  }
+
+  /**
+   * Load and decrypt stored token data
+   * @returns {Promise<Object|null>} - Token data, or null if nothing is stored
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const payload = JSON.parse(content);
+      const key = this.deriveKey(Buffer.from(payload.salt, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(payload.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+
+      return JSON.parse(plaintext);
+    } catch (error) {
+      // A changed secret or corrupted file means the user has to reconnect
+      this.logger.warn(`Unable to decrypt stored tokens at ${this.filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt and save token data, replacing any previous tokens
+   * @param {Object} tokenData - Token data to store
+   * @returns {Promise<void>}
+   */
+  async save(tokenData) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(tokenData), 'utf8'),
+      cipher.final()
+    ]);
+
+    const payload = {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      updated_at: new Date().toISOString()
+    };
+
+    await this.writer.write(JSON.stringify(payload, null, 2));
+  }
+
+  /**
+   * Remove stored tokens
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Derive the encryption key for a given salt
+   * @param {Buffer} salt - Key derivation salt
+   * @returns {Buffer} - 256-bit key
+   */
+  deriveKey(salt) {
+    return crypto.scryptSync(this.secret, salt, 32);
+  }
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,253 @@
+/**
+ * XeroRateLimiter - Follows Xero's own rate limit headers
+ *
+ * Xero reports what is left of each limit on every response
+ * (X-MinLimit-Remaining, X-DayLimit-Remaining, X-AppMinLimit-Remaining) and,
+ * on HTTP 429, says how long to back off in Retry-After. This limiter records
+ * those headers, pauses exactly as long as Xero asks before retrying, and lets
+ * callers check whether the daily quota is nearly used up so they can defer
+ * the remaining work to the next run instead of failing it.
+ */
+class XeroRateLimiter {
+  constructor(options = {}) {
+    // Daily calls kept in reserve; at or below this the quota counts as nearly used up
+    this.dailyQuotaReserve = options.dailyQuotaReserve !== undefined ? options.dailyQuotaReserve : 100;
+    // Longer Retry-After pauses (e.g. the daily limit) defer the work instead of blocking the run
+    this.maxWaitMs = options.maxWaitMs || 5 * 60 * 1000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    // Xero's daily window is rolling, so old readings are not trusted for deferral
+    this.quotaStaleAfterMs = options.quotaStaleAfterMs || 60 * 60 * 1000;
+    this.logger = options.logger || console;
+
+    // Latest values reported by Xero (null until the first response)
+    this.quota = {
+      minuteRemaining: null,
+      dayRemaining: null,
+      appMinuteRemaining: null,
+      updatedAt: null
+    };
+
+    // Set from Retry-After on 429; every request waits until this time
+    this.blockedUntil = null;
+    this.blockedBy = null;
+
+    // Statistics tracking
+    this.stats = {
+      totalRequests: 0,
+      rateLimitHits: 0,
+      totalWaitMs: 0,
+      deferredRequests: 0
+    };
+  }
+
+  /**
+   * Run a Xero API call, honouring Retry-After on 429 responses
+   * @param {Function} apiCall - Function that makes the API call and resolves with { headers, ... }
+   * @returns {Promise} - Resolves with the API response
+   * @throws {Error} Deferred error (error.deferred = true) if Xero asks for a longer pause than maxWaitMs
+   */
+  async execute(apiCall) {
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForCapacity();
+
+      try {
+        this.stats.totalRequests++;
+        const response = await apiCall();
+        this.updateFromHeaders(response && response.headers);
+        return response;
+      } catch (error) {
+        this.updateFromHeaders(error.headers);
+
+        if (error.statusCode !== 429) {
+          throw error;
+        }
+
+        this.stats.rateLimitHits++;
+        const headers = error.headers || {};
+        const delay = this.parseRetryAfter(headers['retry-after']);
+        const problem = headers['x-rate-limit-problem'] || 'unknown';
+
+        this.blockedUntil = Date.now() + delay;
+        this.blockedBy = problem;
+        if (problem === 'day') {
+          this.quota.dayRemaining = 0;
+        }
+
+        this.logger.warn(`Xero rate limit hit (${problem} limit, attempt ${attempt}/${this.maxRetries + 1}); Retry-After ${Math.ceil(delay / 1000)}s`);
+
+        if (attempt > this.maxRetries) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait out a Retry-After pause or an exhausted minute limit before the next call
+   * @returns {Promise<void>}
+   * @throws {Error} Deferred error if the pause is longer than maxWaitMs
+   */
+  async waitForCapacity() {
+    const now = Date.now();
+    let waitUntil = this.blockedUntil && this.blockedUntil > now ? this.blockedUntil : null;
+
+    // Both minute limits refill within a minute of the response that reported them
+    const minuteExhausted = this.quota.minuteRemaining === 0 || this.quota.appMinuteRemaining === 0;
+    if (!waitUntil && minuteExhausted && this.quota.updatedAt) {
+      const minuteResetAt = this.quota.updatedAt + 60 * 1000;
+      if (minuteResetAt > now) {
+        waitUntil = minuteResetAt;
+      }
+    }
+
+    if (!waitUntil) {
+      return;
+    }
+
+    const delay = waitUntil - now;
+    if (delay > this.maxWaitMs) {
+      this.stats.deferredRequests++;
+      throw this.createDeferredError(waitUntil);
+    }
+
+    this.logger.info(`Waiting ${Math.ceil(delay / 1000)}s for the Xero rate limit to reset`);
+    this.stats.totalWaitMs += delay;
+    await this.wait(delay);
+  }
+
+  /**
+   * Record the remaining limits reported in Xero response headers
+   * @param {Object} headers - Response headers (lower-case names, as Node provides them)
+   */
+  updateFromHeaders(headers) {
+    if (!headers) {
+      return;
+    }
+
+    const readings = {
+      minuteRemaining: this.parseCount(headers['x-minlimit-remaining']),
+      dayRemaining: this.parseCount(headers['x-daylimit-remaining']),
+      appMinuteRemaining: this.parseCount(headers['x-appminlimit-remaining'])
+    };
+
+    let updated = false;
+    Object.entries(readings).forEach(([key, value]) => {
+      if (value !== null) {
+        this.quota[key] = value;
+        updated = true;
+      }
+    });
+
+    if (updated) {
+      this.quota.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * Parse a remaining-calls header value
+   * @param {string} value - Header value
+   * @returns {number|null} - Remaining calls, or null if absent or invalid
+   */
+  parseCount(value) {
+    const count = parseInt(value, 10);
+    return isNaN(count) ? null : count;
+  }
+
+  /**
+   * Convert a Retry-After header to milliseconds
+   * @param {string} value - Seconds to wait, or an HTTP date
+   * @returns {number} - Milliseconds to wait (60s if Xero sent none)
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return 60 * 1000;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? 60 * 1000 : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Check whether the daily quota is nearly used up
+   * @returns {boolean} - True if remaining work should wait for the next run
+   */
+  isDailyQuotaLow() {
+    const now = Date.now();
+
+    if (this.blockedBy === 'day' && this.blockedUntil > now) {
+      return true;
+    }
+
+    if (this.quota.dayRemaining === null || !this.quota.updatedAt || now - this.quota.updatedAt > this.quotaStaleAfterMs) {
+      return false;
+    }
+
+    return this.quota.dayRemaining <= this.dailyQuotaReserve;
+  }
+
+  /**
+   * Create the error thrown when a call must wait for a later run
+   * @param {number} retryAt - Time (ms) the limit resets
+   * @returns {Error} - Deferred rate limit error
+   */
+  createDeferredError(retryAt) {
+    const error = new Error(`Xero ${this.blockedBy || 'minute'} rate limit reached; retry after ${new Date(retryAt).toISOString()}`);
+    error.name = 'RateLimitError';
+    error.code = 'XERO_RATE_LIMITED';
+    error.deferred = true;
+    error.retryAt = new Date(retryAt).toISOString();
+    return error;
+  }
+
+  /**
+   * Check whether an error (or an error it wraps) means the work was deferred
+   * @param {Error} error - Error to check
+   * @returns {boolean} - True for rate limit deferrals
+   */
+  static isDeferredError(error) {
+    for (let current = error; current; current = current.originalError) {
+      if (current.deferred) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Wait for specified milliseconds
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise} - Resolves after wait time
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get current quota and statistics
+   * @returns {Object} - Quota status and stats
+   */
+  getStatus() {
+    const blocked = this.blockedUntil && this.blockedUntil > Date.now();
+
+    return {
+      quota: {
+        minuteRemaining: this.quota.minuteRemaining,
+        dayRemaining: this.quota.dayRemaining,
+        appMinuteRemaining: this.quota.appMinuteRemaining,
+        updatedAt: this.quota.updatedAt ? new Date(this.quota.updatedAt).toISOString() : null
+      },
+      dailyQuotaReserve: this.dailyQuotaReserve,
+      dailyQuotaLow: this.isDailyQuotaLow(),
+      blockedUntil: blocked ? new Date(this.blockedUntil).toISOString() : null,
+      blockedBy: blocked ? this.blockedBy : null,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = XeroRateLimiter;
@@ -0,0 +1,52 @@
+const { Transaction, LineAmountTypes } = require('../../src/models/transaction');
+
+describe('Transaction', () => {
+  const record = (overrides = {}) => ({
+    id: 7,
+    actual_transaction_id: 'actual-7',
+    amount: -42.5,
+    transaction_date: '2026-05-10',
+    description: 'Printer paper',
+    xero_account_id: 'account-1',
+    xero_contact_id: 'contact-1',
+    xero_bank_account_id: 'bank-1',
+    ...overrides
+  });
+
+  describe('buildXeroBankTransaction', () => {
+    test('builds a spend transaction from a mapped record', () => {
+      const xeroTransaction = Transaction.buildXeroBankTransaction(record(), 'Xano-7', { taxType: 'INPUT', lineAmountTypes: LineAmountTypes.INCLUSIVE });
+
+      expect(xeroTransaction).toEqual({
+        Type: 'SPEND',
+        Contact: { ContactID: 'contact-1' },
+        Date: '2026-05-10',
+        Reference: 'Xano-7',
+        Status: 'AUTHORISED',
+        BankAccount: { AccountID: 'bank-1' },
+        LineAmountTypes: LineAmountTypes.INCLUSIVE,
+        LineItems: [{ Description: 'Printer paper', Quantity: 1, UnitAmount: 42.5, AccountID: 'account-1', TaxType: 'INPUT' }]
+      });
+    });
+
+    test('requires every mapping', () => {
+      expect(() => Transaction.buildXeroBankTransaction(record({ xero_contact_id: null }), 'Xano-7'))
+        .toThrow('Xero contact ID is required');
+    });
+
+    test('rejects what Xero would reject', () => {
+      const split = record({
+        is_split: true,
+        split_lines: [
+          { amount: -10, description: 'Paper', xero_account_id: 'account-1' },
+          { amount: 30, description: 'Refund', xero_account_id: 'account-2' }
+        ]
+      });
+
+      expect(() => Transaction.buildXeroBankTransaction(split, 'Xano-7'))
+        .toThrow('Transaction validation failed: Line items must add up to more than zero');
+      expect(() => Transaction.buildXeroBankTransaction(record({ currency_code: 'aud' }), 'Xano-7'))
+        .toThrow('Currency code must be a 3-letter ISO code');
+    });
+  });
+});
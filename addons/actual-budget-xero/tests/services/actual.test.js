@@ -0,0 +1,66 @@
+const ActualBudgetClient = require('../../src/services/actual');
+
+describe('ActualBudgetClient', () => {
+  describe('collapseSplitTransactions', () => {
+    let client;
+    let splitRows;
+
+    const child = (id, parentId, amount, overrides = {}) => ({ id, parent_id: parentId, is_child: true, amount, date: '2026-05-10', ...overrides });
+
+    beforeEach(() => {
+      splitRows = [];
+      const query = { filter: () => query, options: () => query, select: () => query };
+
+      client = Object.assign(Object.create(ActualBudgetClient.prototype), {
+        logger: createTestLogger(),
+        api: { q: () => query },
+        runQuery: jest.fn(async () => splitRows)
+      });
+    });
+
+    test('leaves transactions without splits alone', async () => {
+      const rows = [{ id: 't1', amount: -500 }];
+
+      expect(await client.collapseSplitTransactions(rows)).toBe(rows);
+      expect(client.runQuery).not.toHaveBeenCalled();
+    });
+
+    test('collapses the children of a parent into one split transaction', async () => {
+      splitRows = [
+        { id: 'p1', is_parent: true, amount: -3000, date: '2026-05-10', payee: 'payee-1', notes: 'Office run' },
+        child('c1', 'p1', -2000, { category: 'cat-office' }),
+        child('c2', 'p1', -1000, { category: 'cat-travel' })
+      ];
+
+      const [split, other] = await client.collapseSplitTransactions([
+        child('c1', 'p1', -2000, { category: 'cat-office' }),
+        { id: 't2', amount: -100 },
+        child('c2', 'p1', -1000, { category: 'cat-travel' })
+      ]);
+
+      expect(split).toMatchObject({ id: 'p1', is_split: true, amount: -3000, split_total: -3000, payee: 'payee-1', notes: 'Office run', split_error: null });
+      expect(split.subtransactions.map(row => row.id)).toEqual(['c1', 'c2']);
+      expect(other.id).toBe('t2');
+    });
+
+    test('reports children that do not add up to the parent', async () => {
+      splitRows = [
+        { id: 'p1', is_parent: true, amount: -3000, date: '2026-05-10' },
+        child('c1', 'p1', -2000),
+        child('c2', 'p1', -500)
+      ];
+
+      const [split] = await client.collapseSplitTransactions([child('c1', 'p1', -2000)]);
+
+      expect(split.split_error).toBe('Split amounts do not add up: parent -3000, children -2500');
+    });
+
+    test('reports a missing parent', async () => {
+      splitRows = [child('c1', 'p1', -2000)];
+
+      const [split] = await client.collapseSplitTransactions([child('c1', 'p1', -2000)]);
+
+      expect(split.split_error).toBe('Parent transaction p1 not found');
+    });
+  });
+});
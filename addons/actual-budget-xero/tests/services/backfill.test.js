@@ -0,0 +1,55 @@
+const path = require('path');
+const BackfillService = require('../../src/services/backfill');
+
+describe('BackfillService', () => {
+  let service;
+  let runChunk;
+
+  const waitForJob = async () => {
+    while (service.isRunning()) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  beforeEach(async () => {
+    runChunk = jest.fn().mockResolvedValue({ success: true, statistics: { totalProcessed: 2 } });
+    service = new BackfillService({
+      filePath: path.join(process.env.DATA_DIR, `backfill-${Date.now()}-${Math.random()}.json`),
+      runChunk,
+      logger: createTestLogger()
+    });
+    await service.init();
+  });
+
+  test('runs each monthly chunk and saves the completed job', async () => {
+    const started = await service.start({ from: '2026-01-15', until: '2026-03-10' });
+    await waitForJob();
+
+    const job = service.getJob(started.id);
+    expect(runChunk).toHaveBeenCalledTimes(3);
+    expect(job).toMatchObject({ status: 'completed', completed_chunks: 3, statistics: { totalProcessed: 6 } });
+
+    const reloaded = new BackfillService({ filePath: service.filePath, runChunk, logger: createTestLogger() });
+    await reloaded.init();
+    expect(reloaded.getJob(started.id).status).toBe('completed');
+  });
+
+  test('stops and marks the job failed when a checkpoint cannot be saved', async () => {
+    const write = service.writer.write.bind(service.writer);
+    let writes = 0;
+    jest.spyOn(service.writer, 'write').mockImplementation((content) => {
+      writes++;
+      // Fail the checkpoint that starts the second chunk
+      return writes === 4 ? Promise.reject(new Error('disk full')) : write(content);
+    });
+
+    const started = await service.start({ from: '2026-01-01', until: '2026-03-31' });
+    await waitForJob();
+
+    const job = service.getJob(started.id);
+    expect(runChunk).toHaveBeenCalledTimes(1);
+    expect(job.status).toBe('failed');
+    expect(job.resumable).toBe(true);
+    expect(job.error).toContain('disk full');
+  });
+});
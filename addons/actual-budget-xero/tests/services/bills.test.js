@@ -0,0 +1,78 @@
+const SyncService = require('../../src/services/sync');
+const { Transaction, XeroDocumentType, LineAmountTypes } = require('../../src/models/transaction');
+
+describe('bills', () => {
+  const record = (overrides = {}) => ({
+    id: 7,
+    actual_transaction_id: 'actual-7',
+    amount: -110,
+    transaction_date: '2026-05-10',
+    description: 'Accountant',
+    xero_account_id: 'account-1',
+    xero_contact_id: 'contact-1',
+    xero_bank_account_id: 'bank-1',
+    ...overrides
+  });
+
+  let service;
+
+  beforeEach(() => {
+    service = new SyncService({
+      actualClient: {},
+      xanoClient: {},
+      xeroClient: {},
+      logger: createTestLogger(),
+      config: { business_category_group_id: 'group-1', xero_default_tax_type: 'INPUT' }
+    });
+  });
+
+  describe('SyncService.formatBillForXero', () => {
+    test('builds an ACCPAY bill due on the day it was paid', () => {
+      const bill = service.formatBillForXero(record({ currency_code: 'AUD' }), 'Xano-7');
+
+      expect(bill).toEqual({
+        Type: 'ACCPAY',
+        Contact: { ContactID: 'contact-1' },
+        Date: '2026-05-10',
+        DueDate: '2026-05-10',
+        InvoiceNumber: 'Xano-7',
+        Status: 'AUTHORISED',
+        LineAmountTypes: LineAmountTypes.INCLUSIVE,
+        LineItems: [{ Description: 'Accountant', Quantity: 1, UnitAmount: 110, AccountID: 'account-1', TaxType: 'INPUT' }],
+        CurrencyCode: 'AUD'
+      });
+      expect(Transaction.validateXeroBill(bill)).toEqual([]);
+    });
+
+    test('only exports money paid out', () => {
+      expect(() => service.formatBillForXero(record({ amount: 25 }), 'Xano-7'))
+        .toThrow('Only money paid out can be exported as a bill');
+    });
+
+    test('needs a bank account to pay the bill from', () => {
+      expect(() => service.formatBillForXero(record({ xero_bank_account_id: null }), 'Xano-7'))
+        .toThrow('Xero bank account ID is required to pay the bill');
+    });
+  });
+
+  describe('Transaction.validateXeroBill', () => {
+    test('reports a due date that differs from the bill date', () => {
+      const bill = { ...service.formatBillForXero(record(), 'Xano-7'), DueDate: '2026-06-10' };
+
+      expect(Transaction.validateXeroBill(bill)).toEqual(['Date and due date must be the same day in YYYY-MM-DD format']);
+    });
+  });
+
+  describe('Transaction.resolveDocumentType', () => {
+    const billPayee = { xero_document_type: XeroDocumentType.BILL };
+
+    test('exports payments to a payee paid on terms as a bill', () => {
+      expect(Transaction.resolveDocumentType(record(), billPayee)).toBe(XeroDocumentType.BILL);
+    });
+
+    test('keeps refunds and other payees as bank transactions', () => {
+      expect(Transaction.resolveDocumentType(record({ amount: 20 }), billPayee)).toBe(XeroDocumentType.BANK_TRANSACTION);
+      expect(Transaction.resolveDocumentType(record(), {})).toBe(XeroDocumentType.BANK_TRANSACTION);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const path = require('path');
+const ChangeDetectionService = require('../../src/services/change-detection');
+const ActualBudgetClient = require('../../src/services/actual');
+const LocalStore = require('../../src/services/local-store');
+
+describe('ChangeDetectionService', () => {
+  const today = new Date().toISOString().split('T')[0];
+
+  const actualTransaction = (id, overrides = {}) => ({
+    id,
+    date: today,
+    amount: -1250,
+    notes: `Supplies ${id}`,
+    category: 'cat-office',
+    payee: 'payee-1',
+    account: 'acct-1',
+    ...overrides
+  });
+
+  let store;
+  let actualClient;
+  let currentTransactions;
+
+  /**
+   * Store Actual transactions as imported records
+   */
+  const importTransactions = async (transactions) => {
+    const { stored } = await store.bulkStoreTransactions(transactions);
+    await store.updateTransactions(stored.map(record => ({
+      xano_id: record.id,
+      status: 'imported',
+      xero_transaction_id: `xero-${record.actual_transaction_id}`
+    })));
+  };
+
+  const createService = (config = {}) => new ChangeDetectionService({
+    xanoClient: store,
+    xeroClient: {},
+    actualClient,
+    config: { business_category_group_name: 'Business', ...config },
+    logger: createTestLogger()
+  });
+
+  beforeEach(() => {
+    store = new LocalStore({
+      filePath: path.join(process.env.DATA_DIR, `store-${Date.now()}-${Math.random()}.json`),
+      logger: createTestLogger()
+    });
+
+    currentTransactions = new Map();
+
+    // Real group resolution over a fake budget
+    actualClient = Object.assign(Object.create(ActualBudgetClient.prototype), {
+      logger: createTestLogger(),
+      findCategoryGroupByName: jest.fn().mockResolvedValue({ id: 'group-business', name: 'Business' }),
+      getTransactionsByIds: jest.fn(async (groupId, ids) => ids.map(id => currentTransactions.get(id)).filter(Boolean)),
+      getTransaction: jest.fn().mockResolvedValue(null)
+    });
+  });
+
+  test('looks up the category group by name when no ID is configured', async () => {
+    await importTransactions([actualTransaction('a1')]);
+    currentTransactions.set('a1', actualTransaction('a1'));
+
+    await createService().propagateChanges({ dryRun: true });
+
+    expect(actualClient.findCategoryGroupByName).toHaveBeenCalledWith('Business');
+    expect(actualClient.getTransactionsByIds).toHaveBeenCalledWith('group-business', ['a1']);
+  });
+
+  test('uses a configured category group ID without a lookup', async () => {
+    await importTransactions([actualTransaction('a1')]);
+
+    await createService({ business_category_group_id: 'group-id' }).propagateChanges({ dryRun: true });
+
+    expect(actualClient.findCategoryGroupByName).not.toHaveBeenCalled();
+    expect(actualClient.getTransactionsByIds).toHaveBeenCalledWith('group-id', ['a1']);
+  });
+
+  test('fails the run when the category group name is unknown', async () => {
+    await importTransactions([actualTransaction('a1')]);
+    actualClient.findCategoryGroupByName.mockResolvedValue(null);
+
+    await expect(createService().propagateChanges({ dryRun: true })).rejects.toThrow('Category group not found: Business');
+  });
+
+  test('ignores the add-on\'s own notes tags but reports real edits and deletions', async () => {
+    await importTransactions([actualTransaction('a1'), actualTransaction('a2'), actualTransaction('a3')]);
+    currentTransactions.set('a1', actualTransaction('a1', { notes: 'Supplies a1 #xano #paid #2026-10-01' }));
+    currentTransactions.set('a2', actualTransaction('a2', { amount: -2000 }));
+
+    const result = await createService().propagateChanges({ dryRun: true });
+
+    expect(result.changes).toEqual([
+      expect.objectContaining({ type: 'updated', actual_transaction_id: 'a2' }),
+      expect.objectContaining({ type: 'deleted', actual_transaction_id: 'a3' })
+    ]);
+    expect(result.statistics.transactionsUnchanged).toBe(1);
+  });
+
+  test('checks every import in the window, not just the first page', async () => {
+    const transactions = ['a1', 'a2', 'a3', 'a4', 'a5'].map(id => actualTransaction(id));
+    await importTransactions(transactions);
+    transactions.forEach(transaction => currentTransactions.set(transaction.id, transaction));
+    currentTransactions.set('a5', actualTransaction('a5', { notes: 'Edited' }));
+
+    const result = await createService().propagateChanges({ dryRun: true, limit: 2 });
+
+    expect(result.statistics.transactionsChecked).toBe(5);
+    expect(result.changes).toEqual([expect.objectContaining({ type: 'updated', actual_transaction_id: 'a5' })]);
+  });
+});
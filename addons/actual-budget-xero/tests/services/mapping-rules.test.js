@@ -0,0 +1,105 @@
+const MappingRuleEngine = require('../../src/services/mapping-rules');
+
+describe('MappingRuleEngine', () => {
+  const context = (overrides = {}) => ({
+    payee: 'Uber Trip',
+    notes: 'Airport to client office',
+    account: 'Business Cheque',
+    categories: ['Travel'],
+    amount: -38.4,
+    date: '2026-05-10',
+    ...overrides
+  });
+
+  const createEngine = (rules, xeroClient = {}) => new MappingRuleEngine({
+    rules,
+    xeroClient,
+    actualClient: {
+      getPayees: jest.fn().mockResolvedValue([{ id: 'payee-1', name: 'Uber Trip' }]),
+      getAccounts: jest.fn().mockResolvedValue([{ id: 'acct-1', name: 'Business Cheque' }]),
+      getCategories: jest.fn().mockResolvedValue([{ id: 'cat-travel', name: 'Travel' }])
+    },
+    logger: createTestLogger()
+  });
+
+  describe('matches', () => {
+    const engine = createEngine([]);
+
+    test('matches text by contains, ignoring case', () => {
+      expect(engine.matches({ payee: 'uber', notes: 'CLIENT' }, context())).toBe(true);
+      expect(engine.matches({ payee: 'uber eats' }, context())).toBe(false);
+    });
+
+    test('matches text by regular expression', () => {
+      expect(engine.matches({ match: 'regex', payee: '^uber\\s+trip$' }, context())).toBe(true);
+      expect(engine.matches({ match: 'regex', payee: '^trip' }, context())).toBe(false);
+    });
+
+    test('matches any of a split transaction\'s categories', () => {
+      expect(engine.matches({ category: 'meals' }, context({ categories: ['Travel', 'Meals'] }))).toBe(true);
+      expect(engine.matches({ category: 'meals' }, context())).toBe(false);
+    });
+
+    test('compares amount limits in currency units, ignoring the sign', () => {
+      expect(engine.matches({ min_amount: 38.4, max_amount: 50 }, context())).toBe(true);
+      expect(engine.matches({ max_amount: 38 }, context())).toBe(false);
+      expect(engine.matches({ direction: 'receive' }, context())).toBe(false);
+    });
+  });
+
+  describe('renderDescription', () => {
+    test('fills the placeholders and leaves unknown ones as written', () => {
+      expect(MappingRuleEngine.renderDescription('{payee}: {notes} ({amount}, {category}) {total}', context({ categories: ['Travel', 'Meals'] })))
+        .toBe('Uber Trip: Airport to client office (38.40, Travel, Meals) {total}');
+    });
+  });
+
+  describe('applyWithMappings', () => {
+    const record = () => ({
+      id: 1,
+      actual_payee_id: 'payee-1',
+      actual_account_id: 'acct-1',
+      actual_category_id: 'cat-travel',
+      amount: -38.4,
+      transaction_date: '2026-05-10',
+      description: 'Airport',
+      xero_account_id: 'account-category'
+    });
+
+    test('applies the first matching rule over the 1:1 mappings', async () => {
+      const xeroClient = {
+        findAccountByCode: jest.fn().mockResolvedValue({ xero_account_id: 'account-493', code: '493' }),
+        searchContacts: jest.fn().mockResolvedValue([{ xero_contact_id: 'contact-uber' }])
+      };
+      const engine = createEngine([
+        { name: 'Rides', payee: 'uber', xero_account_code: '493', xero_contact_name: 'Uber', description: '{payee} - {notes}' },
+        { name: 'Everything', payee: 'u', xero_tax_type: 'NONE' }
+      ], xeroClient);
+      const transactions = [record(), record()];
+
+      await engine.prepare(transactions);
+      const result = engine.applyWithMappings(transactions[0], { isValid: true }, { xero_contact_id: 'contact-payee' });
+
+      expect(result).toEqual({ hasAccount: true, contactId: 'contact-uber', rule: '"Rides"', error: null });
+      expect(transactions[0]).toMatchObject({
+        xero_account_id: 'account-493',
+        xero_account_code: '493',
+        xero_description: 'Uber Trip - Airport',
+        mapping_rule: '"Rides"'
+      });
+      expect(transactions[0].xero_tax_type).toBeUndefined();
+      expect(xeroClient.findAccountByCode).toHaveBeenCalledTimes(1);
+      expect(xeroClient.searchContacts).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports a rule naming a Xero contact that does not exist', async () => {
+      const engine = createEngine([{ payee: 'uber', xero_contact_name: 'Uber' }], { searchContacts: jest.fn().mockResolvedValue([]) });
+      const transaction = record();
+
+      await engine.prepare([transaction]);
+      const result = engine.applyWithMappings(transaction, { isValid: true }, null);
+
+      expect(result.error).toBe('Mapping rule rule 1 could not be applied: Xero contact "Uber" not found');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ReceiptService = require('../../src/services/receipts');
+const XeroClient = require('../../src/services/xero');
+const { TransactionStatus } = require('../../src/models/transaction');
+
+describe('ReceiptService', () => {
+  const actualId = index => `0000000${index}-aaaa-bbbb-cccc-dddddddddddd`;
+
+  let folder;
+  let records;
+  let xanoClient;
+  let service;
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(process.env.DATA_DIR, 'receipts-'));
+
+    // Storage returns the oldest first
+    records = [1, 2, 3, 4, 5].map(id => ({
+      id,
+      status: TransactionStatus.IMPORTED,
+      xero_transaction_id: `bt-${id}`,
+      actual_transaction_id: actualId(id),
+      description: id === 5 ? 'Fuel #receipt:fuel-0412' : `Supplies ${id}`
+    }));
+    xanoClient = {
+      getTransactionsForReprocessing: jest.fn(async ({ ids, limit, afterId = 0 }) => {
+        const matching = ids ? records.filter(record => ids.includes(String(record.id))) : records;
+        return matching.filter(record => record.id > afterId).slice(0, limit);
+      })
+    };
+    service = new ReceiptService({
+      folder,
+      xanoClient,
+      xeroClient: new XeroClient({ clientId: 'id', clientSecret: 'secret', logger: createTestLogger() }),
+      lookupLimit: 2,
+      logger: createTestLogger()
+    });
+  });
+
+  test('matches the newest imports when there are more than fit in one storage request', async () => {
+    const files = [`${actualId(4)}.pdf`, 'fuel-0412.jpg'];
+    await Promise.all(files.map(file => fs.writeFile(path.join(folder, file), 'receipt')));
+
+    const index = await service.buildIndex(files);
+
+    expect(index.recent).toHaveLength(5);
+    expect((await service.matchFile(files[0], index)).record.id).toBe(4);
+    expect((await service.matchFile(files[1], index)).record.id).toBe(5);
+  });
+
+  test('looks up Xano-{id} files by ID', async () => {
+    await fs.writeFile(path.join(folder, 'Xano-3.pdf'), 'receipt');
+
+    const index = await service.buildIndex(['Xano-3.pdf']);
+
+    expect(index.recent).toEqual([]);
+    expect((await service.matchFile('Xano-3.pdf', index)).record.id).toBe(3);
+  });
+});
@@ -0,0 +1,104 @@
+const ReconciliationService = require('../../src/services/reconciliation');
+const { XeroDocumentType } = require('../../src/models/transaction');
+
+describe('ReconciliationService', () => {
+  const record = (id, overrides = {}) => ({
+    id,
+    actual_transaction_id: `actual-${id}`,
+    xero_transaction_id: `bt-${id}`,
+    is_reconciled: false,
+    is_transfer: false,
+    ...overrides
+  });
+
+  let records;
+  let xanoClient;
+  let xeroClient;
+  let actualClient;
+
+  /**
+   * Create a service over the fake clients; Xero reports every bank transaction reconciled
+   */
+  const createService = (config = {}) => new ReconciliationService({
+    xanoClient,
+    xeroClient,
+    actualClient,
+    config,
+    logger: createTestLogger()
+  });
+
+  beforeEach(() => {
+    records = [];
+    xanoClient = {
+      getTransactionsForReprocessing: jest.fn(async ({ limit, afterId = 0 }) =>
+        records.filter(stored => stored.id > afterId).slice(0, limit)),
+      updateTransactionReconciliation: jest.fn().mockResolvedValue()
+    };
+    xeroClient = {
+      isDailyQuotaLow: jest.fn().mockReturnValue(false),
+      findTransactionsByReferences: jest.fn(async references => new Map(references.map(reference => {
+        const id = Number(reference.replace('Xano-', ''));
+        return [reference, [{ xero_transaction_id: `bt-${id}`, is_reconciled: true, xero_updated_date: '2026-10-01T00:00:00Z' }]];
+      })))
+    };
+    actualClient = { addPaidTag: jest.fn().mockResolvedValue() };
+  });
+
+  test('checks only bank transactions not yet recorded as reconciled', async () => {
+    records = [
+      record(1),
+      record(2, { is_reconciled: true }),
+      record(3, { is_transfer: true }),
+      record(4, { xero_document_type: XeroDocumentType.BILL }),
+      record(5, { xero_transaction_id: null })
+    ];
+
+    const report = await createService().checkReconciliations();
+
+    expect(report.checked).toBe(1);
+    expect(report.reconciled.map(entry => entry.xano_id)).toEqual([1]);
+    expect(actualClient.addPaidTag).toHaveBeenCalledWith('actual-1', new Date('2026-10-01T00:00:00Z'));
+    expect(xanoClient.updateTransactionReconciliation).toHaveBeenCalledWith(1, { reconciled_date: '2026-10-01T00:00:00Z' });
+  });
+
+  test('reaches unreconciled transactions behind a full page of reconciled ones', async () => {
+    records = [record(1, { is_reconciled: true }), record(2, { is_reconciled: true }), record(3), record(4), record(5)];
+
+    const report = await createService().checkReconciliations({ limit: 2 });
+
+    expect(xanoClient.getTransactionsForReprocessing).toHaveBeenCalledTimes(3);
+    expect(report.checked).toBe(3);
+    expect(report.tagged).toBe(3);
+  });
+
+  test('does not record a transaction that could not be tagged', async () => {
+    records = [record(1), record(2)];
+    actualClient.addPaidTag.mockRejectedValueOnce(new Error('Budget is locked'));
+
+    const report = await createService().checkReconciliations();
+
+    expect(report.failed).toEqual([expect.objectContaining({ xano_id: 1, error: 'Budget is locked' })]);
+    expect(xanoClient.updateTransactionReconciliation).toHaveBeenCalledTimes(1);
+    expect(xanoClient.updateTransactionReconciliation).toHaveBeenCalledWith(2, expect.anything());
+  });
+
+  test('lists reconciled transactions without tagging them in a dry run', async () => {
+    records = [record(1)];
+
+    const report = await createService({ dry_run_mode: true }).checkReconciliations();
+
+    expect(report.reconciled).toHaveLength(1);
+    expect(report.tagged).toBe(0);
+    expect(actualClient.addPaidTag).not.toHaveBeenCalled();
+  });
+
+  test('defers the check when the Xero daily quota is low', async () => {
+    records = [record(1), record(2)];
+    xeroClient.isDailyQuotaLow.mockReturnValue(true);
+
+    const report = await createService().checkReconciliations();
+
+    expect(report.deferred).toBe(2);
+    expect(xeroClient.findTransactionsByReferences).not.toHaveBeenCalled();
+  });
+});
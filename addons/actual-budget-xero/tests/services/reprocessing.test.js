@@ -0,0 +1,74 @@
+const SyncService = require('../../src/services/sync');
+
+describe('ReprocessingService', () => {
+  const record = id => ({
+    id,
+    actual_transaction_id: `actual-${id}`,
+    amount: -12.5,
+    transaction_date: '2026-05-10',
+    description: `Supplies ${id}`,
+    xero_account_id: 'account-1',
+    xero_account_code: '400',
+    xero_contact_id: 'contact-1',
+    xero_bank_account_id: 'bank-1'
+  });
+
+  let xeroClient;
+  let xanoClient;
+  let service;
+
+  beforeEach(() => {
+    xeroClient = {
+      isDailyQuotaLow: jest.fn().mockReturnValue(false),
+      assertValidTaxTypes: jest.fn().mockResolvedValue(),
+      findTransactionsByReferences: jest.fn().mockResolvedValue(new Map([['Xano-2', [{ xero_transaction_id: 'bt-existing' }]]])),
+      createTransactions: jest.fn(async data => data.map(item => ({
+        success: item.Reference !== 'Xano-3',
+        reference: item.Reference,
+        xero_transaction_id: item.Reference === 'Xano-3' ? null : `bt-${item.Reference}`,
+        xero_status: 'AUTHORISED',
+        errors: item.Reference === 'Xano-3' ? ['Account code is invalid'] : []
+      })))
+    };
+    xanoClient = {
+      markTransactionFailed: jest.fn().mockResolvedValue(),
+      bulkUpdateTransactionXeroImports: jest.fn().mockResolvedValue()
+    };
+    const syncService = new SyncService({
+      actualClient: { addXeroTag: jest.fn().mockResolvedValue() },
+      xanoClient,
+      xeroClient,
+      logger: createTestLogger(),
+      config: { business_category_group_id: 'group-1' }
+    });
+    service = syncService.reprocessingService;
+  });
+
+  describe('importReprocessedTransactionsToXero', () => {
+    test('checks references and creates 50 bank transactions per request', async () => {
+      const transactions = Array.from({ length: 60 }, (_, index) => record(index + 1));
+
+      const results = await service.importReprocessedTransactionsToXero(transactions);
+
+      expect(xeroClient.findTransactionsByReferences).toHaveBeenCalledTimes(2);
+      expect(xeroClient.createTransactions.mock.calls.map(([data]) => data.length)).toEqual([49, 10]);
+      expect(results).toMatchObject({ imported: 59, failed: 1, deferred: 0 });
+      expect(xanoClient.markTransactionFailed).toHaveBeenCalledWith(3, 'Xero import failed: Account code is invalid');
+      expect(xanoClient.bulkUpdateTransactionXeroImports).toHaveBeenCalledWith(expect.arrayContaining([
+        expect.objectContaining({ xano_id: 2, xero_transaction_id: 'bt-existing' })
+      ]));
+      expect(service.stats).toMatchObject({ transactionsImported: 59, transactionsFailed: 1 });
+    });
+
+    test('defers what is left once the daily quota runs low', async () => {
+      xeroClient.isDailyQuotaLow.mockReturnValueOnce(false).mockReturnValue(true);
+      const transactions = Array.from({ length: 60 }, (_, index) => record(index + 1));
+
+      const results = await service.importReprocessedTransactionsToXero(transactions);
+
+      expect(xeroClient.createTransactions).toHaveBeenCalledTimes(1);
+      expect(results.deferred).toBe(10);
+      expect(xanoClient.markTransactionFailed).toHaveBeenCalledWith(60, 'Deferred: Xero daily API quota nearly used up');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const SyncScheduler = require('../../src/services/scheduler');
+
+describe('SyncScheduler', () => {
+  const createScheduler = (schedule) => new SyncScheduler({
+    schedule,
+    task: jest.fn(),
+    logger: createTestLogger()
+  });
+
+  // Monday 19 October 2026, local time
+  const from = new Date(2026, 9, 19, 12, 0);
+
+  describe('getNextRunTime', () => {
+    test('finds the next weekly run', () => {
+      expect(createScheduler('0 2 * * 1').getNextRunTime(from)).toEqual(new Date(2026, 9, 26, 2, 0));
+    });
+
+    test('accepts day and month names in any case', () => {
+      expect(createScheduler('0 2 * * MON').getNextRunTime(from)).toEqual(new Date(2026, 9, 26, 2, 0));
+      expect(createScheduler('0 3 * * tue-fri').getNextRunTime(from)).toEqual(new Date(2026, 9, 20, 3, 0));
+      expect(createScheduler('0 9 1 JAN *').getNextRunTime(from)).toEqual(new Date(2027, 0, 1, 9, 0));
+    });
+
+    test('treats 7 as Sunday, including at the end of a range', () => {
+      expect(createScheduler('0 2 * * 7').getNextRunTime(from)).toEqual(new Date(2026, 9, 25, 2, 0));
+      expect(createScheduler('0 2 * * 1-7').getNextRunTime(from)).toEqual(new Date(2026, 9, 20, 2, 0));
+      expect(createScheduler('0 2 * * 6-7').getNextRunTime(from)).toEqual(new Date(2026, 9, 24, 2, 0));
+    });
+
+    test('ignores a leading seconds field', () => {
+      expect(createScheduler('30 */15 * * * *').getNextRunTime(from)).toEqual(new Date(2026, 9, 19, 12, 15));
+    });
+  });
+
+  describe('runScheduledSync', () => {
+    test('skips the run while another sync is busy', async () => {
+      const scheduler = new SyncScheduler({
+        schedule: '0 2 * * 1',
+        task: jest.fn(),
+        isBusy: () => true,
+        logger: createTestLogger()
+      });
+
+      await expect(scheduler.runScheduledSync()).resolves.toBeNull();
+      expect(scheduler.task).not.toHaveBeenCalled();
+      expect(scheduler.getStatus().skippedCount).toBe(1);
+    });
+
+    test('records a task reporting failure as a failed run', async () => {
+      const scheduler = new SyncScheduler({
+        schedule: '0 2 * * 1',
+        task: jest.fn().mockResolvedValue({ success: false, error: 'Xero is not connected' }),
+        logger: createTestLogger()
+      });
+
+      await scheduler.runScheduledSync();
+      expect(scheduler.getStatus()).toMatchObject({ lastRunStatus: 'failed', lastError: 'Xero is not connected', runCount: 1 });
+    });
+  });
+});
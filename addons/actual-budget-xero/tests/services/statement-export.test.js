@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StatementExportService = require('../../src/services/statement-export');
+
+describe('StatementExportService', () => {
+  const record = (id, overrides = {}) => ({
+    id,
+    actual_account_id: 'acct-1',
+    actual_category_id: 'cat-office',
+    actual_payee_id: 'payee-1',
+    amount: -42.5,
+    transaction_date: '2026-05-10',
+    description: 'Paper, toner',
+    status: 'mapped',
+    ...overrides
+  });
+
+  let directory;
+  let records;
+  let xanoClient;
+
+  /**
+   * Create a service writing into a fresh directory
+   */
+  const createService = () => new StatementExportService({ directory, xanoClient, logger: createTestLogger() });
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(process.env.DATA_DIR, 'statements-'));
+    records = [];
+    xanoClient = {
+      getAccountMapping: jest.fn().mockResolvedValue({ actual_account_id: 'acct-1', actual_account_name: 'Business Cheque' }),
+      getTransactionsForReprocessing: jest.fn(async () => records),
+      batchGetMappings: jest.fn().mockResolvedValue({
+        categoryMappings: [{ actual_category_id: 'cat-office', xero_account_code: '461', xero_tax_type: 'INPUT' }],
+        payeeMappings: [{ actual_payee_id: 'payee-1', xero_contact_name: 'Officeworks' }]
+      }),
+      bulkMarkTransactionsExported: jest.fn(async ids => ({ updated: ids, errors: [] }))
+    };
+  });
+
+  const request = { accountId: 'acct-1', startDate: '2026-05-01', endDate: '2026-05-31' };
+
+  test('writes precoded rows for the account and marks them exported', async () => {
+    records = [
+      record(2, { transaction_date: '2026-05-12', actual_category_id: 'cat-unmapped', amount: 15 }),
+      record(1),
+      record(3, { is_transfer: true }),
+      record(4, { actual_account_id: 'acct-2' })
+    ];
+
+    const summary = await createService().exportStatement(request);
+
+    const csv = await fs.readFile(path.join(directory, `${summary.export_id}.csv`), 'utf8');
+    expect(csv.split('\r\n')).toEqual([
+      'Date,Amount,Payee,Description,Reference,Cheque Number,Account Code,Tax Rate',
+      '10/05/2026,-42.50,Officeworks,"Paper, toner",Xano-1,,461,INPUT',
+      '12/05/2026,15.00,Officeworks,"Paper, toner",Xano-2,,,',
+      ''
+    ]);
+    expect(summary).toMatchObject({ rows: 2, coded: 1, uncoded: 1, skipped_transfers: 1, marked: 2 });
+    expect(xanoClient.bulkMarkTransactionsExported).toHaveBeenCalledWith([1, 2], summary.export_id);
+  });
+
+  test('withdraws the file when the transactions cannot be marked', async () => {
+    records = [record(1)];
+    xanoClient.bulkMarkTransactionsExported.mockRejectedValue(new Error('Xano unavailable'));
+
+    await expect(createService().exportStatement(request)).rejects.toThrow('Xano unavailable');
+
+    expect(await fs.readdir(directory)).toEqual([]);
+  });
+
+  test('precodes a split only when every line codes the same way', () => {
+    const service = createService();
+    const categoriesById = new Map([
+      ['cat-office', { xero_account_code: '461', xero_tax_type: 'INPUT' }],
+      ['cat-travel', { xero_account_code: '493', xero_tax_type: 'INPUT' }]
+    ]);
+    const split = lines => ({ is_split: true, split_lines: lines.map(category => ({ actual_category_id: category })) });
+
+    expect(service.resolveCoding(split(['cat-office', 'cat-office']), categoriesById)).toEqual({ accountCode: '461', taxType: 'INPUT' });
+    expect(service.resolveCoding(split(['cat-office', 'cat-travel']), categoriesById)).toEqual({ accountCode: '', taxType: '' });
+  });
+});
@@ -0,0 +1,44 @@
+const SyncProfile = require('../../src/services/sync-profile');
+
+describe('SyncProfile', () => {
+  let profile;
+
+  beforeEach(() => {
+    profile = new SyncProfile({
+      config: { profile_name: 'default', mapping_namespace: 'default' },
+      xeroClient: {},
+      logger: createTestLogger()
+    });
+    profile.backfill = { isRunning: jest.fn().mockReturnValue(false), activeJobId: null };
+  });
+
+  describe('getBusyOperation', () => {
+    test('is idle with nothing running', () => {
+      expect(profile.getBusyOperation()).toBeNull();
+    });
+
+    test('reports a running sync, backfill or reprocess', () => {
+      profile.activeReprocessId = 'reprocess-1';
+      expect(profile.getBusyOperation()).toEqual({ error: 'Reprocessing is in progress', reprocessId: 'reprocess-1' });
+
+      profile.backfill = { isRunning: () => true, activeJobId: 'backfill-1' };
+      expect(profile.getBusyOperation()).toEqual({ error: 'A backfill is in progress', backfillId: 'backfill-1' });
+
+      profile.services.haService.syncStatus = 'running';
+      profile.currentSyncId = 'sync-1';
+      expect(profile.getBusyOperation()).toEqual({ error: 'A sync is already in progress', syncId: 'sync-1' });
+    });
+  });
+
+  describe('runSync', () => {
+    test('does not start while reprocessing is running', async () => {
+      profile.activeReprocessId = 'reprocess-1';
+      const handleSyncTrigger = jest.spyOn(profile.services.haService, 'handleSyncTrigger');
+
+      const result = await profile.runSync('sync-1', 'scheduler');
+
+      expect(result).toEqual({ success: false, error: 'Reprocessing is in progress' });
+      expect(handleSyncTrigger).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SyncWatermarkStore = require('../../src/services/sync-watermark');
+const SyncService = require('../../src/services/sync');
+
+describe('SyncWatermarkStore', () => {
+  let filePath;
+
+  beforeEach(async () => {
+    const directory = await fs.mkdtemp(path.join(process.env.DATA_DIR, 'watermark-'));
+    filePath = path.join(directory, 'sync-watermark.json');
+  });
+
+  test('only moves forward and survives a restart', async () => {
+    const store = new SyncWatermarkStore({ filePath, logger: createTestLogger() });
+    await store.init();
+
+    expect(await store.advance({ date: '2026-05-10', transactionId: 'a' })).toBe(true);
+    expect(await store.advance({ date: '2026-05-01', transactionId: 'b' })).toBe(false);
+    expect(await store.advance({ date: '2026-05-10', transactionId: 'c' })).toBe(false);
+
+    const reloaded = new SyncWatermarkStore({ filePath, logger: createTestLogger() });
+    await reloaded.init();
+    expect(reloaded.getWatermark()).toEqual(expect.objectContaining({ date: '2026-05-10', transaction_id: 'a' }));
+  });
+
+  test('moves back only on reset', async () => {
+    const store = new SyncWatermarkStore({ filePath, logger: createTestLogger() });
+    await store.advance({ date: '2026-05-10' });
+
+    await store.reset('2026-04-01');
+    expect(store.getWatermark().date).toBe('2026-04-01');
+
+    await store.reset();
+    expect(store.getWatermark()).toBeNull();
+  });
+});
+
+describe('SyncService watermark', () => {
+  const transaction = (id, date, overrides = {}) => ({ id, date, amount: -1000, ...overrides });
+
+  let watermarkStore;
+  let service;
+  let candidates;
+
+  /**
+   * Run a sync over the candidates, storing every transaction that reaches storage
+   */
+  const runSync = (options = {}) => service.executeSync(options);
+
+  beforeEach(async () => {
+    const directory = await fs.mkdtemp(path.join(process.env.DATA_DIR, 'watermark-'));
+    watermarkStore = new SyncWatermarkStore({ filePath: path.join(directory, 'sync-watermark.json'), logger: createTestLogger() });
+    await watermarkStore.advance({ date: '2026-05-10' });
+
+    service = new SyncService({
+      actualClient: {},
+      xanoClient: {},
+      xeroClient: {},
+      watermarkStore,
+      logger: createTestLogger(),
+      config: { business_category_group_id: 'group-1', sync_to_xero: false, sync_overlap_days: 3 }
+    });
+
+    candidates = [];
+    jest.spyOn(service, 'fetchCandidateTransactions').mockImplementation(async () => candidates);
+    jest.spyOn(service, 'storeTransactionsInXano').mockImplementation(async transactions =>
+      transactions.map(stored => ({ ...stored, actual_transaction_id: stored.id })));
+    jest.spyOn(service, 'resolveMappings').mockImplementation(async transactions => transactions);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('advances to the last stored transaction on a scheduled run', async () => {
+    candidates = [transaction('a', '2026-05-09'), transaction('b', '2026-05-12')];
+
+    await runSync();
+
+    expect(watermarkStore.getWatermark().date).toBe('2026-05-12');
+  });
+
+  test('leaves the mark alone for a run that starts after it', async () => {
+    candidates = [transaction('a', '2026-06-03'), transaction('b', '2026-06-20')];
+
+    await runSync({ since: new Date('2026-06-01T00:00:00Z') });
+
+    expect(watermarkStore.getWatermark().date).toBe('2026-05-10');
+  });
+
+  test('advances for a run that starts within the overlap before the mark', async () => {
+    candidates = [transaction('a', '2026-05-08'), transaction('b', '2026-06-20')];
+
+    await runSync({ since: new Date('2026-05-07T00:00:00Z') });
+
+    expect(watermarkStore.getWatermark().date).toBe('2026-06-20');
+  });
+
+  test('leaves the mark alone for a backfill chunk', async () => {
+    candidates = [transaction('a', '2026-01-05'), transaction('b', '2026-06-20')];
+
+    await runSync({ since: new Date('2026-01-01T00:00:00Z'), skipWatermark: true });
+
+    expect(watermarkStore.getWatermark().date).toBe('2026-05-10');
+  });
+
+  test('holds the mark below a split transaction skipped for a split error', async () => {
+    candidates = [
+      transaction('a', '2026-05-11'),
+      transaction('split', '2026-05-12', { split_error: 'Split amounts do not add up to the parent' }),
+      transaction('b', '2026-05-13')
+    ];
+
+    await runSync();
+
+    expect(watermarkStore.getWatermark().date).toBe('2026-05-11');
+    expect(service.storeTransactionsInXano.mock.calls[0][0].map(stored => stored.id)).toEqual(['a', 'b']);
+  });
+
+  test('holds the mark for split errors when nothing else was fetched', async () => {
+    candidates = [transaction('split', '2026-05-12', { split_error: 'Split amounts do not add up to the parent' })];
+
+    await runSync();
+
+    expect(watermarkStore.getWatermark().date).toBe('2026-05-10');
+  });
+});
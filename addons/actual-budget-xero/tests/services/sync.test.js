@@ -0,0 +1,152 @@
+const SyncService = require('../../src/services/sync');
+
+describe('SyncService', () => {
+  const createResults = () => ({ imported: 0, adopted: 0, failed: 0, deferred: [], errors: [], xeroUpdates: [] });
+
+  const prepare = id => ({
+    transaction: { id, actual_transaction_id: `actual-${id}` },
+    xeroReference: `Xano-${id}`,
+    xeroTransactionData: { Reference: `Xano-${id}` }
+  });
+
+  const created = reference => ({ success: true, reference, xero_transaction_id: `bt-${reference}`, xero_status: 'AUTHORISED', errors: [] });
+
+  let xeroClient;
+  let actualClient;
+  let xanoClient;
+  let service;
+
+  beforeEach(() => {
+    xeroClient = { createTransactions: jest.fn(), findTransactionsByReferences: jest.fn().mockResolvedValue(new Map()) };
+    actualClient = { addXeroTag: jest.fn().mockResolvedValue() };
+    xanoClient = { markTransactionFailed: jest.fn().mockResolvedValue() };
+    service = new SyncService({
+      actualClient,
+      xanoClient,
+      xeroClient,
+      logger: createTestLogger(),
+      config: { business_category_group_id: 'group-1' }
+    });
+
+    // Run the retry backoff without waiting
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('resolveAccountMappings', () => {
+    const bankAccount = (id, name, currency) => ({ xero_bank_account_id: id, name, code: id, currency_code: currency });
+
+    beforeEach(() => {
+      actualClient.getAccounts = jest.fn().mockResolvedValue([
+        { id: 'acct-1', name: 'business aud' },
+        { id: 'acct-2', name: 'Business EUR' },
+        { id: 'acct-3', name: 'Savings' }
+      ]);
+      xeroClient.getBankAccounts = jest.fn().mockResolvedValue([
+        bankAccount('bank-aud', 'Business AUD', 'AUD'),
+        bankAccount('bank-usd', 'Business USD', 'USD'),
+        bankAccount('bank-s1', 'Savings', 'AUD'),
+        bankAccount('bank-s2', 'savings', 'AUD')
+      ]);
+      xanoClient.upsertAccountMapping = jest.fn().mockResolvedValue(null);
+    });
+
+    test('maps only accounts with exactly one Xero bank account of the same name', async () => {
+      const resolved = await service.resolveAccountMappings(['acct-1', 'acct-2', 'acct-3']);
+
+      expect(resolved).toEqual([expect.objectContaining({ actual_account_id: 'acct-1', xero_bank_account_id: 'bank-aud', currency_code: 'AUD' })]);
+      expect(xanoClient.upsertAccountMapping).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('adoptExistingXeroTransactions', () => {
+    test('adopts a single match, fails several matches and creates the rest', async () => {
+      xeroClient.findTransactionsByReferences.mockResolvedValue(new Map([
+        ['Xano-1', [{ xero_transaction_id: 'bt-1', xero_status: 'AUTHORISED' }]],
+        ['Xano-2', [{ xero_transaction_id: 'bt-2a' }, { xero_transaction_id: 'bt-2b' }]]
+      ]));
+      const results = createResults();
+
+      const toCreate = await service.adoptExistingXeroTransactions([1, 2, 3].map(prepare), results);
+
+      expect(toCreate.map(item => item.xeroReference)).toEqual(['Xano-3']);
+      expect(results.xeroUpdates).toEqual([expect.objectContaining({ xano_id: 1, xero_transaction_id: 'bt-1' })]);
+      expect(results.adopted).toBe(1);
+      expect(actualClient.addXeroTag).toHaveBeenCalledWith('actual-1');
+      expect(results.errors).toEqual([expect.objectContaining({ type: 'AMBIGUOUS_XERO_MATCH', xano_id: 2 })]);
+    });
+
+    test('creates nothing when Xero cannot be checked', async () => {
+      xeroClient.findTransactionsByReferences.mockRejectedValue(new Error('Service unavailable'));
+      const results = createResults();
+
+      const toCreate = await service.adoptExistingXeroTransactions([1, 2].map(prepare), results);
+
+      expect(toCreate).toEqual([]);
+      expect(results.failed).toBe(2);
+      expect(results.errors[0].message).toBe('Could not check Xero for an existing transaction: Service unavailable');
+    });
+  });
+
+  describe('createXeroTransactionsWithRetry', () => {
+    const unavailable = () => Object.assign(new Error('Xero API Error [TRANSACTION_BATCH_CREATE_FAILED]: Service Unavailable'), { statusCode: 503 });
+
+    test('resends only the transactions the failed attempt did not create', async () => {
+      xeroClient.createTransactions
+        .mockRejectedValueOnce(unavailable())
+        .mockImplementationOnce(async data => data.map(item => created(item.Reference)));
+      xeroClient.findTransactionsByReferences.mockResolvedValue(new Map([
+        ['Xano-1', [{ xero_transaction_id: 'bt-1', xero_status: 'AUTHORISED' }]]
+      ]));
+      const results = createResults();
+
+      const { created: sent, unsent, error } = await service.createXeroTransactionsWithRetry([1, 2, 3].map(prepare), results);
+
+      expect(error).toBeNull();
+      expect(unsent).toEqual([]);
+      expect(xeroClient.createTransactions).toHaveBeenCalledTimes(2);
+      expect(xeroClient.createTransactions.mock.calls[1][0].map(item => item.Reference)).toEqual(['Xano-2', 'Xano-3']);
+      expect(sent.map(item => item.outcome.xero_transaction_id)).toEqual(['bt-Xano-2', 'bt-Xano-3']);
+      expect(results.xeroUpdates).toEqual([expect.objectContaining({ xano_id: 1, xero_transaction_id: 'bt-1' })]);
+    });
+
+    test('stops without resending when the failed attempt created everything', async () => {
+      xeroClient.createTransactions.mockRejectedValueOnce(unavailable());
+      xeroClient.findTransactionsByReferences.mockResolvedValue(new Map([
+        ['Xano-1', [{ xero_transaction_id: 'bt-1' }]],
+        ['Xano-2', [{ xero_transaction_id: 'bt-2' }]]
+      ]));
+      const results = createResults();
+
+      const outcome = await service.createXeroTransactionsWithRetry([1, 2].map(prepare), results);
+
+      expect(outcome).toEqual({ created: [], unsent: [], error: null });
+      expect(xeroClient.createTransactions).toHaveBeenCalledTimes(1);
+      expect(results.adopted).toBe(2);
+    });
+
+    test('does not resend when Xero cannot be checked after a failure', async () => {
+      xeroClient.createTransactions.mockRejectedValueOnce(unavailable());
+      xeroClient.findTransactionsByReferences.mockRejectedValue(new Error('socket hang up'));
+      const results = createResults();
+
+      const outcome = await service.createXeroTransactionsWithRetry([1, 2].map(prepare), results);
+
+      expect(outcome).toEqual({ created: [], unsent: [], error: null });
+      expect(xeroClient.createTransactions).toHaveBeenCalledTimes(1);
+      expect(results.failed).toBe(2);
+    });
+
+    test('returns a non-retryable error with the transactions it left unsent', async () => {
+      const rejected = Object.assign(new Error('Bad request'), { statusCode: 400 });
+      xeroClient.createTransactions.mockRejectedValueOnce(rejected);
+
+      const outcome = await service.createXeroTransactionsWithRetry([1, 2].map(prepare), createResults());
+
+      expect(outcome.error).toBe(rejected);
+      expect(outcome.unsent.map(item => item.xeroReference)).toEqual(['Xano-1', 'Xano-2']);
+      expect(xeroClient.findTransactionsByReferences).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const TrackingMapper = require('../../src/services/tracking');
+
+describe('TrackingMapper', () => {
+  const option = (id, name, status = 'ACTIVE') => ({ tracking_option_id: id, name, status });
+
+  const trackingCategories = [
+    { tracking_category_id: 'tc-project', name: 'Project', status: 'ACTIVE', options: [option('opt-acme', 'Acme'), option('opt-big', 'Big Build'), option('opt-old', 'Old Job', 'ARCHIVED')] },
+    { tracking_category_id: 'tc-region', name: 'Region', status: 'ACTIVE', options: [option('opt-north', 'North')] }
+  ];
+
+  /**
+   * Create a mapper and load the fake Xero tracking categories and Actual categories
+   */
+  const createMapper = async mappings => {
+    const mapper = new TrackingMapper({
+      mappings,
+      actualClient: { getCategories: jest.fn().mockResolvedValue([{ id: 'cat-travel', name: 'Travel' }]) },
+      xeroClient: { getTrackingCategories: jest.fn().mockResolvedValue(trackingCategories) },
+      logger: createTestLogger()
+    });
+    await mapper.prepare();
+    return mapper;
+  };
+
+  describe('selectTracking', () => {
+    test('takes the first matching mapping for each tracking category', async () => {
+      const mapper = await createMapper([
+        { tracking_category: 'Project', tag: 'acme', option: 'Acme' },
+        { tracking_category: 'project', tag_prefix: 'proj-' },
+        { tracking_category: 'Region', category: 'travel', option: 'north' }
+      ]);
+
+      expect(mapper.selectTracking(['#acme', '#proj-big-build'], 'cat-travel')).toEqual([
+        { tracking_category_id: 'tc-project', name: 'Project', option: 'Acme', tracking_option_id: 'opt-acme' },
+        { tracking_category_id: 'tc-region', name: 'Region', option: 'North', tracking_option_id: 'opt-north' }
+      ]);
+      expect(mapper.selectTracking(['#proj-big-build'], 'cat-office')).toEqual([
+        { tracking_category_id: 'tc-project', name: 'Project', option: 'Big Build', tracking_option_id: 'opt-big' }
+      ]);
+    });
+
+    test('throws for an option Xero does not have or has archived', async () => {
+      const mapper = await createMapper([{ tracking_category: 'Project', tag_prefix: 'proj-' }]);
+
+      expect(() => mapper.selectTracking(['#proj-unknown'], null))
+        .toThrow('tracking category "Project" has no active option "unknown"');
+      expect(() => mapper.selectTracking(['#proj-old-job'], null))
+        .toThrow('tracking category "Project" has no active option "old-job"');
+    });
+
+    test('throws for a tracking category Xero does not have', async () => {
+      const mapper = await createMapper([{ tracking_category: 'Department', tag: 'sales', option: 'Sales' }]);
+
+      expect(() => mapper.selectTracking(['#sales'], null)).toThrow('Xero has no active tracking category "Department"');
+    });
+  });
+
+  describe('apply', () => {
+    test('tracks split lines by their own category and reports failures', async () => {
+      const mapper = await createMapper([{ tracking_category: 'Region', category: 'Travel', option: 'North' }]);
+      const split = {
+        description: 'Trip',
+        is_split: true,
+        split_lines: [{ actual_category_id: 'cat-office' }, { actual_category_id: 'cat-travel' }]
+      };
+
+      expect(mapper.apply(split)).toBeNull();
+      expect(split.split_lines.map(line => line.xero_tracking.map(tracking => tracking.option))).toEqual([[], ['North']]);
+
+      const failing = await createMapper([{ tracking_category: 'Region', tag: 'south', option: 'South' }]);
+      expect(failing.apply({ description: 'Trip #south' })).toMatch('has no active option "South"');
+    });
+  });
+});
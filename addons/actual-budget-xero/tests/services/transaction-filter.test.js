@@ -0,0 +1,68 @@
+const TransactionFilter = require('../../src/services/transaction-filter');
+
+describe('TransactionFilter', () => {
+  const transaction = (overrides = {}) => ({
+    id: 't1',
+    account: 'acct-1',
+    account_name: 'Business Cheque',
+    payee_name: 'Officeworks Richmond',
+    amount: -4250,
+    date: '2026-05-10',
+    notes: '',
+    ...overrides
+  });
+
+  const createFilter = (rules, defaultAction) => new TransactionFilter({ rules, defaultAction, logger: createTestLogger() });
+
+  describe('evaluate', () => {
+    test('lets the first matching rule decide', () => {
+      const filter = createFilter([
+        { name: 'Officeworks', action: 'include', payee: 'officeworks' },
+        { action: 'exclude', account: 'Business Cheque' }
+      ]);
+
+      expect(filter.evaluate(transaction())).toEqual({ action: 'include', rule: '"Officeworks"', reason: null });
+      expect(filter.evaluate(transaction({ payee_name: 'Coles' }))).toEqual({
+        action: 'exclude',
+        rule: 'rule 2 (account=Business Cheque)',
+        reason: 'excluded by rule 2 (account=Business Cheque)'
+      });
+    });
+
+    test('excludes what no rule matches when the default is exclude', () => {
+      const filter = createFilter([{ action: 'include', notes_tag: 'Business' }], 'exclude');
+
+      expect(filter.evaluate(transaction({ notes: 'Toner #business' })).action).toBe('include');
+      expect(filter.evaluate(transaction())).toEqual({ action: 'exclude', rule: null, reason: TransactionFilter.DEFAULT_EXCLUDE_REASON });
+    });
+
+    test('includes what no rule matches by default', () => {
+      expect(createFilter([{ action: 'exclude', direction: 'receive' }]).evaluate(transaction()).action).toBe('include');
+    });
+
+    test('compares amount limits in currency units against amounts in cents', () => {
+      const filter = createFilter([{ action: 'exclude', min_amount: 42.5, max_amount: 100 }]);
+
+      expect(filter.evaluate(transaction({ amount: -4250 })).action).toBe('exclude');
+      expect(filter.evaluate(transaction({ amount: 10000 })).action).toBe('exclude');
+      expect(filter.evaluate(transaction({ amount: -4249 })).action).toBe('include');
+      expect(filter.evaluate(transaction({ amount: -10001 })).action).toBe('include');
+    });
+
+    test('ignores disabled rules', () => {
+      expect(createFilter([{ action: 'exclude', account: 'acct-1', enabled: false }]).evaluate(transaction()).action).toBe('include');
+    });
+  });
+
+  describe('apply', () => {
+    test('counts skipped transactions by reason', () => {
+      const filter = createFilter([{ name: 'Income', action: 'exclude', direction: 'receive' }]);
+
+      const { included, skipped, reasons } = filter.apply([transaction(), transaction({ id: 't2', amount: 500 }), transaction({ id: 't3', amount: 900 })]);
+
+      expect(included.map(kept => kept.id)).toEqual(['t1']);
+      expect(skipped.map(entry => entry.transaction.id)).toEqual(['t2', 't3']);
+      expect(reasons).toEqual({ 'excluded by "Income"': 2 });
+    });
+  });
+});
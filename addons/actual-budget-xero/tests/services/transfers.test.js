@@ -0,0 +1,93 @@
+const ActualBudgetClient = require('../../src/services/actual');
+const { Transaction } = require('../../src/models/transaction');
+
+describe('transfers', () => {
+  describe('ActualBudgetClient.getReconciledTransfers', () => {
+    let client;
+
+    beforeEach(() => {
+      const query = { filter: () => query, select: () => query, orderBy: () => query };
+
+      client = Object.assign(Object.create(ActualBudgetClient.prototype), {
+        logger: createTestLogger(),
+        includeCleared: false,
+        api: { q: () => query },
+        ensureBudgetLoaded: jest.fn().mockResolvedValue(),
+        runQuery: jest.fn()
+      });
+    });
+
+    test('returns each transfer once, from its outgoing leg', async () => {
+      client.runQuery
+        .mockResolvedValueOnce([
+          { id: 'out-1', account: 'acct-1', transfer_id: 'in-1', amount: -5000, date: '2026-05-10' },
+          { id: 'out-2', account: 'acct-1', transfer_id: 'in-2', amount: -700, date: '2026-05-11' }
+        ])
+        .mockResolvedValueOnce([
+          { id: 'in-1', account: 'acct-2', account_name: 'Savings' },
+          { id: 'in-2', account: 'acct-personal', account_name: 'Personal' }
+        ]);
+
+      const transfers = await client.getReconciledTransfers(['acct-1', 'acct-2']);
+
+      expect(transfers).toEqual([expect.objectContaining({
+        id: 'out-1',
+        is_transfer: true,
+        transfer_account: 'acct-2',
+        transfer_account_name: 'Savings'
+      })]);
+    });
+
+    test('needs at least two accounts', async () => {
+      expect(await client.getReconciledTransfers(['acct-1'])).toEqual([]);
+      expect(client.runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Transaction.applyTransferMapping', () => {
+    const mappings = new Map([
+      ['acct-1', { xero_bank_account_id: 'bank-1', currency_code: 'AUD' }],
+      ['acct-2', { xero_bank_account_id: 'bank-2', currency_code: 'AUD' }],
+      ['acct-usd', { xero_bank_account_id: 'bank-usd', currency_code: 'USD' }]
+    ]);
+
+    test('resolves the bank account on both sides', () => {
+      const transfer = { actual_account_id: 'acct-1', transfer_account_id: 'acct-2' };
+
+      expect(Transaction.applyTransferMapping(transfer, mappings).isValid).toBe(true);
+      expect(transfer).toMatchObject({ xero_bank_account_id: 'bank-1', xero_to_bank_account_id: 'bank-2', currency_code: 'AUD' });
+    });
+
+    test('lists the accounts without a mapping', () => {
+      const result = Transaction.applyTransferMapping({ actual_account_id: 'acct-1', transfer_account_id: 'acct-3' }, mappings);
+
+      expect(result).toEqual({ isValid: false, missingAccounts: ['acct-3'], error: null });
+    });
+
+    test('rejects transfers between currencies', () => {
+      const result = Transaction.applyTransferMapping({ actual_account_id: 'acct-1', transfer_account_id: 'acct-usd' }, mappings);
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe('Transfers between AUD and USD accounts must be entered in Xero directly');
+    });
+  });
+
+  describe('Transaction.buildXeroBankTransfer', () => {
+    test('sends the positive amount from the outgoing account', () => {
+      const transfer = { xero_bank_account_id: 'bank-1', xero_to_bank_account_id: 'bank-2', amount: -50.5, transaction_date: '2026-05-10' };
+
+      expect(Transaction.buildXeroBankTransfer(transfer, 'Xano-7')).toEqual({
+        FromBankAccount: { AccountID: 'bank-1' },
+        ToBankAccount: { AccountID: 'bank-2' },
+        Amount: 50.5,
+        Date: '2026-05-10',
+        Reference: 'Xano-7'
+      });
+    });
+
+    test('throws without both bank accounts', () => {
+      expect(() => Transaction.buildXeroBankTransfer({ xero_bank_account_id: 'bank-1', amount: -5 }, 'Xano-7'))
+        .toThrow('Transfer is missing a Xero bank account mapping');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const http = require('http');
+const { AuthorizationCode } = require('simple-oauth2');
+const XeroClient = require('../../src/services/xero');
+
+describe('XeroClient', () => {
+  const createClient = (tokenStore) => new XeroClient({
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    tenantId: 'tenant-id',
+    tokenStore,
+    logger: createTestLogger()
+  });
+
+  describe('getAuthorizationUrl', () => {
+    test('asks for offline access so Xero issues a refresh token', () => {
+      const { url } = createClient().getAuthorizationUrl('state');
+      const scopes = new URL(url).searchParams.get('scope').split(' ');
+
+      expect(scopes).toContain('offline_access');
+    });
+
+    test('asks for attachment access so receipts can be uploaded', () => {
+      const { url } = createClient().getAuthorizationUrl('state');
+      const scopes = new URL(url).searchParams.get('scope').split(' ');
+
+      expect(scopes).toContain('accounting.attachments');
+    });
+  });
+
+  describe('refreshAccessToken', () => {
+    let server;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push(new URLSearchParams(body));
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 1800, token_type: 'Bearer' }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    test('uses the refresh token grant and persists the rotated refresh token', async () => {
+      const tokenStore = { load: jest.fn(), save: jest.fn().mockResolvedValue() };
+      const client = createClient(tokenStore);
+      client.oauth2Client = new AuthorizationCode({
+        ...client.oauthConfig,
+        auth: { ...client.oauthConfig.auth, tokenHost: `http://127.0.0.1:${server.address().port}` }
+      });
+      client.setAccessToken({ access_token: 'access-1', refresh_token: 'refresh-1', expires_at: new Date(Date.now() - 1000).toISOString() });
+
+      const result = await client.refreshAccessToken();
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].get('grant_type')).toBe('refresh_token');
+      expect(requests[0].get('refresh_token')).toBe('refresh-1');
+      expect(result.refresh_token).toBe('refresh-2');
+      expect(tokenStore.save).toHaveBeenCalledWith(expect.objectContaining({ refresh_token: 'refresh-2' }));
+    });
+  });
+
+  describe('createTransactions', () => {
+    const transactions = ['Xano-1', 'Xano-2', 'Xano-3'].map(Reference => ({ Reference, Type: 'SPEND' }));
+
+    test('sends one request that is never resent and matches each result to its reference', async () => {
+      const client = createClient();
+      client.put = jest.fn().mockResolvedValue({
+        data: {
+          BankTransactions: [
+            { Reference: 'Xano-2', BankTransactionID: 'bt-2', Status: 'AUTHORISED' },
+            { Reference: 'Xano-1', BankTransactionID: 'bt-1', Status: 'AUTHORISED' },
+            { Reference: 'Xano-3', BankTransactionID: 'bt-3', Status: 'AUTHORISED' }
+          ]
+        }
+      });
+
+      const outcomes = await client.createTransactions(transactions);
+
+      expect(client.put).toHaveBeenCalledTimes(1);
+      expect(client.put.mock.calls[0][2]).toEqual(expect.objectContaining({ maxRetries: 0 }));
+      expect(outcomes.map(outcome => outcome.xero_transaction_id)).toEqual(['bt-1', 'bt-2', 'bt-3']);
+      expect(outcomes.every(outcome => outcome.success)).toBe(true);
+    });
+
+    test('fails only the transactions Xero rejected or left out', async () => {
+      const client = createClient();
+      client.put = jest.fn().mockResolvedValue({
+        data: {
+          BankTransactions: [
+            { Reference: 'Xano-1', BankTransactionID: 'bt-1', Status: 'AUTHORISED' },
+            { Reference: 'Xano-2', StatusAttributeString: 'ERROR', ValidationErrors: [{ Message: 'Account code is invalid' }] }
+          ]
+        }
+      });
+
+      const outcomes = await client.createTransactions(transactions);
+
+      expect(outcomes.map(outcome => outcome.success)).toEqual([true, false, false]);
+      expect(outcomes[1].errors).toEqual(['Account code is invalid']);
+      expect(outcomes[2].errors).toEqual(['Xero returned no result for this transaction']);
+    });
+
+    test('fails an ERROR result that carries no messages', async () => {
+      const client = createClient();
+      client.put = jest.fn().mockResolvedValue({
+        data: { BankTransactions: [{ Reference: 'Xano-1', StatusAttributeString: 'ERROR' }] }
+      });
+
+      const [outcome] = await client.createTransactions(transactions.slice(0, 1));
+
+      expect(outcome.success).toBe(false);
+      expect(outcome.errors).toEqual(['Rejected by Xero']);
+    });
+  });
+
+  describe('assertValidTaxTypes', () => {
+    const document = { Reference: 'Xano-1', LineItems: [{ TaxType: 'INPUT' }, { TaxType: 'OLDGST' }] };
+
+    test('rejects unknown and inactive tax types', async () => {
+      const client = createClient();
+      client.getTaxRates = jest.fn().mockResolvedValue([
+        { tax_type: 'INPUT', name: 'GST on Expenses', status: 'ACTIVE' },
+        { tax_type: 'OLDGST', name: 'Old GST', status: 'DELETED' }
+      ]);
+
+      await expect(client.assertValidTaxTypes(document)).rejects.toThrow('Invalid tax type: OLDGST (Tax rate "Old GST" is deleted)');
+    });
+
+    test('lets the document through when the tax rates cannot be loaded', async () => {
+      const client = createClient();
+      client.getTaxRates = jest.fn().mockRejectedValue(new Error('Service unavailable'));
+
+      await expect(client.assertValidTaxTypes(document)).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Services keep their state files under DATA_DIR; keep test runs out of /data
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'actual-xero-sync-test-'));
+process.env.LOG_DIR = process.env.DATA_DIR;
+
+/**
+ * Logger that records calls instead of printing them, for passing to services under test
+ * @returns {Object} - Logger with jest.fn() debug, info, warn and error
+ */
+global.createTestLogger = () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+});
@@ -0,0 +1,32 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AtomicFileWriter = require('../../src/utils/atomic-file-writer');
+
+describe('AtomicFileWriter', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(process.env.DATA_DIR, 'writer-'));
+  });
+
+  test('keeps the last of several concurrent writes', async () => {
+    const filePath = path.join(directory, 'nested', 'state.json');
+    const writer = new AtomicFileWriter(filePath);
+
+    await Promise.all([1, 2, 3].map(version => writer.write(JSON.stringify({ version }))));
+
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual({ version: 3 });
+    await expect(fs.access(`${filePath}.tmp`)).rejects.toThrow();
+  });
+
+  test('rejects a failed write and carries on with the next one', async () => {
+    const blocked = path.join(directory, 'blocked');
+    await fs.writeFile(blocked, '');
+    const writer = new AtomicFileWriter(path.join(blocked, 'state.json'));
+
+    await expect(writer.write('{}')).rejects.toThrow();
+
+    writer.filePath = path.join(directory, 'state.json');
+    await expect(writer.write('{"ok":true}')).resolves.toBeUndefined();
+  });
+});
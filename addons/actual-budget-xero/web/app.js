@@ -5,7 +5,9 @@ class ActualXeroSyncUI {
         this.statusElements = {
             systemStatus: document.getElementById('system-status'),
             lastSync: document.getElementById('last-sync'),
+            nextSync: document.getElementById('next-sync'),
             configStatus: document.getElementById('config-status'),
+            xeroStatus: document.getElementById('xero-status'),
             syncStatus: document.getElementById('sync-status'),
             lastResult: document.getElementById('last-result')
         };
@@ -29,7 +31,9 @@ class ActualXeroSyncUI {
         this.buttons = {
             triggerSync: document.getElementById('trigger-sync'),
             triggerReprocess: document.getElementById('trigger-reprocess'),
+            triggerChanges: document.getElementById('trigger-changes'),
             refreshStatus: document.getElementById('refresh-status'),
+            connectXero: document.getElementById('connect-xero'),
             clearLogs: document.getElementById('clear-logs')
         };
         
@@ -39,30 +43,114 @@ class ActualXeroSyncUI {
             text: document.getElementById('progress-text')
         };
         
+        this.backfillElements = {
+            from: document.getElementById('backfill-from'),
+            until: document.getElementById('backfill-until'),
+            start: document.getElementById('trigger-backfill'),
+            resume: document.getElementById('resume-backfill'),
+            status: document.getElementById('backfill-status'),
+            progress: document.getElementById('backfill-progress'),
+            progressFill: document.getElementById('backfill-progress-fill'),
+            progressText: document.getElementById('backfill-progress-text')
+        };
+        
+        this.receiptElements = {
+            scan: document.getElementById('scan-receipts'),
+            status: document.getElementById('receipts-status'),
+            unmatched: document.getElementById('receipts-unmatched')
+        };
+        
+        this.reconciliationElements = {
+            check: document.getElementById('check-reconciliation'),
+            status: document.getElementById('reconciliation-status')
+        };
+        
+        this.statementElements = {
+            account: document.getElementById('statement-account'),
+            from: document.getElementById('statement-from'),
+            until: document.getElementById('statement-until'),
+            dateFormat: document.getElementById('statement-date-format'),
+            export: document.getElementById('export-statement'),
+            status: document.getElementById('statement-status'),
+            exports: document.getElementById('statement-exports')
+        };
+        
+        this.filterElements = {
+            days: document.getElementById('filter-days'),
+            defaultAction: document.getElementById('filter-default'),
+            test: document.getElementById('test-filters'),
+            reset: document.getElementById('reset-filters'),
+            rules: document.getElementById('filter-rules'),
+            status: document.getElementById('filter-status'),
+            results: document.getElementById('filter-results'),
+            body: document.getElementById('filter-body')
+        };
+        
+        this.historyElements = {
+            body: document.getElementById('history-body'),
+            statusFilter: document.getElementById('history-status-filter'),
+            prev: document.getElementById('history-prev'),
+            next: document.getElementById('history-next'),
+            pageInfo: document.getElementById('history-page-info'),
+            details: document.getElementById('history-details')
+        };
+        
+        this.profileElements = {
+            section: document.getElementById('profile-section'),
+            select: document.getElementById('profile-select'),
+            overview: document.getElementById('profiles-overview')
+        };
+        
         this.activityLog = document.getElementById('activity-log');
         this.logFilter = document.getElementById('log-filter');
         
         // Application state
         this.isSyncing = false;
         this.isReprocessing = false;
+        this.isPropagating = false;
+        this.isBackfilling = false;
+        this.currentBackfillId = null;
+        this.resumableBackfillId = null;
+        this.receiptsEnabled = false;
+        this.isScanningReceipts = false;
+        this.isCheckingReconciliation = false;
+        this.isExportingStatement = false;
+        this.isTestingFilters = false;
+        this.configuredFilters = null;
         this.currentFilter = 'all';
         this.logEntries = [];
         this.lastStatusUpdate = null;
+        this.xeroConnected = false;
+        this.currentSyncId = null;
+        this.syncEventSource = null;
+        this.historyPage = { limit: 10, offset: 0, total: 0 };
+        
+        // Sync profile the page shows, from ?profile= (the server's first profile when absent)
+        this.profile = new URLSearchParams(window.location.search).get('profile');
         
         this.init();
     }
 
     init() {
         this.setupEventListeners();
+        this.handleXeroCallbackResult();
         this.loadStatus();
         this.loadConfiguration();
+        this.loadHistory();
+        this.loadBackfills();
+        this.loadReceipts();
+        this.loadReconciliation();
+        this.loadStatementExports();
+        this.loadFilters();
+        this.loadProfiles();
         
         // Auto-refresh status every 15 seconds
         setInterval(() => this.loadStatus(), 15000);
+        setInterval(() => this.loadProfiles(), 15000);
         
         // Check for real-time updates every 5 seconds when syncing
         setInterval(() => {
-            if (this.isSyncing || this.isReprocessing) {
+            if (this.isSyncing || this.isReprocessing || this.isPropagating || this.isBackfilling) {
                 this.checkSyncProgress();
             }
         }, 5000);
@@ -71,8 +159,31 @@ class ActualXeroSyncUI {
     setupEventListeners() {
         this.buttons.triggerSync.addEventListener('click', () => this.triggerSync());
         this.buttons.triggerReprocess.addEventListener('click', () => this.triggerReprocess());
+        this.buttons.triggerChanges.addEventListener('click', () => this.triggerChanges());
         this.buttons.refreshStatus.addEventListener('click', () => this.loadStatus());
+        this.buttons.connectXero.addEventListener('click', () => this.toggleXeroConnection());
         this.buttons.clearLogs.addEventListener('click', () => this.clearLogs());
+        this.backfillElements.start.addEventListener('click', () => this.triggerBackfill());
+        this.backfillElements.resume.addEventListener('click', () => this.resumeBackfill());
+        this.receiptElements.scan.addEventListener('click', () => this.scanReceipts());
+        this.reconciliationElements.check.addEventListener('click', () => this.checkReconciliation());
+        this.statementElements.export.addEventListener('click', () => this.exportStatement());
+        this.filterElements.test.addEventListener('click', () => this.testFilters());
+        this.filterElements.reset.addEventListener('click', () => this.resetFilters());
+        this.profileElements.select.addEventListener('change', (e) => this.switchProfile(e.target.value));
+        
+        this.historyElements.statusFilter.addEventListener('change', () => {
+            this.historyPage.offset = 0;
+            this.loadHistory();
+        });
+        this.historyElements.prev.addEventListener('click', () => {
+            this.historyPage.offset = Math.max(0, this.historyPage.offset - this.historyPage.limit);
+            this.loadHistory();
+        });
+        this.historyElements.next.addEventListener('click', () => {
+            this.historyPage.offset += this.historyPage.limit;
+            this.loadHistory();
+        });
         
         this.logFilter.addEventListener('change', (e) => {
             this.currentFilter = e.target.value;
@@ -80,13 +191,72 @@ class ActualXeroSyncUI {
         });
     }
 
+    apiUrl(path) {
+        if (!this.profile) {
+            return path;
+        }
+        return `${path}${path.includes('?') ? '&' : '?'}profile=${encodeURIComponent(this.profile)}`;
+    }
+
+    switchProfile(name) {
+        const params = new URLSearchParams(window.location.search);
+        params.set('profile', name);
+        window.location.search = params.toString();
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await fetch('/api/profiles');
+            if (!response.ok) {
+                throw new Error('Failed to load sync profiles');
+            }
+            
+            this.renderProfiles(await response.json());
+        } catch (error) {
+            console.error('Failed to load sync profiles:', error);
+        }
+    }
+
+    renderProfiles(data) {
+        const { section, select, overview } = this.profileElements;
+        
+        // A single profile needs no picker
+        section.classList.toggle('hidden', data.profiles.length < 2);
+        
+        select.innerHTML = '';
+        data.profiles.forEach(({ name }) => select.add(new Option(name, name)));
+        select.value = this.profile || data.default;
+        
+        overview.innerHTML = '';
+        data.profiles.forEach(profile => {
+            const row = document.createElement('tr');
+            const mode = profile.dry_run_mode ? 'Dry run' : (profile.sync_to_xero ? 'Live' : 'Xano only');
+            const state = profile.syncing ? 'Syncing' : (profile.backfilling ? 'Backfilling' : profile.status);
+            const cells = [
+                profile.name,
+                state,
+                profile.lastSync ? new Date(profile.lastSync).toLocaleString() : 'Never',
+                profile.schedule && profile.schedule.nextRun ? new Date(profile.schedule.nextRun).toLocaleString() : '-',
+                mode,
+                profile.lastError || ''
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.classList.toggle('selected', profile.name === select.value);
+            overview.appendChild(row);
+        });
+    }
+
     async loadStatus() {
         try {
             this.addUpdatingAnimation('status-info');
             
             const [statusResponse, statsResponse] = await Promise.all([
-                fetch('/api/config/status'),
-                fetch('/api/sync/stats').catch(() => ({ ok: false }))
+                fetch(this.apiUrl('/api/config/status')),
+                fetch(this.apiUrl('/api/sync/stats')).catch(() => ({ ok: false }))
             ]);
             
             const status = await statusResponse.json();
@@ -99,6 +269,10 @@ class ActualXeroSyncUI {
             this.updateStatusDisplay(status, stats);
             this.lastStatusUpdate = new Date();
             
+            // Pick up scheduled syncs and the next run time
+            await this.checkSyncProgress();
+            await this.loadXeroStatus();
+            
             if (!this.isSyncing && !this.isReprocessing) {
                 this.addLogEntry('Status refreshed', 'info');
             }
@@ -114,7 +288,7 @@ class ActualXeroSyncUI {
 
     async loadConfiguration() {
         try {
-            const response = await fetch('/api/config/details');
+            const response = await fetch(this.apiUrl('/api/config/details'));
             if (response.ok) {
                 const config = await response.json();
                 this.updateConfigurationDisplay(config);
@@ -157,6 +331,12 @@ class ActualXeroSyncUI {
         } else if (this.isReprocessing) {
             this.statusElements.syncStatus.innerHTML = '<span class="status-indicator warning"></span>Reprocessing';
             this.statusElements.syncStatus.className = 'value warning';
+        } else if (this.isPropagating) {
+            this.statusElements.syncStatus.innerHTML = '<span class="status-indicator warning"></span>Propagating Changes';
+            this.statusElements.syncStatus.className = 'value warning';
+        } else if (this.isBackfilling) {
+            this.statusElements.syncStatus.innerHTML = '<span class="status-indicator warning"></span>Backfilling';
+            this.statusElements.syncStatus.className = 'value warning';
         } else {
             this.statusElements.syncStatus.innerHTML = '<span class="status-indicator online"></span>Idle';
             this.statusElements.syncStatus.className = 'value';
@@ -168,9 +348,12 @@ class ActualXeroSyncUI {
         }
 
         // Enable/disable buttons based on configuration and current operations
-        const canOperate = configOk && !this.isSyncing && !this.isReprocessing;
+        const canOperate = configOk && !this.isSyncing && !this.isReprocessing && !this.isPropagating && !this.isBackfilling;
         this.buttons.triggerSync.disabled = !canOperate;
         this.buttons.triggerReprocess.disabled = !canOperate;
+        this.buttons.triggerChanges.disabled = !canOperate;
+        this.backfillElements.start.disabled = !canOperate;
+        this.backfillElements.resume.disabled = !canOperate;
     }
 
     updateStatsDisplay(stats) {
@@ -190,6 +373,11 @@ class ActualXeroSyncUI {
             duplicatesSkippedElement.textContent = stats.duplicates_skipped || 0;
         }
         
+        const filteredElement = document.getElementById('filtered-transactions');
+        if (filteredElement) {
+            filteredElement.textContent = stats.filtered_transactions || 0;
+        }
+        
         // Update last sync time if available
         if (stats.last_sync) {
             this.statusElements.lastSync.textContent = new Date(stats.last_sync).toLocaleString();
@@ -206,6 +394,77 @@ class ActualXeroSyncUI {
         this.configElements.rateLimit.textContent = (config.xano_rate_limit || '-') + ' calls/min';
     }
 
+    async loadXeroStatus() {
+        try {
+            const response = await fetch(this.apiUrl('/api/xero/status'));
+            if (!response.ok) {
+                throw new Error('Failed to load Xero status');
+            }
+            
+            const status = await response.json();
+            this.xeroConnected = status.connected;
+            
+            if (status.connected) {
+                this.statusElements.xeroStatus.innerHTML = '<span class="status-indicator online"></span>Connected';
+                this.statusElements.xeroStatus.className = 'value';
+                this.updateButtonState(this.buttons.connectXero, false, 'Disconnect Xero');
+            } else {
+                this.statusElements.xeroStatus.innerHTML = '<span class="status-indicator warning"></span>Not connected';
+                this.statusElements.xeroStatus.className = 'value warning';
+                this.updateButtonState(this.buttons.connectXero, false, 'Connect Xero');
+            }
+        } catch (error) {
+            console.error('Failed to load Xero status:', error);
+            this.statusElements.xeroStatus.textContent = 'Unknown';
+            this.statusElements.xeroStatus.className = 'value error';
+        }
+    }
+
+    async toggleXeroConnection() {
+        if (!this.xeroConnected) {
+            // The server redirects to Xero and back to /callback
+            window.location.href = '/api/xero/connect';
+            return;
+        }
+        
+        if (!confirm('Disconnect from Xero? Stored tokens will be removed and syncs to Xero will stop until you reconnect.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/xero/disconnect', { method: 'POST' });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Disconnect failed');
+            }
+            
+            this.addLogEntry('Disconnected from Xero', 'warning');
+        } catch (error) {
+            this.addLogEntry('Failed to disconnect Xero: ' + error.message, 'error');
+        }
+        
+        await this.loadXeroStatus();
+    }
+
+    handleXeroCallbackResult() {
+        const params = new URLSearchParams(window.location.search);
+        const result = params.get('xero');
+        
+        if (!result) {
+            return;
+        }
+        
+        if (result === 'connected') {
+            this.addLogEntry('Connected to Xero successfully', 'success');
+        } else {
+            this.addLogEntry('Xero connection failed: ' + (params.get('message') || 'Unknown error'), 'error');
+        }
+        
+        // Remove the callback result from the address bar
+        window.history.replaceState({}, document.title, window.location.pathname);
+    }
+
     async triggerSync() {
         if (this.isSyncing || this.isReprocessing) return;
         
@@ -214,7 +473,7 @@ class ActualXeroSyncUI {
         this.updateButtonState(this.buttons.triggerSync, true, 'Syncing...');
         
         try {
-            const response = await fetch('/api/sync/trigger', {
+            const response = await fetch(this.apiUrl('/api/sync/trigger'), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -225,13 +484,14 @@ class ActualXeroSyncUI {
             
             if (response.ok) {
                 this.addLogEntry('Manual sync started successfully', 'success');
+                this.currentSyncId = result.syncId;
                 this.statusElements.lastSync.textContent = new Date().toLocaleString();
                 
                 // Start monitoring sync progress
                 this.monitorSyncProgress(result.syncId);
                 
             } else {
-                throw new Error(result.message || 'Sync failed to start');
+                throw new Error(result.error || result.message || 'Sync failed to start');
             }
             
         } catch (error) {
@@ -251,7 +511,7 @@ class ActualXeroSyncUI {
         this.updateButtonState(this.buttons.triggerReprocess, true, 'Reprocessing...');
         
         try {
-            const response = await fetch('/api/sync/reprocess', {
+            const response = await fetch(this.apiUrl('/api/sync/reprocess'), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -267,7 +527,7 @@ class ActualXeroSyncUI {
                 this.monitorReprocessProgress(result.reprocessId);
                 
             } else {
-                throw new Error(result.message || 'Reprocessing failed to start');
+                throw new Error(result.error || result.message || 'Reprocessing failed to start');
             }
             
         } catch (error) {
@@ -279,10 +539,85 @@ class ActualXeroSyncUI {
         }
     }
 
-    async monitorSyncProgress(syncId) {
+    async triggerChanges() {
+        if (this.isSyncing || this.isReprocessing || this.isPropagating || this.isBackfilling) return;
+        
+        this.isPropagating = true;
+        this.showProgress('Checking imported transactions for changes...');
+        this.updateButtonState(this.buttons.triggerChanges, true, 'Propagating...');
+        
+        try {
+            const response = await fetch(this.apiUrl('/api/sync/changes'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+            
+            const result = await response.json();
+            
+            if (response.ok) {
+                this.addLogEntry('Change detection started successfully', 'success');
+                this.monitorChangesProgress(result.changeRunId);
+            } else {
+                throw new Error(result.error || result.message || 'Change detection failed to start');
+            }
+            
+        } catch (error) {
+            console.error('Change detection failed:', error);
+            this.addLogEntry('Change detection failed to start: ' + error.message, 'error');
+            this.isPropagating = false;
+            this.hideProgress();
+            this.updateButtonState(this.buttons.triggerChanges, false, 'Propagate Changes');
+        }
+    }
+
+    monitorSyncProgress(syncId) {
+        // Prefer the live event stream, fall back to polling if it is unavailable
+        if (typeof EventSource === 'undefined') {
+            this.pollSyncProgress(syncId);
+            return;
+        }
+        
+        if (this.syncEventSource) {
+            this.syncEventSource.close();
+        }
+        
+        const source = new EventSource(this.apiUrl(`/api/sync/events?syncId=${encodeURIComponent(syncId)}`));
+        this.syncEventSource = source;
+        let lastStage = null;
+        
+        source.addEventListener('progress', (event) => {
+            const progress = JSON.parse(event.data);
+            this.updateProgress(progress);
+            
+            if (progress.stageLabel && progress.stage !== lastStage && progress.status === 'running') {
+                lastStage = progress.stage;
+                this.addLogEntry(progress.stageLabel, 'info');
+            }
+            
+            if (progress.status === 'completed' || progress.status === 'failed') {
+                source.close();
+                this.syncEventSource = null;
+                this.handleSyncComplete(progress);
+            }
+        });
+        
+        source.onerror = () => {
+            // The browser retries automatically; switch to polling if the stream is gone
+            if (source.readyState === EventSource.CLOSED) {
+                this.syncEventSource = null;
+                if (this.isSyncing) {
+                    this.pollSyncProgress(syncId);
+                }
+            }
+        };
+    }
+
+    async pollSyncProgress(syncId) {
         const checkProgress = async () => {
             try {
-                const response = await fetch(`/api/sync/progress/${syncId}`);
+                const response = await fetch(this.apiUrl(`/api/sync/progress/${syncId}`));
                 if (response.ok) {
                     const progress = await response.json();
                     this.updateProgress(progress);
@@ -308,7 +643,7 @@ class ActualXeroSyncUI {
     async monitorReprocessProgress(reprocessId) {
         const checkProgress = async () => {
             try {
-                const response = await fetch(`/api/sync/reprocess-progress/${reprocessId}`);
+                const response = await fetch(this.apiUrl(`/api/sync/reprocess-progress/${reprocessId}`));
                 if (response.ok) {
                     const progress = await response.json();
                     this.updateProgress(progress);
@@ -331,8 +666,37 @@ class ActualXeroSyncUI {
         checkProgress();
     }
 
+    async monitorChangesProgress(changeRunId) {
+        const checkProgress = async () => {
+            try {
+                const response = await fetch(this.apiUrl(`/api/sync/changes/${changeRunId}`));
+                if (response.ok) {
+                    const progress = await response.json();
+                    this.updateProgress(progress);
+                    
+                    if (progress.status === 'completed' || progress.status === 'failed') {
+                        this.handleChangesComplete(progress);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to check change detection progress:', error);
+            }
+            
+            // Continue monitoring while changes are being propagated
+            if (this.isPropagating) {
+                setTimeout(checkProgress, 2000);
+            }
+        };
+        
+        checkProgress();
+    }
+
     handleSyncComplete(progress) {
+        if (!this.isSyncing) return;
+        
         this.isSyncing = false;
+        this.currentSyncId = null;
         this.hideProgress();
         this.updateButtonState(this.buttons.triggerSync, false, 'Trigger Manual Sync');
         
@@ -340,6 +704,7 @@ class ActualXeroSyncUI {
             // Create detailed success message
             const details = [];
             if (progress.processed > 0) details.push(`${progress.processed} fetched`);
+            if (progress.filtered > 0) details.push(`${progress.filtered} skipped by filters`);
             if (progress.stored_xano > 0) details.push(`${progress.stored_xano} stored in Xano`);
             if (progress.duplicates_skipped > 0) details.push(`${progress.duplicates_skipped} duplicates skipped`);
             if (progress.mapped > 0) details.push(`${progress.mapped} mapped`);
@@ -364,6 +729,9 @@ class ActualXeroSyncUI {
         
         // Refresh status to get updated stats
         this.loadStatus();
+        this.loadHistory();
+        this.loadReceipts();
+        this.loadReconciliation();
     }
 
     handleReprocessComplete(progress) {
@@ -372,7 +740,14 @@ class ActualXeroSyncUI {
         this.updateButtonState(this.buttons.triggerReprocess, false, 'Reprocess Failed');
         
         if (progress.status === 'completed') {
-            this.addLogEntry(`Reprocessing completed - ${progress.reprocessed || 0} transactions reprocessed`, 'success');
+            const details = [];
+            if (progress.resolved > 0) details.push(`${progress.resolved} resolved`);
+            if (progress.imported_xero > 0) details.push(`${progress.imported_xero} imported to Xero`);
+            if (progress.failed > 0) details.push(`${progress.failed} failed`);
+            if (progress.options && progress.options.dryRun) details.push('dry run');
+            
+            const detailText = details.length > 0 ? ` (${details.join(', ')})` : '';
+            this.addLogEntry(`Reprocessing completed - ${progress.reprocessed || 0} transactions reprocessed${detailText}`, 'success');
         } else {
             this.addLogEntry(`Reprocessing failed: ${progress.error || 'Unknown error'}`, 'error');
         }
@@ -381,6 +756,618 @@ class ActualXeroSyncUI {
         this.loadStatus();
     }
 
+    handleChangesComplete(progress) {
+        this.isPropagating = false;
+        this.hideProgress();
+        this.updateButtonState(this.buttons.triggerChanges, false, 'Propagate Changes');
+        
+        if (progress.status === 'completed') {
+            const details = [];
+            if (progress.updated_xero > 0) details.push(`${progress.updated_xero} updated in Xero`);
+            if (progress.voided_xero > 0) details.push(`${progress.voided_xero} voided in Xero`);
+            if (progress.failed > 0) details.push(`${progress.failed} failed`);
+            if (progress.options && progress.options.dryRun) details.push('dry run');
+            
+            const detailText = details.length > 0 ? ` (${details.join(', ')})` : '';
+            this.addLogEntry(`Change detection completed - ${progress.changed || 0} of ${progress.checked || 0} imported transactions changed${detailText}`, 'success');
+        } else {
+            this.addLogEntry(`Change detection failed: ${progress.error || 'Unknown error'}`, 'error');
+        }
+        
+        this.loadStatus();
+    }
+
+    async triggerBackfill() {
+        if (this.isSyncing || this.isReprocessing || this.isBackfilling) return;
+        
+        const from = this.backfillElements.from.value;
+        const until = this.backfillElements.until.value;
+        
+        if (!from) {
+            this.addLogEntry('Choose a start date for the backfill', 'warning');
+            return;
+        }
+        
+        try {
+            const response = await fetch(this.apiUrl('/api/sync/backfill'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(until ? { from, until } : { from })
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.details ? result.details.join(', ') : (result.error || 'Backfill failed to start'));
+            }
+            
+            this.addLogEntry(result.message, 'success');
+            this.monitorBackfillProgress(result.backfillId);
+        } catch (error) {
+            console.error('Backfill failed:', error);
+            this.addLogEntry('Backfill failed to start: ' + error.message, 'error');
+        }
+    }
+
+    async resumeBackfill() {
+        if (!this.resumableBackfillId || this.isSyncing || this.isReprocessing || this.isBackfilling) return;
+        
+        try {
+            const response = await fetch(this.apiUrl(`/api/sync/backfill/${encodeURIComponent(this.resumableBackfillId)}/resume`), {
+                method: 'POST'
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Backfill failed to resume');
+            }
+            
+            this.addLogEntry(result.message, 'success');
+            this.monitorBackfillProgress(result.backfillId);
+        } catch (error) {
+            console.error('Backfill resume failed:', error);
+            this.addLogEntry('Backfill failed to resume: ' + error.message, 'error');
+        }
+    }
+
+    monitorBackfillProgress(backfillId) {
+        this.isBackfilling = true;
+        this.currentBackfillId = backfillId;
+        this.backfillElements.progress.classList.remove('hidden');
+        this.backfillElements.resume.classList.add('hidden');
+        this.updateButtonState(this.backfillElements.start, true, 'Backfilling...');
+        
+        const checkProgress = async () => {
+            try {
+                const response = await fetch(this.apiUrl(`/api/sync/backfill/${encodeURIComponent(backfillId)}`));
+                if (response.ok) {
+                    const progress = await response.json();
+                    this.backfillElements.progressText.textContent = progress.message;
+                    this.backfillElements.progressFill.style.width = `${progress.percentage}%`;
+                    this.renderBackfillStatus(progress);
+                    
+                    if (progress.status !== 'running') {
+                        this.handleBackfillComplete(progress);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to check backfill progress:', error);
+            }
+            
+            // Continue monitoring if still backfilling
+            if (this.isBackfilling && this.currentBackfillId === backfillId) {
+                setTimeout(checkProgress, 2000);
+            }
+        };
+        
+        checkProgress();
+    }
+
+    handleBackfillComplete(progress) {
+        this.isBackfilling = false;
+        this.currentBackfillId = null;
+        this.backfillElements.progress.classList.add('hidden');
+        this.updateButtonState(this.backfillElements.start, false, 'Start Backfill');
+        
+        const stats = progress.statistics || {};
+        if (progress.status === 'completed') {
+            this.addLogEntry(`Backfill completed - ${progress.from} to ${progress.until}: ${stats.totalProcessed || 0} fetched, ${stats.storedInXano || 0} stored, ${stats.importedToXero || 0} imported to Xero`, 'success');
+        } else {
+            this.addLogEntry(`Backfill ${progress.status}: ${progress.error || 'Unknown error'}`, 'error');
+        }
+        
+        this.loadBackfills();
+        this.loadStatus();
+        this.loadHistory();
+    }
+
+    async loadBackfills() {
+        try {
+            const response = await fetch(this.apiUrl('/api/sync/backfill'));
+            if (!response.ok) {
+                throw new Error('Failed to load backfills');
+            }
+            
+            const { jobs } = await response.json();
+            const latest = jobs[0];
+            
+            if (latest) {
+                this.renderBackfillStatus(latest);
+            }
+            
+            if (latest && latest.status === 'running' && !this.isBackfilling) {
+                this.monitorBackfillProgress(latest.id);
+            }
+        } catch (error) {
+            console.error('Failed to load backfills:', error);
+        }
+    }
+
+    renderBackfillStatus(job) {
+        this.backfillElements.status.textContent = 
+            `Last backfill ${job.from} to ${job.until}: ${job.status}, ${job.completed_chunks} of ${job.total_chunks} months done` +
+            (job.error ? ` (${job.error})` : '');
+        
+        this.resumableBackfillId = job.resumable ? job.id : null;
+        this.backfillElements.resume.classList.toggle('hidden', !job.resumable);
+    }
+
+    async loadReceipts() {
+        try {
+            const response = await fetch(this.apiUrl('/api/receipts'));
+            if (!response.ok) {
+                throw new Error('Failed to load receipts status');
+            }
+            
+            this.renderReceiptsStatus(await response.json());
+        } catch (error) {
+            console.error('Failed to load receipts status:', error);
+        }
+    }
+
+    async scanReceipts() {
+        if (!this.receiptsEnabled || this.isScanningReceipts) return;
+        
+        this.isScanningReceipts = true;
+        this.updateButtonState(this.receiptElements.scan, true, 'Scanning...');
+        
+        try {
+            const response = await fetch(this.apiUrl('/api/receipts/scan'), { method: 'POST' });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Receipt scan failed');
+            }
+            
+            const run = result.lastRun;
+            const type = run.failed.length > 0 || run.error ? 'warning' : 'success';
+            this.addLogEntry(`Receipt scan completed - ${run.attached.length} attached, ${run.unmatched.length} unmatched, ${run.failed.length} failed of ${run.scanned} files`, type);
+            this.renderReceiptsStatus(result);
+        } catch (error) {
+            console.error('Receipt scan failed:', error);
+            this.addLogEntry('Receipt scan failed: ' + error.message, 'error');
+        } finally {
+            this.isScanningReceipts = false;
+            this.updateButtonState(this.receiptElements.scan, false, 'Scan Inbox');
+            this.receiptElements.scan.disabled = !this.receiptsEnabled;
+        }
+    }
+
+    renderReceiptsStatus(status) {
+        this.receiptsEnabled = !!status.enabled;
+        this.receiptElements.scan.disabled = !this.receiptsEnabled || this.isScanningReceipts;
+        this.receiptElements.unmatched.innerHTML = '';
+        
+        if (!status.enabled) {
+            this.receiptElements.status.textContent = 'Receipts are disabled';
+            return;
+        }
+        
+        const run = status.lastRun;
+        let text = `Inbox ${status.folder}${status.watching ? ' (watching)' : ''}`;
+        if (!status.uploadsEnabled) {
+            text += ' - uploads paused by dry run mode or disabled Xero sync';
+        }
+        if (run) {
+            text += ` - last scan ${new Date(run.completed_at).toLocaleString()}: ${run.attached.length} attached, ${run.failed.length} failed, ${run.unmatched.length} unmatched`;
+            if (run.error) {
+                text += ` (${run.error})`;
+            }
+        }
+        this.receiptElements.status.textContent = text;
+        
+        if (run) {
+            [...run.unmatched, ...run.failed].forEach(({ file, reason }) => {
+                const item = document.createElement('li');
+                item.textContent = `${file}: ${reason}`;
+                this.receiptElements.unmatched.appendChild(item);
+            });
+        }
+    }
+
+    async loadReconciliation() {
+        try {
+            const response = await fetch(this.apiUrl('/api/reconciliation'));
+            if (!response.ok) {
+                throw new Error('Failed to load reconciliation status');
+            }
+            
+            this.renderReconciliationStatus(await response.json());
+        } catch (error) {
+            console.error('Failed to load reconciliation status:', error);
+        }
+    }
+
+    async checkReconciliation() {
+        if (this.isCheckingReconciliation) return;
+        
+        this.isCheckingReconciliation = true;
+        this.updateButtonState(this.reconciliationElements.check, true, 'Checking...');
+        
+        try {
+            const response = await fetch(this.apiUrl('/api/reconciliation/check'), { method: 'POST' });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Reconciliation check failed');
+            }
+            
+            const run = result.lastRun;
+            const type = run.failed.length > 0 || run.error ? 'warning' : 'success';
+            this.addLogEntry(`Reconciliation check completed - ${run.summary}`, type);
+            this.renderReconciliationStatus(result);
+        } catch (error) {
+            console.error('Reconciliation check failed:', error);
+            this.addLogEntry('Reconciliation check failed: ' + error.message, 'error');
+        } finally {
+            this.isCheckingReconciliation = false;
+            this.updateButtonState(this.reconciliationElements.check, false, 'Check Reconciliation');
+        }
+    }
+
+    renderReconciliationStatus(status) {
+        const run = status.lastRun;
+        let text = status.enabled ? 'Checked after every sync' : 'Checked on request only (reconciliation_sync is off)';
+        if (run) {
+            text += ` - last check ${new Date(run.completed_at).toLocaleString()}: ${run.summary}`;
+        }
+        this.reconciliationElements.status.textContent = text;
+    }
+
+    async loadStatementExports() {
+        try {
+            const response = await fetch(this.apiUrl('/api/export/statements'));
+            if (!response.ok) {
+                throw new Error('Failed to load statement exports');
+            }
+            
+            this.renderStatementExports(await response.json());
+        } catch (error) {
+            console.error('Failed to load statement exports:', error);
+        }
+    }
+
+    renderStatementExports(data) {
+        const { account, dateFormat } = this.statementElements;
+        const selectedAccount = account.value;
+        const selectedFormat = dateFormat.value;
+        
+        account.innerHTML = '';
+        data.accounts.forEach(({ id, name }) => {
+            account.add(new Option(name || id, id));
+        });
+        if (selectedAccount) {
+            account.value = selectedAccount;
+        }
+        
+        dateFormat.innerHTML = '';
+        data.dateFormats.forEach(format => dateFormat.add(new Option(format, format)));
+        dateFormat.value = selectedFormat || data.dateFormats[0];
+        
+        this.statementElements.export.disabled = this.isExportingStatement || data.accounts.length === 0;
+        this.statementElements.exports.innerHTML = '';
+        
+        data.exports.forEach(summary => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = this.apiUrl(`/api/export/statements/${summary.export_id}/download`);
+            link.textContent = summary.file_name;
+            item.appendChild(link);
+            item.appendChild(document.createTextNode(
+                ` - ${summary.rows} transactions (${summary.uncoded} to code in Xero), exported ${new Date(summary.created_at).toLocaleString()}`
+            ));
+            this.statementElements.exports.appendChild(item);
+        });
+    }
+
+    async exportStatement() {
+        if (this.isExportingStatement) return;
+        
+        const { account, from, until, dateFormat } = this.statementElements;
+        if (!account.value || !from.value || !until.value) {
+            this.addLogEntry('Choose an account and a date range to export', 'warning');
+            return;
+        }
+        
+        this.isExportingStatement = true;
+        this.updateButtonState(this.statementElements.export, true, 'Exporting...');
+        
+        try {
+            const response = await fetch(this.apiUrl('/api/export/statement'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    accountId: account.value,
+                    startDate: from.value,
+                    endDate: until.value,
+                    dateFormat: dateFormat.value
+                })
+            });
+            const result = await response.json();
+            
+            if (response.status === 404 && result.account_id) {
+                this.statementElements.status.textContent = `No unexported transactions for ${result.account_name} from ${result.start_date} to ${result.end_date}`;
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(result.details || result.error || 'Statement export failed');
+            }
+            
+            const type = result.errors.length > 0 ? 'warning' : 'success';
+            this.addLogEntry(`Statement exported - ${result.rows} transactions for ${result.account_name}, ${result.coded} precoded, ${result.skipped_transfers} transfers left for Xero`, type);
+            this.statementElements.status.textContent = `Exported ${result.file_name}` +
+                (result.errors.length > 0 ? ` - ${result.errors.length} transactions could not be marked as exported` : '');
+            
+            window.location.href = result.download_url;
+            this.loadStatementExports();
+        } catch (error) {
+            console.error('Statement export failed:', error);
+            this.addLogEntry('Statement export failed: ' + error.message, 'error');
+        } finally {
+            this.isExportingStatement = false;
+            this.updateButtonState(this.statementElements.export, false, 'Export CSV');
+        }
+    }
+
+    async loadFilters() {
+        try {
+            const response = await fetch(this.apiUrl('/api/filters'));
+            if (!response.ok) {
+                throw new Error('Failed to load sync filters');
+            }
+            
+            this.configuredFilters = await response.json();
+            this.resetFilters();
+        } catch (error) {
+            console.error('Failed to load sync filters:', error);
+        }
+    }
+
+    resetFilters() {
+        if (!this.configuredFilters) return;
+        
+        this.filterElements.rules.value = JSON.stringify(this.configuredFilters.rules, null, 2);
+        this.filterElements.defaultAction.value = this.configuredFilters.default_action;
+    }
+
+    async testFilters() {
+        if (this.isTestingFilters) return;
+        
+        const { days, defaultAction, rules, status } = this.filterElements;
+        let draftRules;
+        try {
+            draftRules = rules.value.trim() ? JSON.parse(rules.value) : [];
+        } catch (error) {
+            status.textContent = 'Rules are not valid JSON: ' + error.message;
+            return;
+        }
+        
+        this.isTestingFilters = true;
+        this.updateButtonState(this.filterElements.test, true, 'Testing...');
+        
+        try {
+            const response = await fetch(this.apiUrl('/api/filters/test'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    days: parseInt(days.value) || undefined,
+                    rules: draftRules,
+                    default_action: defaultAction.value
+                })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.details ? result.details.join(', ') : (result.error || 'Filter test failed'));
+            }
+            
+            this.renderFilterResults(result);
+        } catch (error) {
+            console.error('Filter test failed:', error);
+            status.textContent = 'Filter test failed: ' + error.message;
+            this.filterElements.results.classList.add('hidden');
+        } finally {
+            this.isTestingFilters = false;
+            this.updateButtonState(this.filterElements.test, false, 'Test Filters');
+        }
+    }
+
+    renderFilterResults(result) {
+        const { status, results, body } = this.filterElements;
+        const reasons = Object.entries(result.reasons).map(([reason, count]) => `${count} ${reason}`);
+        
+        status.textContent = `${result.total} transactions since ${new Date(result.since).toLocaleDateString()}: ` +
+            `${result.included} would sync, ${result.skipped} skipped` +
+            (reasons.length > 0 ? ` (${reasons.join(', ')})` : '');
+        
+        body.innerHTML = '';
+        result.transactions.forEach(transaction => {
+            const row = document.createElement('tr');
+            const cells = [
+                transaction.date,
+                transaction.account || '-',
+                transaction.payee || (transaction.is_transfer ? 'Transfer' : '-'),
+                transaction.amount.toFixed(2),
+                transaction.notes || '',
+                transaction.action === 'include' 
+                    ? `Sync${transaction.rule ? ` (${transaction.rule})` : ''}` 
+                    : `Skip: ${transaction.reason}`
+            ];
+            
+            cells.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index === cells.length - 1) {
+                    cell.className = transaction.action === 'include' ? 'success' : 'error';
+                }
+                row.appendChild(cell);
+            });
+            
+            body.appendChild(row);
+        });
+        
+        results.classList.toggle('hidden', result.transactions.length === 0);
+    }
+
+    async loadHistory() {
+        try {
+            const params = new URLSearchParams({
+                limit: this.historyPage.limit,
+                offset: this.historyPage.offset
+            });
+            
+            const status = this.historyElements.statusFilter.value;
+            if (status) {
+                params.set('status', status);
+            }
+            
+            const response = await fetch(this.apiUrl(`/api/sync/history?${params}`));
+            if (!response.ok) {
+                throw new Error('Failed to load sync history');
+            }
+            
+            const history = await response.json();
+            this.historyPage.total = history.total;
+            this.renderHistory(history.records);
+        } catch (error) {
+            console.error('Failed to load sync history:', error);
+            this.addLogEntry('Failed to load sync history', 'warning');
+        }
+    }
+
+    renderHistory(records) {
+        const body = this.historyElements.body;
+        body.innerHTML = '';
+        
+        if (records.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 8;
+            cell.className = 'history-empty';
+            cell.textContent = 'No sync runs recorded yet';
+            row.appendChild(cell);
+            body.appendChild(row);
+        }
+        
+        records.forEach(record => {
+            const stats = record.statistics || {};
+            const row = document.createElement('tr');
+            const cells = [
+                new Date(record.started_at).toLocaleString(),
+                record.source || '-',
+                record.status,
+                `${Math.round((record.duration || 0) / 1000)}s`,
+                stats.transactionsFetched || 0,
+                stats.transactionsStored || 0,
+                stats.transactionsImported || 0,
+                stats.transactionsFailed || 0
+            ];
+            
+            cells.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index === 2) {
+                    cell.className = record.status === 'failed' ? 'error' : 'success';
+                }
+                row.appendChild(cell);
+            });
+            
+            row.addEventListener('click', () => {
+                body.querySelectorAll('tr.selected').forEach(selected => selected.classList.remove('selected'));
+                row.classList.add('selected');
+                this.showHistoryDetails(record.id);
+            });
+            
+            body.appendChild(row);
+        });
+        
+        const { limit, offset, total } = this.historyPage;
+        this.historyElements.pageInfo.textContent = total > 0 
+            ? `${offset + 1}-${Math.min(offset + limit, total)} of ${total}` 
+            : '-';
+        this.historyElements.prev.disabled = offset === 0;
+        this.historyElements.next.disabled = offset + limit >= total;
+    }
+
+    async showHistoryDetails(id) {
+        const details = this.historyElements.details;
+        
+        try {
+            const response = await fetch(this.apiUrl(`/api/sync/history/${encodeURIComponent(id)}`));
+            if (!response.ok) {
+                throw new Error('Sync run not found');
+            }
+            
+            const record = await response.json();
+            const transactions = record.transactions || {};
+            details.innerHTML = '';
+            
+            const addSection = (title, lines) => {
+                const heading = document.createElement('h3');
+                heading.textContent = title;
+                details.appendChild(heading);
+                
+                (lines.length > 0 ? lines : ['None']).forEach(line => {
+                    const entry = document.createElement('div');
+                    entry.textContent = line;
+                    details.appendChild(entry);
+                });
+            };
+            
+            const options = record.options || {};
+            addSection(`Run ${record.id} (${record.status})`, [
+                `Since: ${options.since ? new Date(options.since).toLocaleString() : '-'}`,
+                `Dry run: ${options.dryRun ? 'yes' : 'no'}, sync to Xero: ${options.syncToXero ? 'yes' : 'no'}`,
+                ...(record.error ? [`Error: ${record.error}`] : [])
+            ]);
+            addSection('Stages', Object.entries(record.stages || {}).map(([stage, info]) => 
+                `${stage}: ${Math.round((info.duration || 0) / 100) / 10}s`
+            ));
+            addSection(`Imported to Xero (${(transactions.imported || []).length})`, (transactions.imported || []).map(entry => 
+                `${entry.xero_reference || 'Xano-' + entry.xano_id} → ${entry.xero_transaction_id} (Actual ${entry.actual_transaction_id || '-'})` +
+                (entry.mapping_rule ? ` via mapping rule ${entry.mapping_rule}` : '')
+            ));
+            addSection(`Failed (${(transactions.failed || []).length})`, (transactions.failed || []).map(entry => 
+                `${entry.actual_transaction_id || 'Xano-' + entry.xano_id}: ${entry.error}`
+            ));
+            addSection(`Skipped by filters (${(transactions.filtered || []).length})`, (transactions.filtered || []).map(entry => 
+                `${entry.actual_transaction_id}: ${entry.reason}`
+            ));
+            addSection(`Stored in Xano (${(transactions.stored || []).length})`, (transactions.stored || []).map(entry => 
+                `Xano-${entry.xano_id} (Actual ${entry.actual_transaction_id})`
+            ));
+            
+            details.classList.remove('hidden');
+        } catch (error) {
+            details.classList.add('hidden');
+            this.addLogEntry('Failed to load sync run details: ' + error.message, 'error');
+        }
+    }
+
     addLogEntry(message, type = 'info') {
         const entry = document.createElement('p');
         entry.className = `log-entry ${type}`;
@@ -462,20 +1449,53 @@ class ActualXeroSyncUI {
         });
     }
 
+    updateScheduleDisplay(schedule) {
+        if (!this.statusElements.nextSync) {
+            return;
+        }
+        
+        if (schedule && schedule.enabled && schedule.nextRun) {
+            this.statusElements.nextSync.textContent = new Date(schedule.nextRun).toLocaleString();
+            this.statusElements.nextSync.title = `Schedule: ${schedule.schedule}`;
+        } else {
+            this.statusElements.nextSync.textContent = 'Not scheduled';
+            this.statusElements.nextSync.title = '';
+        }
+    }
+
     async checkSyncProgress() {
         // This method is called periodically to check for any ongoing operations
         // and update the UI accordingly
         try {
-            const response = await fetch('/api/sync/current-status');
+            const response = await fetch(this.apiUrl('/api/sync/current-status'));
             if (response.ok) {
                 const status = await response.json();
                 
-                if (status.syncing && !this.isSyncing) {
+                this.updateScheduleDisplay(status.schedule);
+                
+                if (status.backfilling) {
+                    // Backfill chunks run as syncs; follow the backfill rather than each chunk
+                    if (!this.isBackfilling && status.currentBackfillId) {
+                        this.monitorBackfillProgress(status.currentBackfillId);
+                    }
+                } else if (status.syncing && !this.isSyncing) {
                     this.isSyncing = true;
                     this.showProgress('Sync in progress...');
+                    this.updateButtonState(this.buttons.triggerSync, true, 'Syncing...');
+                    
+                    // Follow syncs started elsewhere (scheduler, Home Assistant)
+                    if (status.currentSyncId) {
+                        this.currentSyncId = status.currentSyncId;
+                        this.monitorSyncProgress(status.currentSyncId);
+                    }
                 } else if (status.reprocessing && !this.isReprocessing) {
                     this.isReprocessing = true;
                     this.showProgress('Reprocessing in progress...');
+                } else if (status.propagatingChanges && !this.isPropagating && status.currentChangeRunId) {
+                    this.isPropagating = true;
+                    this.showProgress('Change detection in progress...');
+                    this.updateButtonState(this.buttons.triggerChanges, true, 'Propagating...');
+                    this.monitorChangesProgress(status.currentChangeRunId);
                 } else if (!status.syncing && !status.reprocessing && (this.isSyncing || this.isReprocessing)) {
                     // Operations completed
                     this.isSyncing = false;